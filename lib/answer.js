@@ -0,0 +1,196 @@
+// lib/answer.js - 자연어 질의 답변 제공자 (검색된 문서와 질문의 연관성 설명, 문서 대화 답변)
+// 제공자는 { name, model, answer({ question, keywords, documents }), chat({ question, keywords, history, passages }) } 형식이다
+// answer는 { explanation, reasons: { 파일ID: 문서별 설명 } } 을 반환한다
+//   documents: [{ id, name, folder, relevance, matchedKeywords, passages: [{ page, label, text }] }]
+// chat({ question, keywords, history, passages })은 { answer, citations: [근거 번호(1부터)] } 를 반환한다
+//   history: [{ role: 'user' | 'assistant', content }] (이전 대화), passages: [{ fileId, name, page, label, text }]
+const { llmConfig, chatCompletion } = require('./llm');
+const { buildExcerpt } = require('./search');
+
+// 문서 대화에서 LLM에 함께 보내는 이전 대화 수
+const MAX_CHAT_HISTORY = 10;
+
+const providers = new Map();
+
+// 제공자 등록 (같은 이름이면 교체)
+function registerAnswerProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+// 이름으로 제공자 찾기 (이름이 없으면 ASKDOC_ANSWER_PROVIDER 환경 변수, 기본값 offline)
+function getAnswerProvider(name) {
+    return providers.get(name || process.env.ASKDOC_ANSWER_PROVIDER || 'offline') || null;
+}
+
+function listAnswerProviders() {
+    return Array.from(providers.keys());
+}
+
+// 오프라인 제공자: 키워드 일치 결과만으로 항상 같은 설명을 만든다 (외부 호출 없음, 테스트용)
+const offlineProvider = {
+    name: 'offline',
+    model: 'keyword-v1',
+    async answer({ question, keywords, documents }) {
+        const reasons = {};
+        documents.forEach(doc => {
+            reasons[doc.id] = documentReason(doc);
+        });
+
+        if (keywords.length === 0) {
+            return {
+                explanation: '질문에서 검색할 단어를 찾지 못했습니다. 문서에 나올 만한 단어를 넣어 다시 질문해 보세요.',
+                reasons
+            };
+        }
+
+        if (documents.length === 0) {
+            return {
+                explanation: `${quoteList(keywords)}이(가) 들어 있는 문서를 찾지 못했습니다. 다른 표현으로 다시 질문해 보세요.`,
+                reasons
+            };
+        }
+
+        const top = documents[0];
+        const sentences = [
+            `"${question}" 질문과 관련된 문서 ${documents.length}건을 찾았습니다.`,
+            `가장 관련도가 높은 문서는 「${top.name}」${top.folder ? `(${top.folder} 폴더)` : ''}로, ` +
+                `${quoteList(top.matchedKeywords)} 키워드가 ${top.passages.length > 0 ? `${locationList(top.passages)}에` : '파일명에'} 나옵니다.`
+        ];
+
+        if (top.passages.length > 0) {
+            sentences.push(`관련 내용: "${top.passages[0].text}"`);
+        }
+
+        const others = documents.slice(1, 4).map(doc => `「${doc.name}」`);
+        if (others.length > 0) {
+            sentences.push(`그 밖에 ${others.join(', ')}에서도 관련 내용을 확인할 수 있습니다.`);
+        }
+
+        const missing = keywords.filter(keyword => !documents.some(doc => doc.matchedKeywords.includes(keyword)));
+        if (missing.length > 0) {
+            sentences.push(`${quoteList(missing)}에 해당하는 내용은 찾지 못했습니다.`);
+        }
+
+        return {
+            explanation: sentences.join(' '),
+            reasons
+        };
+    },
+    async chat({ keywords, passages }) {
+        if (passages.length === 0) {
+            return {
+                answer: '질문과 관련된 내용을 문서에서 찾지 못했습니다. 문서에 나올 만한 단어를 넣어 다시 질문해 보세요.',
+                citations: []
+            };
+        }
+
+        // 근거 발췌를 그대로 인용 (생성 모델 없이 답할 수 있는 범위)
+        const quoted = passages.slice(0, 3);
+        const lines = [`질문과 관련된 내용을 ${passages.length}곳에서 찾았습니다.`];
+        quoted.forEach((passage, index) => {
+            lines.push(`「${passage.name}」 ${passage.label}: "${buildExcerpt(passage.text, keywords, 80)}" [${index + 1}]`);
+        });
+
+        return {
+            answer: lines.join('\n'),
+            citations: quoted.map((passage, index) => index + 1)
+        };
+    }
+};
+
+// OpenAI 호환 제공자: 검색된 문서 발췌를 근거로 LLM이 설명을 작성 (설정은 lib/llm.js)
+const openAiProvider = {
+    name: 'openai',
+    get model() {
+        return llmConfig().model;
+    },
+    async answer({ question, keywords, documents }) {
+        // 근거가 없으면 LLM을 호출하지 않고 오프라인 설명 사용
+        if (documents.length === 0) {
+            return offlineProvider.answer({ question, keywords, documents });
+        }
+
+        const context = documents.map((doc, index) => [
+            `[${index + 1}] ${doc.name}${doc.folder ? ` (폴더: ${doc.folder})` : ''}`,
+            ...doc.passages.map(passage => `- ${passage.label}: ${passage.text}`)
+        ].join('\n')).join('\n\n');
+
+        const explanation = await chatCompletion([
+            {
+                role: 'system',
+                content: '당신은 문서 관리 시스템 AskDoc의 검색 도우미입니다. ' +
+                    '제공된 문서 발췌만 근거로 사용자의 질문과 각 문서가 어떻게 관련되는지 한국어로 3~5문장 이내로 설명하세요. ' +
+                    '문서를 언급할 때는 [번호]를 붙이고, 발췌에 없는 내용은 추측하지 마세요.'
+            },
+            {
+                role: 'user',
+                content: `질문: ${question}\n\n검색된 문서:\n${context}`
+            }
+        ]);
+
+        const reasons = {};
+        documents.forEach(doc => {
+            reasons[doc.id] = documentReason(doc);
+        });
+
+        return { explanation, reasons };
+    },
+    async chat({ question, keywords, history, passages }) {
+        // 근거가 없으면 LLM을 호출하지 않고 오프라인 답변 사용
+        if (passages.length === 0) {
+            return offlineProvider.chat({ question, keywords, history, passages });
+        }
+
+        const context = passages
+            .map((passage, index) => `[${index + 1}] ${passage.name} (${passage.label})\n${passage.text}`)
+            .join('\n\n');
+
+        const answer = await chatCompletion([
+            {
+                role: 'system',
+                content: '당신은 문서 관리 시스템 AskDoc의 문서 질의응답 도우미입니다. ' +
+                    '제공된 근거 발췌만 사용하여 한국어로 간결하게 답하고, 근거로 쓴 발췌는 문장 끝에 [번호]로 표시하세요. ' +
+                    '근거에 답이 없으면 문서에서 찾을 수 없다고 답하세요.'
+            },
+            ...history.slice(-MAX_CHAT_HISTORY),
+            {
+                role: 'user',
+                content: `근거 발췌:\n${context}\n\n질문: ${question}`
+            }
+        ]);
+
+        // 답변에 나온 [번호] 중 실제 근거 범위 안의 번호만 인용으로 사용
+        const citations = [];
+        (answer.match(/\[(\d+)\]/g) || []).forEach(marker => {
+            const number = parseInt(marker.slice(1, -1));
+            if (number >= 1 && number <= passages.length && !citations.includes(number)) {
+                citations.push(number);
+            }
+        });
+
+        return { answer, citations };
+    }
+};
+
+// 문서별 설명: 일치한 키워드와 위치
+function documentReason(doc) {
+    const keywords = doc.matchedKeywords.length > 0 ? `${quoteList(doc.matchedKeywords)} 일치` : '파일명 일치';
+    return doc.passages.length > 0 ? `${keywords} · ${locationList(doc.passages)}` : keywords;
+}
+
+function quoteList(values) {
+    return values.map(value => `'${value}'`).join(', ');
+}
+
+function locationList(passages) {
+    return passages.slice(0, 3).map(passage => passage.label).join(', ');
+}
+
+registerAnswerProvider(offlineProvider);
+registerAnswerProvider(openAiProvider);
+
+module.exports = {
+    registerAnswerProvider,
+    getAnswerProvider,
+    listAnswerProviders
+};
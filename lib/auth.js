@@ -0,0 +1,95 @@
+// lib/auth.js - 사용자 비밀번호 해시와 로그인 세션 토큰
+// 비밀번호는 사용자마다 다른 salt로 scrypt 해시하여 "salt:hash" (hex) 형식으로 저장하고,
+// 세션 토큰은 브라우저(쿠키) 또는 API 클라이언트(Authorization: Bearer)에만 전달하며 DB에는 SHA-256 해시만 저장한다
+const crypto = require('crypto');
+const util = require('util');
+
+const scrypt = util.promisify(crypto.scrypt);
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+const TOKEN_BYTES = 32;
+
+// 세션 쿠키 이름과 유효 기간 (7일)
+const SESSION_COOKIE = 'askdoc_session';
+const SESSION_DAYS = 7;
+
+// 없는 아이디로 로그인할 때 비교할 고정 해시 (틀린 비밀번호와 같은 시간이 걸리도록)
+const DUMMY_PASSWORD_HASH = 'e35604f10e05ec32cd04217d621f073e:8cf7a4d69971eb34e68ff7af4d4be56a479e02fbf7f8379f8d2535f3da6746b779164879ac4826cbb6247d27d5f8b6985e77c5b43ca27fc9e96606d0157cedf4';
+
+// 비밀번호 해시 ("salt:hash")
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `${salt}:${key.toString('hex')}`;
+}
+
+// 저장된 해시와 비밀번호 비교 (비교 시간이 일정하도록 timingSafeEqual 사용)
+async function verifyPassword(password, stored) {
+    const [salt, hash] = (stored || '').split(':');
+    if (!salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const key = await scrypt(password, salt, expected.length);
+    return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+}
+
+// 새 세션 토큰 (클라이언트에 줄 token, DB에 저장할 tokenHash)
+function createSessionToken() {
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+    return { token, tokenHash: hashToken(token) };
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// 요청에서 세션 토큰 읽기 (Authorization: Bearer 우선, 없으면 세션 쿠키)
+function readSessionToken(req) {
+    const authorization = req.headers.authorization || '';
+    const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+    if (bearer) return bearer[1];
+
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// Set-Cookie 헤더 값 (token이 없으면 쿠키 삭제)
+function sessionCookie(token, secure) {
+    const attributes = [
+        `${SESSION_COOKIE}=${token || ''}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Lax',
+        `Max-Age=${token ? SESSION_DAYS * 24 * 60 * 60 : 0}`
+    ];
+    if (secure) attributes.push('Secure');
+    return attributes.join('; ');
+}
+
+// Cookie 헤더 → { 이름: 값 }
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index < 0) return;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+    return cookies;
+}
+
+module.exports = {
+    SESSION_DAYS,
+    DUMMY_PASSWORD_HASH,
+    hashPassword,
+    verifyPassword,
+    createSessionToken,
+    hashToken,
+    readSessionToken,
+    sessionCookie
+};
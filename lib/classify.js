@@ -0,0 +1,110 @@
+// lib/classify.js - 업로드한 파일을 넣을 폴더 추천 (파일명과 추출한 본문 기준)
+// 1) 분류 규칙: 파일명이나 본문에 키워드가 있으면 규칙의 폴더 (예: 본문에 '삼성카드' → 카드사 계약 폴더)
+// 2) 폴더 내용: 이미 있는 문서 중 비슷한 문서(lib/related.js 의 유사도)가 많이 모인 폴더
+// 3) 폴더 이름: 폴더 이름의 단어가 파일명에 있으면 가산 (예: '회의록' 폴더 ← '주간회의록_0312.docx')
+// 결과는 [{ folderId, relevance(0~100), ruleId, reasons: [설명] }] (관련도 높은 순, 규칙이 맞은 폴더가 먼저)
+const { extractTerms } = require('./search');
+
+// 규칙을 적용할 곳: 파일명이나 본문, 파일명만, 본문만
+const RULE_TARGETS = ['any', 'name', 'text'];
+
+const MAX_SUGGESTIONS = 5;
+
+// 폴더 점수에 쓰는 비슷한 문서 수 (가장 비슷한 문서와 상위 문서 평균을 반씩 반영)
+const SIMILAR_DOCUMENTS_PER_FOLDER = 3;
+
+// 폴더 이름의 단어가 파일명에 있을 때 더하는 점수
+const FOLDER_NAME_BONUS = 0.3;
+
+// 이보다 점수가 낮은 폴더는 추천하지 않음 (우연히 겹친 단어 몇 개)
+const MIN_SUGGESTION_SCORE = 0.05;
+
+// 자동 분류는 규칙이 맞았거나 점수가 이 이상인 폴더에만 저장 (그 밖에는 루트)
+const AUTO_CLASSIFY_MIN_SCORE = 0.2;
+
+// 키워드 비교용 문자열 (대소문자와 띄어쓰기 무시, 스캔 문서는 글자 사이가 벌어지기도 함)
+function compactText(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, '');
+}
+
+// 파일에 맞는 분류 규칙 (rules: [{ id, folder_id, keyword, match_in }])
+function matchRules(rules, name, text) {
+    const compactName = compactText(name);
+    const compactBody = compactText(text);
+    return rules.filter(rule => {
+        const keyword = compactText(rule.keyword);
+        if (!keyword) return false;
+        const inName = rule.match_in !== 'text' && compactName.includes(keyword);
+        const inText = rule.match_in !== 'name' && compactBody.includes(keyword);
+        return inName || inText;
+    });
+}
+
+// 폴더 추천 순위
+// folders: 추천할 수 있는 폴더 [{ id, name }], rules: 분류 규칙, similar: findSimilar 결과 [{ id, score, keywords }]
+// files: 비슷한 문서의 위치 Map(파일 ID → { name, folderId })
+function rankFolders({ name, text, folders, rules, similar, files }) {
+    const candidates = new Map(folders.map(folder => [folder.id, { folder, score: 0, ruleId: null, reasons: [], documents: [] }]));
+
+    matchRules(rules, name, text).forEach(rule => {
+        const candidate = candidates.get(rule.folder_id);
+        if (!candidate || candidate.ruleId) return;
+        candidate.ruleId = rule.id;
+        candidate.reasons.push(`규칙: ${ruleTargetLabel(rule.match_in)}에 "${rule.keyword}" 포함`);
+    });
+
+    similar.forEach(result => {
+        const file = files.get(result.id);
+        const candidate = file && candidates.get(file.folderId);
+        if (candidate) candidate.documents.push({ ...result, name: file.name });
+    });
+
+    const nameText = compactText(name);
+    candidates.forEach(candidate => {
+        const documents = candidate.documents.slice(0, SIMILAR_DOCUMENTS_PER_FOLDER);
+        if (documents.length > 0) {
+            const average = documents.reduce((sum, doc) => sum + doc.score, 0) / SIMILAR_DOCUMENTS_PER_FOLDER;
+            candidate.score += documents[0].score * 0.5 + average * 0.5;
+
+            const keywords = [...new Set(documents.flatMap(doc => doc.keywords))].slice(0, 5);
+            const others = candidate.documents.length > 1 ? ` 외 ${candidate.documents.length - 1}개` : '';
+            candidate.reasons.push(`비슷한 문서: ${documents[0].name}${others}` + (keywords.length ? ` (공통 키워드: ${keywords.join(', ')})` : ''));
+        }
+
+        const folderTerms = extractTerms(candidate.folder.name).filter(term => nameText.includes(compactText(term)));
+        if (folderTerms.length > 0) {
+            candidate.score += FOLDER_NAME_BONUS;
+            candidate.reasons.push(`폴더 이름의 "${folderTerms.join(', ')}"이(가) 파일명에 있음`);
+        }
+    });
+
+    return [...candidates.values()]
+        .filter(candidate => candidate.ruleId || candidate.score >= MIN_SUGGESTION_SCORE)
+        .sort((a, b) => Boolean(b.ruleId) - Boolean(a.ruleId) || b.score - a.score || a.folder.id - b.folder.id)
+        .slice(0, MAX_SUGGESTIONS)
+        .map(candidate => ({
+            folderId: candidate.folder.id,
+            relevance: candidate.ruleId ? 100 : Math.min(99, Math.round(candidate.score * 100)),
+            ruleId: candidate.ruleId,
+            reasons: candidate.reasons
+        }));
+}
+
+// 자동 분류로 저장할 폴더 (확실한 추천이 없으면 null)
+function pickAutoFolder(suggestions) {
+    const best = suggestions[0];
+    if (!best) return null;
+    return best.ruleId || best.relevance >= AUTO_CLASSIFY_MIN_SCORE * 100 ? best.folderId : null;
+}
+
+function ruleTargetLabel(matchIn) {
+    if (matchIn === 'name') return '파일명';
+    if (matchIn === 'text') return '본문';
+    return '파일명이나 본문';
+}
+
+module.exports = {
+    RULE_TARGETS,
+    rankFolders,
+    pickAutoFolder
+};
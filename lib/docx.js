@@ -0,0 +1,62 @@
+// lib/docx.js - DOCX 문서를 HTML로 변환
+const mammoth = require('mammoth');
+const { loadPackage, readCoreProperties } = require('./ooxml');
+
+// 한글 Word에서 만든 문서의 스타일명도 제목/본문으로 매핑
+const styleMap = [
+    "p[style-name='Title'] => h1.doc-title:fresh",
+    "p[style-name='제목'] => h1.doc-title:fresh",
+    "p[style-name='제목 1'] => h1:fresh",
+    "p[style-name='제목 2'] => h2:fresh",
+    "p[style-name='제목 3'] => h3:fresh",
+    "p[style-name='제목 4'] => h4:fresh",
+    "p[style-name='List Paragraph'] => p:fresh"
+];
+
+// DOCX 파일을 열어 본문(문단, 제목, 목록, 표, 이미지)을 HTML로 변환
+// 이미지는 data URI로 포함되므로 별도 요청 없이 iframe에서 표시된다
+async function convertDocxToHtml(filePath) {
+    let result;
+    try {
+        result = await mammoth.convertToHtml({ path: filePath }, { styleMap });
+    } catch (error) {
+        console.error('DOCX 변환 오류:', error.message);
+        throw new Error('DOCX 파일을 해석할 수 없습니다. 파일이 손상되었거나 올바른 Word 문서가 아닙니다.');
+    }
+
+    const warnings = result.messages
+        .filter(message => message.type === 'warning')
+        .map(message => message.message);
+
+    return {
+        html: result.value,
+        warnings
+    };
+}
+
+// 검색용 본문 텍스트 추출 (Word 문서는 쪽 구분이 없으므로 전체를 1페이지로 저장)
+async function extractDocxText(filePath) {
+    const zip = await loadPackage(filePath, 'DOCX');
+
+    let result;
+    try {
+        result = await mammoth.extractRawText({ path: filePath });
+    } catch (error) {
+        console.error('DOCX 텍스트 추출 오류:', error.message);
+        throw new Error('DOCX 파일을 해석할 수 없습니다. 파일이 손상되었거나 올바른 Word 문서가 아닙니다.');
+    }
+
+    return {
+        pageCount: 1,
+        info: await readCoreProperties(zip),
+        pages: [{
+            pageNumber: 1,
+            text: result.value.replace(/\n{3,}/g, '\n\n').trim()
+        }]
+    };
+}
+
+module.exports = {
+    convertDocxToHtml,
+    extractDocxText
+};
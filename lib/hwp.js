@@ -0,0 +1,459 @@
+// lib/hwp.js - 한글 HWP 5.0(복합 파일) 문서 읽기와 HWP/HWPX 본문 텍스트 추출
+const fs = require('fs');
+const zlib = require('zlib');
+const CFB = require('cfb');
+const { readHwpx } = require('./hwpx');
+
+// 레코드 태그 (HWPTAG_BEGIN = 0x10)
+const TAG = {
+    CHAR_SHAPE: 0x15,
+    PARA_SHAPE: 0x19,
+    PARA_HEADER: 0x42,
+    PARA_TEXT: 0x43,
+    PARA_CHAR_SHAPE: 0x44,
+    CTRL_HEADER: 0x47,
+    LIST_HEADER: 0x48,
+    TABLE: 0x4d
+};
+
+// 문단 모양의 정렬 값 (0: 양쪽, 1: 왼쪽, 2: 오른쪽, 3: 가운데, 4: 배분, 5: 나눔)
+const ALIGNMENTS = ['justify', 'left', 'right', 'center', 'justify', 'justify'];
+
+// 한 글자(WCHAR)만 차지하는 제어 문자 (나머지 제어 문자는 8글자 크기)
+const CHAR_CONTROLS = [0, 10, 13, 24, 25, 26, 27, 28, 29, 30, 31];
+
+// 파일 앞부분으로 형식 판별 후 읽기 (HWPX는 zip, HWP 5.0은 복합 파일)
+async function readHangulDocument(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    const signature = Buffer.alloc(8);
+    try {
+        await handle.read(signature, 0, 8, 0);
+    } finally {
+        await handle.close();
+    }
+
+    if (signature.readUInt32LE(0) === 0x04034b50) {
+        return readHwpx(filePath);
+    }
+    if (signature.readUInt32BE(0) === 0xd0cf11e0) {
+        return readHwp(filePath);
+    }
+    throw new Error('한글 문서를 해석할 수 없습니다. 파일이 손상되었거나 HWP/HWPX 형식이 아닙니다.');
+}
+
+// HWP 5.0 문서 읽기: { format, info, sections: [{ blocks }] }
+async function readHwp(filePath) {
+    const buffer = await fs.promises.readFile(filePath);
+
+    let container;
+    try {
+        container = CFB.read(buffer, { type: 'buffer' });
+    } catch (error) {
+        console.error('HWP 복합 파일 열기 오류:', error.message);
+        throw new Error('HWP 파일을 해석할 수 없습니다. 파일이 손상되었거나 올바른 형식이 아닙니다.');
+    }
+
+    const header = readStream(container, 'FileHeader');
+    if (!header || header.toString('latin1', 0, 17) !== 'HWP Document File') {
+        throw new Error('HWP 파일을 해석할 수 없습니다. 한글 5.0 이상에서 저장한 문서만 지원합니다.');
+    }
+
+    const properties = header.readUInt32LE(36);
+    const compressed = (properties & 0x01) !== 0;
+
+    if (properties & 0x02) {
+        throw new Error('암호가 설정된 한글 문서는 내용을 읽을 수 없습니다.');
+    }
+
+    const info = readSummaryInformation(readStream(container, '\u0005HwpSummaryInformation'));
+
+    // 배포용 문서는 본문이 암호화되어 있으므로 미리보기 텍스트(PrvText)만 표시
+    if (properties & 0x04) {
+        const previewText = readStream(container, 'PrvText');
+        if (!previewText) {
+            throw new Error('배포용 한글 문서는 내용을 읽을 수 없습니다.');
+        }
+
+        return {
+            format: 'HWP',
+            info,
+            previewOnly: true,
+            sections: [{
+                blocks: previewText.toString('utf16le').replace(/\u0000/g, '').split(/\r?\n/)
+                    .map(line => ({ type: 'paragraph', align: null, runs: line ? [{ text: line }] : [] }))
+            }]
+        };
+    }
+
+    const docInfo = readStream(container, 'DocInfo', compressed);
+    const styles = docInfo ? readDocInfo(docInfo) : { charShapes: [], paraShapes: [] };
+
+    const sections = [];
+    for (let index = 0; ; index++) {
+        const stream = readStream(container, `BodyText/Section${index}`, compressed);
+        if (!stream) break;
+
+        const records = readRecords(stream);
+        sections.push({
+            blocks: readParagraphs(records, 0, records.length, 0, styles).blocks
+        });
+    }
+
+    if (sections.length === 0) {
+        throw new Error('HWP 파일을 해석할 수 없습니다. 본문 구역(BodyText)을 찾을 수 없습니다.');
+    }
+
+    return {
+        format: 'HWP',
+        info,
+        sections
+    };
+}
+
+// 복합 파일 안의 스트림 읽기 (압축된 스트림은 해제, 없으면 null)
+function readStream(container, name, compressed = false) {
+    const entry = CFB.find(container, `/${name}`);
+    if (!entry || !entry.content) return null;
+
+    const content = Buffer.from(entry.content);
+    if (!compressed) return content;
+
+    try {
+        return zlib.inflateRawSync(content);
+    } catch (error) {
+        console.error(`HWP 스트림 압축 해제 오류 (${name}):`, error.message);
+        throw new Error('HWP 파일을 해석할 수 없습니다. 본문 데이터가 손상되었습니다.');
+    }
+}
+
+// 레코드 목록: [{ tag, level, data }]
+function readRecords(buffer) {
+    const records = [];
+    let offset = 0;
+
+    while (offset + 4 <= buffer.length) {
+        const header = buffer.readUInt32LE(offset);
+        let size = (header >>> 20) & 0xfff;
+        offset += 4;
+
+        // 크기가 0xFFF 이상이면 다음 4바이트에 실제 크기
+        if (size === 0xfff) {
+            if (offset + 4 > buffer.length) break;
+            size = buffer.readUInt32LE(offset);
+            offset += 4;
+        }
+
+        records.push({
+            tag: header & 0x3ff,
+            level: (header >>> 10) & 0x3ff,
+            data: buffer.subarray(offset, Math.min(offset + size, buffer.length))
+        });
+        offset += size;
+    }
+    return records;
+}
+
+// DocInfo 의 글자 모양과 문단 모양 (ID는 등장 순서)
+function readDocInfo(buffer) {
+    const styles = { charShapes: [], paraShapes: [] };
+
+    readRecords(buffer).forEach(record => {
+        const { data } = record;
+
+        if (record.tag === TAG.CHAR_SHAPE && data.length >= 56) {
+            const size = data.readInt32LE(42);
+            const attributes = data.readUInt32LE(46);
+            const color = data.readUInt32LE(52);
+
+            styles.charShapes.push({
+                size: size > 0 ? size / 100 : null,
+                italic: (attributes & 0x01) !== 0,
+                bold: (attributes & 0x02) !== 0,
+                underline: ((attributes >>> 2) & 0x03) === 1,
+                strike: ((attributes >>> 18) & 0x07) !== 0,
+                color: color !== 0 ? colorRefToHex(color) : null
+            });
+        } else if (record.tag === TAG.PARA_SHAPE && data.length >= 4) {
+            styles.paraShapes.push({
+                align: ALIGNMENTS[(data.readUInt32LE(0) >>> 2) & 0x07] || null
+            });
+        }
+    });
+
+    return styles;
+}
+
+// 문단 목록 읽기 (start부터 end 전까지, 지정한 level의 문단만)
+function readParagraphs(records, start, end, level, styles) {
+    const blocks = [];
+    let index = start;
+
+    while (index < end) {
+        const record = records[index];
+        // 상위 레코드나 다음 문단 목록(표의 다음 셀)이 시작되면 종료
+        if (record.level < level || (record.tag === TAG.LIST_HEADER && record.level === level)) break;
+        if (record.tag !== TAG.PARA_HEADER || record.level !== level) {
+            index++;
+            continue;
+        }
+
+        // 문단에 속한 하위 레코드 범위
+        let childEnd = index + 1;
+        while (childEnd < end && records[childEnd].level > level) childEnd++;
+
+        readParagraph(records, index, childEnd, styles, blocks);
+        index = childEnd;
+    }
+
+    return { blocks, next: index };
+}
+
+// 문단 하나: 글자 모양별 텍스트 조각과 문단 안의 표/글상자
+function readParagraph(records, start, end, styles, blocks) {
+    const headerData = records[start].data;
+    const level = records[start].level;
+    const paraShape = headerData.length >= 10 ? styles.paraShapes[headerData.readUInt16LE(8)] || {} : {};
+
+    let textData = null;
+    let charShapeRefs = [];
+    const objects = [];
+
+    for (let index = start + 1; index < end; index++) {
+        const record = records[index];
+        if (record.level !== level + 1) continue;
+
+        if (record.tag === TAG.PARA_TEXT) {
+            textData = record.data;
+        } else if (record.tag === TAG.PARA_CHAR_SHAPE) {
+            charShapeRefs = [];
+            for (let offset = 0; offset + 8 <= record.data.length; offset += 8) {
+                charShapeRefs.push({
+                    position: record.data.readUInt32LE(offset),
+                    shape: styles.charShapes[record.data.readUInt32LE(offset + 4)] || {}
+                });
+            }
+        } else if (record.tag === TAG.CTRL_HEADER && record.data.length >= 4) {
+            let controlEnd = index + 1;
+            while (controlEnd < end && records[controlEnd].level > record.level) controlEnd++;
+
+            const controlId = ctrlIdToString(record.data.readUInt32LE(0));
+            if (controlId === 'tbl ') {
+                objects.push(readTable(records, index + 1, controlEnd, record.level + 1, styles));
+            } else if (controlId === 'gso ') {
+                // 글상자 등 그리기 개체 안의 문단
+                objects.push(...readListBlocks(records, index + 1, controlEnd, styles));
+            }
+            index = controlEnd - 1;
+        }
+    }
+
+    const runs = textData ? splitRuns(textData, charShapeRefs) : [];
+
+    if (runs.length > 0 || objects.length === 0) {
+        blocks.push({
+            type: 'paragraph',
+            align: paraShape.align || null,
+            runs
+        });
+    }
+    blocks.push(...objects);
+}
+
+// 문단 텍스트(UTF-16LE)를 글자 모양이 바뀌는 위치에서 나누어 텍스트 조각으로 변환
+function splitRuns(data, charShapeRefs) {
+    const runs = [];
+    let refIndex = 0;
+    let current = null;
+
+    const shapeAt = (position) => {
+        while (refIndex + 1 < charShapeRefs.length && charShapeRefs[refIndex + 1].position <= position) {
+            refIndex++;
+        }
+        return charShapeRefs[refIndex] ? charShapeRefs[refIndex].shape : {};
+    };
+
+    const append = (text, position) => {
+        const shape = shapeAt(position);
+        if (current && current.shape === shape) {
+            current.text += text;
+        } else {
+            current = { shape, text };
+            runs.push(current);
+        }
+    };
+
+    const length = Math.floor(data.length / 2);
+    for (let position = 0; position < length;) {
+        const code = data.readUInt16LE(position * 2);
+
+        if (code >= 32) {
+            append(String.fromCharCode(code), position);
+            position++;
+        } else if (CHAR_CONTROLS.includes(code)) {
+            if (code === 10) append('\n', position);
+            else if (code === 24) append('-', position);
+            else if (code === 30 || code === 31) append(' ', position);
+            position++;
+        } else {
+            // 탭 이외의 인라인/확장 제어 문자(표, 그림, 각주 등)는 자리만 차지
+            if (code === 9) append('\t', position);
+            position += 8;
+        }
+    }
+
+    return runs
+        .filter(run => run.text)
+        .map(run => ({ ...run.shape, text: run.text }));
+}
+
+// 표: TABLE 레코드 뒤의 셀(LIST_HEADER)마다 셀 주소, 병합 정보와 문단 목록
+function readTable(records, start, end, level, styles) {
+    const cells = [];
+
+    for (let index = start; index < end; index++) {
+        const record = records[index];
+        if (record.tag !== TAG.LIST_HEADER || record.level !== level) continue;
+
+        const data = record.data;
+        const { blocks, next } = readParagraphs(records, index + 1, end, level, styles);
+        cells.push({
+            col: data.length >= 16 ? data.readUInt16LE(8) : 0,
+            row: data.length >= 16 ? data.readUInt16LE(10) : 0,
+            colSpan: data.length >= 16 ? data.readUInt16LE(12) || 1 : 1,
+            rowSpan: data.length >= 16 ? data.readUInt16LE(14) || 1 : 1,
+            header: false,
+            blocks
+        });
+        index = next - 1;
+    }
+
+    const rows = [];
+    cells.forEach(cell => {
+        while (rows.length <= cell.row) rows.push([]);
+        rows[cell.row].push(cell);
+    });
+
+    return {
+        type: 'table',
+        rows: rows.map(row => row.sort((a, b) => a.col - b.col))
+    };
+}
+
+// 그리기 개체 안의 문단 목록(LIST_HEADER 뒤의 문단들)
+function readListBlocks(records, start, end, styles) {
+    const blocks = [];
+
+    for (let index = start; index < end; index++) {
+        const record = records[index];
+        if (record.tag !== TAG.LIST_HEADER) continue;
+
+        const result = readParagraphs(records, index + 1, end, record.level, styles);
+        blocks.push(...result.blocks);
+        index = result.next - 1;
+    }
+    return blocks;
+}
+
+// 문서 요약 정보(OLE 속성 집합)에서 제목, 주제, 작성자, 키워드, 작성일, 수정일 읽기
+function readSummaryInformation(buffer) {
+    const info = {};
+    if (!buffer || buffer.length < 48) return info;
+
+    try {
+        const sectionOffset = buffer.readUInt32LE(44);
+        const propertyCount = buffer.readUInt32LE(sectionOffset + 4);
+        const properties = {};
+
+        for (let i = 0; i < propertyCount; i++) {
+            const id = buffer.readUInt32LE(sectionOffset + 8 + i * 8);
+            const offset = sectionOffset + buffer.readUInt32LE(sectionOffset + 12 + i * 8);
+            properties[id] = readPropertyValue(buffer, offset);
+        }
+
+        info.title = cleanText(properties[2]);
+        info.subject = cleanText(properties[3]);
+        info.author = cleanText(properties[4]);
+        info.keywords = cleanText(properties[5]);
+        info.creationDate = properties[12] instanceof Date ? properties[12].toISOString() : null;
+        info.modificationDate = properties[13] instanceof Date ? properties[13].toISOString() : null;
+    } catch (error) {
+        console.error('HWP 문서 요약 정보 읽기 오류:', error.message);
+    }
+    return info;
+}
+
+// 속성 값 (문자열, 날짜만 해석)
+function readPropertyValue(buffer, offset) {
+    const type = buffer.readUInt32LE(offset);
+
+    if (type === 0x1f) {
+        // VT_LPWSTR: 글자 수 + UTF-16LE 문자열
+        const length = buffer.readUInt32LE(offset + 4);
+        return buffer.toString('utf16le', offset + 8, offset + 8 + length * 2);
+    }
+    if (type === 0x1e) {
+        // VT_LPSTR: 바이트 수 + 문자열
+        const length = buffer.readUInt32LE(offset + 4);
+        return buffer.toString('latin1', offset + 8, offset + 8 + length);
+    }
+    if (type === 0x40) {
+        // VT_FILETIME: 1601-01-01 부터 100ns 단위
+        const ticks = buffer.readBigUInt64LE(offset + 4);
+        if (ticks === 0n) return null;
+        return new Date(Number(ticks / 10000n) - 11644473600000);
+    }
+    return null;
+}
+
+// 컨트롤 ID (4글자 문자열, 예: 'tbl ', 'gso ')
+function ctrlIdToString(value) {
+    return String.fromCharCode((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+}
+
+// COLORREF(0x00BBGGRR) → #RRGGBB
+function colorRefToHex(value) {
+    const hex = (n) => n.toString(16).padStart(2, '0');
+    return `#${hex(value & 0xff)}${hex((value >>> 8) & 0xff)}${hex((value >>> 16) & 0xff)}`;
+}
+
+function cleanText(value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.replace(/\u0000/g, '').trim();
+    return trimmed || null;
+}
+
+// 검색용 본문 텍스트 추출: 구역을 페이지 단위로 저장 (PDF 추출 결과와 같은 형식)
+async function extractHangulText(filePath) {
+    const document = await readHangulDocument(filePath);
+
+    return {
+        pageCount: document.sections.length,
+        info: document.info,
+        pages: document.sections.map((section, index) => ({
+            pageNumber: index + 1,
+            text: blocksToText(section.blocks)
+        }))
+    };
+}
+
+// 블록 목록을 텍스트로 (표는 셀을 탭, 행을 줄바꿈으로 구분)
+function blocksToText(blocks) {
+    return blocks.map(block => {
+        if (block.type === 'table') {
+            return block.rows
+                .map(row => row.map(cell => blocksToText(cell.blocks).replace(/\s*\n\s*/g, ' ')).join('\t'))
+                .join('\n');
+        }
+        return block.runs.map(run => run.text).join('');
+    })
+        .join('\n')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    readHangulDocument,
+    readHwp,
+    extractHangulText
+};
@@ -0,0 +1,234 @@
+// lib/hwpx.js - 한글 HWPX(OWPML) 문서 읽기 (문단, 글자 모양, 표, 글상자, 문서 정보)
+const path = require('path');
+const {
+    loadPackage,
+    readXmlPart,
+    childElements,
+    firstChild,
+    descendants,
+    attr,
+    textContent
+} = require('./ooxml');
+
+// 문단 정렬 값 (OWPML → CSS)
+const ALIGNMENTS = {
+    LEFT: 'left',
+    RIGHT: 'right',
+    CENTER: 'center',
+    JUSTIFY: 'justify',
+    DISTRIBUTE: 'justify',
+    DISTRIBUTE_SPACE: 'justify'
+};
+
+// HWPX 문서 읽기: { format, info, sections: [{ blocks }] }
+async function readHwpx(filePath) {
+    const zip = await loadPackage(filePath, 'HWPX');
+
+    const contentPath = await findContentPath(zip);
+    const content = contentPath ? await readXmlPart(zip, contentPath) : null;
+    const sectionPaths = content
+        ? readSectionPaths(content, contentPath)
+        : Object.keys(zip.files).filter(name => /^Contents\/section\d+\.xml$/i.test(name)).sort(compareSectionPaths);
+
+    if (sectionPaths.length === 0) {
+        throw new Error('HWPX 파일을 해석할 수 없습니다. 본문 구역(section)을 찾을 수 없습니다.');
+    }
+
+    const styles = await readHeader(zip);
+    const sections = [];
+
+    for (const sectionPath of sectionPaths) {
+        const doc = await readXmlPart(zip, sectionPath);
+        if (!doc) continue;
+
+        sections.push({
+            blocks: readParagraphList(doc.documentElement, styles)
+        });
+    }
+
+    return {
+        format: 'HWPX',
+        info: content ? readMetadata(content) : {},
+        sections
+    };
+}
+
+// META-INF/container.xml 에서 패키지 정보 파일(content.hpf) 위치 찾기
+async function findContentPath(zip) {
+    const container = await readXmlPart(zip, 'META-INF/container.xml');
+    const rootFile = descendants(container, 'rootfile')
+        .map(node => attr(node, 'full-path'))
+        .find(fullPath => fullPath && /\.hpf$/i.test(fullPath));
+
+    if (rootFile && zip.file(rootFile)) return rootFile;
+    return zip.file('Contents/content.hpf') ? 'Contents/content.hpf' : null;
+}
+
+// 패키지 정보의 spine 순서대로 본문 구역 경로 목록
+function readSectionPaths(content, contentPath) {
+    const items = {};
+    descendants(content, 'item').forEach(item => {
+        items[attr(item, 'id')] = attr(item, 'href');
+    });
+
+    const baseDir = path.posix.dirname(contentPath);
+    return descendants(content, 'itemref')
+        .map(itemRef => items[attr(itemRef, 'idref')])
+        .filter(href => href && /section\d+\.xml$/i.test(href))
+        .map(href => (href.startsWith('Contents/') || baseDir === '.') ? href : path.posix.join(baseDir, href));
+}
+
+function compareSectionPaths(a, b) {
+    return parseInt(a.match(/(\d+)\.xml$/i)[1]) - parseInt(b.match(/(\d+)\.xml$/i)[1]);
+}
+
+// 문서 정보 (제목, 작성자, 주제, 키워드, 작성일, 수정일)
+function readMetadata(content) {
+    const metadata = descendants(content, 'metadata')[0];
+    if (!metadata) return {};
+
+    const meta = {};
+    descendants(metadata, 'meta').forEach(node => {
+        const name = (attr(node, 'name') || '').toLowerCase();
+        if (name) meta[name] = cleanText(textContent(node));
+    });
+
+    return {
+        title: cleanText(textContent(descendants(metadata, 'title')[0])),
+        author: meta.creator || null,
+        subject: meta.subject || null,
+        keywords: meta.keyword || meta.keywords || null,
+        creationDate: parseDate(meta.createddate),
+        modificationDate: parseDate(meta.modifieddate)
+    };
+}
+
+// header.xml 의 글자 모양(charPr)과 문단 모양(paraPr)
+async function readHeader(zip) {
+    const styles = { charShapes: {}, paraShapes: {} };
+    const header = await readXmlPart(zip, 'Contents/header.xml');
+    if (!header) return styles;
+
+    descendants(header, 'charPr').forEach(charPr => {
+        const height = parseInt(attr(charPr, 'height'));
+        const underline = firstChild(charPr, 'underline');
+        const color = attr(charPr, 'textColor');
+
+        styles.charShapes[attr(charPr, 'id')] = {
+            size: height > 0 ? height / 100 : null,
+            bold: !!firstChild(charPr, 'bold'),
+            italic: !!firstChild(charPr, 'italic'),
+            underline: !!underline && (attr(underline, 'type') || 'NONE') !== 'NONE',
+            strike: (attr(firstChild(charPr, 'strikeout'), 'shape') || 'NONE') !== 'NONE',
+            // 미리보기 style 속성에 그대로 쓰므로 #RRGGBB 형식만 사용
+            color: /^#[0-9a-f]{6}$/i.test(color || '') && color.toUpperCase() !== '#000000' ? color : null
+        };
+    });
+
+    descendants(header, 'paraPr').forEach(paraPr => {
+        const align = firstChild(paraPr, 'align');
+        styles.paraShapes[attr(paraPr, 'id')] = {
+            align: ALIGNMENTS[attr(align, 'horizontal')] || null
+        };
+    });
+
+    return styles;
+}
+
+// 문단 목록(구역, 표 셀, 글상자)을 블록 목록으로 변환
+function readParagraphList(node, styles) {
+    const blocks = [];
+    childElements(node, 'p').forEach(paragraph => readParagraph(paragraph, styles, blocks));
+    return blocks;
+}
+
+// 문단 하나: 텍스트 조각은 문단 블록으로, 문단 안의 표와 글상자는 뒤따르는 블록으로 추가
+function readParagraph(paragraph, styles, blocks) {
+    const paraShape = styles.paraShapes[attr(paragraph, 'paraPrIDRef')] || {};
+    const runs = [];
+    const objects = [];
+
+    childElements(paragraph, 'run').forEach(run => {
+        const charShape = styles.charShapes[attr(run, 'charPrIDRef')] || {};
+
+        childElements(run).forEach(child => {
+            if (child.localName === 't') {
+                const text = readRunText(child);
+                if (text) runs.push({ ...charShape, text });
+            } else if (child.localName === 'tbl') {
+                objects.push(readTable(child, styles));
+            } else {
+                // 글상자 등 그리기 개체 안의 문단
+                descendants(child, 'drawText').forEach(drawText => {
+                    const subList = firstChild(drawText, 'subList');
+                    if (subList) objects.push(...readParagraphList(subList, styles));
+                });
+            }
+        });
+    });
+
+    if (runs.length > 0 || objects.length === 0) {
+        blocks.push({
+            type: 'paragraph',
+            align: paraShape.align || null,
+            runs
+        });
+    }
+    blocks.push(...objects);
+}
+
+// hp:t 안의 텍스트 (탭, 줄바꿈, 고정폭 빈칸 등 특수 문자 요소 포함)
+function readRunText(node) {
+    let text = '';
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === 3 || child.nodeType === 4) {
+            text += child.nodeValue;
+        } else if (child.nodeType === 1) {
+            if (child.localName === 'tab') text += '\t';
+            else if (child.localName === 'lineBreak') text += '\n';
+            else if (child.localName === 'nbSpace' || child.localName === 'fwSpace') text += ' ';
+            else if (child.localName === 'hyphen') text += '-';
+            else text += textContent(child);
+        }
+    }
+    return text;
+}
+
+// 표: 셀 주소와 병합 정보를 읽어 행 단위로 정리
+function readTable(tableNode, styles) {
+    const rows = childElements(tableNode, 'tr').map(tr => childElements(tr, 'tc').map(tc => {
+        const cellAddr = firstChild(tc, 'cellAddr');
+        const cellSpan = firstChild(tc, 'cellSpan');
+
+        return {
+            row: parseInt(attr(cellAddr, 'rowAddr')) || 0,
+            col: parseInt(attr(cellAddr, 'colAddr')) || 0,
+            colSpan: parseInt(attr(cellSpan, 'colSpan')) || 1,
+            rowSpan: parseInt(attr(cellSpan, 'rowSpan')) || 1,
+            header: attr(tc, 'header') === '1',
+            blocks: readParagraphList(firstChild(tc, 'subList'), styles)
+        };
+    }));
+
+    return {
+        type: 'table',
+        rows: rows.map(cells => cells.sort((a, b) => a.col - b.col))
+    };
+}
+
+// 작성일/수정일 (ISO 형식, 해석할 수 없으면 null)
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function cleanText(value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.replace(/\u0000/g, '').trim();
+    return trimmed || null;
+}
+
+module.exports = {
+    readHwpx
+};
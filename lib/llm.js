@@ -0,0 +1,93 @@
+// lib/llm.js - OpenAI 호환 Chat Completions API 호출 (OpenAI, 로컬 LLM 서버 등)
+// 환경 변수로 설정한다:
+//   ASKDOC_LLM_BASE_URL  API 주소 (기본값 https://api.openai.com/v1, 예: http://localhost:11434/v1)
+//   ASKDOC_LLM_API_KEY   API 키 (로컬 서버는 생략 가능)
+//   ASKDOC_LLM_MODEL     모델 이름 (기본값 gpt-4o-mini)
+//   ASKDOC_LLM_TIMEOUT   응답 대기 시간(ms, 기본값 60000)
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT = 60000;
+
+// 현재 설정
+function llmConfig() {
+    return {
+        baseUrl: (process.env.ASKDOC_LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+        apiKey: process.env.ASKDOC_LLM_API_KEY || '',
+        model: process.env.ASKDOC_LLM_MODEL || DEFAULT_MODEL,
+        timeout: parseInt(process.env.ASKDOC_LLM_TIMEOUT) || DEFAULT_TIMEOUT
+    };
+}
+
+// 대화 메시지를 보내고 응답 텍스트 반환
+async function chatCompletion(messages, options = {}) {
+    const config = { ...llmConfig(), ...options };
+    const body = JSON.stringify({
+        model: config.model,
+        messages,
+        temperature: options.temperature !== undefined ? options.temperature : 0.2,
+        max_tokens: options.maxTokens || 800
+    });
+
+    const response = await postJson(`${config.baseUrl}/chat/completions`, body, config);
+    const choice = response.choices && response.choices[0];
+    const content = choice && choice.message ? choice.message.content : null;
+
+    if (typeof content !== 'string' || !content.trim()) {
+        throw new Error('LLM 응답에 내용이 없습니다.');
+    }
+    return content.trim();
+}
+
+// JSON 요청 (http/https 모듈 사용, 시간 초과 시 중단)
+function postJson(url, body, config) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body)
+        };
+        if (config.apiKey) {
+            headers.Authorization = `Bearer ${config.apiKey}`;
+        }
+
+        const request = client.request(target, { method: 'POST', headers }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf8');
+                let data = null;
+                try {
+                    data = JSON.parse(text);
+                } catch (error) {
+                    data = null;
+                }
+
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    const message = data && data.error ? (data.error.message || data.error) : text.slice(0, 200);
+                    reject(new Error(`LLM API 오류 (${response.statusCode}): ${message}`));
+                    return;
+                }
+                if (!data) {
+                    reject(new Error('LLM API 응답을 해석할 수 없습니다.'));
+                    return;
+                }
+                resolve(data);
+            });
+        });
+
+        request.setTimeout(config.timeout, () => {
+            request.destroy(new Error(`LLM API 응답 시간이 초과되었습니다. (${config.timeout}ms)`));
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+module.exports = {
+    llmConfig,
+    chatCompletion
+};
@@ -0,0 +1,85 @@
+// lib/mail.js - 메일 읽기 (.eml 한 통, .mbox 여러 통): 헤더, 본문, 첨부 파일
+// 한국어 메일의 EUC-KR/CP949 문자 집합과 인코딩된 헤더/첨부 파일명은 mailparser가 해석한다
+const fs = require('fs');
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+
+// 메일 파일 확인 (.eml, .mbox)
+function isMailFile(fileName) {
+    return /\.(eml|mbox)$/i.test(fileName || '');
+}
+
+// 메일 파일 읽기: [{ raw, messageId, subject, from, to, cc, date, text, attachments: [{ filename, contentType, size, sha256, content }] }]
+async function readMailFile(filePath, fileName) {
+    const buffer = await fs.promises.readFile(filePath);
+    const raws = isMbox(buffer, fileName) ? splitMbox(buffer) : [buffer];
+
+    if (raws.length === 0) {
+        throw new Error('메일을 찾을 수 없습니다. (.mbox 파일에 "From " 구분 줄이 없습니다)');
+    }
+
+    const messages = [];
+    for (const raw of raws) {
+        messages.push(await parseMessage(raw));
+    }
+    return messages;
+}
+
+// 메일 한 통 해석
+async function parseMessage(raw) {
+    const parsed = await simpleParser(raw, { skipImageLinks: true, skipTextToHtml: true });
+
+    // 본문 HTML 안에 들어간 이미지(cid)는 첨부 파일로 보지 않음
+    const attachments = (parsed.attachments || [])
+        .filter(attachment => !attachment.related)
+        .map((attachment, index) => ({
+            filename: attachment.filename || `첨부${index + 1}${defaultExtension(attachment.contentType)}`,
+            contentType: attachment.contentType || 'application/octet-stream',
+            size: attachment.content.length,
+            sha256: crypto.createHash('sha256').update(attachment.content).digest('hex'),
+            content: attachment.content
+        }));
+
+    return {
+        raw,
+        messageId: parsed.messageId || null,
+        subject: parsed.subject || '(제목 없음)',
+        from: addressText(parsed.from),
+        to: addressText(parsed.to),
+        cc: addressText(parsed.cc),
+        date: parsed.date && !isNaN(parsed.date.getTime()) ? parsed.date.toISOString() : null,
+        text: (parsed.text || '').trim(),
+        attachments
+    };
+}
+
+// .mbox 판별: 확장자 또는 첫 줄이 "From " 구분 줄
+function isMbox(buffer, fileName) {
+    return /\.mbox$/i.test(fileName || '') || buffer.slice(0, 5).toString('latin1') === 'From ';
+}
+
+// .mbox 를 메일별 원문으로 나누기 ("From " 으로 시작하는 줄이 구분 줄, 본문의 ">From " 은 원래대로)
+// 문자 집합이 메일마다 다를 수 있으므로 바이트를 그대로 유지하는 latin1 문자열로 처리
+function splitMbox(buffer) {
+    return buffer.toString('latin1')
+        .split(/^From .*\r?\n/m)
+        .filter(part => part.trim())
+        .map(part => Buffer.from(part.replace(/^>(>*From )/gm, '$1'), 'latin1'));
+}
+
+// 주소 헤더 텍스트 (같은 헤더가 여러 번 나오면 합침)
+function addressText(address) {
+    if (!address) return null;
+    if (Array.isArray(address)) return address.map(item => item.text).join(', ');
+    return address.text || null;
+}
+
+function defaultExtension(contentType) {
+    const match = /\/([a-z0-9]+)$/i.exec(contentType || '');
+    return match ? `.${match[1].toLowerCase()}` : '.bin';
+}
+
+module.exports = {
+    isMailFile,
+    readMailFile
+};
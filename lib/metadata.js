@@ -0,0 +1,155 @@
+// lib/metadata.js - 문서 태그와 메타데이터 항목 (작성자, 고객사, 프로젝트, 계약일, 금액)
+// 태그는 사용자가 자유롭게 붙이는 이름이고, 메타데이터는 미리 정한 항목마다 형식(text, date, number)을 확인하여 저장한다
+// 저장 형식: text 는 앞뒤 공백을 뺀 문자열, date 는 YYYY-MM-DD, number 는 숫자 문자열 (쉼표, '원' 제거)
+// 파일 목록/검색 필터 (쿼리 문자열):
+//   ?tag=계약&tag=2024              두 태그가 모두 붙은 파일
+//   ?customer=삼성                  text 항목은 부분 일치 (대소문자 무시)
+//   ?contractDate=2024-03-01        date, number 항목은 같은 값
+//   ?amountFrom=1000000&amountTo=   date, number 항목은 범위 (From 이상, To 이하)
+const METADATA_FIELDS = [
+    { key: 'author', label: '작성자', type: 'text' },
+    { key: 'customer', label: '고객사', type: 'text' },
+    { key: 'project', label: '프로젝트', type: 'text' },
+    { key: 'contractDate', label: '계약일', type: 'date' },
+    { key: 'amount', label: '금액', type: 'number' }
+];
+
+const MAX_TAGS_PER_FILE = 20;
+const MAX_TAG_LENGTH = 30;
+const MAX_TEXT_LENGTH = 200;
+
+function findField(key) {
+    return METADATA_FIELDS.find(field => field.key === key);
+}
+
+// 태그 목록 확인: 공백 정리, 앞의 '#' 제거, 대소문자만 다른 태그는 하나로 (처음 쓴 표기 유지)
+function normalizeTags(tags) {
+    if (typeof tags === 'string') tags = tags.split(',');
+    if (!Array.isArray(tags)) {
+        throw new Error('태그는 목록으로 보내야 합니다.');
+    }
+
+    const result = [];
+    tags.forEach(tag => {
+        if (typeof tag !== 'string' && typeof tag !== 'number') {
+            throw new Error('태그는 문자열이어야 합니다.');
+        }
+        const name = String(tag).replace(/\s+/g, ' ').trim().replace(/^#+\s*/, '');
+        if (!name) return;
+        if (name.length > MAX_TAG_LENGTH) {
+            throw new Error(`태그가 너무 깁니다: ${name} (최대 ${MAX_TAG_LENGTH}자)`);
+        }
+        if (!result.some(existing => existing.toLowerCase() === name.toLowerCase())) result.push(name);
+    });
+
+    if (result.length > MAX_TAGS_PER_FILE) {
+        throw new Error(`태그는 파일 하나에 ${MAX_TAGS_PER_FILE}개까지 붙일 수 있습니다.`);
+    }
+    return result;
+}
+
+// 메타데이터 항목 값 확인 → 저장할 문자열 (null, 빈 값은 null: 항목 삭제)
+function normalizeFieldValue(key, value) {
+    const field = findField(key);
+    if (!field) {
+        throw new Error(`알 수 없는 메타데이터 항목입니다: ${key}`);
+    }
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    if (typeof value === 'object') {
+        throw new Error(`${field.label} 값이 올바르지 않습니다.`);
+    }
+
+    const text = String(value).trim();
+    if (field.type === 'date') {
+        const date = parseDate(text);
+        if (!date) {
+            throw new Error(`${field.label}은(는) 날짜(YYYY-MM-DD)여야 합니다: ${text}`);
+        }
+        return date;
+    }
+
+    if (field.type === 'number') {
+        const number = parseNumber(text);
+        if (number === null) {
+            throw new Error(`${field.label}은(는) 숫자여야 합니다: ${text}`);
+        }
+        return String(number);
+    }
+
+    const normalized = text.replace(/\s+/g, ' ');
+    if (normalized.length > MAX_TEXT_LENGTH) {
+        throw new Error(`${field.label} 값이 너무 깁니다. (최대 ${MAX_TEXT_LENGTH}자)`);
+    }
+    return normalized;
+}
+
+// 2024-03-01, 2024.3.1, 2024/03/01 → '2024-03-01' (없는 날짜는 null)
+function parseDate(text) {
+    const match = text.match(/^(\d{4})[-./]\s*(\d{1,2})[-./]\s*(\d{1,2})\.?$/);
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// '1,200,000원', '-3.5' → 숫자 (숫자가 아니면 null)
+function parseNumber(text) {
+    const cleaned = text.replace(/[,\s]/g, '').replace(/원$/, '');
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(cleaned)) return null;
+    const number = Number(cleaned);
+    return Number.isFinite(number) ? number : null;
+}
+
+// 쿼리 문자열의 태그/메타데이터 필터 → { conditions: [SQL 조건], params } (alias 는 files 테이블 별칭)
+// 필터 값이 올바르지 않으면 예외
+function buildMetadataFilter(query, alias) {
+    const fileId = alias ? `${alias}.id` : 'files.id';
+    const conditions = [];
+    const params = [];
+
+    if (query.tag !== undefined) {
+        normalizeTags([].concat(query.tag)).forEach(tag => {
+            conditions.push(`EXISTS (SELECT 1 FROM file_tags t WHERE t.file_id = ${fileId} AND t.tag = ? COLLATE NOCASE)`);
+            params.push(tag);
+        });
+    }
+
+    const addCondition = (field, comparison, value) => {
+        conditions.push(`EXISTS (SELECT 1 FROM file_metadata m WHERE m.file_id = ${fileId} AND m.field = ? AND ${comparison})`);
+        params.push(field.key, value);
+    };
+
+    METADATA_FIELDS.forEach(field => {
+        const value = firstValue(query[field.key]);
+        const column = field.type === 'number' ? 'CAST(m.value AS REAL)' : 'm.value';
+        const toParam = text => field.type === 'number' ? Number(normalizeFieldValue(field.key, text)) : normalizeFieldValue(field.key, text);
+
+        if (field.type === 'text') {
+            if (value) addCondition(field, "m.value LIKE ? ESCAPE '\\'", `%${value.trim().replace(/[\\%_]/g, '\\$&')}%`);
+            return;
+        }
+
+        if (value) addCondition(field, `${column} = ?`, toParam(value));
+
+        const from = firstValue(query[`${field.key}From`]);
+        const to = firstValue(query[`${field.key}To`]);
+        if (from) addCondition(field, `${column} >= ?`, toParam(from));
+        if (to) addCondition(field, `${column} <= ?`, toParam(to));
+    });
+
+    return { conditions, params };
+}
+
+function firstValue(value) {
+    const first = Array.isArray(value) ? value[0] : value;
+    return typeof first === 'string' && first.trim() ? first : null;
+}
+
+module.exports = {
+    METADATA_FIELDS,
+    normalizeTags,
+    normalizeFieldValue,
+    buildMetadataFilter
+};
@@ -0,0 +1,211 @@
+// lib/ocr.js - 스캔 문서와 팩스 이미지의 글자 인식 (OCR, 한국어 + 영어)
+// tesseract.js (WebAssembly) 와 함께 설치되는 언어 데이터(@tesseract.js-data/kor, eng)만 사용하므로 네트워크 없이 동작한다
+// 인식 결과는 페이지별 { text, confidence, width, height, rotation, words: [{ text, confidence, line, bbox: [x0, y0, x1, y1] }] }
+// 옆으로 누운 스캔은 rotation(90 또는 270)도 시계 방향으로 돌려 세운 이미지(width x height)에서 인식하고,
+// 좌표는 그 이미지 기준 픽셀, confidence 는 0~100
+// 인식기(worker)는 처음 쓸 때 만들고 한동안 쓰지 않으면 종료하여 메모리를 돌려준다
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorker, OEM } = require('tesseract.js');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { renderPdfPage } = require('./pdf');
+
+const LANGUAGES = ['kor', 'eng'];
+
+// 인식할 이미지 크기: 긴 변이 MAX_IMAGE_SIZE 보다 크면 줄이고, PDF 는 A4 기준 약 200dpi 로 그림
+const MAX_IMAGE_SIZE = 4000;
+const PDF_RENDER_SIZE = 2400;
+
+// 글자가 없는 PDF 페이지 중 인식할 최대 페이지 수 (한 페이지에 몇 초씩 걸림)
+const MAX_PDF_OCR_PAGES = 50;
+
+// 이보다 신뢰도가 낮은 줄은 본문(검색, 요약)에 넣지 않음 (얼룩, 도장, 표 선을 글자로 읽은 것)
+const MIN_LINE_CONFIDENCE = 50;
+
+// 신뢰도가 이보다 낮으면 옆으로 누운 스캔일 수 있으므로 90도씩 돌려서 다시 인식하고,
+// 돌린 결과가 ROTATION_MIN_GAIN 이상 나을 때만 사용
+const ROTATION_RETRY_CONFIDENCE = 75;
+const ROTATION_MIN_GAIN = 10;
+
+// 인식기를 쓰지 않은 채로 이 시간이 지나면 종료
+const WORKER_IDLE_MS = 60 * 1000;
+
+const OCR_IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp'];
+
+let workerPromise = null;
+let idleTimer = null;
+let queue = Promise.resolve();
+
+// 글자 인식 대상 이미지 파일인지 확인
+function isOcrImage(fileName) {
+    return OCR_IMAGE_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+}
+
+// 이미지 파일 글자 인식 (다른 추출기와 같은 { pageCount, info, pages: [{ pageNumber, text, ocr }] } 형식)
+async function extractImageText(filePath) {
+    const image = await loadImage(await fs.promises.readFile(filePath));
+    const ocr = await recognizeCanvas(drawOnWhite(image, Math.min(1, MAX_IMAGE_SIZE / Math.max(image.width, image.height))));
+
+    return {
+        pageCount: 1,
+        info: {},
+        pages: [{ pageNumber: 1, text: ocr.text, ocr }]
+    };
+}
+
+// PDF 추출 결과에서 글자가 하나도 없는 페이지(스캔 이미지)를 인식하여 본문을 채움
+// 글자가 있는 페이지는 그대로 두므로 일반 PDF 는 인식하지 않음
+async function recognizeEmptyPdfPages(filePath, result) {
+    const emptyPages = result.pages.filter(page => !page.text.trim());
+    if (emptyPages.length === 0) return result;
+
+    if (emptyPages.length > MAX_PDF_OCR_PAGES) {
+        console.log(`글자가 없는 PDF 페이지가 ${emptyPages.length}개여서 앞의 ${MAX_PDF_OCR_PAGES}페이지만 인식합니다.`);
+    }
+
+    for (const page of emptyPages.slice(0, MAX_PDF_OCR_PAGES)) {
+        const canvas = await renderPdfPage(filePath, page.pageNumber, PDF_RENDER_SIZE);
+        page.ocr = await recognizeCanvas(canvas);
+        page.text = page.ocr.text;
+    }
+    return result;
+}
+
+// 캔버스 이미지 글자 인식 (신뢰도가 낮으면 90도, 270도 돌린 이미지도 인식하여 가장 나은 결과 사용)
+async function recognizeCanvas(canvas) {
+    let best = await recognizeRotated(canvas, 0);
+    if (best.words.length === 0 || best.confidence >= ROTATION_RETRY_CONFIDENCE) return best;
+
+    for (const rotation of [90, 270]) {
+        const result = await recognizeRotated(canvas, rotation);
+        if (result.confidence >= best.confidence + ROTATION_MIN_GAIN) best = result;
+    }
+    return best;
+}
+
+// 시계 방향으로 rotation 만큼 돌린 이미지 인식 (인식기는 하나만 두고 요청은 차례로 처리)
+function recognizeRotated(canvas, rotation) {
+    const target = rotation ? rotateCanvas(canvas, rotation) : canvas;
+    const image = target.toBuffer('image/png');
+    const job = queue.then(async () => {
+        clearTimeout(idleTimer);
+        try {
+            const worker = await getWorker();
+            const { data } = await worker.recognize(image, {}, { text: false, blocks: true });
+            return formatResult(data, target.width, target.height, rotation);
+        } finally {
+            idleTimer = setTimeout(terminateWorker, WORKER_IDLE_MS);
+        }
+    });
+    queue = job.catch(() => {});
+    return job;
+}
+
+// tesseract 결과(블록 > 문단 > 줄 > 단어)를 단어 목록과 줄 단위 본문으로 정리
+// 본문은 띄어쓰기를 그대로 둔 줄 텍스트 (한글은 글자마다 단어로 나뉘기도 하므로 단어를 이어 붙이지 않음)
+function formatResult(data, width, height, rotation) {
+    const words = [];
+    const lines = [];
+    (data.blocks || []).forEach(block => {
+        block.paragraphs.forEach(paragraph => {
+            paragraph.lines.forEach(line => {
+                const lineWords = line.words.filter(word => word.text.trim());
+                if (lineWords.length === 0) return;
+
+                lineWords.forEach(word => {
+                    words.push({
+                        text: word.text.trim(),
+                        confidence: Math.round(word.confidence),
+                        line: lines.length,
+                        bbox: [word.bbox.x0, word.bbox.y0, word.bbox.x1, word.bbox.y1]
+                    });
+                });
+                lines.push(line.confidence >= MIN_LINE_CONFIDENCE ? line.text.replace(/\s+/g, ' ').trim() : '');
+            });
+        });
+    });
+
+    return {
+        text: lines.filter(line => line).join('\n'),
+        confidence: Math.round(data.confidence || 0),
+        width,
+        height,
+        rotation,
+        words
+    };
+}
+
+function rotateCanvas(canvas, rotation) {
+    const rotated = createCanvas(canvas.height, canvas.width);
+    const context = rotated.getContext('2d');
+    context.translate(rotated.width / 2, rotated.height / 2);
+    context.rotate(rotation * Math.PI / 180);
+    context.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+    return rotated;
+}
+
+// 투명한 부분을 흰색으로 채운 캔버스 (투명 배경의 검은 글자를 인식하지 못하는 것 방지)
+function drawOnWhite(image, scale) {
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(image, 0, 0, width, height);
+    return canvas;
+}
+
+function getWorker() {
+    if (!workerPromise) {
+        console.log('OCR 인식기 시작 (한국어 + 영어)');
+        workerPromise = createWorker(LANGUAGES.join('+'), OEM.LSTM_ONLY, {
+            langPath: prepareLanguageData(),
+            gzip: true,
+            cacheMethod: 'none'
+        }).then(async worker => {
+            // 한글은 단어 사이 띄어쓰기를 그대로 유지
+            await worker.setParameters({ preserve_interword_spaces: '1' });
+            return worker;
+        }).catch(error => {
+            workerPromise = null;
+            console.error('OCR 인식기 시작 오류:', error);
+            throw new Error('OCR 인식기를 시작할 수 없습니다.');
+        });
+    }
+    return workerPromise;
+}
+
+function terminateWorker() {
+    if (!workerPromise) return;
+
+    const pending = workerPromise;
+    workerPromise = null;
+    pending.then(worker => worker.terminate()).then(() => {
+        console.log('OCR 인식기 종료 (사용하지 않음)');
+    }).catch(() => {});
+}
+
+// tesseract.js 는 언어 데이터를 한 디렉토리에서 읽으므로 언어별 패키지의 데이터 파일을 임시 디렉토리에 모음
+// (LSTM 전용 best_int 데이터, 이미 있으면 그대로 사용)
+function prepareLanguageData() {
+    const dataDir = path.join(os.tmpdir(), 'askdoc-ocr');
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    LANGUAGES.forEach(language => {
+        const fileName = `${language}.traineddata.gz`;
+        const source = path.join(path.dirname(require.resolve(`@tesseract.js-data/${language}/package.json`)), '4.0.0_best_int', fileName);
+        const target = path.join(dataDir, fileName);
+        if (!fs.existsSync(target) || fs.statSync(target).size !== fs.statSync(source).size) {
+            fs.copyFileSync(source, target);
+        }
+    });
+    return dataDir;
+}
+
+module.exports = {
+    isOcrImage,
+    extractImageText,
+    recognizeEmptyPdfPages
+};
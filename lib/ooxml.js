@@ -0,0 +1,134 @@
+// lib/ooxml.js - zip 기반 문서(XLSX, PPTX, HWPX 등) 공통 읽기 함수
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+
+// zip 패키지 열기 (zip 형식이 아니면 읽기 쉬운 오류로 변환)
+async function loadPackage(filePath, formatName) {
+    const buffer = await fs.promises.readFile(filePath);
+    try {
+        return await JSZip.loadAsync(buffer);
+    } catch (error) {
+        console.error(`${formatName} 패키지 열기 오류:`, error.message);
+        throw new Error(`${formatName} 파일을 해석할 수 없습니다. 파일이 손상되었거나 올바른 형식이 아닙니다.`);
+    }
+}
+
+// 패키지 내부 XML 파트를 DOM으로 읽기 (없으면 null)
+async function readXmlPart(zip, partPath) {
+    const entry = zip.file(partPath.replace(/^\//, ''));
+    if (!entry) return null;
+
+    const xml = await entry.async('string');
+    return new DOMParser({
+        // 일부 프로그램이 만든 XML의 사소한 경고는 무시
+        errorHandler: { warning: () => {}, error: () => {} }
+    }).parseFromString(xml, 'text/xml');
+}
+
+// 바로 아래 자식 요소 중 localName이 일치하는 요소들
+function childElements(node, localName) {
+    const result = [];
+    if (!node) return result;
+
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === 1 && (!localName || child.localName === localName)) {
+            result.push(child);
+        }
+    }
+    return result;
+}
+
+// 첫 번째 자식 요소
+function firstChild(node, localName) {
+    return childElements(node, localName)[0] || null;
+}
+
+// 모든 하위 요소 중 localName이 일치하는 요소들 (네임스페이스 접두어와 무관)
+function descendants(node, localName) {
+    if (!node) return [];
+    return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+// 네임스페이스 접두어와 무관하게 속성 값 읽기
+function attr(node, localName) {
+    if (!node || !node.attributes) return null;
+
+    for (let i = 0; i < node.attributes.length; i++) {
+        const attribute = node.attributes[i];
+        if (attribute.localName === localName || attribute.name === localName) {
+            return attribute.value;
+        }
+    }
+    return null;
+}
+
+// 파트의 관계(_rels) 정보 읽기: { rId: { target, type, external } }
+async function readRelationships(zip, partPath) {
+    const dir = path.posix.dirname(partPath);
+    const relsPath = path.posix.join(dir, '_rels', path.posix.basename(partPath) + '.rels');
+    const doc = await readXmlPart(zip, relsPath);
+    const relationships = {};
+    if (!doc) return relationships;
+
+    descendants(doc, 'Relationship').forEach(rel => {
+        const target = attr(rel, 'Target') || '';
+        const external = attr(rel, 'TargetMode') === 'External';
+        relationships[attr(rel, 'Id')] = {
+            type: attr(rel, 'Type') || '',
+            external,
+            target: external ? target : resolvePartPath(dir, target)
+        };
+    });
+    return relationships;
+}
+
+// 상대 경로로 지정된 대상 파트를 패키지 내부 절대 경로로 변환
+function resolvePartPath(baseDir, target) {
+    if (target.startsWith('/')) {
+        return target.slice(1);
+    }
+    return path.posix.normalize(path.posix.join(baseDir, target));
+}
+
+// 요소 안의 텍스트를 모두 이어 붙이기
+function textContent(node) {
+    return node ? (node.textContent || '') : '';
+}
+
+// 문서 속성(docProps/core.xml): 제목, 작성자, 주제, 키워드, 작성일, 수정일
+async function readCoreProperties(zip) {
+    const doc = await readXmlPart(zip, 'docProps/core.xml');
+    const value = (localName) => {
+        const text = textContent(descendants(doc, localName)[0]).trim();
+        return text || null;
+    };
+    const date = (localName) => {
+        const parsed = new Date(value(localName));
+        return isNaN(parsed.getTime()) ? null : parsed.toISOString();
+    };
+
+    if (!doc) return {};
+    return {
+        title: value('title'),
+        author: value('creator'),
+        subject: value('subject'),
+        keywords: value('keywords'),
+        creationDate: date('created'),
+        modificationDate: date('modified')
+    };
+}
+
+module.exports = {
+    loadPackage,
+    readXmlPart,
+    readRelationships,
+    resolvePartPath,
+    childElements,
+    firstChild,
+    descendants,
+    attr,
+    textContent,
+    readCoreProperties
+};
@@ -0,0 +1,172 @@
+// lib/pdf.js - PDF 페이지별 텍스트와 문서 정보(제목, 작성자, 작성일) 추출, 페이지 이미지 그리기
+const fs = require('fs');
+const path = require('path');
+const { createCanvas, DOMMatrix, Path2D } = require('@napi-rs/canvas');
+
+// pdf.js 는 Node 에서 페이지를 그릴 때 쓰는 DOMMatrix, Path2D 를 canvas 패키지에서 가져오려 하므로
+// 불러오기 전에 @napi-rs/canvas 의 것으로 채워 둠
+if (!globalThis.DOMMatrix) globalThis.DOMMatrix = DOMMatrix;
+if (!globalThis.Path2D) globalThis.Path2D = Path2D;
+
+const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+
+// pdf.js 배포 파일 위치 (브라우저용 스크립트, 한글 CMap 포함)
+const PDFJS_DIR = path.dirname(require.resolve('pdfjs-dist/package.json'));
+
+// pdf.js 가 페이지를 그리는 중에 만드는 보조 캔버스 (@napi-rs/canvas 사용)
+class PdfCanvasFactory {
+    create(width, height) {
+        const canvas = createCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d') };
+    }
+
+    reset(target, width, height) {
+        target.canvas.width = width;
+        target.canvas.height = height;
+    }
+
+    destroy(target) {
+        target.canvas.width = 0;
+        target.canvas.height = 0;
+        target.canvas = null;
+        target.context = null;
+    }
+}
+
+// PDF 파일 열기 (열 수 없으면 읽기 쉬운 오류로 변환)
+async function openPdf(filePath) {
+    const data = new Uint8Array(await fs.promises.readFile(filePath));
+
+    try {
+        return await pdfjsLib.getDocument({
+            data,
+            // 한글 CID 글꼴의 텍스트를 유니코드로 변환하기 위한 CMap
+            cMapUrl: path.join(PDFJS_DIR, 'cmaps') + path.sep,
+            cMapPacked: true,
+            standardFontDataUrl: path.join(PDFJS_DIR, 'standard_fonts') + path.sep,
+            canvasFactory: new PdfCanvasFactory(),
+            disableFontFace: true,
+            isEvalSupported: false,
+            verbosity: 0
+        }).promise;
+    } catch (error) {
+        console.error('PDF 열기 오류:', error.message);
+        if (error.name === 'PasswordException') {
+            throw new Error('암호가 설정된 PDF는 내용을 읽을 수 없습니다.');
+        }
+        throw new Error('PDF 파일을 해석할 수 없습니다. 파일이 손상되었거나 올바른 PDF 문서가 아닙니다.');
+    }
+}
+
+// PDF 파일을 열어 페이지 수, 문서 정보, 페이지별 텍스트 추출
+async function extractPdf(filePath) {
+    const pdf = await openPdf(filePath);
+
+    try {
+        const info = await readDocumentInfo(pdf);
+        const pages = [];
+
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const textContent = await page.getTextContent();
+            pages.push({
+                pageNumber,
+                text: pageText(textContent.items)
+            });
+            page.cleanup();
+        }
+
+        return {
+            pageCount: pdf.numPages,
+            info,
+            pages
+        };
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+// 페이지를 긴 변이 maxSize 픽셀이 되도록 흰 바탕에 그린 캔버스
+async function renderPdfPage(filePath, pageNumber, maxSize) {
+    const pdf = await openPdf(filePath);
+
+    try {
+        const page = await pdf.getPage(Math.min(Math.max(1, pageNumber), pdf.numPages));
+        const size = page.getViewport({ scale: 1 });
+        const viewport = page.getViewport({ scale: maxSize / Math.max(size.width, size.height) });
+
+        const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        await page.render({ canvasContext: context, viewport }).promise;
+        page.cleanup();
+        return canvas;
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+// 문서 정보 사전(Info)과 XMP 메타데이터에서 제목/작성자/작성일 읽기
+async function readDocumentInfo(pdf) {
+    let info = {};
+    let metadata = null;
+    try {
+        const result = await pdf.getMetadata();
+        info = result.info || {};
+        metadata = result.metadata;
+    } catch (error) {
+        console.error('PDF 메타데이터 읽기 오류:', error.message);
+    }
+
+    const xmp = (name) => {
+        const value = metadata ? metadata.get(name) : null;
+        return Array.isArray(value) ? value.join(', ') : value;
+    };
+
+    return {
+        title: cleanText(info.Title) || cleanText(xmp('dc:title')),
+        author: cleanText(info.Author) || cleanText(xmp('dc:creator')),
+        subject: cleanText(info.Subject),
+        keywords: cleanText(info.Keywords),
+        creator: cleanText(info.Creator),
+        producer: cleanText(info.Producer),
+        creationDate: parsePdfDate(info.CreationDate),
+        modificationDate: parsePdfDate(info.ModDate)
+    };
+}
+
+// 텍스트 항목을 읽는 순서대로 이어 붙이기 (줄바꿈 표시가 있으면 줄을 나눈다)
+function pageText(items) {
+    let text = '';
+    items.forEach(item => {
+        if (typeof item.str !== 'string') return;
+        text += item.str;
+        if (item.hasEOL) text += '\n';
+    });
+
+    return text
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// PDF 날짜 문자열(D:20150408100606+09'00')을 ISO 형식으로 변환
+function parsePdfDate(value) {
+    if (!value) return null;
+    const date = pdfjsLib.PDFDateString.toDateObject(value);
+    return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+function cleanText(value) {
+    if (typeof value !== 'string') return null;
+    const trimmed = value.replace(/\u0000/g, '').trim();
+    return trimmed || null;
+}
+
+module.exports = {
+    extractPdf,
+    renderPdfPage,
+    PDFJS_DIR
+};
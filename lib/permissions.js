@@ -0,0 +1,70 @@
+// lib/permissions.js - 공용 문서함 폴더 권한 (팀별 읽기/업로드/관리)
+// 권한은 폴더에 팀별로 지정하고 하위 폴더가 물려받는다 (상위 폴더와 자기 폴더 권한 중 높은 것)
+//   read   폴더와 파일 보기, 내려받기, 검색
+//   upload read + 파일 업로드, 하위 폴더 만들기, 자기가 올린 파일 삭제
+//   manage upload + 폴더/파일 삭제, 폴더 권한 지정
+// 팀 권한이 하나도 지정되지 않은 폴더(상위 포함)는 모든 사용자가 읽을 수 있고,
+// 권한이 지정되면 그 팀 구성원만 사용할 수 있다. 폴더를 만든 사용자와 관리자는 항상 manage.
+const PERMISSIONS = ['none', 'read', 'upload', 'manage'];
+
+// level 이 required 이상인지
+function hasPermission(level, required) {
+    return PERMISSIONS.indexOf(level || 'none') >= PERMISSIONS.indexOf(required);
+}
+
+function higherPermission(a, b) {
+    return hasPermission(a, b) ? (a || 'none') : b;
+}
+
+function isPermission(value) {
+    return PERMISSIONS.includes(value);
+}
+
+// 공용 문서함 폴더별 사용자 권한: Map(폴더 ID → 권한)
+// folders: [{ id, parent_id, owner_id }], grants: [{ folder_id, team_id, permission }]
+// user: { id, is_admin, teamIds: [팀 ID] }
+function resolveFolderPermissions(folders, grants, user) {
+    const result = new Map();
+    const grantsByFolder = new Map();
+    grants.forEach(grant => {
+        if (!grantsByFolder.has(grant.folder_id)) grantsByFolder.set(grant.folder_id, []);
+        grantsByFolder.get(grant.folder_id).push(grant);
+    });
+
+    const childrenByParent = new Map();
+    folders.forEach(folder => {
+        if (!childrenByParent.has(folder.parent_id)) childrenByParent.set(folder.parent_id, []);
+        childrenByParent.get(folder.parent_id).push(folder);
+    });
+
+    // level: 팀 권한과 폴더 작성자 권한 중 가장 높은 것 (상위에서 물려받음)
+    // restricted: 상위 또는 자기 폴더에 팀 권한이 지정되어 있으면 true (기본 읽기 권한 없음)
+    const visit = (parentId, inherited) => {
+        (childrenByParent.get(parentId) || []).forEach(folder => {
+            const folderGrants = grantsByFolder.get(folder.id) || [];
+            let level = inherited.level;
+            folderGrants
+                .filter(grant => user.teamIds.includes(grant.team_id))
+                .forEach(grant => { level = higherPermission(level, grant.permission); });
+            if (folder.owner_id === user.id) level = 'manage';
+
+            const restricted = inherited.restricted || folderGrants.length > 0;
+            let effective = restricted ? level : higherPermission(level, 'read');
+            if (user.is_admin) effective = 'manage';
+
+            result.set(folder.id, effective);
+            visit(folder.id, { level, restricted });
+        });
+    };
+    visit(null, { level: 'none', restricted: false });
+
+    return result;
+}
+
+module.exports = {
+    PERMISSIONS,
+    hasPermission,
+    higherPermission,
+    isPermission,
+    resolveFolderPermissions
+};
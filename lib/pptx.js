@@ -0,0 +1,1032 @@
+// lib/pptx.js - PPTX 프레젠테이션의 슬라이드 내용(텍스트 상자, 표, 그림)을 순서대로 읽기
+const path = require('path');
+const {
+    loadPackage,
+    readXmlPart,
+    readRelationships,
+    childElements,
+    firstChild,
+    descendants,
+    attr,
+    readCoreProperties
+} = require('./ooxml');
+
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// 슬라이드 크기 정보가 없을 때 사용하는 기본값 (4:3, EMU 단위)
+const DEFAULT_SLIDE_WIDTH = 9144000;
+const DEFAULT_SLIDE_HEIGHT = 6858000;
+
+// 텍스트 상자 기본 여백 (EMU)
+const DEFAULT_INSET_X = 91440;
+const DEFAULT_INSET_Y = 45720;
+
+// 글꼴 크기가 지정되지 않은 경우 기본값 (pt)
+const DEFAULT_FONT_SIZE = 18;
+
+// 브라우저에서 바로 표시할 수 있는 그림 형식
+const IMAGE_MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    svg: 'image/svg+xml',
+    webp: 'image/webp'
+};
+
+// 자주 쓰이는 미리 정의된 색상 (prstClr)
+const PRESET_COLORS = {
+    black: '000000',
+    white: 'FFFFFF',
+    red: 'FF0000',
+    green: '008000',
+    blue: '0000FF',
+    yellow: 'FFFF00',
+    gray: '808080',
+    darkGray: 'A9A9A9',
+    lightGray: 'D3D3D3',
+    orange: 'FFA500'
+};
+
+// PPTX 파일을 열어 슬라이드 순서대로 요소 목록 만들기
+async function readPresentation(filePath) {
+    const zip = await loadPackage(filePath, 'PPTX');
+
+    const presentation = await readXmlPart(zip, 'ppt/presentation.xml');
+    if (!presentation) {
+        throw new Error('PPTX 파일에 프레젠테이션 정보가 없습니다. 올바른 PowerPoint 문서가 아닙니다.');
+    }
+
+    const rels = await readRelationships(zip, 'ppt/presentation.xml');
+    const root = presentation.documentElement;
+    const slideSize = firstChild(root, 'sldSz');
+
+    const context = {
+        zip,
+        media: new Map(),
+        layouts: new Map(),
+        masters: new Map(),
+        themes: new Map(),
+        defaultTextStyle: firstChild(root, 'defaultTextStyle')
+    };
+
+    // 슬라이드 순서는 파일명이 아니라 sldIdLst의 순서를 따른다
+    const slideParts = childElements(firstChild(root, 'sldIdLst'), 'sldId')
+        .map(sldId => rels[relationshipId(sldId, 'id')])
+        .filter(rel => rel && !rel.external)
+        .map(rel => rel.target);
+
+    const slides = [];
+    for (let i = 0; i < slideParts.length; i++) {
+        const slide = await readSlide(context, slideParts[i]);
+        if (slide) {
+            slide.index = slides.length;
+            slide.number = slides.length + 1;
+            slides.push(slide);
+        }
+    }
+
+    return {
+        width: toNumber(attr(slideSize, 'cx')) || DEFAULT_SLIDE_WIDTH,
+        height: toNumber(attr(slideSize, 'cy')) || DEFAULT_SLIDE_HEIGHT,
+        slides
+    };
+}
+
+// 슬라이드 한 장 읽기 (레이아웃/마스터의 배경과 고정 도형 포함)
+async function readSlide(context, partPath) {
+    const doc = await readXmlPart(context.zip, partPath);
+    if (!doc) return null;
+
+    const root = doc.documentElement;
+    const rels = await readRelationships(context.zip, partPath);
+    const layoutRel = Object.values(rels).find(rel => rel.type.endsWith('/slideLayout'));
+    const layout = layoutRel ? await readLayout(context, layoutRel.target) : null;
+    const master = layout ? layout.master : null;
+
+    const part = {
+        context,
+        rels,
+        colors: master ? master.colors : defaultColors(),
+        theme: master ? master.theme : null,
+        layout,
+        master
+    };
+
+    const cSld = firstChild(root, 'cSld');
+    const elements = [];
+
+    // 마스터 → 레이아웃 순서로 고정 도형(로고, 띠 등)을 먼저 그린다
+    if (layout && attr(root, 'showMasterSp') !== '0') {
+        if (master && layout.showMasterShapes) {
+            elements.push(...master.elements);
+        }
+        elements.push(...layout.elements);
+    }
+    elements.push(...await readShapeTree(part, firstChild(cSld, 'spTree'), null, true));
+
+    const background = await readBackground(part, firstChild(cSld, 'bg'))
+        || (layout && layout.background)
+        || (master && master.background)
+        || null;
+
+    const slideElements = elements.filter(element => !element.inherited);
+    const titleElement = slideElements.find(element => element.placeholder && /title/i.test(element.placeholder.type || ''));
+    const text = slideElements.map(elementText).filter(value => value.trim()).join('\n');
+
+    // 제목 개체 틀이 없는 슬라이드는 첫 줄을 제목으로 사용
+    const title = titleElement
+        ? elementText(titleElement).replace(/\s+/g, ' ').trim()
+        : (text.split('\n').find(line => line.trim()) || '').trim();
+
+    return {
+        part: partPath,
+        name: attr(cSld, 'name') || '',
+        hidden: attr(root, 'show') === '0',
+        background,
+        elements,
+        title,
+        text
+    };
+}
+
+// 슬라이드 레이아웃 읽기 (캐시)
+async function readLayout(context, partPath) {
+    if (context.layouts.has(partPath)) return context.layouts.get(partPath);
+
+    const doc = await readXmlPart(context.zip, partPath);
+    if (!doc) return null;
+
+    const root = doc.documentElement;
+    const rels = await readRelationships(context.zip, partPath);
+    const masterRel = Object.values(rels).find(rel => rel.type.endsWith('/slideMaster'));
+    const master = masterRel ? await readMaster(context, masterRel.target) : null;
+
+    const part = {
+        context,
+        rels,
+        colors: master ? master.colors : defaultColors(),
+        theme: master ? master.theme : null,
+        layout: null,
+        master
+    };
+    const cSld = firstChild(root, 'cSld');
+    const spTree = firstChild(cSld, 'spTree');
+
+    const layout = {
+        master,
+        showMasterShapes: attr(root, 'showMasterSp') !== '0',
+        placeholders: collectPlaceholders(spTree),
+        elements: markInherited(await readShapeTree(part, spTree, null, false)),
+        background: await readBackground(part, firstChild(cSld, 'bg'))
+    };
+    context.layouts.set(partPath, layout);
+    return layout;
+}
+
+// 슬라이드 마스터 읽기 (캐시)
+async function readMaster(context, partPath) {
+    if (context.masters.has(partPath)) return context.masters.get(partPath);
+
+    const doc = await readXmlPart(context.zip, partPath);
+    if (!doc) return null;
+
+    const root = doc.documentElement;
+    const rels = await readRelationships(context.zip, partPath);
+    const themeRel = Object.values(rels).find(rel => rel.type.endsWith('/theme'));
+    const theme = themeRel ? await readTheme(context, themeRel.target) : null;
+
+    // clrMap: bg1/tx1 같은 논리 색 이름을 테마 색(lt1/dk1 등)으로 연결
+    const colors = defaultColors(theme);
+    const clrMap = firstChild(root, 'clrMap');
+    if (clrMap && theme) {
+        for (let i = 0; i < clrMap.attributes.length; i++) {
+            const mapping = clrMap.attributes[i];
+            if (theme.colors[mapping.value]) {
+                colors[mapping.localName || mapping.name] = theme.colors[mapping.value];
+            }
+        }
+    }
+
+    const txStyles = firstChild(root, 'txStyles');
+    const master = {
+        theme,
+        colors,
+        textStyles: {
+            title: firstChild(txStyles, 'titleStyle'),
+            body: firstChild(txStyles, 'bodyStyle'),
+            other: firstChild(txStyles, 'otherStyle')
+        },
+        placeholders: [],
+        elements: [],
+        background: null
+    };
+
+    const part = { context, rels, colors, theme, layout: null, master };
+    const cSld = firstChild(root, 'cSld');
+    const spTree = firstChild(cSld, 'spTree');
+
+    master.placeholders = collectPlaceholders(spTree);
+    master.elements = markInherited(await readShapeTree(part, spTree, null, false));
+    master.background = await readBackground(part, firstChild(cSld, 'bg'));
+
+    context.masters.set(partPath, master);
+    return master;
+}
+
+// 테마 읽기: 색 구성표와 선 스타일 목록
+async function readTheme(context, partPath) {
+    if (context.themes.has(partPath)) return context.themes.get(partPath);
+
+    const doc = await readXmlPart(context.zip, partPath);
+    const theme = { colors: {}, lineWidths: [] };
+
+    if (doc) {
+        const scheme = descendants(doc, 'clrScheme')[0];
+        childElements(scheme).forEach(colorNode => {
+            const value = firstChild(colorNode);
+            if (!value) return;
+            theme.colors[colorNode.localName] = value.localName === 'sysClr'
+                ? (attr(value, 'lastClr') || '000000')
+                : (attr(value, 'val') || '000000');
+        });
+
+        const lineStyles = descendants(doc, 'lnStyleLst')[0];
+        theme.lineWidths = childElements(lineStyles, 'ln').map(ln => toNumber(attr(ln, 'w')) || 9525);
+    }
+
+    context.themes.set(partPath, theme);
+    return theme;
+}
+
+// 테마가 없을 때 사용할 기본 색
+function defaultColors(theme) {
+    const colors = Object.assign({
+        dk1: '000000',
+        lt1: 'FFFFFF',
+        dk2: '44546A',
+        lt2: 'E7E6E6',
+        accent1: '4472C4',
+        accent2: 'ED7D31',
+        accent3: 'A5A5A5',
+        accent4: 'FFC000',
+        accent5: '5B9BD5',
+        accent6: '70AD47',
+        hlink: '0563C1',
+        folHlink: '954F72'
+    }, theme ? theme.colors : {});
+
+    colors.tx1 = colors.tx1 || colors.dk1;
+    colors.bg1 = colors.bg1 || colors.lt1;
+    colors.tx2 = colors.tx2 || colors.dk2;
+    colors.bg2 = colors.bg2 || colors.lt2;
+    return colors;
+}
+
+// 레이아웃/마스터에서 가져온 도형 표시 (슬라이드 본문 텍스트에서는 제외)
+function markInherited(elements) {
+    elements.forEach(element => { element.inherited = true; });
+    return elements;
+}
+
+// 레이아웃/마스터의 개체 틀(placeholder) 목록: 위치와 텍스트 스타일 상속에 사용
+function collectPlaceholders(spTree) {
+    const placeholders = [];
+
+    childElements(spTree).forEach(node => {
+        const ph = placeholderNode(node);
+        if (!ph) return;
+
+        const spPr = firstChild(node, 'spPr');
+        const txBody = firstChild(node, 'txBody');
+        placeholders.push({
+            type: attr(ph, 'type') || 'body',
+            idx: attr(ph, 'idx'),
+            xfrm: firstChild(spPr, 'xfrm'),
+            bodyPr: firstChild(txBody, 'bodyPr'),
+            lstStyle: firstChild(txBody, 'lstStyle')
+        });
+    });
+    return placeholders;
+}
+
+// 도형의 개체 틀 정보 (p:nvSpPr/p:nvPr/p:ph)
+function placeholderNode(node) {
+    const nonVisual = childElements(node).find(child => /^nv/.test(child.localName));
+    return firstChild(firstChild(nonVisual, 'nvPr'), 'ph');
+}
+
+// 슬라이드의 개체 틀과 대응하는 레이아웃/마스터 개체 틀 찾기 (idx 우선, 없으면 종류로)
+function findPlaceholder(list, placeholder) {
+    if (!list || !placeholder) return null;
+
+    if (placeholder.idx !== null) {
+        const byIndex = list.find(item => item.idx === placeholder.idx);
+        if (byIndex) return byIndex;
+    }
+
+    const type = normalizePlaceholderType(placeholder.type);
+    return list.find(item => normalizePlaceholderType(item.type) === type) || null;
+}
+
+function normalizePlaceholderType(type) {
+    if (type === 'ctrTitle') return 'title';
+    if (type === 'subTitle' || type === 'obj') return 'body';
+    return type || 'body';
+}
+
+// spTree(또는 그룹) 안의 도형들을 순서대로 읽기
+// includePlaceholders가 false이면 레이아웃/마스터의 안내 문구용 개체 틀은 건너뛴다
+async function readShapeTree(part, tree, transform, includePlaceholders) {
+    const elements = [];
+    if (!tree) return elements;
+
+    for (const node of childElements(tree)) {
+        const name = node.localName;
+
+        if (name === 'AlternateContent') {
+            // 확장 기능용 대체 콘텐츠는 호환용(Fallback) 내용을 사용
+            const fallback = firstChild(node, 'Fallback') || firstChild(node, 'Choice');
+            elements.push(...await readShapeTree(part, fallback, transform, includePlaceholders));
+            continue;
+        }
+
+        const ph = placeholderNode(node);
+        if (ph && !includePlaceholders) continue;
+
+        let element = null;
+        if (name === 'sp') {
+            element = await readShape(part, node, transform);
+        } else if (name === 'cxnSp') {
+            element = readConnector(part, node, transform);
+        } else if (name === 'pic') {
+            element = await readPicture(part, node, transform);
+        } else if (name === 'graphicFrame') {
+            element = readGraphicFrame(part, node, transform);
+        } else if (name === 'grpSp') {
+            const groupTransform = groupTransformOf(firstChild(firstChild(node, 'grpSpPr'), 'xfrm'), transform);
+            elements.push(...await readShapeTree(part, node, groupTransform, includePlaceholders));
+            continue;
+        }
+
+        if (element) {
+            element.name = attr(nonVisualProps(node), 'name') || '';
+            elements.push(element);
+        }
+    }
+    return elements;
+}
+
+// p:cNvPr (이름, 대체 텍스트)
+function nonVisualProps(node) {
+    const nonVisual = childElements(node).find(child => /^nv/.test(child.localName));
+    return firstChild(nonVisual, 'cNvPr');
+}
+
+// 텍스트 상자/도형
+async function readShape(part, node, transform) {
+    const spPr = firstChild(node, 'spPr');
+    const style = firstChild(node, 'style');
+    const txBody = firstChild(node, 'txBody');
+    const ph = placeholderNode(node);
+
+    const placeholder = ph ? { type: attr(ph, 'type') || 'body', idx: attr(ph, 'idx') } : null;
+    const layoutPlaceholder = placeholder && part.layout ? findPlaceholder(part.layout.placeholders, placeholder) : null;
+    const masterPlaceholder = placeholder && part.master ? findPlaceholder(part.master.placeholders, placeholder) : null;
+
+    // 위치가 없는 개체 틀은 레이아웃 → 마스터의 위치를 따른다
+    const xfrm = firstChild(spPr, 'xfrm')
+        || (layoutPlaceholder && layoutPlaceholder.xfrm)
+        || (masterPlaceholder && masterPlaceholder.xfrm);
+    const frame = frameOf(xfrm, transform);
+    if (!frame) return null;
+
+    const geometry = firstChild(spPr, 'prstGeom');
+    const preset = geometry ? attr(geometry, 'prst') : (firstChild(spPr, 'custGeom') ? 'custom' : 'rect');
+
+    if (preset === 'line' || preset === 'straightConnector1') {
+        return lineElement(part, frame, spPr, style);
+    }
+
+    const element = Object.assign({
+        type: 'shape',
+        geometry: preset,
+        adjust: geometry ? shapeAdjustValue(geometry) : null,
+        fill: shapeFill(part, spPr, style),
+        line: shapeLine(part, spPr, style),
+        placeholder,
+        text: null
+    }, frame);
+
+    if (txBody) {
+        const textStyles = [firstChild(txBody, 'lstStyle')];
+        if (layoutPlaceholder) textStyles.push(layoutPlaceholder.lstStyle);
+        if (masterPlaceholder) textStyles.push(masterPlaceholder.lstStyle);
+        if (part.master) {
+            const kind = placeholder ? normalizePlaceholderType(placeholder.type) : 'other';
+            if (kind === 'title') {
+                textStyles.push(part.master.textStyles.title);
+            } else if (kind === 'body') {
+                textStyles.push(part.master.textStyles.body);
+            } else {
+                textStyles.push(part.master.textStyles.other);
+            }
+        }
+        textStyles.push(part.context.defaultTextStyle);
+
+        const bodyProps = [
+            firstChild(txBody, 'bodyPr'),
+            layoutPlaceholder && layoutPlaceholder.bodyPr,
+            masterPlaceholder && masterPlaceholder.bodyPr
+        ];
+        const fontRef = firstChild(style, 'fontRef');
+
+        element.text = readTextBody(part, txBody, textStyles, bodyProps, fontRef ? readColor(part, fontRef) : null);
+    }
+
+    // 채우기, 선, 텍스트가 모두 없는 도형은 표시할 내용이 없다
+    if (!element.fill && !element.line && !hasText(element)) {
+        return null;
+    }
+    return element;
+}
+
+// 연결선
+function readConnector(part, node, transform) {
+    const spPr = firstChild(node, 'spPr');
+    const frame = frameOf(firstChild(spPr, 'xfrm'), transform);
+    if (!frame) return null;
+    return lineElement(part, frame, spPr, firstChild(node, 'style'));
+}
+
+function lineElement(part, frame, spPr, style) {
+    const line = shapeLine(part, spPr, style);
+    if (!line) return null;
+    return Object.assign({ type: 'line', line }, frame);
+}
+
+// 그림 (브라우저에서 표시할 수 없는 EMF/WMF 등은 src 없이 자리만 표시)
+async function readPicture(part, node, transform) {
+    const spPr = firstChild(node, 'spPr');
+    const frame = frameOf(firstChild(spPr, 'xfrm'), transform);
+    if (!frame) return null;
+
+    const blip = descendants(firstChild(node, 'blipFill'), 'blip')[0];
+    const rel = blip ? part.rels[relationshipId(blip, 'embed')] : null;
+    const image = rel && !rel.external ? await readMedia(part.context, rel.target) : null;
+    const props = nonVisualProps(node);
+
+    return Object.assign({
+        type: 'picture',
+        src: image ? image.src : null,
+        format: rel ? path.posix.extname(rel.target).slice(1).toLowerCase() : '',
+        alt: attr(props, 'descr') || attr(props, 'name') || '',
+        line: shapeLine(part, spPr, firstChild(node, 'style'))
+    }, frame);
+}
+
+// 표와 기타 그래픽 개체(차트, SmartArt 등)
+function readGraphicFrame(part, node, transform) {
+    const frame = frameOf(firstChild(node, 'xfrm'), transform);
+    if (!frame) return null;
+
+    const graphicData = descendants(node, 'graphicData')[0];
+    const uri = attr(graphicData, 'uri') || '';
+    const table = firstChild(graphicData, 'tbl');
+
+    if (table) {
+        return Object.assign(readTable(part, table), frame);
+    }
+
+    let kind = '개체';
+    if (uri.endsWith('/chart')) kind = '차트';
+    else if (uri.endsWith('/diagram')) kind = 'SmartArt';
+    else if (uri.includes('ole')) kind = 'OLE 개체';
+
+    return Object.assign({ type: 'object', kind }, frame);
+}
+
+// 표: 열 너비, 행 높이, 셀 병합(gridSpan/rowSpan)과 셀 텍스트
+function readTable(part, table) {
+    const tblPr = firstChild(table, 'tblPr');
+    const columns = childElements(firstChild(table, 'tblGrid'), 'gridCol').map(col => toNumber(attr(col, 'w')));
+    const textStyles = [part.context.defaultTextStyle];
+    const headerRow = attr(tblPr, 'firstRow') === '1';
+
+    const rows = childElements(table, 'tr').map((tr, rowIndex) => ({
+        height: toNumber(attr(tr, 'h')),
+        cells: childElements(tr, 'tc').map(tc => {
+            const tcPr = firstChild(tc, 'tcPr');
+            const txBody = firstChild(tc, 'txBody');
+
+            return {
+                colSpan: toNumber(attr(tc, 'gridSpan')) || 1,
+                rowSpan: toNumber(attr(tc, 'rowSpan')) || 1,
+                // 병합되어 가려진 셀
+                merged: attr(tc, 'hMerge') === '1' || attr(tc, 'vMerge') === '1',
+                fill: tcPr ? fillOf(part, tcPr) : null,
+                anchor: attr(tcPr, 'anchor') || 't',
+                borders: {
+                    left: borderOf(part, firstChild(tcPr, 'lnL')),
+                    right: borderOf(part, firstChild(tcPr, 'lnR')),
+                    top: borderOf(part, firstChild(tcPr, 'lnT')),
+                    bottom: borderOf(part, firstChild(tcPr, 'lnB'))
+                },
+                header: headerRow && rowIndex === 0,
+                text: txBody ? readTextBody(part, txBody, textStyles, [], null) : null
+            };
+        })
+    }));
+
+    return { type: 'table', columns, rows };
+}
+
+// 텍스트 본문: 여백, 세로 정렬, 자동 맞춤 배율과 문단 목록
+function readTextBody(part, txBody, textStyles, bodyProps, defaultColor) {
+    const bodyPr = [firstChild(txBody, 'bodyPr'), ...bodyProps].filter(Boolean);
+    const pick = (name) => {
+        for (const node of bodyPr) {
+            const value = attr(node, name);
+            if (value !== null) return value;
+        }
+        return null;
+    };
+
+    const inset = (name, fallback) => {
+        const value = pick(name);
+        return value === null ? fallback : toNumber(value);
+    };
+
+    // 텍스트 자동 맞춤(normAutofit)으로 줄어든 글꼴 크기 반영
+    const autofit = bodyPr.map(node => firstChild(node, 'normAutofit')).find(Boolean);
+    const fontScale = autofit && attr(autofit, 'fontScale') ? toNumber(attr(autofit, 'fontScale')) / 100000 : 1;
+
+    const numbering = {};
+    const paragraphs = childElements(txBody, 'p').map(p => readParagraph(part, p, textStyles, defaultColor, fontScale, numbering));
+
+    return {
+        anchor: pick('anchor') || 't',
+        wrap: pick('wrap') !== 'none',
+        vertical: /vert/.test(pick('vert') || '') && pick('vert') !== 'horz',
+        insets: {
+            left: inset('lIns', DEFAULT_INSET_X),
+            right: inset('rIns', DEFAULT_INSET_X),
+            top: inset('tIns', DEFAULT_INSET_Y),
+            bottom: inset('bIns', DEFAULT_INSET_Y)
+        },
+        paragraphs
+    };
+}
+
+// 문단: 정렬, 들여쓰기, 글머리 기호, 줄 간격과 텍스트 조각(run)
+function readParagraph(part, p, textStyles, defaultColor, fontScale, numbering) {
+    const pPr = firstChild(p, 'pPr');
+    const level = toNumber(attr(pPr, 'lvl')) || 0;
+
+    // 문단 속성 → 도형 목록 스타일 → 레이아웃/마스터 개체 틀 → 마스터 텍스트 스타일 → 기본 스타일
+    const chain = [pPr, ...textStyles.map(style => firstChild(style, `lvl${level + 1}pPr`))].filter(Boolean);
+    const runDefaults = chain.map(node => firstChild(node, 'defRPr')).filter(Boolean);
+    const pickAttr = (nodes, name) => {
+        for (const node of nodes) {
+            const value = attr(node, name);
+            if (value !== null) return value;
+        }
+        return null;
+    };
+
+    const runs = [];
+    childElements(p).forEach(child => {
+        if (child.localName === 'r' || child.localName === 'fld') {
+            const text = childElements(child, 't').map(t => t.textContent || '').join('');
+            runs.push(readRun(part, firstChild(child, 'rPr'), runDefaults, defaultColor, fontScale, text));
+        } else if (child.localName === 'br') {
+            runs.push(Object.assign(readRun(part, firstChild(child, 'rPr'), runDefaults, defaultColor, fontScale, ''), { lineBreak: true }));
+        }
+    });
+
+    const endProps = readRun(part, firstChild(p, 'endParaRPr'), runDefaults, defaultColor, fontScale, '');
+    const hasText = runs.some(run => run.text.trim());
+
+    // 글머리 기호: 가장 가까운 스타일에 지정된 것을 사용
+    let bullet = null;
+    for (const node of chain) {
+        if (firstChild(node, 'buNone')) break;
+        const buChar = firstChild(node, 'buChar');
+        if (buChar) {
+            bullet = { char: attr(buChar, 'char') || '•' };
+            break;
+        }
+        const buAutoNum = firstChild(node, 'buAutoNum');
+        if (buAutoNum) {
+            // 같은 수준의 자동 번호는 문단마다 1씩 증가
+            const key = `${level}:${attr(buAutoNum, 'type')}`;
+            const startAt = toNumber(attr(buAutoNum, 'startAt')) || 1;
+            numbering[key] = numbering[key] === undefined ? startAt : numbering[key] + 1;
+            bullet = { char: autoNumberText(attr(buAutoNum, 'type') || 'arabicPeriod', numbering[key]) };
+            break;
+        }
+    }
+    if (bullet) {
+        const buClr = chain.map(node => firstChild(node, 'buClr')).find(Boolean);
+        bullet.color = buClr ? readColor(part, buClr) : null;
+    }
+
+    const lineSpacing = chain.map(node => firstChild(node, 'lnSpc')).find(Boolean);
+    const spacingPercent = lineSpacing ? firstChild(lineSpacing, 'spcPct') : null;
+    const spaceBefore = chain.map(node => firstChild(node, 'spcBef')).find(Boolean);
+    const spaceBeforePoints = spaceBefore ? firstChild(spaceBefore, 'spcPts') : null;
+
+    return {
+        level,
+        align: pickAttr(chain, 'algn') || 'l',
+        marginLeft: toNumber(pickAttr(chain, 'marL')) || 0,
+        indent: toNumber(pickAttr(chain, 'indent')) || 0,
+        bullet: hasText ? bullet : null,
+        lineSpacing: spacingPercent ? toNumber(attr(spacingPercent, 'val')) / 100000 : 1,
+        spaceBefore: spaceBeforePoints ? toNumber(attr(spaceBeforePoints, 'val')) / 100 : 0,
+        size: endProps.size,
+        runs
+    };
+}
+
+// 텍스트 조각 속성 (직접 지정 → 스타일 기본값 순서로 적용)
+function readRun(part, rPr, runDefaults, defaultColor, fontScale, text) {
+    const chain = [rPr, ...runDefaults].filter(Boolean);
+    const pick = (name) => {
+        for (const node of chain) {
+            const value = attr(node, name);
+            if (value !== null) return value;
+        }
+        return null;
+    };
+
+    let color = null;
+    for (const node of chain) {
+        const fill = firstChild(node, 'solidFill');
+        if (fill) {
+            color = readColor(part, fill);
+            break;
+        }
+        if (firstChild(node, 'noFill')) break;
+    }
+
+    const latin = chain.map(node => firstChild(node, 'ea') || firstChild(node, 'latin')).find(Boolean);
+    const typeface = latin ? attr(latin, 'typeface') : null;
+    const size = toNumber(pick('sz'));
+    const baseline = toNumber(pick('baseline'));
+
+    return {
+        text,
+        size: Math.round((size ? size / 100 : DEFAULT_FONT_SIZE) * fontScale * 10) / 10,
+        bold: pick('b') === '1' || pick('b') === 'true',
+        italic: pick('i') === '1' || pick('i') === 'true',
+        underline: !!pick('u') && pick('u') !== 'none',
+        strike: !!pick('strike') && pick('strike') !== 'noStrike',
+        baseline: baseline ? baseline / 1000 : 0,
+        color: color || defaultColor || `#${part.colors.tx1}`,
+        // +mj-lt 같은 테마 글꼴 참조는 기본 글꼴 사용
+        font: typeface && !typeface.startsWith('+') ? typeface : null
+    };
+}
+
+// 자동 번호 문자열 (자주 쓰이는 형식만)
+function autoNumberText(type, value) {
+    if (/^alphaLc/.test(type)) return `${String.fromCharCode(96 + ((value - 1) % 26) + 1)}${numberSuffix(type)}`;
+    if (/^alphaUc/.test(type)) return `${String.fromCharCode(64 + ((value - 1) % 26) + 1)}${numberSuffix(type)}`;
+    if (/^circleNum/.test(type) && value <= 20) return String.fromCharCode(0x2460 + value - 1);
+    if (/^romanLc/.test(type)) return `${toRoman(value).toLowerCase()}${numberSuffix(type)}`;
+    if (/^romanUc/.test(type)) return `${toRoman(value)}${numberSuffix(type)}`;
+    return `${value}${numberSuffix(type)}`;
+}
+
+function numberSuffix(type) {
+    if (/ParenBoth$/.test(type)) return ')';
+    if (/ParenR$/.test(type)) return ')';
+    if (/Plain$/.test(type)) return '';
+    return '.';
+}
+
+function toRoman(value) {
+    const numerals = [[1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+        [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+    let result = '';
+    numerals.forEach(([number, numeral]) => {
+        while (value >= number) {
+            result += numeral;
+            value -= number;
+        }
+    });
+    return result;
+}
+
+// 도형 채우기 (직접 지정이 없으면 도형 스타일의 fillRef 사용)
+function shapeFill(part, spPr, style) {
+    const fill = fillOf(part, spPr);
+    if (fill !== undefined) return fill;
+
+    const fillRef = firstChild(style, 'fillRef');
+    if (fillRef && toNumber(attr(fillRef, 'idx')) > 0) {
+        return readColor(part, fillRef);
+    }
+    return null;
+}
+
+// 채우기 요소 해석: 지정 없음은 undefined, 채우기 없음(noFill)은 null
+// 그라데이션은 첫 번째 색, 그림 채우기는 표시하지 않는다
+function fillOf(part, node) {
+    if (!node) return undefined;
+
+    for (const child of childElements(node)) {
+        if (child.localName === 'noFill') return null;
+        if (child.localName === 'solidFill') return readColor(part, child);
+        if (child.localName === 'gradFill') {
+            const stop = descendants(child, 'gs')[0];
+            return stop ? readColor(part, stop) : null;
+        }
+        if (child.localName === 'blipFill' || child.localName === 'pattFill' || child.localName === 'grpFill') {
+            return null;
+        }
+    }
+    return undefined;
+}
+
+// 도형 윤곽선 (직접 지정이 없으면 도형 스타일의 lnRef 사용)
+function shapeLine(part, spPr, style) {
+    const ln = firstChild(spPr, 'ln');
+    const lnRef = firstChild(style, 'lnRef');
+    const refIndex = lnRef ? toNumber(attr(lnRef, 'idx')) : 0;
+
+    if (ln && firstChild(ln, 'noFill')) return null;
+
+    let color = null;
+    const lineFill = ln ? fillOf(part, ln) : undefined;
+    if (lineFill) {
+        color = lineFill;
+    } else if (refIndex > 0) {
+        color = readColor(part, lnRef);
+    }
+    if (!color) return null;
+
+    const themeWidth = part.theme && part.theme.lineWidths[refIndex - 1];
+    const dash = firstChild(ln, 'prstDash');
+
+    return {
+        color,
+        width: toNumber(attr(ln, 'w')) || themeWidth || 9525,
+        dashed: !!dash && attr(dash, 'val') !== 'solid'
+    };
+}
+
+// 표 셀 테두리
+function borderOf(part, ln) {
+    if (!ln || firstChild(ln, 'noFill')) return null;
+    const color = fillOf(part, ln);
+    if (!color) return null;
+    return { color, width: toNumber(attr(ln, 'w')) || 12700 };
+}
+
+// 모서리 둥근 사각형 등의 조정값 (adj, 기본 16667 = 짧은 변의 16.667%)
+function shapeAdjustValue(geometry) {
+    const guide = descendants(geometry, 'gd').find(gd => attr(gd, 'name') === 'adj');
+    const match = guide ? /val\s+(-?\d+)/.exec(attr(guide, 'fmla') || '') : null;
+    return match ? Number(match[1]) : null;
+}
+
+// 배경 (단색/그라데이션 첫 색/그림)
+async function readBackground(part, bg) {
+    if (!bg) return null;
+
+    const bgPr = firstChild(bg, 'bgPr');
+    if (bgPr) {
+        const blipFill = firstChild(bgPr, 'blipFill');
+        if (blipFill) {
+            const blip = firstChild(blipFill, 'blip');
+            const rel = blip ? part.rels[relationshipId(blip, 'embed')] : null;
+            const image = rel && !rel.external ? await readMedia(part.context, rel.target) : null;
+            if (image) return { color: null, image: image.src };
+        }
+        const fill = fillOf(part, bgPr);
+        return fill ? { color: fill, image: null } : null;
+    }
+
+    const bgRef = firstChild(bg, 'bgRef');
+    if (bgRef) {
+        const color = readColor(part, bgRef);
+        return color ? { color, image: null } : null;
+    }
+    return null;
+}
+
+// 색 요소 해석 (srgbClr/schemeClr/sysClr/prstClr + 밝기 조정, 투명도)
+function readColor(part, container) {
+    const node = childElements(container).find(child => /Clr$/.test(child.localName));
+    if (!node) return null;
+
+    let hex = null;
+    const value = attr(node, 'val');
+    switch (node.localName) {
+        case 'srgbClr':
+            hex = value;
+            break;
+        case 'schemeClr':
+            hex = part.colors[value] || null;
+            break;
+        case 'sysClr':
+            hex = attr(node, 'lastClr') || (value === 'window' ? 'FFFFFF' : '000000');
+            break;
+        case 'prstClr':
+            hex = PRESET_COLORS[value] || null;
+            break;
+        case 'scrgbClr':
+            hex = ['r', 'g', 'b']
+                .map(name => Math.round(Math.min(100000, toNumber(attr(node, name)) || 0) / 100000 * 255).toString(16).padStart(2, '0'))
+                .join('');
+            break;
+    }
+    if (!hex || !/^[0-9a-f]{6}$/i.test(hex)) return null;
+
+    let [r, g, b] = [0, 2, 4].map(offset => parseInt(hex.substr(offset, 2), 16));
+    let alpha = 1;
+
+    childElements(node).forEach(modifier => {
+        const amount = (toNumber(attr(modifier, 'val')) || 0) / 100000;
+        switch (modifier.localName) {
+            case 'lumMod':
+            case 'lumOff': {
+                const hsl = rgbToHsl(r, g, b);
+                hsl[2] = modifier.localName === 'lumMod' ? hsl[2] * amount : hsl[2] + amount;
+                [r, g, b] = hslToRgb(hsl[0], hsl[1], Math.max(0, Math.min(1, hsl[2])));
+                break;
+            }
+            case 'shade':
+                [r, g, b] = [r, g, b].map(channel => channel * amount);
+                break;
+            case 'tint':
+                [r, g, b] = [r, g, b].map(channel => channel + (255 - channel) * (1 - amount));
+                break;
+            case 'alpha':
+                alpha = amount;
+                break;
+        }
+    });
+
+    [r, g, b] = [r, g, b].map(channel => Math.round(Math.max(0, Math.min(255, channel))));
+    if (alpha < 1) {
+        return `rgba(${r}, ${g}, ${b}, ${Math.round(alpha * 100) / 100})`;
+    }
+    return '#' + [r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+}
+
+function rgbToHsl(r, g, b) {
+    r /= 255; g /= 255; b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return [0, 0, l];
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    return [h / 6, s, l];
+}
+
+function hslToRgb(h, s, l) {
+    if (s === 0) return [l * 255, l * 255, l * 255];
+
+    const hueToRgb = (p, q, t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    return [hueToRgb(p, q, h + 1 / 3), hueToRgb(p, q, h), hueToRgb(p, q, h - 1 / 3)].map(value => value * 255);
+}
+
+// 그림 파트를 data URI로 읽기 (같은 그림은 한 번만 읽음)
+async function readMedia(context, partPath) {
+    if (context.media.has(partPath)) return context.media.get(partPath);
+
+    const extension = path.posix.extname(partPath).slice(1).toLowerCase();
+    const mimeType = IMAGE_MIME_TYPES[extension];
+    const entry = context.zip.file(partPath);
+    let image = null;
+
+    if (mimeType && entry) {
+        const base64 = await entry.async('base64');
+        image = { src: `data:${mimeType};base64,${base64}` };
+    }
+
+    context.media.set(partPath, image);
+    return image;
+}
+
+// 위치/크기/회전 (그룹 안의 도형은 그룹 좌표계를 슬라이드 좌표로 변환)
+function frameOf(xfrm, transform) {
+    if (!xfrm) return null;
+
+    const off = firstChild(xfrm, 'off');
+    const ext = firstChild(xfrm, 'ext');
+    if (!off || !ext) return null;
+
+    let x = toNumber(attr(off, 'x')) || 0;
+    let y = toNumber(attr(off, 'y')) || 0;
+    let width = toNumber(attr(ext, 'cx')) || 0;
+    let height = toNumber(attr(ext, 'cy')) || 0;
+
+    if (transform) {
+        x = transform.x + (x - transform.childX) * transform.scaleX;
+        y = transform.y + (y - transform.childY) * transform.scaleY;
+        width *= transform.scaleX;
+        height *= transform.scaleY;
+    }
+
+    return {
+        x,
+        y,
+        width,
+        height,
+        rotation: (toNumber(attr(xfrm, 'rot')) || 0) / 60000,
+        flipH: attr(xfrm, 'flipH') === '1',
+        flipV: attr(xfrm, 'flipV') === '1'
+    };
+}
+
+// 그룹 도형의 좌표 변환 (chOff/chExt → off/ext)
+function groupTransformOf(xfrm, parent) {
+    const frame = frameOf(xfrm, parent);
+    if (!frame) return parent;
+
+    const chOff = firstChild(xfrm, 'chOff');
+    const chExt = firstChild(xfrm, 'chExt');
+    const childWidth = toNumber(attr(chExt, 'cx')) || 0;
+    const childHeight = toNumber(attr(chExt, 'cy')) || 0;
+
+    return {
+        x: frame.x,
+        y: frame.y,
+        childX: toNumber(attr(chOff, 'x')) || 0,
+        childY: toNumber(attr(chOff, 'y')) || 0,
+        scaleX: childWidth ? frame.width / childWidth : 1,
+        scaleY: childHeight ? frame.height / childHeight : 1
+    };
+}
+
+// r:id, r:embed 같은 관계 속성 (같은 이름의 일반 속성과 구분)
+function relationshipId(node, localName) {
+    return node.getAttributeNS(RELATIONSHIP_NS, localName) || null;
+}
+
+function hasText(element) {
+    return !!element.text && element.text.paragraphs.some(paragraph => paragraph.runs.some(run => run.text.trim()));
+}
+
+// 요소의 텍스트 (검색/제목용)
+function elementText(element) {
+    const bodyText = (body) => body
+        ? body.paragraphs.map(paragraph => paragraph.runs.map(run => run.lineBreak ? '\n' : run.text).join('')).join('\n')
+        : '';
+
+    if (element.type === 'shape') {
+        return bodyText(element.text);
+    }
+    if (element.type === 'table') {
+        return element.rows
+            .map(row => row.cells.filter(cell => !cell.merged).map(cell => bodyText(cell.text).replace(/\n/g, ' ')).join('\t'))
+            .join('\n');
+    }
+    return '';
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return 0;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : 0;
+}
+
+// 검색용 본문 텍스트 추출 (슬라이드 하나를 1페이지로 저장)
+async function extractPresentationText(filePath) {
+    const presentation = await readPresentation(filePath);
+    const zip = await loadPackage(filePath, 'PPTX');
+
+    return {
+        pageCount: presentation.slides.length,
+        info: await readCoreProperties(zip),
+        pages: presentation.slides.map(slide => ({
+            pageNumber: slide.number,
+            text: slide.text.replace(/[ \t]+\n/g, '\n').trim()
+        }))
+    };
+}
+
+module.exports = {
+    readPresentation,
+    extractPresentationText
+};
@@ -0,0 +1,108 @@
+// lib/related.js - 연관 문서 찾기 (문서별 TF-IDF 단어 벡터의 코사인 유사도)
+// 문서 전체(파일명 + 추출한 본문)의 단어로 벡터를 만들고, 두 문서에 함께 나오는 단어 중
+// 가중치가 큰 단어를 공통 키워드로 제시한다
+const { extractTerms } = require('./search');
+
+// 문서당 벡터에 남기는 단어 수 (가중치가 큰 순서)
+const MAX_TERMS_PER_DOCUMENT = 300;
+
+// 파일명 단어는 본문 단어보다 문서를 잘 나타내므로 여러 번 나온 것으로 계산
+const NAME_TERM_BOOST = 3;
+
+// 이보다 유사도가 낮은 문서는 연관 문서로 보지 않음 (우연히 겹친 단어 한두 개)
+const MIN_RELATED_SCORE = 0.01;
+
+// 연관 문서 색인 만들기: documents = [{ id, name, text }]
+function buildRelatedIndex(documents) {
+    const termCounts = documents.map(doc => countTerms(doc.name, doc.text));
+
+    // 단어별 문서 빈도
+    const documentFrequency = new Map();
+    termCounts.forEach(counts => {
+        counts.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    });
+
+    const index = { documentCount: documents.length, documentFrequency, vectors: new Map() };
+    documents.forEach((doc, position) => {
+        index.vectors.set(Number(doc.id), weightTerms(index, termCounts[position]));
+    });
+    return index;
+}
+
+// 색인에 있는 문서 하나와 비슷한 문서 목록: [{ id, score(0~1), keywords }] (유사도 높은 순)
+function findRelated(index, fileId, options = {}) {
+    const target = index.vectors.get(Number(fileId));
+    if (!target) return [];
+    return rankSimilar(index, target, Number(fileId), options);
+}
+
+// 색인에 없는 문서(파일명, 본문)와 비슷한 색인 문서 목록 (색인의 문서 빈도로 가중치 계산)
+function findSimilar(index, name, text, options = {}) {
+    return rankSimilar(index, weightTerms(index, countTerms(name, text)), null, options);
+}
+
+// 파일명과 본문의 단어 빈도
+function countTerms(name, text) {
+    const counts = new Map();
+    extractTerms(stripExtension(name)).forEach(term => counts.set(term, (counts.get(term) || 0) + NAME_TERM_BOOST));
+    extractTerms(text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    return counts;
+}
+
+// 단어 빈도 → TF-IDF 벡터 { weights, norm }
+// TF는 로그 스케일, IDF는 모든 문서에 나오는 단어도 0이 되지 않도록 완화 (색인에 없는 단어는 문서 빈도 1로 계산)
+function weightTerms(index, counts) {
+    const weights = Array.from(counts, ([term, count]) => [
+        term,
+        (1 + Math.log(count)) * Math.log(1 + Math.max(1, index.documentCount) / (index.documentFrequency.get(term) || 1))
+    ])
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_TERMS_PER_DOCUMENT);
+
+    const norm = Math.sqrt(weights.reduce((sum, [, weight]) => sum + weight * weight, 0));
+    return { weights: new Map(weights), norm };
+}
+
+// 코사인 유사도 순위 (excludeId 문서는 제외)
+function rankSimilar(index, target, excludeId, options) {
+    const limit = options.limit || 5;
+    const keywordCount = options.keywordCount || 5;
+    const minScore = options.minScore !== undefined ? options.minScore : MIN_RELATED_SCORE;
+    if (target.norm === 0) return [];
+
+    const results = [];
+    index.vectors.forEach((vector, id) => {
+        if (id === excludeId || vector.norm === 0) return;
+
+        // 공통 단어별 기여도 (두 가중치의 곱)
+        const shared = [];
+        target.weights.forEach((weight, term) => {
+            const other = vector.weights.get(term);
+            if (other) shared.push([term, weight * other]);
+        });
+        if (shared.length === 0) return;
+
+        const dot = shared.reduce((sum, [, product]) => sum + product, 0);
+        const score = dot / (target.norm * vector.norm);
+        if (score < minScore) return;
+
+        results.push({
+            id,
+            score,
+            keywords: shared.sort((a, b) => b[1] - a[1]).slice(0, keywordCount).map(([term]) => term)
+        });
+    });
+
+    return results.sort((a, b) => b.score - a.score || a.id - b.id).slice(0, limit);
+}
+
+// 확장자는 같은 형식의 파일끼리 공통 키워드가 되지 않도록 제외
+function stripExtension(name) {
+    return (name || '').replace(/\.[^.]+$/, '');
+}
+
+module.exports = {
+    buildRelatedIndex,
+    findRelated,
+    findSimilar
+};
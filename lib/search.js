@@ -0,0 +1,233 @@
+// lib/search.js - 전문 검색(FTS5)용 한국어 색인 텍스트, 검색식, 검색어 강조 발췌
+// 한글/한자/가나는 띄어쓰기 없이 붙여 쓰는 경우가 많아 두 글자씩 겹쳐 나눈 bigram으로 색인하고,
+// 검색어는 조사를 떼어 낸 뒤 같은 방식으로 나누어 연속 구문(phrase)으로 찾는다
+
+// 두 글자 단위로 나누는 문자 (한글, 한자, 히라가나, 가타카나)
+const CJK_PATTERN = /[\p{Script=Hangul}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+const SCRIPT_RUN_PATTERN = /[\p{Script=Hangul}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+|[^\p{Script=Hangul}\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+/gu;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// 검색어 끝에서 떼어 낼 조사 (긴 것부터 비교)
+const PARTICLES = [
+    '에서부터', '으로부터', '로부터', '에게서', '이라고', '이라는', '이라도',
+    '에서', '에게', '한테', '께서', '으로', '부터', '까지', '처럼', '보다', '마다', '조차', '밖에',
+    '이나', '이랑', '이며', '라고', '라는',
+    '을', '를', '은', '는', '이', '가', '의', '에', '로', '와', '과', '도', '만', '랑'
+];
+
+// 조사를 뗀 뒤 남아야 하는 최소 글자 수 (한 글자 단어는 조사로 보지 않음)
+const MIN_STEM_LENGTH = 2;
+
+// 자연어 질문에서 검색어로 쓰지 않는 단어 (조사를 뗀 뒤 비교)
+const STOPWORDS = new Set([
+    '문서', '파일', '자료', '내용', '관련', '관련된', '대한', '대해', '대해서', '어떤', '무슨', '무엇', '뭐', '뭔가',
+    '어디', '언제', '누가', '어떻게', '있는', '없는', '있나요', '있어', '있어요', '있을까', '있습니까',
+    '몇', '얼마', '얼마나', '얼마인가요', '무엇인가요', '뭔가요', '인가요', '입니까',
+    '요약', '요약해줘', '요약해주세요', '설명', '설명해줘', '설명해주세요', '정리해줘', '정리해주세요',
+    '찾아', '찾아줘', '찾아주세요', '알려줘', '알려주세요', '보여줘', '보여주세요', '주세요', '해줘', '해주세요',
+    '그리고', '또는', '그런데', '및', '좀', '모든', '전체', '최근',
+    'the', 'a', 'an', 'of', 'for', 'about', 'what', 'which', 'where', 'when', 'who', 'how', 'show', 'find',
+    'me', 'is', 'are', 'in', 'on', 'and', 'or', 'to', 'with', 'document', 'documents', 'file', 'files'
+]);
+
+// 색인용 텍스트: 영문/숫자는 단어 그대로, 한글 등은 bigram으로 나누어 공백으로 연결
+function toIndexText(text) {
+    const tokens = [];
+    splitWords(text).forEach(word => {
+        word.match(SCRIPT_RUN_PATTERN).forEach(run => {
+            tokens.push(...(CJK_PATTERN.test(run) ? bigrams(run) : [run]));
+        });
+    });
+    return tokens.join(' ');
+}
+
+// 검색어 → { terms: 강조할 단어 목록, match: FTS5 MATCH 식 (찾을 단어가 없으면 null) }
+// 단어는 모두 포함해야 하며(AND), 영문/숫자와 한 글자 단어는 앞부분 일치로 찾는다
+// anyTerm 옵션(자연어 질문): 불용어를 빼고 단어 중 하나라도 있으면(OR) 찾는다
+function buildSearchQuery(query, options = {}) {
+    const terms = [];
+    const clauses = [];
+
+    splitWords(query).forEach(word => {
+        const term = stripParticle(word);
+        if (terms.includes(term)) return;
+        if (options.anyTerm && (STOPWORDS.has(term) || STOPWORDS.has(word))) return;
+        terms.push(term);
+
+        const parts = term.match(SCRIPT_RUN_PATTERN).map(run => {
+            if (!CJK_PATTERN.test(run)) return { tokens: [run], prefix: true };
+            return { tokens: bigrams(run), prefix: run.length === 1 };
+        });
+
+        // 단어 하나는 연속된 토큰 구문으로 (마지막 토큰이 앞부분 일치이면 구문 끝에 *)
+        const tokens = parts.flatMap(part => part.tokens);
+        const last = parts[parts.length - 1];
+        clauses.push(`${quote(tokens.join(' '))}${last.prefix ? '*' : ''}`);
+    });
+
+    return {
+        terms,
+        match: clauses.length > 0 ? clauses.join(options.anyTerm ? ' OR ' : ' AND ') : null
+    };
+}
+
+// 문서 단어 목록 (연관 문서 계산용): 조사를 떼고 불용어, 한 글자 단어, 숫자만 있는 단어는 제외
+function extractTerms(text) {
+    return splitWords(text)
+        .map(stripParticle)
+        .filter(term => Array.from(term).length >= MIN_STEM_LENGTH && !/^\d+$/.test(term) && !STOPWORDS.has(term));
+}
+
+// 본문에서 검색어가 처음 나오는 부분을 발췌하여 <mark>로 강조한 HTML
+function buildSnippet(text, terms, radius = 60) {
+    const { content, ranges, start, end } = snippetWindow(text, terms, radius);
+
+    let html = '';
+    let position = start;
+    ranges
+        .filter(range => range.start >= start && range.end <= end)
+        .forEach(range => {
+            html += escapeHtml(content.slice(position, range.start));
+            html += `<mark>${escapeHtml(content.slice(range.start, range.end))}</mark>`;
+            position = range.end;
+        });
+    html += escapeHtml(content.slice(position, end));
+
+    return `${start > 0 ? '…' : ''}${html}${end < content.length ? '…' : ''}`;
+}
+
+// 본문에서 검색어가 처음 나오는 부분의 발췌 (강조 없는 텍스트)
+function buildExcerpt(text, terms, radius = 60) {
+    const { content, start, end } = snippetWindow(text, terms, radius);
+    return `${start > 0 ? '…' : ''}${content.slice(start, end)}${end < content.length ? '…' : ''}`;
+}
+
+// 발췌 범위: 검색어가 처음 나오는 위치 앞뒤로 radius 글자 (없으면 본문 앞부분)
+function snippetWindow(text, terms, radius) {
+    const content = (text || '').replace(/\s+/g, ' ').trim();
+    const ranges = findTermRanges(content, terms);
+
+    let start = 0;
+    let end = Math.min(content.length, radius * 2);
+    if (ranges.length > 0) {
+        start = Math.max(0, ranges[0].start - radius);
+        end = Math.min(content.length, ranges[0].end + radius);
+    }
+    return { content, ranges, start, end };
+}
+
+// 본문을 length 글자 안팎의 문단 조각으로 나누어 검색어가 가장 많이 나오는 조각 반환
+// (서로 다른 검색어 수, 검색어가 나온 횟수 순, 검색어가 없으면 첫 조각)
+function findBestPassage(text, terms, length = 400) {
+    const sentences = (text || '')
+        .split(/(?<=[.!?。])\s+|\n+/)
+        .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+        .filter(sentence => sentence);
+
+    const chunks = [];
+    let current = '';
+    sentences.forEach(sentence => {
+        if (current && current.length + sentence.length + 1 > length) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? `${current} ${sentence}` : sentence;
+        // 한 문장이 너무 길면 잘라서 나눔
+        while (current.length > length * 1.5) {
+            chunks.push(current.slice(0, length));
+            current = current.slice(length);
+        }
+    });
+    if (current) chunks.push(current);
+
+    let best = chunks[0] || '';
+    let bestScore = -1;
+    chunks.forEach(chunk => {
+        const score = containedTerms(chunk, terms).length * 1000 + findTermRanges(chunk, terms).length;
+        if (score > bestScore) {
+            best = chunk;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+// 본문(또는 파일명)에 들어 있는 검색어 목록
+function containedTerms(text, terms) {
+    const lower = (text || '').normalize('NFC').toLowerCase();
+    return terms.filter(term => lower.includes(term));
+}
+
+// 검색어가 나오는 위치 목록 (대소문자 무시, 겹치는 범위는 합침)
+function findTermRanges(content, terms) {
+    const lower = content.toLowerCase();
+    const ranges = [];
+
+    terms.forEach(term => {
+        for (let index = lower.indexOf(term); index >= 0 && term; index = lower.indexOf(term, index + term.length)) {
+            ranges.push({ start: index, end: index + term.length });
+        }
+    });
+
+    ranges.sort((a, b) => a.start - b.start);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+        return merged;
+    }, []);
+}
+
+// 글자와 숫자로 이루어진 단어 목록 (소문자)
+function splitWords(text) {
+    return (text || '').normalize('NFC').toLowerCase().match(WORD_PATTERN) || [];
+}
+
+// 단어 끝의 조사 떼기 ("보험상품을" → "보험상품")
+function stripParticle(word) {
+    if (!CJK_PATTERN.test(word.slice(-1))) return word;
+
+    const particle = PARTICLES.find(candidate =>
+        word.endsWith(candidate) && word.length - candidate.length >= MIN_STEM_LENGTH
+    );
+    return particle ? word.slice(0, -particle.length) : word;
+}
+
+// 두 글자씩 겹쳐 나누기 ("보험상품" → 보험 험상 상품), 한 글자는 그대로
+function bigrams(run) {
+    const chars = Array.from(run);
+    if (chars.length < 2) return chars;
+
+    const result = [];
+    for (let i = 0; i < chars.length - 1; i++) {
+        result.push(chars[i] + chars[i + 1]);
+    }
+    return result;
+}
+
+// FTS5 문자열 인용 (큰따옴표는 두 번)
+function quote(value) {
+    return `"${value.replace(/"/g, '""')}"`;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+    toIndexText,
+    buildSearchQuery,
+    buildSnippet,
+    buildExcerpt,
+    containedTerms,
+    extractTerms,
+    findBestPassage
+};
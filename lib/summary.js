@@ -0,0 +1,149 @@
+// lib/summary.js - 문서 요약 제공자 (추출 텍스트로 요약 작성)
+// 제공자는 { name, model, version, summarize({ name, pages }) } 형식이며
+// summarize는 { summary, sentences: [{ page, text }] } 를 반환한다 (sentences는 요약에 쓴 원문 문장, 생성 요약은 빈 목록)
+// pages: [{ page, label, text }]
+const { extractTerms } = require('./search');
+const { llmConfig, chatCompletion } = require('./llm');
+
+// 추출 요약 문장 수 (짧은 문서, 긴 문서)
+const SHORT_SUMMARY_SENTENCES = 3;
+const LONG_SUMMARY_SENTENCES = 5;
+const LONG_DOCUMENT_LENGTH = 5000;
+
+// 요약 문장으로 쓸 수 있는 길이 (짧은 문장은 제목이나 표 조각인 경우가 많음)
+const MIN_SENTENCE_LENGTH = 15;
+const MAX_SENTENCE_LENGTH = 300;
+
+// 생성 요약에 보낼 본문 최대 글자 수
+const MAX_GENERATIVE_INPUT = 8000;
+
+const providers = new Map();
+
+// 제공자 등록 (같은 이름이면 교체)
+function registerSummaryProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+// 이름으로 제공자 찾기 (이름이 없으면 ASKDOC_SUMMARY_PROVIDER 환경 변수, 기본값 extractive)
+function getSummaryProvider(name) {
+    return providers.get(name || process.env.ASKDOC_SUMMARY_PROVIDER || 'extractive') || null;
+}
+
+function listSummaryProviders() {
+    return Array.from(providers.keys());
+}
+
+// 추출 요약: 문서 전체에서 자주 나오는 단어를 많이 담은 문장을 골라 원래 순서대로 연결 (외부 호출 없음)
+const extractiveProvider = {
+    name: 'extractive',
+    model: 'term-frequency',
+    version: '1',
+    async summarize({ pages }) {
+        const sentences = splitSentences(pages);
+        if (sentences.length === 0) {
+            return { summary: '', sentences: [] };
+        }
+
+        // 문서 전체 단어 빈도 (가장 많이 나온 단어를 1로)
+        const frequency = new Map();
+        sentences.forEach(sentence => {
+            sentence.terms.forEach(term => frequency.set(term, (frequency.get(term) || 0) + 1));
+        });
+        const maxFrequency = Math.max(1, ...frequency.values());
+
+        // 문장 점수: 서로 다른 단어 가중치 합을 문장 길이로 보정, 문서 앞부분 문장은 가산
+        sentences.forEach((sentence, index) => {
+            const unique = Array.from(new Set(sentence.terms));
+            const weight = unique.reduce((sum, term) => sum + frequency.get(term) / maxFrequency, 0);
+            sentence.score = unique.length > 0 ? weight / Math.sqrt(unique.length) : 0;
+            if (index < 3) sentence.score *= 1.2;
+        });
+
+        const totalLength = pages.reduce((sum, page) => sum + (page.text || '').length, 0);
+        const count = totalLength > LONG_DOCUMENT_LENGTH ? LONG_SUMMARY_SENTENCES : SHORT_SUMMARY_SENTENCES;
+
+        const selected = [];
+        sentences
+            .slice()
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .forEach(sentence => {
+                // 같은 문장이 여러 페이지에 반복되는 경우(머리글 등) 한 번만 사용
+                if (selected.length < count && !selected.some(other => other.text === sentence.text)) {
+                    selected.push(sentence);
+                }
+            });
+        selected.sort((a, b) => a.index - b.index);
+
+        return {
+            summary: selected.map(sentence => sentence.text).join(' '),
+            sentences: selected.map(sentence => ({ page: sentence.page, text: sentence.text }))
+        };
+    }
+};
+
+// OpenAI 호환 생성 요약 (설정은 lib/llm.js)
+const openAiProvider = {
+    name: 'openai',
+    get model() {
+        return llmConfig().model;
+    },
+    version: '1',
+    async summarize({ name, pages }) {
+        let body = '';
+        for (const page of pages) {
+            if (!page.text || !page.text.trim()) continue;
+            body += `[${page.label}]\n${page.text.trim()}\n\n`;
+            if (body.length >= MAX_GENERATIVE_INPUT) break;
+        }
+        body = body.slice(0, MAX_GENERATIVE_INPUT);
+
+        if (!body) {
+            return { summary: '', sentences: [] };
+        }
+
+        const summary = await chatCompletion([
+            {
+                role: 'system',
+                content: '당신은 문서 관리 시스템 AskDoc의 요약 도우미입니다. ' +
+                    '주어진 문서 본문만 근거로 문서의 목적과 핵심 내용을 한국어 3~5문장으로 요약하세요. ' +
+                    '본문에 없는 내용은 추측하지 마세요.'
+            },
+            {
+                role: 'user',
+                content: `문서 이름: ${name}\n\n본문:\n${body}`
+            }
+        ]);
+
+        return { summary, sentences: [] };
+    }
+};
+
+// 페이지 본문을 문장 단위로 나누기: [{ index, page, text, terms }]
+function splitSentences(pages) {
+    const sentences = [];
+    pages.forEach(page => {
+        (page.text || '')
+            .split(/(?<=[.!?。])\s+|\n+|\t+/)
+            .map(text => text.replace(/\s+/g, ' ').trim())
+            .filter(text => text.length >= MIN_SENTENCE_LENGTH)
+            .forEach(text => {
+                const clipped = text.length > MAX_SENTENCE_LENGTH ? `${text.slice(0, MAX_SENTENCE_LENGTH)}…` : text;
+                sentences.push({
+                    index: sentences.length,
+                    page: page.page,
+                    text: clipped,
+                    terms: extractTerms(text)
+                });
+            });
+    });
+    return sentences;
+}
+
+registerSummaryProvider(extractiveProvider);
+registerSummaryProvider(openAiProvider);
+
+module.exports = {
+    registerSummaryProvider,
+    getSummaryProvider,
+    listSummaryProviders
+};
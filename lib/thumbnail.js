@@ -0,0 +1,166 @@
+// lib/thumbnail.js - 파일 목록 격자 보기에 쓰는 미리보기 이미지(썸네일) 만들기
+// 이미지는 줄이고, PDF 는 첫 페이지를 그리고, 오피스/한글 문서는 문서 안에 저장된 미리보기 이미지를 쓴다.
+// 문서에 미리보기 이미지가 없으면 추출한 본문 앞부분을 종이 모양으로 그린다.
+// 결과는 긴 변이 THUMBNAIL_SIZE 픽셀 이하인 JPEG (투명한 부분은 흰색)
+// 본문은 시스템 한글 글꼴로 그리고, 서버에 한글 글꼴이 없으면 ASKDOC_THUMBNAIL_FONT 에 글꼴 파일(.ttf/.otf) 경로를 지정
+const fs = require('fs');
+const path = require('path');
+const CFB = require('cfb');
+const JSZip = require('jszip');
+const { createCanvas, loadImage, GlobalFonts } = require('@napi-rs/canvas');
+const { renderPdfPage } = require('./pdf');
+
+const THUMBNAIL_SIZE = 320;
+const JPEG_QUALITY = 80;
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.webp'];
+const OOXML_EXTENSIONS = ['.docx', '.xlsx', '.pptx'];
+
+// 본문 썸네일: A4 비율의 종이에 파일 이름과 본문 앞부분
+const PAGE_WIDTH = 226;
+const PAGE_HEIGHT = THUMBNAIL_SIZE;
+const PAGE_PADDING = 14;
+const SYSTEM_FONTS = '"Malgun Gothic", "Apple SD Gothic Neo", "Noto Sans CJK KR", "NanumGothic", sans-serif';
+const FONT_FAMILY = registerThumbnailFont(process.env.ASKDOC_THUMBNAIL_FONT) ? `AskdocThumbnail, ${SYSTEM_FONTS}` : SYSTEM_FONTS;
+
+// 지정한 글꼴 파일을 AskdocThumbnail 이라는 이름으로 등록 (등록하지 못하면 시스템 글꼴 사용)
+function registerThumbnailFont(fontPath) {
+    if (!fontPath) return false;
+    if (GlobalFonts.registerFromPath(fontPath, 'AskdocThumbnail')) return true;
+    console.error(`썸네일 글꼴을 불러올 수 없습니다: ${fontPath}`);
+    return false;
+}
+
+// 썸네일을 만들 수 있는 파일 종류 ('image', 'pdf', 'document', 없으면 null)
+function thumbnailKind(fileName) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    if (IMAGE_EXTENSIONS.includes(extension)) return 'image';
+    if (extension === '.pdf') return 'pdf';
+    if (OOXML_EXTENSIONS.includes(extension) || extension === '.hwp' || extension === '.hwpx') return 'document';
+    return null;
+}
+
+// 썸네일 JPEG 만들기 (만들 수 없는 형식이면 null)
+// text: 문서에 미리보기 이미지가 없을 때 그릴 본문 (추출한 첫 페이지)
+async function createThumbnail(filePath, fileName, text) {
+    const kind = thumbnailKind(fileName);
+
+    if (kind === 'image') {
+        return encodeThumbnail(await loadImage(await fs.promises.readFile(filePath)));
+    }
+
+    if (kind === 'pdf') {
+        const canvas = await renderPdfPage(filePath, 1, THUMBNAIL_SIZE);
+        return canvas.encode('jpeg', JPEG_QUALITY);
+    }
+
+    if (kind === 'document') {
+        const preview = await readEmbeddedPreview(filePath, fileName);
+        if (preview) {
+            try {
+                return await encodeThumbnail(await loadImage(preview));
+            } catch (error) {
+                // EMF/WMF 처럼 그릴 수 없는 미리보기는 본문으로 대신함
+                console.log(`문서 미리보기 이미지를 읽을 수 없어 본문으로 썸네일 생성: ${fileName} (${error.message})`);
+            }
+        }
+        return renderTextThumbnail(fileName, text || '');
+    }
+
+    return null;
+}
+
+// 문서에 저장된 미리보기 이미지 (오피스: docProps/thumbnail, HWPX: Preview/PrvImage, HWP: PrvImage 스트림), 없으면 null
+async function readEmbeddedPreview(filePath, fileName) {
+    const buffer = await fs.promises.readFile(filePath);
+
+    if (buffer.readUInt32BE(0) === 0xd0cf11e0) {
+        const container = CFB.read(buffer, { type: 'buffer' });
+        const entry = CFB.find(container, 'PrvImage');
+        return entry && entry.content && entry.content.length > 0 ? Buffer.from(entry.content) : null;
+    }
+
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+        throw new Error(`${path.extname(fileName).slice(1).toUpperCase()} 파일을 해석할 수 없습니다.`);
+    }
+
+    const entry = zip.file(/^(docProps\/thumbnail\.(jpe?g|png)|Preview\/PrvImage\.(png|jpe?g|gif|bmp))$/i)[0];
+    return entry ? entry.async('nodebuffer') : null;
+}
+
+// 긴 변이 THUMBNAIL_SIZE 이하가 되도록 줄여서 JPEG 로 (작은 이미지는 키우지 않음)
+function encodeThumbnail(image) {
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(image, 0, 0, width, height);
+    return canvas.encode('jpeg', JPEG_QUALITY);
+}
+
+// 종이 모양에 파일 이름(굵게)과 본문 앞부분을 줄바꿈하여 그리기
+function renderTextThumbnail(fileName, text) {
+    const canvas = createCanvas(PAGE_WIDTH, PAGE_HEIGHT);
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, PAGE_WIDTH, PAGE_HEIGHT);
+    context.strokeStyle = '#d1d5db';
+    context.strokeRect(0.5, 0.5, PAGE_WIDTH - 1, PAGE_HEIGHT - 1);
+
+    const maxWidth = PAGE_WIDTH - PAGE_PADDING * 2;
+    let y = PAGE_PADDING;
+
+    context.fillStyle = '#111827';
+    context.font = `bold 12px ${FONT_FAMILY}`;
+    context.textBaseline = 'top';
+    wrapLines(context, path.basename(fileName, path.extname(fileName)), maxWidth).slice(0, 2).forEach(line => {
+        context.fillText(line, PAGE_PADDING, y);
+        y += 16;
+    });
+    y += 6;
+
+    context.fillStyle = '#4b5563';
+    context.font = `9px ${FONT_FAMILY}`;
+    const lineHeight = 13;
+    for (const paragraph of text.split('\n')) {
+        for (const line of wrapLines(context, paragraph.trim(), maxWidth)) {
+            if (y + lineHeight > PAGE_HEIGHT - PAGE_PADDING) {
+                return canvas.encode('jpeg', JPEG_QUALITY);
+            }
+            context.fillText(line, PAGE_PADDING, y);
+            y += lineHeight;
+        }
+    }
+    return canvas.encode('jpeg', JPEG_QUALITY);
+}
+
+// 폭에 맞게 글자 단위로 줄 나누기 (한글은 띄어쓰기가 없어도 나눔)
+function wrapLines(context, text, maxWidth) {
+    if (!text) return [];
+
+    const lines = [];
+    let line = '';
+    for (const char of text) {
+        if (line && context.measureText(line + char).width > maxWidth) {
+            lines.push(line);
+            line = char.trim() ? char : '';
+            continue;
+        }
+        line += char;
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+module.exports = {
+    THUMBNAIL_SIZE,
+    thumbnailKind,
+    createThumbnail
+};
@@ -0,0 +1,676 @@
+// lib/xlsx.js - XLSX 통합문서 읽기 (시트, 공유 문자열, 수식 캐시 값, 병합 셀, 표시 형식)
+const {
+    loadPackage,
+    readXmlPart,
+    readRelationships,
+    childElements,
+    firstChild,
+    descendants,
+    attr,
+    textContent,
+    readCoreProperties
+} = require('./ooxml');
+
+// Excel 기본 제공 표시 형식 (한국어 로캘 기준)
+const BUILTIN_FORMATS = {
+    0: 'General',
+    1: '0',
+    2: '0.00',
+    3: '#,##0',
+    4: '#,##0.00',
+    9: '0%',
+    10: '0.00%',
+    11: '0.00E+00',
+    12: 'General',
+    13: 'General',
+    14: 'yyyy-mm-dd',
+    15: 'd-mmm-yy',
+    16: 'd-mmm',
+    17: 'mmm-yy',
+    18: 'h:mm AM/PM',
+    19: 'h:mm:ss AM/PM',
+    20: 'h:mm',
+    21: 'h:mm:ss',
+    22: 'yyyy-mm-dd h:mm',
+    27: 'yyyy"년" mm"월" dd"일"',
+    28: 'mm-dd',
+    29: 'mm-dd',
+    30: 'mm-dd-yy',
+    31: 'yyyy"년" mm"월" dd"일"',
+    32: 'h"시" mm"분"',
+    33: 'h"시" mm"분" ss"초"',
+    34: 'yyyy-mm-dd',
+    35: 'yyyy-mm-dd',
+    36: 'yyyy-mm-dd',
+    37: '#,##0 ;(#,##0)',
+    38: '#,##0 ;[Red](#,##0)',
+    39: '#,##0.00;(#,##0.00)',
+    40: '#,##0.00;[Red](#,##0.00)',
+    41: '_-* #,##0_-;-* #,##0_-;_-* "-"_-;_-@_-',
+    42: '_-"₩"* #,##0_-;-"₩"* #,##0_-;_-"₩"* "-"_-;_-@_-',
+    43: '_-* #,##0.00_-;-* #,##0.00_-;_-* "-"??_-;_-@_-',
+    44: '_-"₩"* #,##0.00_-;-"₩"* #,##0.00_-;_-"₩"* "-"??_-;_-@_-',
+    45: 'mm:ss',
+    46: '[h]:mm:ss',
+    47: 'mm:ss.0',
+    48: '##0.0E+0',
+    49: '@',
+    50: 'yyyy-mm-dd',
+    51: 'mm-dd',
+    52: 'yyyy-mm-dd',
+    53: 'yyyy-mm-dd',
+    54: 'mm-dd',
+    55: 'yyyy-mm-dd',
+    56: 'yyyy-mm-dd',
+    57: 'yyyy-mm-dd',
+    58: 'mm-dd'
+};
+
+const WEEKDAYS_KO = ['일', '월', '화', '수', '목', '금', '토'];
+const WEEKDAYS_EN = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS_EN = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// 통합문서 전체 읽기
+async function readWorkbook(filePath) {
+    const zip = await loadPackage(filePath, 'XLSX');
+
+    const workbookDoc = await readXmlPart(zip, 'xl/workbook.xml');
+    if (!workbookDoc) {
+        throw new Error('XLSX 파일에서 통합문서(workbook.xml)를 찾을 수 없습니다.');
+    }
+
+    const workbookPr = descendants(workbookDoc, 'workbookPr')[0];
+    const date1904 = ['1', 'true'].includes(attr(workbookPr, 'date1904'));
+
+    const relationships = await readRelationships(zip, 'xl/workbook.xml');
+    const sharedStrings = await readSharedStrings(zip);
+    const styles = await readStyles(zip);
+
+    const sheets = [];
+    const sheetElements = descendants(workbookDoc, 'sheet');
+    for (let index = 0; index < sheetElements.length; index++) {
+        const sheetElement = sheetElements[index];
+        const rel = relationships[attr(sheetElement, 'id')];
+        const state = attr(sheetElement, 'state') || 'visible';
+        const name = attr(sheetElement, 'name') || `Sheet${index + 1}`;
+
+        // 차트 시트 등 워크시트가 아닌 시트는 빈 시트로 표시
+        const sheetDoc = rel && rel.type.endsWith('/worksheet') ? await readXmlPart(zip, rel.target) : null;
+        const sheet = sheetDoc
+            ? parseWorksheet(sheetDoc, { sharedStrings, styles, date1904 })
+            : emptySheet();
+
+        sheets.push({
+            index,
+            name,
+            hidden: state !== 'visible',
+            ...sheet
+        });
+    }
+
+    return { sheets, date1904 };
+}
+
+// 공유 문자열 테이블 (윗주(rPh)는 표시 문자열이 아니므로 제외)
+async function readSharedStrings(zip) {
+    const doc = await readXmlPart(zip, 'xl/sharedStrings.xml');
+    if (!doc) return [];
+
+    return childElements(doc.documentElement, 'si').map(readRichText);
+}
+
+function readRichText(node) {
+    const plain = firstChild(node, 't');
+    if (plain) return textContent(plain);
+
+    return childElements(node, 'r')
+        .map(run => textContent(firstChild(run, 't')))
+        .join('');
+}
+
+// 셀 서식(cellXfs) 인덱스별 표시 형식 코드
+async function readStyles(zip) {
+    const doc = await readXmlPart(zip, 'xl/styles.xml');
+    if (!doc) return { formats: [] };
+
+    const customFormats = {};
+    descendants(doc, 'numFmt').forEach(numFmt => {
+        customFormats[attr(numFmt, 'numFmtId')] = attr(numFmt, 'formatCode');
+    });
+
+    const cellXfs = descendants(doc, 'cellXfs')[0];
+    const formats = childElements(cellXfs, 'xf').map(xf => {
+        const id = parseInt(attr(xf, 'numFmtId') || '0', 10);
+        return customFormats[id] || BUILTIN_FORMATS[id] || 'General';
+    });
+
+    return { formats };
+}
+
+function emptySheet() {
+    return { cells: new Map(), merges: [], columnWidths: {}, minRow: 0, maxRow: -1, minCol: 0, maxCol: -1 };
+}
+
+// 워크시트 XML을 셀 목록으로 변환 (행/열은 0부터 시작)
+function parseWorksheet(doc, context) {
+    const sheet = emptySheet();
+    let minRow = Infinity;
+    let minCol = Infinity;
+
+    const sheetData = descendants(doc, 'sheetData')[0];
+    childElements(sheetData, 'row').forEach((rowElement, rowPosition) => {
+        const rowNumber = attr(rowElement, 'r') ? parseInt(attr(rowElement, 'r'), 10) - 1 : rowPosition;
+        let nextCol = 0;
+
+        childElements(rowElement, 'c').forEach(cellElement => {
+            const ref = attr(cellElement, 'r');
+            const position = ref ? decodeCellRef(ref) : { row: rowNumber, col: nextCol };
+            nextCol = position.col + 1;
+
+            const cell = parseCell(cellElement, context);
+            if (!cell) return;
+
+            sheet.cells.set(cellKey(position.row, position.col), cell);
+            minRow = Math.min(minRow, position.row);
+            minCol = Math.min(minCol, position.col);
+            sheet.maxRow = Math.max(sheet.maxRow, position.row);
+            sheet.maxCol = Math.max(sheet.maxCol, position.col);
+        });
+    });
+
+    descendants(doc, 'mergeCell').forEach(mergeElement => {
+        const range = decodeRange(attr(mergeElement, 'ref') || '');
+        if (!range) return;
+
+        sheet.merges.push(range);
+        minRow = Math.min(minRow, range.start.row);
+        minCol = Math.min(minCol, range.start.col);
+        sheet.maxRow = Math.max(sheet.maxRow, range.end.row);
+        sheet.maxCol = Math.max(sheet.maxCol, range.end.col);
+    });
+
+    descendants(doc, 'col').forEach(colElement => {
+        const width = parseFloat(attr(colElement, 'width'));
+        if (!width || attr(colElement, 'customWidth') !== '1') return;
+
+        const min = parseInt(attr(colElement, 'min'), 10) - 1;
+        const max = Math.min(parseInt(attr(colElement, 'max'), 10) - 1, min + 256);
+        for (let col = min; col <= max; col++) {
+            sheet.columnWidths[col] = width;
+        }
+    });
+
+    sheet.minRow = minRow === Infinity ? 0 : minRow;
+    sheet.minCol = minCol === Infinity ? 0 : minCol;
+    return sheet;
+}
+
+// 셀 하나 해석: 값, 표시 문자열, 수식
+function parseCell(cellElement, { sharedStrings, styles, date1904 }) {
+    const type = attr(cellElement, 't') || 'n';
+    const valueElement = firstChild(cellElement, 'v');
+    const formulaElement = firstChild(cellElement, 'f');
+    const styleIndex = parseInt(attr(cellElement, 's') || '0', 10);
+    const formatCode = styles.formats[styleIndex] || 'General';
+    const formula = formulaElement ? textContent(formulaElement) || null : null;
+
+    let value = null;
+    let kind = 'string';
+
+    if (type === 'inlineStr') {
+        value = readRichText(firstChild(cellElement, 'is'));
+    } else if (!valueElement) {
+        // 값이 없는 셀(서식만 있는 셀)은 건너뜀
+        return null;
+    } else {
+        const raw = textContent(valueElement);
+        if (type === 's') {
+            value = sharedStrings[parseInt(raw, 10)] || '';
+        } else if (type === 'str') {
+            value = raw;
+        } else if (type === 'b') {
+            value = raw === '1';
+            kind = 'boolean';
+        } else if (type === 'e') {
+            value = raw;
+            kind = 'error';
+        } else if (type === 'd') {
+            value = raw;
+            kind = 'date';
+        } else {
+            value = parseFloat(raw);
+            kind = 'number';
+            if (isNaN(value)) return null;
+        }
+    }
+
+    const text = formatCellValue(value, kind, formatCode, date1904);
+    if (kind === 'number' && isDateFormat(formatCode)) {
+        kind = 'date';
+    }
+
+    return { value, text, kind, formula, format: formatCode };
+}
+
+// 셀 값을 Excel 표시 형식에 맞는 문자열로 변환
+function formatCellValue(value, kind, formatCode, date1904 = false) {
+    if (value === null || value === undefined) return '';
+    if (kind === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (kind === 'error' || kind === 'date') return String(value);
+    if (typeof value !== 'number') return String(value);
+
+    const sections = splitFormatSections(formatCode || 'General');
+    let section = sections[0];
+    let number = value;
+
+    if (value < 0 && sections.length > 1 && sections[1] !== '') {
+        section = sections[1];
+        number = Math.abs(value);
+    } else if (value === 0 && sections.length > 2 && sections[2] !== '') {
+        section = sections[2];
+    }
+
+    if (/^general$/i.test(section.trim())) {
+        return formatGeneral(number);
+    }
+
+    if (isDateFormat(section)) {
+        return formatDate(value, section, date1904);
+    }
+
+    return formatNumber(number, section);
+}
+
+// 세미콜론으로 구분된 서식 구역 분리 (따옴표 안의 세미콜론은 제외)
+function splitFormatSections(formatCode) {
+    const sections = [];
+    let current = '';
+    let inQuote = false;
+
+    for (let i = 0; i < formatCode.length; i++) {
+        const ch = formatCode[i];
+        if (ch === '"') inQuote = !inQuote;
+        if (ch === '\\' && !inQuote) {
+            current += ch + (formatCode[i + 1] || '');
+            i++;
+            continue;
+        }
+        if (ch === ';' && !inQuote) {
+            sections.push(current);
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+    sections.push(current);
+    return sections;
+}
+
+// 따옴표/이스케이프/대괄호를 제외한 서식 코드
+function stripLiterals(section) {
+    return section
+        .replace(/"[^"]*"/g, '')
+        .replace(/\\./g, '')
+        .replace(/\[(?!h\]|hh\]|m\]|mm\]|s\]|ss\])[^\]]*\]/gi, '');
+}
+
+function isDateFormat(formatCode) {
+    const stripped = stripLiterals(splitFormatSections(formatCode)[0]);
+    if (/general/i.test(stripped)) return false;
+    return /[ymdhs]/i.test(stripped.replace(/E[+-]/g, ''));
+}
+
+function formatGeneral(number) {
+    if (Number.isInteger(number)) return String(number);
+    return String(parseFloat(number.toPrecision(11)));
+}
+
+// 서식 코드를 리터럴/숫자 자리 토큰으로 분해
+function tokenizeNumberFormat(section) {
+    const tokens = [];
+    let literal = '';
+    let pattern = null;
+
+    const pushLiteral = () => {
+        if (literal) tokens.push({ type: 'literal', text: literal });
+        literal = '';
+    };
+
+    for (let i = 0; i < section.length; i++) {
+        const ch = section[i];
+
+        if (ch === '"') {
+            const end = section.indexOf('"', i + 1);
+            literal += section.slice(i + 1, end === -1 ? undefined : end);
+            i = end === -1 ? section.length : end;
+        } else if (ch === '\\') {
+            literal += section[i + 1] || '';
+            i++;
+        } else if (ch === '_') {
+            // 다음 문자 폭만큼 공백
+            literal += ' ';
+            i++;
+        } else if (ch === '*') {
+            // 채우기 문자는 무시
+            i++;
+        } else if (ch === '[') {
+            const end = section.indexOf(']', i);
+            const content = section.slice(i + 1, end === -1 ? undefined : end);
+            const currency = content.match(/^\$([^-]*)/);
+            if (currency) literal += currency[1];
+            i = end === -1 ? section.length : end;
+        } else if (pattern === null && /[#0?]/.test(ch)) {
+            pushLiteral();
+            let end = i;
+            while (end < section.length && /[#0?,.Ee+-]/.test(section[end])) {
+                // 지수 표기가 아닌 부호는 리터럴로 처리
+                if (/[+-]/.test(section[end]) && !/[Ee]/.test(section[end - 1])) break;
+                end++;
+            }
+            pattern = section.slice(i, end);
+            tokens.push({ type: 'number', pattern });
+            i = end - 1;
+        } else if (ch === '@') {
+            // 텍스트 자리 표시자는 숫자 서식에서 사용하지 않음
+        } else {
+            literal += ch;
+        }
+    }
+    pushLiteral();
+    return tokens;
+}
+
+function formatNumber(number, section) {
+    const tokens = tokenizeNumberFormat(section);
+    const hasPercent = tokens.some(token => token.type === 'literal' && token.text.includes('%'));
+    const value = hasPercent ? number * 100 : number;
+
+    const output = tokens.map(token => {
+        if (token.type === 'literal') return token.text;
+        return formatNumberPattern(value, token.pattern);
+    }).join('');
+
+    // 패턴에 숫자 자리가 없으면 리터럴만 표시 (예: "-")
+    if (!tokens.some(token => token.type === 'number')) {
+        return output.trim();
+    }
+    return output.trim() === '' ? formatGeneral(number) : output.replace(/^\s+|\s+$/g, '');
+}
+
+function formatNumberPattern(value, pattern) {
+    const negative = value < 0;
+    let abs = Math.abs(value);
+
+    const exponentMatch = pattern.match(/[Ee][+-]/);
+    if (exponentMatch) {
+        const mantissa = pattern.slice(0, exponentMatch.index);
+        const decimals = (mantissa.split('.')[1] || '').length;
+        const [digits, exponent] = abs.toExponential(decimals).split('e');
+        const exp = parseInt(exponent, 10);
+        return (negative ? '-' : '') + digits + 'E' + (exp < 0 ? '-' : '+') + String(Math.abs(exp)).padStart(2, '0');
+    }
+
+    // 끝자리 쉼표는 1000 단위 축소
+    let trimmed = pattern;
+    while (/,$/.test(trimmed)) {
+        abs /= 1000;
+        trimmed = trimmed.slice(0, -1);
+    }
+
+    const [integerPattern, decimalPattern = ''] = trimmed.split('.');
+    const maxDecimals = (decimalPattern.match(/[#0?]/g) || []).length;
+    const minDecimals = (decimalPattern.match(/0/g) || []).length;
+    const minInteger = (integerPattern.match(/0/g) || []).length;
+    const useGrouping = integerPattern.includes(',');
+
+    let [integerPart, decimalPart = ''] = abs.toFixed(maxDecimals).split('.');
+    decimalPart = decimalPart.replace(/0+$/, '');
+    while (decimalPart.length < minDecimals) decimalPart += '0';
+
+    if (integerPart === '0' && minInteger === 0) {
+        integerPart = '';
+    }
+    integerPart = integerPart.padStart(minInteger, '0');
+    if (useGrouping) {
+        integerPart = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    }
+
+    const result = decimalPart ? `${integerPart}.${decimalPart}` : integerPart;
+    return (negative ? '-' : '') + (result || '0');
+}
+
+// Excel 날짜 일련번호를 서식에 맞춰 표시
+function formatDate(serial, section, date1904) {
+    const ms = Math.round((serial - (date1904 ? 24107 : 25569)) * 86400000);
+    const date = new Date(ms);
+    if (isNaN(date.getTime())) return String(serial);
+
+    const parts = {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth(),
+        day: date.getUTCDate(),
+        weekday: date.getUTCDay(),
+        hours: date.getUTCHours(),
+        minutes: date.getUTCMinutes(),
+        seconds: date.getUTCSeconds() + (date.getUTCMilliseconds() / 1000)
+    };
+    const hasAmPm = /AM\/PM|A\/P|오전\/오후/i.test(section);
+
+    // 토큰화 후 m/mm이 분인지 월인지 결정
+    const tokens = [];
+    for (let i = 0; i < section.length;) {
+        const rest = section.slice(i);
+        let match;
+        if (rest[0] === '"') {
+            const end = section.indexOf('"', i + 1);
+            tokens.push({ type: 'literal', text: section.slice(i + 1, end === -1 ? undefined : end) });
+            i = end === -1 ? section.length : end + 1;
+        } else if (rest[0] === '\\') {
+            tokens.push({ type: 'literal', text: rest[1] || '' });
+            i += 2;
+        } else if (rest[0] === '[') {
+            const end = section.indexOf(']', i);
+            const content = section.slice(i + 1, end === -1 ? undefined : end);
+            if (/^(h+|m+|s+)$/i.test(content)) {
+                tokens.push({ type: 'token', text: content.toLowerCase(), elapsed: true });
+            }
+            i = end === -1 ? section.length : end + 1;
+        } else if ((match = rest.match(/^(AM\/PM|A\/P|오전\/오후)/i))) {
+            tokens.push({ type: 'ampm', text: match[1] });
+            i += match[1].length;
+        } else if ((match = rest.match(/^(yyyy|yy|mmmmm|mmmm|mmm|mm|m|dddd|ddd|dd|d|aaaa|aaa|hh|h|ss|s)/i))) {
+            tokens.push({ type: 'token', text: match[1].toLowerCase() });
+            i += match[1].length;
+        } else if ((match = rest.match(/^\.0+/))) {
+            tokens.push({ type: 'fraction', text: match[0] });
+            i += match[0].length;
+        } else if (rest[0] === '_' || rest[0] === '*') {
+            i += 2;
+        } else {
+            tokens.push({ type: 'literal', text: rest[0] });
+            i += 1;
+        }
+    }
+
+    tokens.forEach((token, index) => {
+        if (token.type !== 'token' || !/^m{1,2}$/.test(token.text)) return;
+        const previous = tokens.slice(0, index).reverse().find(t => t.type === 'token');
+        const next = tokens.slice(index + 1).find(t => t.type === 'token');
+        if ((previous && /^h/.test(previous.text)) || (next && /^s/.test(next.text))) {
+            token.minutes = true;
+        }
+    });
+
+    const pad = (n, len = 2) => String(n).padStart(len, '0');
+    return tokens.map(token => {
+        if (token.type === 'literal') return token.text;
+        if (token.type === 'ampm') {
+            if (/오전/.test(token.text)) return parts.hours < 12 ? '오전' : '오후';
+            if (/A\/P/i.test(token.text)) return parts.hours < 12 ? 'A' : 'P';
+            return parts.hours < 12 ? 'AM' : 'PM';
+        }
+        if (token.type === 'fraction') {
+            const digits = token.text.length - 1;
+            return '.' + pad(Math.round((parts.seconds % 1) * Math.pow(10, digits)), digits);
+        }
+
+        const hours12 = parts.hours % 12 === 0 ? 12 : parts.hours % 12;
+        const hours = hasAmPm ? hours12 : parts.hours;
+        switch (token.text) {
+            case 'yyyy': return String(parts.year);
+            case 'yy': return pad(parts.year % 100);
+            case 'mmmmm': return MONTHS_EN[parts.month][0];
+            case 'mmmm':
+            case 'mmm': return MONTHS_EN[parts.month];
+            case 'mm': return token.minutes ? pad(parts.minutes) : pad(parts.month + 1);
+            case 'm': return token.minutes ? String(parts.minutes) : String(parts.month + 1);
+            case 'dddd':
+            case 'ddd': return WEEKDAYS_EN[parts.weekday];
+            case 'dd': return pad(parts.day);
+            case 'd': return String(parts.day);
+            case 'aaaa': return WEEKDAYS_KO[parts.weekday] + '요일';
+            case 'aaa': return WEEKDAYS_KO[parts.weekday];
+            case 'hh': return token.elapsed ? pad(Math.floor(serial * 24)) : pad(hours);
+            case 'h': return token.elapsed ? String(Math.floor(serial * 24)) : String(hours);
+            case 'ss': return pad(Math.floor(parts.seconds));
+            case 's': return String(Math.floor(parts.seconds));
+            default: return '';
+        }
+    }).join('');
+}
+
+// 셀 주소 변환 함수들
+function cellKey(row, col) {
+    return `${row},${col}`;
+}
+
+function columnName(col) {
+    let name = '';
+    let n = col + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        name = String.fromCharCode(65 + remainder) + name;
+        n = Math.floor((n - 1) / 26);
+    }
+    return name;
+}
+
+function decodeCellRef(ref) {
+    const match = ref.replace(/\$/g, '').match(/^([A-Z]+)(\d+)$/i);
+    if (!match) return { row: 0, col: 0 };
+
+    let col = 0;
+    for (const ch of match[1].toUpperCase()) {
+        col = col * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return { row: parseInt(match[2], 10) - 1, col: col - 1 };
+}
+
+function decodeRange(ref) {
+    const [start, end] = ref.split(':');
+    if (!start) return null;
+    return { start: decodeCellRef(start), end: decodeCellRef(end || start) };
+}
+
+function encodeRange(range) {
+    const start = columnName(range.start.col) + (range.start.row + 1);
+    const end = columnName(range.end.col) + (range.end.row + 1);
+    return start === end ? start : `${start}:${end}`;
+}
+
+// 시트 사용 범위 (빈 시트는 null)
+function sheetRange(sheet) {
+    if (sheet.maxRow < 0 || sheet.maxCol < 0) return null;
+    return {
+        start: { row: sheet.minRow, col: sheet.minCol },
+        end: { row: sheet.maxRow, col: sheet.maxCol }
+    };
+}
+
+// 시트를 표시 문자열의 2차원 배열로 변환
+function sheetToRows(sheet) {
+    const range = sheetRange(sheet);
+    if (!range) return [];
+
+    const rows = [];
+    for (let row = range.start.row; row <= range.end.row; row++) {
+        const values = [];
+        for (let col = range.start.col; col <= range.end.col; col++) {
+            const cell = sheet.cells.get(cellKey(row, col));
+            values.push(cell ? cell.text : '');
+        }
+        rows.push(values);
+    }
+    return rows;
+}
+
+// CSV 변환 (RFC 4180 따옴표 처리)
+function sheetToCsv(sheet) {
+    return sheetToRows(sheet)
+        .map(values => values.map(value => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(','))
+        .join('\r\n');
+}
+
+// JSON 변환: 표시 문자열 행렬과 셀별 원본 값/수식
+function sheetToJson(sheet) {
+    const range = sheetRange(sheet);
+    const cells = [];
+
+    sheet.cells.forEach((cell, key) => {
+        const [row, col] = key.split(',').map(Number);
+        cells.push({
+            ref: columnName(col) + (row + 1),
+            row: row + 1,
+            column: columnName(col),
+            type: cell.kind,
+            value: cell.value,
+            text: cell.text,
+            formula: cell.formula
+        });
+    });
+    cells.sort((a, b) => a.row - b.row || decodeCellRef(a.ref).col - decodeCellRef(b.ref).col);
+
+    return {
+        sheet: sheet.name,
+        index: sheet.index,
+        hidden: sheet.hidden,
+        range: range ? encodeRange(range) : null,
+        merges: sheet.merges.map(encodeRange),
+        rows: sheetToRows(sheet),
+        cells
+    };
+}
+
+// 검색용 본문 텍스트 추출 (시트 하나를 1페이지로, 셀은 탭, 행은 줄바꿈으로 구분)
+async function extractWorkbookText(filePath) {
+    const { sheets } = await readWorkbook(filePath);
+    const zip = await loadPackage(filePath, 'XLSX');
+
+    return {
+        pageCount: sheets.length,
+        info: await readCoreProperties(zip),
+        pages: sheets.map(sheet => ({
+            pageNumber: sheet.index + 1,
+            text: [sheet.name, ...sheetToRows(sheet)
+                .map(values => values.filter(value => String(value).trim()).join('\t'))
+                .filter(line => line)]
+                .join('\n')
+        }))
+    };
+}
+
+module.exports = {
+    readWorkbook,
+    extractWorkbookText,
+    formatCellValue,
+    sheetRange,
+    sheetToRows,
+    sheetToCsv,
+    sheetToJson,
+    cellKey,
+    columnName,
+    encodeRange
+};
@@ -0,0 +1,327 @@
+// lib/zip.js - 폴더/여러 파일 zip 내려받기 (압축 파일을 메모리에 만들지 않고 스트림으로 전송)와 업로드한 zip 풀기
+// 항목은 [{ path: '보고서/2024/결과.pdf', filePath, date }] 또는 빈 폴더 [{ path: '보고서/빈 폴더', directory: true, date }]
+// 파일은 순서대로 하나씩 열어서 압축하고, 한글 이름은 UTF-8 플래그(bit 11)를 켜서 저장한다
+// zip 을 풀 때 UTF-8 플래그가 없는 이름은 한국어 Windows 기본 인코딩(CP949)으로 읽고,
+// 압축 밖을 가리키는 경로(zip slip)와 풀면 지나치게 커지는 파일(zip bomb)이 있으면 거부한다
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const stream = require('stream');
+const JSZip = require('jszip');
+const iconv = require('iconv-lite');
+
+const { Readable, Transform } = stream;
+const pipeline = util.promisify(stream.pipeline);
+
+// 이미 압축된 형식은 다시 압축하지 않고 그대로 저장 (CPU 절약)
+const STORED_EXTENSIONS = new Set([
+    '.zip', '.docx', '.xlsx', '.pptx', '.hwpx', '.odt', '.ods', '.odp',
+    '.jpg', '.jpeg', '.png', '.gif', '.webp', '.mp3', '.mp4', '.avi', '.mov', '.7z', '.gz', '.rar'
+]);
+
+// JSZip 은 zip 파일 전체를 메모리에 읽으므로 풀 수 있는 zip 파일 자체의 크기도 제한
+const MAX_ZIP_FILE_SIZE = 100 * 1024 * 1024;
+
+// zip 풀기 제한: 항목 수, 풀었을 때 전체 크기와 파일 하나 크기, 압축률 (작은 파일은 압축률을 보지 않음)
+const MAX_UNZIP_ENTRIES = 5000;
+const MAX_UNZIP_TOTAL_SIZE = 1024 * 1024 * 1024;
+const MAX_UNZIP_FILE_SIZE = 200 * 1024 * 1024;
+const MAX_COMPRESSION_RATIO = 200;
+const RATIO_CHECK_MIN_SIZE = 1024 * 1024;
+
+// 풀지 않고 건너뛰는 항목 (macOS/Windows 가 만드는 부가 파일)
+const IGNORED_ENTRY_PATTERN = /(^|\/)(__MACOSX|\.DS_Store|Thumbs\.db|desktop\.ini)(\/|$)/i;
+
+// 확장자별 MIME 형식 (zip 안의 파일은 브라우저가 알려 주지 않으므로)
+// 브라우저에서 스크립트가 실행될 수 있는 형식(.html, .svg, .xml 등)은 넣지 않음 → application/octet-stream
+const MIME_TYPES = {
+    '.pdf': 'application/pdf',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.ppt': 'application/vnd.ms-powerpoint',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    '.hwp': 'application/x-hwp',
+    '.hwpx': 'application/hwp+zip',
+    '.txt': 'text/plain',
+    '.csv': 'text/csv',
+    '.json': 'application/json',
+    '.eml': 'message/rfc822',
+    '.zip': 'application/zip',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.bmp': 'image/bmp',
+    '.webp': 'image/webp',
+    '.tif': 'image/tiff',
+    '.tiff': 'image/tiff',
+    '.mp3': 'audio/mpeg',
+    '.mp4': 'video/mp4'
+};
+
+// zip 스트림 만들기 (Readable, 전송이 끝나면 'end')
+function createZipStream(entries) {
+    const zip = new JSZip();
+
+    entries.forEach(entry => {
+        if (entry.directory) {
+            zip.file(entry.path, null, { dir: true, date: zipDate(entry.date) });
+            return;
+        }
+
+        const extension = path.extname(entry.path).toLowerCase();
+        zip.file(entry.path, lazyFileStream(entry.filePath), {
+            binary: true,
+            date: zipDate(entry.date),
+            compression: STORED_EXTENSIONS.has(extension) ? 'STORE' : 'DEFLATE'
+        });
+    });
+
+    // streamFiles: 파일마다 크기와 CRC를 뒤에 붙이는 방식(data descriptor)으로 압축 결과를 바로 내보냄
+    return zip.generateNodeStream({
+        type: 'nodebuffer',
+        streamFiles: true,
+        compressionOptions: { level: 6 }
+    });
+}
+
+// zip 시각은 시간대 없이 기록되는데 JSZip은 UTC 시각을 쓰므로 서버 현지 시각이 기록되도록 보정
+function zipDate(date) {
+    const value = date || new Date();
+    return new Date(value.getTime() - value.getTimezoneOffset() * 60 * 1000);
+}
+
+// 처음 읽을 때 여는 파일 스트림 (파일이 많아도 동시에 하나씩만 열림)
+function lazyFileStream(filePath) {
+    let source = null;
+    const lazyStream = new Readable({
+        read() {
+            if (source) {
+                source.resume();
+                return;
+            }
+
+            source = fs.createReadStream(filePath);
+            source.on('data', chunk => {
+                if (!lazyStream.push(chunk)) source.pause();
+            });
+            source.on('end', () => lazyStream.push(null));
+            source.on('error', error => lazyStream.destroy(error));
+        }
+    });
+    return lazyStream;
+}
+
+// zip 안의 경로 한 단계로 쓸 수 있는 이름 (경로 구분자와 '.', '..' 제외)
+function safeEntryName(name) {
+    const cleaned = String(name || '').replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim();
+    return cleaned && !/^\.+$/.test(cleaned) ? cleaned : '_';
+}
+
+// 업로드한 zip 읽기 → { folders: [['상위', '하위'], ...], files: [{ segments: ['상위', '결과.pdf'], size, entry }] }
+// folders 는 상위 폴더가 먼저 나오는 순서, 잘못된 zip 이나 제한을 넘는 zip 은 읽기 쉬운 오류로 거부
+async function readZipArchive(filePath) {
+    const stat = await fs.promises.stat(filePath);
+    if (stat.size > MAX_ZIP_FILE_SIZE) {
+        throw new Error(`zip 파일이 너무 커서 풀 수 없습니다. (최대 ${formatSize(MAX_ZIP_FILE_SIZE)})`);
+    }
+
+    const buffer = await fs.promises.readFile(filePath);
+    let zip;
+    let entrySizes;
+    try {
+        zip = await JSZip.loadAsync(buffer, { decodeFileName: decodeEntryName });
+        entrySizes = readEntrySizes(buffer);
+    } catch (error) {
+        console.error('zip 열기 오류:', error.message);
+        throw new Error(/encrypted/i.test(error.message)
+            ? '암호가 걸린 zip 파일은 풀 수 없습니다.'
+            : 'zip 파일을 해석할 수 없습니다. 파일이 손상되었거나 올바른 형식이 아닙니다.');
+    }
+
+    const entries = Object.values(zip.files);
+    if (entries.length > MAX_UNZIP_ENTRIES) {
+        throw new Error(`zip 파일의 항목이 너무 많습니다. (${entries.length}개, 최대 ${MAX_UNZIP_ENTRIES}개)`);
+    }
+
+    const folderKeys = new Set();
+    const folders = [];
+    const files = [];
+    const addFolder = (segments) => {
+        for (let depth = 1; depth <= segments.length; depth++) {
+            const key = segments.slice(0, depth).join('/');
+            if (!folderKeys.has(key)) {
+                folderKeys.add(key);
+                folders.push(segments.slice(0, depth));
+            }
+        }
+    };
+
+    let totalSize = 0;
+    entries.forEach(entry => {
+        // JSZip 이 '..' 을 정리하기 전의 원래 이름으로 압축 밖을 가리키는지 확인
+        const originalName = (entry.unsafeOriginalName || entry.name).replace(/\\/g, '/');
+        if (/^([a-z]:)?\//i.test(originalName) || originalName.split('/').includes('..')) {
+            throw new Error(`zip 파일에 허용되지 않는 경로가 있습니다: ${originalName}`);
+        }
+        if (IGNORED_ENTRY_PATTERN.test(originalName)) return;
+
+        const segments = originalName.split('/').filter(part => part && part !== '.').map(part => safeEntryName(part.normalize('NFC')));
+        if (segments.length === 0) return;
+
+        if (entry.dir) {
+            addFolder(segments);
+            return;
+        }
+
+        // 심볼릭 링크는 풀지 않음
+        if (entry.unixPermissions && (entry.unixPermissions & 0o170000) === 0o120000) return;
+
+        const sizes = entrySizes.get(entry.unsafeOriginalName || entry.name);
+        if (!sizes) {
+            throw new Error('zip 파일을 해석할 수 없습니다. 파일이 손상되었거나 올바른 형식이 아닙니다.');
+        }
+        const { size, compressedSize } = sizes;
+        checkUnzipSize(originalName, size, compressedSize);
+        totalSize += size;
+        if (totalSize > MAX_UNZIP_TOTAL_SIZE) {
+            throw new Error(`zip 파일을 풀면 너무 큽니다. (최대 ${formatSize(MAX_UNZIP_TOTAL_SIZE)})`);
+        }
+
+        addFolder(segments.slice(0, -1));
+        files.push({ segments, size, entry });
+    });
+
+    return { folders, files };
+}
+
+// zip 항목을 파일로 풀기 (zip 에 적힌 크기보다 많이 나오면 중단하고 오류) → 실제 크기
+async function extractZipEntry(file, destinationPath) {
+    let written = 0;
+    const limit = Math.min(file.size, MAX_UNZIP_FILE_SIZE);
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            written += chunk.length;
+            if (written > limit) {
+                callback(new Error(`zip 파일에 적힌 크기보다 큰 항목이 있습니다: ${file.segments.join('/')}`));
+                return;
+            }
+            callback(null, chunk);
+        }
+    });
+
+    try {
+        await pipeline(file.entry.nodeStream('nodebuffer'), counter, fs.createWriteStream(destinationPath));
+    } catch (error) {
+        await fs.promises.unlink(destinationPath).catch(() => {});
+        throw error;
+    }
+    return written;
+}
+
+function checkUnzipSize(name, size, compressedSize) {
+    if (size > MAX_UNZIP_FILE_SIZE) {
+        throw new Error(`zip 파일 안의 파일이 너무 큽니다: ${name} (최대 ${formatSize(MAX_UNZIP_FILE_SIZE)})`);
+    }
+    if (size >= RATIO_CHECK_MIN_SIZE && size > compressedSize * MAX_COMPRESSION_RATIO) {
+        throw new Error(`압축률이 비정상적으로 높은 파일이 있어 풀 수 없습니다: ${name}`);
+    }
+}
+
+// zip 중앙 디렉토리에 적힌 항목 크기 → Map(항목 이름 → { size, compressedSize })
+// 이름은 JSZip 과 같은 방식으로 해석하고 (UTF-8 플래그, 유니코드 경로 확장 필드, decodeEntryName)
+// 같은 이름이 여러 번 있으면 더 큰 항목, ZIP64 크기는 확장 필드에서 읽음
+function readEntrySizes(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (end < 0) throw new Error('zip 끝 레코드가 없습니다.');
+
+    let count = buffer.readUInt16LE(end + 10);
+    let directorySize = buffer.readUInt32LE(end + 12);
+    let directoryEnd = end;
+    const locator = end - 20;
+    if (locator >= 0 && buffer.readUInt32LE(locator) === 0x07064b50) {
+        // ZIP64 끝 레코드는 보통 locator 바로 앞 (앞에 다른 데이터가 붙은 zip 은 기록된 위치가 어긋남)
+        const recorded = Number(buffer.readBigUInt64LE(locator + 8));
+        const zip64End = [recorded, locator - 56].find(offset =>
+            offset >= 0 && offset + 56 <= buffer.length && buffer.readUInt32LE(offset) === 0x06064b50);
+        if (zip64End !== undefined) {
+            count = Number(buffer.readBigUInt64LE(zip64End + 32));
+            directorySize = Number(buffer.readBigUInt64LE(zip64End + 40));
+            directoryEnd = zip64End;
+        }
+    }
+
+    const sizes = new Map();
+    let offset = directoryEnd - directorySize;
+    for (let index = 0; index < count; index++) {
+        if (offset < 0 || offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+            throw new Error('zip 중앙 디렉토리가 올바르지 않습니다.');
+        }
+
+        const flags = buffer.readUInt16LE(offset + 8);
+        let compressedSize = buffer.readUInt32LE(offset + 20);
+        let size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const nameBytes = buffer.subarray(offset + 46, offset + 46 + nameLength);
+        let name = flags & 0x0800 ? nameBytes.toString('utf8') : null;
+
+        const extraEnd = offset + 46 + nameLength + extraLength;
+        for (let field = offset + 46 + nameLength; field + 4 <= extraEnd;) {
+            const id = buffer.readUInt16LE(field);
+            const length = buffer.readUInt16LE(field + 2);
+            const data = buffer.subarray(field + 4, Math.min(field + 4 + length, extraEnd));
+            if (id === 0x0001) {
+                let position = 0;
+                if (size === 0xffffffff && position + 8 <= data.length) {
+                    size = Number(data.readBigUInt64LE(position));
+                    position += 8;
+                }
+                if (compressedSize === 0xffffffff && position + 8 <= data.length) {
+                    compressedSize = Number(data.readBigUInt64LE(position));
+                }
+            } else if (id === 0x7075 && name === null && data.length > 5 && data[0] === 1) {
+                name = data.subarray(5).toString('utf8');
+            }
+            field += 4 + length;
+        }
+        if (name === null) name = decodeEntryName(nameBytes);
+
+        const previous = sizes.get(name);
+        if (!previous || size > previous.size) sizes.set(name, { size, compressedSize });
+        offset = extraEnd + commentLength;
+    }
+    return sizes;
+}
+
+// UTF-8 플래그가 없는 항목 이름: 올바른 UTF-8 이면 UTF-8(macOS), 아니면 CP949(한국어 Windows)
+// macOS 가 만든 zip 은 한글이 자모로 나뉘어(NFD) 있으므로 NFC 로 합침
+function decodeEntryName(bytes) {
+    const buffer = Buffer.from(bytes);
+    let name;
+    try {
+        name = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        name = iconv.decode(buffer, 'cp949');
+    }
+    return name.normalize('NFC');
+}
+
+function mimeTypeFor(fileName) {
+    return MIME_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+}
+
+function formatSize(bytes) {
+    return `${Math.round(bytes / 1024 / 1024)}MB`;
+}
+
+module.exports = {
+    createZipStream,
+    safeEntryName,
+    readZipArchive,
+    extractZipEntry,
+    mimeTypeFor
+};
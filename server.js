@@ -5,21 +5,146 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 const cors = require('cors');
+const crypto = require('crypto');
+const { pipeline, Transform } = require('stream');
+const { convertDocxToHtml, extractDocxText } = require('./lib/docx');
+const {
+    readWorkbook,
+    extractWorkbookText,
+    sheetRange,
+    sheetToCsv,
+    sheetToJson,
+    cellKey,
+    columnName,
+    encodeRange
+} = require('./lib/xlsx');
+const { readPresentation, extractPresentationText } = require('./lib/pptx');
+const { extractPdf, PDFJS_DIR } = require('./lib/pdf');
+const { readHangulDocument, extractHangulText } = require('./lib/hwp');
+const { toIndexText, buildSearchQuery, buildSnippet, buildExcerpt, containedTerms, findBestPassage } = require('./lib/search');
+const { getAnswerProvider, listAnswerProviders } = require('./lib/answer');
+const { buildRelatedIndex, findRelated, findSimilar } = require('./lib/related');
+const { getSummaryProvider, listSummaryProviders } = require('./lib/summary');
+const { isMailFile, readMailFile } = require('./lib/mail');
+const { createZipStream, safeEntryName, readZipArchive, extractZipEntry, mimeTypeFor } = require('./lib/zip');
+const { thumbnailKind, createThumbnail } = require('./lib/thumbnail');
+const { isOcrImage, extractImageText, recognizeEmptyPdfPages } = require('./lib/ocr');
+const { METADATA_FIELDS, normalizeTags, normalizeFieldValue, buildMetadataFilter } = require('./lib/metadata');
+const { RULE_TARGETS, rankFolders, pickAutoFolder } = require('./lib/classify');
+const {
+    SESSION_DAYS,
+    DUMMY_PASSWORD_HASH,
+    hashPassword,
+    verifyPassword,
+    createSessionToken,
+    hashToken,
+    readSessionToken,
+    sessionCookie
+} = require('./lib/auth');
+const { PERMISSIONS, hasPermission, isPermission, resolveFolderPermissions } = require('./lib/permissions');
 
 const app = express();
 const PORT = 3000;
 
+// 엑셀 미리보기에서 시트당 표시할 최대 행 수 (전체 데이터는 CSV/JSON 내보내기로 제공)
+const MAX_PREVIEW_SHEET_ROWS = 500;
+
+// PowerPoint 슬라이드 좌표 단위 (1pt = 12700 EMU)
+const EMU_PER_POINT = 12700;
+
+// 검색 결과 페이지 크기 (기본값, 최대값)와 파일당 표시할 본문 일치 위치 수
+const DEFAULT_SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 100;
+const MAX_SEARCH_MATCHES_PER_FILE = 10;
+
+// 자연어 질의에서 참고할 문서 수(기본값, 최대값)와 문서당 근거 발췌 수
+const DEFAULT_QUERY_DOCUMENTS = 5;
+const MAX_QUERY_DOCUMENTS = 20;
+const MAX_QUERY_PASSAGES = 3;
+
+// 연관 문서 수 (기본값, 최대값)
+const DEFAULT_RELATED_DOCUMENTS = 5;
+const MAX_RELATED_DOCUMENTS = 20;
+
+// 문서와 관련된 메일 중 내용 유사도로 찾는 최대 수
+const MAX_RELATED_EMAILS = 10;
+
+// 문서 대화: 답변 근거로 찾는 발췌 수, 답변 제공자에 함께 보내는 이전 메시지 수
+const MAX_CHAT_PASSAGES = 5;
+const MAX_CHAT_HISTORY_MESSAGES = 10;
+
+// 계정: 아이디 길이(최소, 최대)와 비밀번호 최소 길이
+const MIN_USERNAME_LENGTH = 3;
+const MAX_USERNAME_LENGTH = 32;
+const MIN_PASSWORD_LENGTH = 8;
+
+// 파일/폴더 이름 최대 길이
+const MAX_ITEM_NAME_LENGTH = 255;
+
+// 휴지통 보관 기간(일, ASKDOC_TRASH_RETENTION_DAYS 환경 변수, 0 이면 자동으로 비우지 않음)과 기간이 지난 항목 확인 주기
+const TRASH_RETENTION_DAYS = process.env.ASKDOC_TRASH_RETENTION_DAYS !== undefined
+    ? parseInt(process.env.ASKDOC_TRASH_RETENTION_DAYS) || 0
+    : 30;
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// 나누어 올리기: 조각 최대 크기, 파일 최대 크기(ASKDOC_MAX_UPLOAD_SIZE 환경 변수, 바이트),
+// 이어지지 않은 세션 보관 시간과 확인 주기
+const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024;
+const MAX_CHUNKED_UPLOAD_SIZE = parseInt(process.env.ASKDOC_MAX_UPLOAD_SIZE) || 2 * 1024 * 1024 * 1024;
+const UPLOAD_SESSION_HOURS = 24;
+const UPLOAD_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// 업로드 전에 한 번에 확인할 수 있는 파일(해시) 수
+const MAX_DUPLICATE_CHECK = 1000;
+
+// 백그라운드 작업(본문 추출, 썸네일, 요약): 동시에 처리하는 작업 수(ASKDOC_JOB_WORKERS 환경 변수),
+// 최대 시도 횟수와 재시도 대기 시간(1분, 2분, 4분 ... 으로 늘어남), 대기 중인 작업 확인 주기, 완료한 작업 기록 보관 기간
+const JOB_WORKERS = parseInt(process.env.ASKDOC_JOB_WORKERS) || 2;
+const JOB_MAX_ATTEMPTS = 3;
+const JOB_RETRY_BASE_SECONDS = 60;
+const JOB_POLL_INTERVAL = 5 * 1000;
+const JOB_HISTORY_DAYS = 7;
+const JOB_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// 폴더 추천 (/api/classify): 본문을 읽는 최대 파일 크기(더 크면 파일명만 사용), 비교할 비슷한 문서 수, 분류 규칙 키워드 최대 길이
+const MAX_CLASSIFY_TEXT_SIZE = 10 * 1024 * 1024;
+const MAX_CLASSIFY_SIMILAR_DOCUMENTS = 200;
+const MAX_RULE_KEYWORD_LENGTH = 50;
+
+// 로그인 없이 호출할 수 있는 API (/api 기준 경로)
+const PUBLIC_API_PATHS = ['/auth/register', '/auth/login', '/auth/logout'];
+
 // 미들웨어 설정
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
+// API는 로그인한 사용자만 사용 (req.user)
+app.use('/api', requireLogin);
+
+// PDF 미리보기용 pdf.js 브라우저 파일 (스크립트, 텍스트 레이어 CSS, 한글 CMap)
+['build', 'web', 'cmaps', 'standard_fonts'].forEach(dir => {
+    app.use(`/vendor/pdfjs/${dir}`, express.static(path.join(PDFJS_DIR, dir)));
+});
+
 // 업로드 디렉토리 생성
 const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
     fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
+// 나누어 올리는 중인 파일 (완료하면 uploads 로 옮김)
+const partialUploadsDir = path.join(uploadsDir, 'partial');
+if (!fs.existsSync(partialUploadsDir)) {
+    fs.mkdirSync(partialUploadsDir, { recursive: true });
+}
+
+// 파일 목록 격자 보기용 썸네일 (저장 파일 내용 해시별 JPEG, 같은 내용의 파일은 썸네일도 하나)
+const thumbnailsDir = path.join(uploadsDir, 'thumbnails');
+if (!fs.existsSync(thumbnailsDir)) {
+    fs.mkdirSync(thumbnailsDir, { recursive: true });
+}
+
 // 파일 업로드 설정
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
@@ -51,6 +176,7 @@ db.serialize(() => {
         name TEXT NOT NULL,
         parent_id INTEGER,
         tab_type TEXT CHECK(tab_type IN ('my', 'public')) NOT NULL,
+        owner_id INTEGER,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (parent_id) REFERENCES folders (id) ON DELETE CASCADE
     )`);
@@ -65,10 +191,316 @@ db.serialize(() => {
         mime_type TEXT,
         folder_id INTEGER,
         tab_type TEXT CHECK(tab_type IN ('my', 'public')) NOT NULL,
+        owner_id INTEGER,
+        version INTEGER NOT NULL DEFAULT 1,
+        updated_by INTEGER,
+        updated_at DATETIME,
+        sha256 TEXT,
+        auto_classify_by INTEGER,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (folder_id) REFERENCES folders (id) ON DELETE CASCADE
     )`);
 
+    // 파일 이전 버전 테이블 (새 버전을 올리거나 이전 버전을 복원하면 바뀌기 전 내용을 보관, 현재 버전은 files 행)
+    db.run(`CREATE TABLE IF NOT EXISTS file_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_id INTEGER NOT NULL,
+        version INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        original_name TEXT NOT NULL,
+        file_path TEXT NOT NULL,
+        file_size INTEGER NOT NULL,
+        mime_type TEXT,
+        uploaded_by INTEGER,
+        sha256 TEXT,
+        created_at DATETIME,
+        UNIQUE (file_id, version),
+        FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
+    )`);
+
+    // 문서 페이지별 텍스트 테이블 (PDF는 페이지, 한글 문서는 구역 단위로 추출한 본문)
+    db.run(`CREATE TABLE IF NOT EXISTS file_pages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_id INTEGER NOT NULL,
+        page_number INTEGER NOT NULL,
+        content TEXT,
+        UNIQUE (file_id, page_number),
+        FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
+    )`);
+
+    // 글자 인식(OCR) 결과 테이블 (스캔 이미지와 글자가 없는 PDF 페이지)
+    // words: [{ text, confidence, line, bbox: [x0, y0, x1, y1] }] JSON
+    // 좌표는 원본을 시계 방향으로 rotation 만큼 돌려 세운 width x height 이미지 기준
+    db.run(`CREATE TABLE IF NOT EXISTS ocr_pages (
+        file_id INTEGER NOT NULL,
+        page_number INTEGER NOT NULL,
+        width INTEGER NOT NULL,
+        height INTEGER NOT NULL,
+        rotation INTEGER DEFAULT 0,
+        confidence INTEGER,
+        words TEXT NOT NULL,
+        PRIMARY KEY (file_id, page_number),
+        FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
+    )`);
+
+    // 문서 정보 테이블 (페이지 수, 제목, 작성자, 작성일 등 추출 결과)
+    db.run(`CREATE TABLE IF NOT EXISTS document_info (
+        file_id INTEGER PRIMARY KEY,
+        page_count INTEGER,
+        title TEXT,
+        author TEXT,
+        subject TEXT,
+        keywords TEXT,
+        creator TEXT,
+        producer TEXT,
+        created_date TEXT,
+        modified_date TEXT,
+        text_length INTEGER DEFAULT 0,
+        extract_error TEXT,
+        extracted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
+    )`);
+
+    // 문서 요약 테이블 (요약을 만든 제공자, 모델, 버전과 요약에 쓴 원문 문장 JSON)
+    db.run(`CREATE TABLE IF NOT EXISTS document_summaries (
+        file_id INTEGER PRIMARY KEY,
+        provider TEXT NOT NULL,
+        model TEXT,
+        version TEXT,
+        summary TEXT NOT NULL,
+        sentences TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
+    )`);
+
+    // 문서 대화 테이블 (사용자별 대화, 대화 범위는 파일/폴더 하위 전체/탭)
+    db.run(`CREATE TABLE IF NOT EXISTS chat_conversations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        scope_type TEXT CHECK(scope_type IN ('file', 'folder', 'tab')) NOT NULL,
+        scope_id TEXT NOT NULL,
+        title TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // 문서 대화 메시지 테이블 (답변의 인용 근거는 JSON)
+    db.run(`CREATE TABLE IF NOT EXISTS chat_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL,
+        role TEXT CHECK(role IN ('user', 'assistant')) NOT NULL,
+        content TEXT NOT NULL,
+        citations TEXT,
+        provider TEXT,
+        model TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (conversation_id) REFERENCES chat_conversations (id) ON DELETE CASCADE
+    )`);
+
+    // 메일 테이블 (.eml/.mbox 에서 가져온 메일, 원문은 uploads 에 .eml 로 보관)
+    db.run(`CREATE TABLE IF NOT EXISTS emails (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id TEXT,
+        subject TEXT,
+        from_address TEXT,
+        to_addresses TEXT,
+        cc_addresses TEXT,
+        sent_at TEXT,
+        body_text TEXT,
+        raw_path TEXT,
+        folder_id INTEGER,
+        tab_type TEXT CHECK(tab_type IN ('my', 'public')) NOT NULL,
+        owner_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (folder_id) REFERENCES folders (id) ON DELETE SET NULL
+    )`);
+
+    // 메일 첨부 파일 테이블 (첨부 파일은 일반 파일로 저장하고 메일과 연결, SHA-256으로 같은 파일 확인)
+    db.run(`CREATE TABLE IF NOT EXISTS email_attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email_id INTEGER NOT NULL,
+        file_id INTEGER,
+        filename TEXT NOT NULL,
+        content_type TEXT,
+        file_size INTEGER,
+        sha256 TEXT,
+        FOREIGN KEY (email_id) REFERENCES emails (id) ON DELETE CASCADE
+    )`);
+
+    // 사용자 테이블 (비밀번호는 salt를 붙인 scrypt 해시, lib/auth.js)
+    db.run(`CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        display_name TEXT,
+        is_admin INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // 로그인 세션 테이블 (토큰 원문은 저장하지 않고 SHA-256 해시만 저장)
+    db.run(`CREATE TABLE IF NOT EXISTS sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )`);
+
+    // 팀 테이블
+    db.run(`CREATE TABLE IF NOT EXISTS teams (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // 팀 구성원 테이블
+    db.run(`CREATE TABLE IF NOT EXISTS team_members (
+        team_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (team_id, user_id),
+        FOREIGN KEY (team_id) REFERENCES teams (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )`);
+
+    // 공용 문서함 폴더 팀 권한 테이블 (하위 폴더가 물려받음, lib/permissions.js)
+    db.run(`CREATE TABLE IF NOT EXISTS folder_permissions (
+        folder_id INTEGER NOT NULL,
+        team_id INTEGER NOT NULL,
+        permission TEXT CHECK(permission IN ('read', 'upload', 'manage')) NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (folder_id, team_id),
+        FOREIGN KEY (folder_id) REFERENCES folders (id) ON DELETE CASCADE,
+        FOREIGN KEY (team_id) REFERENCES teams (id) ON DELETE CASCADE
+    )`);
+
+    // 저장 파일 테이블 (같은 내용의 파일은 uploads 에 한 번만 저장, 내용의 SHA-256 으로 찾음)
+    // ref_count: 이 저장 파일을 쓰는 files 행과 file_versions 행의 수 (휴지통에 있는 파일 포함, 0 이 되면 저장 파일 삭제)
+    db.run(`CREATE TABLE IF NOT EXISTS stored_files (
+        sha256 TEXT PRIMARY KEY,
+        file_path TEXT NOT NULL,
+        file_size INTEGER NOT NULL,
+        ref_count INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // 나누어 올리기 세션 (받은 조각은 temp_path 에 이어 붙이고 received_bytes 까지 받은 것으로 기록)
+    db.run(`CREATE TABLE IF NOT EXISTS upload_sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        original_name TEXT NOT NULL,
+        file_size INTEGER NOT NULL,
+        received_bytes INTEGER NOT NULL DEFAULT 0,
+        mime_type TEXT,
+        folder_id INTEGER,
+        tab_type TEXT CHECK(tab_type IN ('my', 'public')) NOT NULL,
+        relative_path TEXT,
+        temp_path TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    )`);
+
+    // 백그라운드 작업 테이블 (파일별 본문 추출, 썸네일, 요약)
+    // 실패하면 run_after 까지 기다렸다가 다시 시도하고, JOB_MAX_ATTEMPTS 번 실패하면 failed
+    db.run(`CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        file_id INTEGER NOT NULL,
+        type TEXT CHECK(type IN ('extract', 'thumbnail', 'summary')) NOT NULL,
+        status TEXT CHECK(status IN ('queued', 'processing', 'done', 'failed')) NOT NULL DEFAULT 'queued',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        run_after DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        finished_at DATETIME
+    )`);
+
+    // 파일 태그 테이블 (사용자가 붙이는 이름, 대소문자 무시)
+    db.run(`CREATE TABLE IF NOT EXISTS file_tags (
+        file_id INTEGER NOT NULL,
+        tag TEXT NOT NULL COLLATE NOCASE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (file_id, tag),
+        FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
+    )`);
+
+    // 파일 메타데이터 테이블 (항목별 값, 항목과 형식은 lib/metadata.js 의 METADATA_FIELDS)
+    db.run(`CREATE TABLE IF NOT EXISTS file_metadata (
+        file_id INTEGER NOT NULL,
+        field TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_by INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (file_id, field),
+        FOREIGN KEY (file_id) REFERENCES files (id) ON DELETE CASCADE
+    )`);
+
+    // 폴더 분류 규칙 테이블 (파일명이나 본문에 keyword 가 있는 파일은 folder_id 폴더로 추천, lib/classify.js)
+    // My 문서함 규칙은 만든 사용자의 업로드에만, 공용 문서함 규칙은 모든 사용자의 업로드에 적용 (owner_id 없음)
+    db.run(`CREATE TABLE IF NOT EXISTS classification_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tab_type TEXT CHECK(tab_type IN ('my', 'public')) NOT NULL,
+        owner_id INTEGER,
+        folder_id INTEGER NOT NULL,
+        keyword TEXT NOT NULL,
+        match_in TEXT CHECK(match_in IN ('any', 'name', 'text')) NOT NULL DEFAULT 'any',
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // 휴지통 테이블 (탭별, 삭제한 파일 또는 폴더 하나가 항목 하나)
+    // folder_path: 삭제 당시 상위 폴더 경로 JSON [{ id, name }], snapshot: 복원할 폴더와 파일 행 JSON { folders, files }
+    // 저장된 파일은 영구 삭제할 때까지 uploads 에 그대로 둔다
+    db.run(`CREATE TABLE IF NOT EXISTS trash (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tab_type TEXT CHECK(tab_type IN ('my', 'public')) NOT NULL,
+        item_type TEXT CHECK(item_type IN ('file', 'folder')) NOT NULL,
+        item_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        folder_id INTEGER,
+        folder_path TEXT NOT NULL,
+        owner_id INTEGER,
+        deleted_by INTEGER,
+        file_count INTEGER NOT NULL DEFAULT 0,
+        folder_count INTEGER NOT NULL DEFAULT 0,
+        snapshot TEXT NOT NULL,
+        deleted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // 이전 버전 DB에 소유자 열 추가 (My 문서함 항목은 소유자만 볼 수 있음), 관리자 여부 열 추가
+    ['folders', 'files', 'emails'].forEach(table => addColumn(table, 'owner_id INTEGER'));
+    addColumn('users', 'is_admin INTEGER NOT NULL DEFAULT 0');
+    
+    // 파일 버전 열 추가 (현재 버전 번호, 현재 버전을 올린 사용자와 시각)
+    addColumn('files', 'version INTEGER NOT NULL DEFAULT 1');
+    addColumn('files', 'updated_by INTEGER');
+    addColumn('files', 'updated_at DATETIME');
+    
+    // 저장 파일 내용의 SHA-256 열 추가 (stored_files 와 연결)
+    addColumn('files', 'sha256 TEXT');
+    addColumn('file_versions', 'sha256 TEXT');
+    
+    // 나누어 올리기 자동 분류 열 추가 (완료할 때 받은 파일로 폴더를 정함)
+    addColumn('upload_sessions', 'auto_classify INTEGER NOT NULL DEFAULT 0');
+
+    // 자동 분류로 올린 파일: 본문 추출이 끝나면 다시 분류할 사용자 (다시 분류했거나 사용자가 옮기면 NULL)
+    addColumn('files', 'auto_classify_by INTEGER');
+
+    // 전문 검색 색인 (FTS5)
+    // 파일마다 파일명만 담은 행(page_number 0)과 페이지별 본문 행을 두고,
+    // 색인 텍스트는 한글을 두 글자씩 나눈 형태로 저장한다 (lib/search.js)
+    db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+        file_id UNINDEXED,
+        page_number UNINDEXED,
+        name,
+        content,
+        tokenize = 'unicode61 remove_diacritics 2'
+    )`);
+
+    // BM25 순위: 파일명 일치에 본문보다 높은 가중치
+    db.run("INSERT INTO search_index (search_index, rank) VALUES ('rank', 'bm25(0.0, 0.0, 5.0, 1.0)')");
+
     // 기본 데이터 삽입
     db.get("SELECT COUNT(*) as count FROM folders", (err, row) => {
         if (err) {
@@ -112,6 +544,15 @@ db.serialize(() => {
     });
 });
 
+// 기존 테이블에 열 추가 (이미 있으면 무시)
+function addColumn(table, definition) {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`, (err) => {
+        if (err && !/duplicate column name/i.test(err.message)) {
+            console.error(`${table} 테이블 열 추가 오류:`, err);
+        }
+    });
+}
+
 // API 라우트들
 
 // 1. 폴더 목록 조회 (수정됨)
@@ -119,13 +560,13 @@ app.get('/api/folders/:tabType', (req, res) => {
     const { tabType } = req.params;
     
     const query = `
-        SELECT id, name, parent_id, created_at 
+        SELECT id, name, parent_id, owner_id, created_at 
         FROM folders 
-        WHERE tab_type = ? 
+        WHERE tab_type = ? AND ${folderAccessFilter()}
         ORDER BY parent_id ASC, name ASC
     `;
     
-    db.all(query, [tabType], (err, rows) => {
+    db.all(query, [tabType, ...accessParams(req.user)], (err, rows) => {
         if (err) {
             console.error('폴더 조회 오류:', err);
             res.status(500).json({ error: err.message });
@@ -134,6 +575,14 @@ app.get('/api/folders/:tabType', (req, res) => {
         
         console.log('DB에서 가져온 폴더들:', rows);
         
+        // 폴더별 로그인 사용자 권한, 볼 수 없는 상위 폴더 아래의 폴더는 루트에 표시
+        const visibleIds = new Set(rows.map(row => row.id));
+        rows = rows.map(({ owner_id, ...row }) => ({
+            ...row,
+            parent_id: visibleIds.has(row.parent_id) ? row.parent_id : null,
+            permission: folderPermission(req.user, tabType, row.id)
+        }));
+        
         // 계층 구조로 변환 (수정된 로직)
         const buildTree = (items, parentId = null) => {
             const children = items
@@ -157,18 +606,27 @@ app.get('/api/folders/:tabType', (req, res) => {
 });
 
 // 2. 파일 목록 조회 (수정됨)
+// 태그와 메타데이터로 거를 수 있음 (?tag=계약&customer=삼성&amountFrom=1000000, lib/metadata.js)
 app.get('/api/files/:tabType', (req, res) => {
     const { tabType } = req.params;
     const { folderId } = req.query;
     
     console.log('파일 조회 요청:', { tabType, folderId });
     
+    let filter;
+    try {
+        filter = buildMetadataFilter(req.query);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return;
+    }
+    
     let query = `
-        SELECT id, name, original_name, file_size, mime_type, folder_id, created_at 
+        SELECT id, name, original_name, file_size, mime_type, folder_id, tab_type, owner_id, version, sha256, updated_at, created_at 
         FROM files 
-        WHERE tab_type = ?
+        WHERE tab_type = ? AND ${accessFilter()}
     `;
-    let params = [tabType];
+    let params = [tabType, ...accessParams(req.user)];
     
     // folderId 파라미터가 명시적으로 제공된 경우에만 필터링
     if (folderId !== undefined && folderId !== '') {
@@ -185,7 +643,11 @@ app.get('/api/files/:tabType', (req, res) => {
         console.log('모든 파일 조회 (folderId 파라미터 없음)');
     }
     
-    query += ' ORDER BY name';
+    filter.conditions.forEach(condition => { query += ` AND ${condition}`; });
+    params.push(...filter.params);
+    
+    // 저장 이름은 내용 해시이므로 올린 순서로 정렬
+    query += ' ORDER BY created_at, id';
     
     console.log('실행할 쿼리:', query);
     console.log('쿼리 파라미터:', params);
@@ -202,7 +664,19 @@ app.get('/api/files/:tabType', (req, res) => {
             console.log(`  ${index + 1}. ${file.original_name} (id: ${file.id}, folder_id: ${file.folder_id})`);
         });
         
-        res.json(rows);
+        findFileMetadata(rows.map(row => row.id), (err, metadata) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            // 파일별 로그인 사용자 권한 (삭제 버튼 표시 여부), 태그와 메타데이터
+            res.json(rows.map(({ tab_type, owner_id, ...file }) => ({
+                ...file,
+                permission: itemPermission(req.user, { ...file, tab_type, owner_id }),
+                ...metadata.get(file.id)
+            })));
+        });
     });
 });
 
@@ -217,6 +691,11 @@ app.post('/api/folders', (req, res) => {
         return;
     }
     
+    if (!['my', 'public'].includes(tabType)) {
+        res.status(400).json({ error: '탭은 my 또는 public 이어야 합니다.' });
+        return;
+    }
+    
     // parentId가 문자열 "null" 또는 빈 문자열인 경우 null로 변환
     let processedParentId = null;
     if (parentId && parentId !== 'null' && parentId !== '') {
@@ -229,27 +708,32 @@ app.post('/api/folders', (req, res) => {
     
     console.log('처리된 parentId:', processedParentId);
     
-    const query = "INSERT INTO folders (name, parent_id, tab_type) VALUES (?, ?, ?)";
-    const params = [name, processedParentId, tabType];
-    
-    db.run(query, params, function(err) {
-        if (err) {
-            console.error('폴더 생성 오류:', err);
-            res.status(500).json({ error: err.message });
-            return;
-        }
+    findTargetFolder(processedParentId, tabType, req.user, res, () => {
+        const query = "INSERT INTO folders (name, parent_id, tab_type, owner_id) VALUES (?, ?, ?, ?)";
+        const params = [name, processedParentId, tabType, req.user.id];
         
-        console.log('폴더 생성 성공:', this.lastID);
-        res.json({
-            id: this.lastID,
-            name,
-            parent_id: processedParentId,
-            tab_type: tabType
+        db.run(query, params, function(err) {
+            if (err) {
+                console.error('폴더 생성 오류:', err);
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            console.log('폴더 생성 성공:', this.lastID);
+            res.json({
+                id: this.lastID,
+                name,
+                parent_id: processedParentId,
+                tab_type: tabType
+            });
         });
     });
 });
 
-// 4. 파일 업로드 (수정됨)
+// 4. 파일 업로드 (수정됨, 같은 폴더에 같은 이름의 파일이 있으면 그 파일의 새 버전으로 저장)
+// unpack=true 이면 zip 파일을 풀어서 폴더 구조 그대로 저장 (zip 파일 자체는 저장하지 않음)
+// folderId=auto 이면 파일명으로 추천한 폴더에 저장하고 응답의 classification 에 추천 목록 포함
+// (본문은 작업 큐에서 추출하므로 추출이 끝난 뒤 본문으로 다시 분류하여 더 알맞은 폴더로 옮김, classification.pending)
 app.post('/api/upload', upload.single('file'), (req, res) => {
     console.log('파일 업로드 요청:', req.file, req.body);
     
@@ -260,1344 +744,7439 @@ app.post('/api/upload', upload.single('file'), (req, res) => {
     
     const { folderId, tabType } = req.body;
     const originalName = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+    const unpack = req.body.unpack === 'true';
+    
+    if (unpack && path.extname(originalName).toLowerCase() !== '.zip') {
+        fs.unlink(req.file.path, () => {});
+        res.status(400).json({ error: 'zip 파일만 풀어서 올릴 수 있습니다.' });
+        return;
+    }
+    
+    if (!['my', 'public'].includes(tabType)) {
+        fs.unlink(req.file.path, () => {});
+        res.status(400).json({ error: '탭은 my 또는 public 이어야 합니다.' });
+        return;
+    }
+    
+    const autoClassify = folderId === 'auto';
+    if (autoClassify && (unpack || req.body.relativePath)) {
+        fs.unlink(req.file.path, () => {});
+        res.status(400).json({ error: '자동 분류는 파일을 하나씩 올릴 때만 사용할 수 있습니다.' });
+        return;
+    }
     
     // folderId 처리
     let processedFolderId = null;
-    if (folderId && folderId !== 'null' && folderId !== '') {
+    if (!autoClassify && folderId && folderId !== 'null' && folderId !== '') {
         processedFolderId = parseInt(folderId);
         if (isNaN(processedFolderId)) {
+            fs.unlink(req.file.path, () => {});
             res.status(400).json({ error: '잘못된 폴더 ID입니다.' });
             return;
         }
     }
     
-    console.log('처리된 folderId:', processedFolderId);
+    // 폴더를 통째로 올리면 파일마다 폴더 안 상대 경로('폴더/하위/파일')가 오므로 같은 구조로 하위 폴더를 만듦
+    const relativeFolders = parseRelativeFolders(req.body.relativePath);
+    if (!relativeFolders) {
+        fs.unlink(req.file.path, () => {});
+        res.status(400).json({ error: '잘못된 상대 경로입니다.' });
+        return;
+    }
     
-    const query = `
-        INSERT INTO files (name, original_name, file_path, file_size, mime_type, folder_id, tab_type) 
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-    `;
+    console.log('처리된 folderId:', processedFolderId, relativeFolders.length > 0 ? `(상대 경로: ${relativeFolders.join('/')})` : '');
     
-    const params = [
-        req.file.filename,
-        originalName,
-        req.file.path,
-        req.file.size,
-        req.file.mimetype,
-        processedFolderId,
-        tabType
-    ];
+    const fail = (err) => {
+        console.error('파일 업로드 오류:', err.message);
+        fs.unlink(req.file.path, () => {});
+        res.status(err.statusCode || 500).json({ error: err.message });
+    };
     
-    db.run(query, params, function(err) {
-        if (err) {
-            console.error('파일 업로드 오류:', err);
-            // 파일 삭제
+    let classification = null;
+    
+    const folderChecked = () => {
+        const target = { folderId: processedFolderId, tabType };
+        ensureFolderPath(relativeFolders, target, req.user, newFolderState(target), (err, targetFolderId) => {
+            if (err) {
+                fail(err);
+                return;
+            }
+            
+            if (unpack) {
+                unpackUploadedZip(targetFolderId);
+                return;
+            }
+            
+            saveUploadedFile(req.file, originalName, { folderId: targetFolderId, tabType, autoClassify }, req.user, (err, saved) => {
+                if (err) {
+                    fail(err);
+                    return;
+                }
+                res.json(classification ? withClassification(saved, classification) : saved);
+            });
+        });
+    };
+    
+    const unpackUploadedZip = (targetFolderId) => {
+        console.log(`zip 파일 풀기 시작: ${originalName}`);
+        unpackZipUpload(req.file.path, { folderId: targetFolderId, tabType }, req.user, (err, result) => {
             fs.unlink(req.file.path, () => {});
-            res.status(500).json({ error: err.message });
+            
+            if (err) {
+                console.error('zip 파일 풀기 오류:', err.message);
+                res.status(err.statusCode || 500).json({ error: err.message });
+                return;
+            }
+            
+            console.log(`zip 파일 풀기 완료: ${originalName} (새 폴더 ${result.folderCount}개, 파일 ${result.fileCount}개, 새 버전 ${result.newVersionCount}개)`);
+            res.json({ unpacked: true, folderId: targetFolderId, tabType, ...result });
+        });
+    };
+    
+    const checkFolder = () => {
+        // 업로드할 수 없는 폴더이면 받은 파일 삭제
+        findTargetFolder(processedFolderId, tabType, req.user, res, folderChecked, () => fs.unlink(req.file.path, () => {}));
+    };
+    
+    if (!autoClassify) {
+        checkFolder();
+        return;
+    }
+    
+    classifyDocument({ name: originalName, text: '' }, tabType, req.user, (err, result) => {
+        if (err) {
+            fail(err);
             return;
         }
         
-        console.log('파일 업로드 성공:', this.lastID);
-        res.json({
-            id: this.lastID,
-            name: req.file.filename,
-            original_name: originalName,
-            file_size: req.file.size,
-            mime_type: req.file.mimetype,
-            folder_id: processedFolderId,
-            tab_type: tabType
-        });
+        classification = result;
+        processedFolderId = result.folderId;
+        checkFolder();
     });
 });
 
-// 5. 파일 다운로드
-app.get('/api/download/:fileId', (req, res) => {
-    const { fileId } = req.params;
+function formatUploadedFile(fileRow) {
+    return {
+        id: fileRow.id,
+        name: fileRow.name,
+        original_name: fileRow.original_name,
+        file_size: fileRow.file_size,
+        mime_type: fileRow.mime_type,
+        folder_id: fileRow.folder_id,
+        tab_type: fileRow.tab_type,
+        version: fileRow.version || 1
+    };
+}
+
+// 새로 저장한 파일 처리: 파일명은 바로 검색 색인에 추가하고,
+// 썸네일과 본문 추출(추출이 끝나면 요약)은 백그라운드 작업으로 등록하여 업로드 응답을 기다리게 하지 않음
+function processNewFile(fileRow) {
+    indexFileName(fileRow);
     
-    const query = "SELECT * FROM files WHERE id = ?";
+    // 문서 썸네일은 미리보기 이미지가 없으면 본문으로 그리므로 추출 작업이 끝난 뒤에 등록하고,
+    // 이미지와 PDF 는 글자 인식을 기다리지 않고 바로 만듦
+    if (thumbnailKind(fileRow.original_name) && thumbnailKind(fileRow.original_name) !== 'document') {
+        enqueueJob(fileRow.id, 'thumbnail');
+    }
     
-    db.get(query, [fileId], (err, row) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
-        }
-        
-        if (!row) {
-            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
-            return;
-        }
-        
-        const filePath = row.file_path || path.join(uploadsDir, row.name);
-        
-        // 파일이 실제로 존재하는지 확인
-        if (!fs.existsSync(filePath)) {
-            res.status(404).json({ error: '파일이 서버에 존재하지 않습니다.' });
+    if (hasExtractableText(fileRow)) {
+        enqueueJob(fileRow.id, 'extract');
+    } else if (thumbnailKind(fileRow.original_name) === 'document') {
+        enqueueJob(fileRow.id, 'thumbnail');
+    }
+}
+
+// 작업 종류별 처리 함수: (fileRow, callback(err, result))
+const JOB_HANDLERS = {
+    extract: storeDocumentText,
+    thumbnail: storeThumbnail,
+    summary: (fileRow, callback) => storeDocumentSummary(fileRow, null, (err, result) => {
+        // 요약할 문장이 없는 짧은 본문(422)은 다시 시도해도 같으므로 요약 없이 완료
+        if (err && err.statusCode === 422) {
+            console.log(`요약 건너뜀 (${fileRow.original_name}): ${err.message}`);
+            callback(null);
             return;
         }
-        
-        // 파일 다운로드 헤더 설정
-        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(row.original_name)}"`);
-        res.setHeader('Content-Type', row.mime_type || 'application/octet-stream');
-        
-        // 파일 스트림 전송
-        const fileStream = fs.createReadStream(filePath);
-        fileStream.pipe(res);
-        
-        fileStream.on('error', (err) => {
-            console.error('파일 전송 오류:', err);
-            if (!res.headersSent) {
-                res.status(500).json({ error: '파일 전송 중 오류가 발생했습니다.' });
+        callback(err, result);
+    })
+};
+
+let activeJobs = 0;
+let claimingJob = false;
+
+// 파일 작업 등록 (같은 파일의 같은 작업이 이미 대기 중이면 그대로 두고, 끝난 이전 기록은 지움)
+// 처리 중인 작업이 있어도 새로 등록하므로 처리 중에 새 버전이 올라오면 끝난 뒤에 새 내용으로 다시 처리됨
+function enqueueJob(fileId, type) {
+    db.serialize(() => {
+        db.run("DELETE FROM jobs WHERE file_id = ? AND type = ? AND status IN ('done', 'failed')", [fileId, type]);
+        db.run(`
+            INSERT INTO jobs (file_id, type)
+            SELECT ?, ? WHERE NOT EXISTS (SELECT 1 FROM jobs WHERE file_id = ? AND type = ? AND status = 'queued')
+        `, [fileId, type, fileId, type], (err) => {
+            if (err) {
+                console.error(`작업 등록 오류 (${type}, 파일 ${fileId}):`, err);
+                return;
             }
+            runJobs();
         });
     });
-});
+}
 
-// 5-2. Office 파일 HTML 변환 미리보기 (새로 추가)
-app.get('/api/office-preview/:fileId', (req, res) => {
-    const { fileId } = req.params;
+// 실행할 수 있는 작업을 JOB_WORKERS 개까지 꺼내서 실행 (등록 순서대로)
+// 같은 파일의 같은 작업이 처리 중이면 끝날 때까지 기다림 (처리 중에 올라온 새 버전을 이전 내용과 섞지 않도록)
+function runJobs() {
+    if (claimingJob || activeJobs >= JOB_WORKERS) return;
+    claimingJob = true;
     
-    const query = "SELECT * FROM files WHERE id = ?";
+    const query = `
+        SELECT * FROM jobs j
+        WHERE j.status = 'queued' AND j.run_after <= datetime('now')
+          AND NOT EXISTS (SELECT 1 FROM jobs p WHERE p.file_id = j.file_id AND p.type = j.type AND p.status = 'processing')
+        ORDER BY j.id
+        LIMIT 1
+    `;
     
-    db.get(query, [fileId], (err, row) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
+    db.get(query, (err, job) => {
+        if (err || !job) {
+            if (err) console.error('작업 조회 오류:', err);
+            claimingJob = false;
             return;
         }
         
-        if (!row) {
-            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+        db.run(
+            "UPDATE jobs SET status = 'processing', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'queued'",
+            [job.id],
+            function(err) {
+                claimingJob = false;
+                if (err) {
+                    console.error('작업 시작 오류:', err);
+                    return;
+                }
+                
+                if (this.changes > 0) {
+                    activeJobs++;
+                    executeJob({ ...job, attempts: job.attempts + 1 });
+                }
+                runJobs();
+            }
+        );
+    });
+}
+
+function executeJob(job) {
+    db.get("SELECT * FROM files WHERE id = ?", [job.file_id], (err, fileRow) => {
+        if (err || !fileRow) {
+            // 작업을 기다리는 동안 삭제된 파일
+            db.run("DELETE FROM jobs WHERE id = ?", [job.id]);
+            activeJobs--;
+            runJobs();
             return;
         }
         
-        const filePath = row.file_path || path.join(uploadsDir, row.name);
-        
-        // 파일이 실제로 존재하는지 확인
-        if (!fs.existsSync(filePath)) {
-            res.status(404).json({ error: '파일이 서버에 존재하지 않습니다.' });
-            return;
-        }
-        
-        // Office 파일인지 확인
-        const isOfficeFile = row.mime_type && (
-            row.mime_type.includes('word') ||
-            row.mime_type.includes('excel') ||
-            row.mime_type.includes('powerpoint') ||
-            row.mime_type.includes('spreadsheet') ||
-            row.mime_type.includes('presentation') ||
-            row.original_name.match(/\.(doc|docx|xls|xlsx|ppt|pptx)$/i)
+        console.log(`작업 시작: ${job.type} ${fileRow.original_name} (${job.attempts}번째 시도)`);
+        JOB_HANDLERS[job.type](fileRow, (error, result) => {
+            completeJob(job, fileRow, error, result);
+        });
+    });
+}
+
+// 작업 결과 기록: 실패하면 대기 시간을 두 배씩 늘려 다시 시도하고, 마지막 시도까지 실패하면 failed
+function completeJob(job, fileRow, error, result) {
+    const finish = () => {
+        activeJobs--;
+        runJobs();
+    };
+    
+    if (error && job.attempts < JOB_MAX_ATTEMPTS) {
+        const delay = JOB_RETRY_BASE_SECONDS * Math.pow(2, job.attempts - 1);
+        console.error(`작업 실패 (${job.type} ${fileRow.original_name}), ${delay}초 뒤 다시 시도:`, error.message);
+        db.run(
+            "UPDATE jobs SET status = 'queued', error = ?, run_after = datetime('now', ?) WHERE id = ?",
+            [error.message, `+${delay} seconds`, job.id],
+            finish
         );
-        
-        if (!isOfficeFile) {
-            res.status(400).json({ error: '지원되지 않는 파일 형식입니다.' });
-            return;
+        return;
+    }
+    
+    if (error) {
+        console.error(`작업 실패 (${job.type} ${fileRow.original_name}), ${job.attempts}번 시도하여 중단:`, error.message);
+    } else {
+        console.log(`작업 완료: ${job.type} ${fileRow.original_name}`);
+    }
+    
+    db.run(
+        "UPDATE jobs SET status = ?, error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [error ? 'failed' : 'done', error ? error.message : null, job.id],
+        () => {
+            if (job.type === 'extract') {
+                enqueueFollowUpJobs(fileRow, error ? null : result);
+                if (fileRow.auto_classify_by) classifyExtractedFile(fileRow, !error);
+            }
+            finish();
         }
-        
-        // 간단한 HTML 미리보기 생성 (실제로는 LibreOffice나 다른 변환 도구 사용)
-        const previewHtml = generateOfficePreviewHtml(row);
-        
-        res.setHeader('Content-Type', 'text/html; charset=utf-8');
-        res.send(previewHtml);
+    );
+}
+
+// 본문 추출이 끝난 뒤의 작업: 문서 썸네일(추출에 실패해도 만듦)과 본문이 있는 문서의 요약
+// (추출 중에 새 버전이 저장되어 문서 정보가 지워졌으면 info 가 없음)
+function enqueueFollowUpJobs(fileRow, info) {
+    if (thumbnailKind(fileRow.original_name) === 'document') {
+        enqueueJob(fileRow.id, 'thumbnail');
+    }
+    if (info && info.text_length > 0) {
+        enqueueJob(fileRow.id, 'summary');
+    }
+}
+
+// 서버 시작 시 작업 큐 시작 (서버가 멈춰서 처리 중으로 남은 작업은 다시 대기열로)
+function startJobQueue() {
+    db.run("UPDATE jobs SET status = 'queued' WHERE status = 'processing'", (err) => {
+        if (err) console.error('작업 큐 시작 오류:', err);
+        runJobs();
     });
-});
+    setInterval(runJobs, JOB_POLL_INTERVAL);
+    
+    purgeFinishedJobs();
+    setInterval(purgeFinishedJobs, JOB_PURGE_INTERVAL);
+}
 
-// Office 파일 미리보기 HTML 생성 함수 (실제 파일 내용 기반)
-function generateOfficePreviewHtml(fileInfo) {
-    const fileName = fileInfo.original_name;
-    const fileSize = formatFileSize(fileInfo.file_size);
-    const mimeType = fileInfo.mime_type || '';
+// 보관 기간이 지난 완료 작업과 삭제된 파일의 작업 기록 정리
+function purgeFinishedJobs() {
+    db.run(
+        "DELETE FROM jobs WHERE (status = 'done' AND finished_at <= datetime('now', ?)) OR file_id NOT IN (SELECT id FROM files)",
+        [`-${JOB_HISTORY_DAYS} days`],
+        function(err) {
+            if (err) console.error('작업 기록 정리 오류:', err);
+            else if (this.changes > 0) console.log(`작업 기록 ${this.changes}개 정리`);
+        }
+    );
+}
+
+// 파일의 처리 상태 (작업 종류별 마지막 작업 기준): 처리 중 > 대기 중 > 실패 > 완료, 작업 기록이 없으면 완료
+function fileProcessingStatus(jobs) {
+    const failed = jobs.find(job => job.status === 'failed');
+    if (jobs.some(job => job.status === 'processing')) return { status: 'processing', error: null };
+    if (jobs.some(job => job.status === 'queued')) return { status: 'queued', error: null };
+    if (failed) return { status: 'failed', error: failed.error };
+    return { status: 'done', error: null };
+}
+
+function formatJob(job) {
+    return {
+        id: job.id,
+        fileId: job.file_id,
+        fileName: job.original_name,
+        type: job.type,
+        status: job.status,
+        attempts: job.attempts,
+        error: job.error,
+        runAfter: job.status === 'queued' ? job.run_after : null,
+        createdAt: job.created_at,
+        startedAt: job.started_at,
+        finishedAt: job.finished_at
+    };
+}
+
+// 저장 파일의 썸네일 경로 (내용 해시가 없는 이전 방식의 파일은 registerLegacyStoredFiles 이후에 생김)
+function thumbnailPath(sha256) {
+    return path.join(thumbnailsDir, `${sha256}.jpg`);
+}
+
+// 만드는 중인 썸네일 (같은 파일을 동시에 여러 번 만들지 않음, sha256 → 콜백 목록)
+// 만들 수 없었던 파일은 서버를 다시 시작할 때까지 다시 시도하지 않음
+const pendingThumbnails = new Map();
+const failedThumbnails = new Set();
+
+// 파일 썸네일 만들기 (이미 있으면 그대로) → callback(err, 썸네일 경로)
+// 썸네일을 만들지 않는 형식이면 썸네일 경로가 null
+function storeThumbnail(fileRow, callback) {
+    if (!fileRow.sha256 || !thumbnailKind(fileRow.original_name)) {
+        callback(null, null);
+        return;
+    }
     
-    console.log(`Office 파일 분석 중: ${fileName}`);
+    if (failedThumbnails.has(fileRow.sha256)) {
+        callback(new Error('썸네일을 만들 수 없는 파일입니다.'));
+        return;
+    }
     
-    // 실제 파일 내용을 시뮬레이션하여 생성
-    let documentContent = '';
+    const targetPath = thumbnailPath(fileRow.sha256);
+    if (fs.existsSync(targetPath)) {
+        callback(null, targetPath);
+        return;
+    }
     
-    if (mimeType.includes('word') || fileName.match(/\.(doc|docx)$/i)) {
-        documentContent = generateWordDocumentContent(fileName, fileInfo);
-    } else if (mimeType.includes('excel') || mimeType.includes('spreadsheet') || fileName.match(/\.(xls|xlsx)$/i)) {
-        documentContent = generateExcelDocumentContent(fileName, fileInfo);
-    } else if (mimeType.includes('powerpoint') || mimeType.includes('presentation') || fileName.match(/\.(ppt|pptx)$/i)) {
-        documentContent = generatePowerPointDocumentContent(fileName, fileInfo);
+    if (pendingThumbnails.has(fileRow.sha256)) {
+        pendingThumbnails.get(fileRow.sha256).push(callback);
+        return;
     }
+    pendingThumbnails.set(fileRow.sha256, [callback]);
     
-    return `
-    <!DOCTYPE html>
-    <html lang="ko">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>${fileName}</title>
-        <style>
-            * { box-sizing: border-box; margin: 0; padding: 0; }
-            body {
-                font-family: 'Malgun Gothic', '맑은 고딕', system-ui, -apple-system, sans-serif;
-                background: #f0f0f0;
-                padding: 20px;
-                line-height: 1.6;
-                color: #333;
-                position: relative;
-                min-height: 100vh;
+    const finish = (thumbnail, error) => {
+        const callbacks = pendingThumbnails.get(fileRow.sha256) || [];
+        pendingThumbnails.delete(fileRow.sha256);
+        callbacks.forEach(cb => cb(error || null, thumbnail));
+    };
+    
+    const filePath = resolveStoredFilePath(fileRow);
+    if (!filePath) {
+        finish(null, new Error('파일이 서버에 존재하지 않습니다.'));
+        return;
+    }
+    
+    // 문서에 미리보기 이미지가 없을 때 그릴 본문 (추출한 첫 페이지)
+    db.get("SELECT content FROM file_pages WHERE file_id = ? ORDER BY page_number LIMIT 1", [fileRow.id], (err, page) => {
+        const startedAt = Date.now();
+        
+        createThumbnail(filePath, fileRow.original_name, page ? page.content : '')
+            .then(image => {
+                if (!image) {
+                    finish(null);
+                    return;
+                }
+                
+                // 다 쓴 파일만 보이도록 임시 이름으로 쓰고 나서 이름 바꾸기
+                const tempPath = `${targetPath}.${process.pid}.tmp`;
+                fs.writeFile(tempPath, image, (err) => {
+                    if (err) {
+                        console.error(`썸네일 저장 오류 (${fileRow.original_name}):`, err);
+                        finish(null, err);
+                        return;
+                    }
+                    
+                    fs.rename(tempPath, targetPath, (err) => {
+                        if (err) {
+                            console.error(`썸네일 저장 오류 (${fileRow.original_name}):`, err);
+                            fs.unlink(tempPath, () => {});
+                            finish(null, err);
+                            return;
+                        }
+                        
+                        console.log(`썸네일 생성: ${fileRow.original_name} (${image.length} bytes, ${Date.now() - startedAt}ms)`);
+                        finish(targetPath);
+                    });
+                });
+            })
+            .catch(error => {
+                console.error(`썸네일 생성 실패 (${fileRow.original_name}):`, error.message);
+                failedThumbnails.add(fileRow.sha256);
+                finish(null, error);
+            });
+    });
+}
+
+// 업로드한 zip 을 대상 폴더(target: { folderId, tabType })에 풀기
+// zip 안의 폴더는 같은 이름의 하위 폴더가 있으면 그 폴더를, 없으면 새로 만들어 사용하고
+// 같은 폴더에 같은 이름의 파일이 있으면 업로드와 같이 새 버전으로 저장
+// → { folderCount: 새로 만든 폴더 수, fileCount, newVersionCount, files: [formatUploadedFile + newVersion] }
+function unpackZipUpload(zipPath, target, user, callback) {
+    readZipArchive(zipPath).then(archive => {
+        const folderState = newFolderState(target);
+        const files = [];
+        
+        const createNext = (index) => {
+            if (index >= archive.folders.length) {
+                saveNext(0);
+                return;
             }
             
-            .document-container {
-                max-width: 800px;
-                margin: 0 auto;
-                background: white;
-                min-height: 1000px;
-                box-shadow: 0 4px 20px rgba(0,0,0,0.15);
-                position: relative;
-                overflow: hidden;
+            ensureFolderPath(archive.folders[index], target, user, folderState, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                createNext(index + 1);
+            });
+        };
+        
+        const saveNext = (index) => {
+            if (index >= archive.files.length) {
+                callback(null, {
+                    folderCount: folderState.createdCount,
+                    fileCount: files.length,
+                    newVersionCount: files.filter(file => file.newVersion).length,
+                    files
+                });
+                return;
             }
             
-            .document-page {
-                padding: 40px 50px;
-                min-height: 1000px;
-                background: white;
-                position: relative;
-            }
+            const file = archive.files[index];
+            const folderId = folderState.folderIds.get(file.segments.slice(0, -1).join('/'));
+            const originalName = file.segments[file.segments.length - 1];
+            const fileName = storedFileName(originalName);
+            const filePath = path.join(uploadsDir, fileName);
             
-            /* Word 문서 스타일 */
-            .word-document h1 {
-                font-size: 24px;
-                font-weight: bold;
-                margin-bottom: 20px;
-                color: #1a365d;
-                text-align: center;
-                border-bottom: 2px solid #e2e8f0;
-                padding-bottom: 10px;
+            extractZipEntry(file, filePath).then(size => {
+                const stored = { filename: fileName, path: filePath, size, mimetype: mimeTypeFor(originalName) };
+                saveUploadedFile(stored, originalName, { folderId, tabType: target.tabType }, user, (err, saved) => {
+                    if (err) {
+                        fs.unlink(filePath, () => {});
+                        callback(err);
+                        return;
+                    }
+                    
+                    files.push(saved);
+                    saveNext(index + 1);
+                });
+            }).catch(error => callback(httpError(400, error.message)));
+        };
+        
+        createNext(0);
+    }).catch(error => callback(httpError(400, error.message)));
+}
+
+// 업로드 상대 경로('폴더/하위/파일.pdf')의 폴더 이름 목록 (['폴더', '하위']), 없으면 빈 목록, 잘못된 경로이면 null
+function parseRelativeFolders(relativePath) {
+    if (!relativePath) return [];
+    
+    const segments = String(relativePath).replace(/\\/g, '/').split('/').filter(part => part && part !== '.');
+    if (segments.includes('..') || segments.some(part => part.length > MAX_ITEM_NAME_LENGTH)) {
+        return null;
+    }
+    return segments.slice(0, -1).map(part => safeEntryName(part.normalize('NFC')));
+}
+
+// ensureFolderPath 가 여러 경로에서 함께 쓰는 상태: 찾은 폴더 경로('상위/하위') → ID (''은 대상 폴더), 새로 만든 폴더 수
+function newFolderState(target) {
+    return { folderIds: new Map([['', target.folderId]]), createdCount: 0 };
+}
+
+// 대상 폴더(target: { folderId, tabType }) 아래 폴더 경로(segments: ['상위', '하위'])의 폴더 ID
+// 같은 이름의 하위 폴더가 있으면 그 폴더(업로드 권한 필요), 없으면 새로 만듦
+function ensureFolderPath(segments, target, user, state, callback) {
+    const key = segments.join('/');
+    if (state.folderIds.has(key)) {
+        callback(null, state.folderIds.get(key));
+        return;
+    }
+    
+    ensureFolderPath(segments.slice(0, -1), target, user, state, (err, parentId) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        const name = segments[segments.length - 1];
+        const query = `
+            SELECT id FROM folders
+            WHERE tab_type = ? AND parent_id IS ? AND name = ? AND ${folderAccessFilter()}
+            ORDER BY id LIMIT 1
+        `;
+        
+        db.get(query, [target.tabType, parentId, name, ...accessParams(user)], (err, existing) => {
+            if (err) {
+                callback(err);
+                return;
             }
             
-            .word-document h2 {
-                font-size: 18px;
-                font-weight: 600;
-                margin: 25px 0 15px 0;
-                color: #2d3748;
+            if (existing) {
+                if (!hasPermission(folderPermission(user, target.tabType, existing.id), 'upload')) {
+                    callback(httpError(403, `"${name}" 폴더에 추가할 권한이 없습니다.`));
+                    return;
+                }
+                state.folderIds.set(key, existing.id);
+                callback(null, existing.id);
+                return;
             }
             
-            .word-document h3 {
-                font-size: 16px;
-                font-weight: 600;
-                margin: 20px 0 10px 0;
-                color: #4a5568;
+            db.run("INSERT INTO folders (name, parent_id, tab_type, owner_id) VALUES (?, ?, ?, ?)", [name, parentId, target.tabType, user.id], function(err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                
+                console.log(`업로드 경로의 폴더 생성: ${name} (id: ${this.lastID}, 상위 폴더: ${parentId})`);
+                state.createdCount++;
+                state.folderIds.set(key, this.lastID);
+                callback(null, this.lastID);
+            });
+        });
+    });
+}
+
+// 받은 파일 저장 (같은 폴더에 같은 이름의 파일이 있으면 그 파일의 새 버전)
+// → formatUploadedFile + newVersion, duplicates (로그인 사용자가 볼 수 있는 같은 내용의 다른 파일)
+// stored: { filename, path, size, mimetype } (multer 로 받은 파일, zip 에서 푼 파일, 나누어 받은 파일)
+// target.autoClassify: 자동 분류로 올린 새 파일은 본문 추출이 끝나면 다시 분류 (classifyExtractedFile)
+function saveUploadedFile(stored, originalName, target, user, callback) {
+    storeFileContent(stored, originalName, (err, content) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        const fail = (err) => {
+            releaseStoredFiles([content]);
+            callback(err);
+        };
+        const done = (fileRow, newVersion) => {
+            findDuplicateFiles([content.sha256], user, (err, duplicates) => {
+                if (err) console.error('같은 내용의 파일 조회 오류:', err);
+                callback(null, {
+                    ...formatUploadedFile(fileRow),
+                    newVersion,
+                    duplicates: (duplicates || []).filter(duplicate => duplicate.fileId !== fileRow.id)
+                });
+            });
+        };
+        
+        const query = `
+            SELECT * FROM files 
+            WHERE tab_type = ? AND folder_id IS ? AND original_name = ? AND ${accessFilter()}
+            ORDER BY id LIMIT 1
+        `;
+        
+        db.get(query, [target.tabType, target.folderId, originalName, ...accessParams(user)], (err, existing) => {
+            if (err) {
+                fail(err);
+                return;
             }
             
-            .word-document p {
-                margin-bottom: 15px;
-                text-align: justify;
-                line-height: 1.8;
+            if (existing) {
+                console.log(`같은 이름의 파일이 있어 새 버전으로 저장: ${originalName} (id: ${existing.id}, 현재 v${existing.version})`);
+                saveFileVersion(existing, content, user, (err, updated) => {
+                    if (err) {
+                        fail(err);
+                        return;
+                    }
+                    done(updated, true);
+                });
+                return;
             }
             
-            .word-document ul {
-                margin: 15px 0;
-                padding-left: 30px;
-            }
+            const fileRow = {
+                name: content.filename,
+                original_name: originalName,
+                file_path: content.path,
+                file_size: content.size,
+                mime_type: content.mimetype,
+                folder_id: target.folderId,
+                tab_type: target.tabType,
+                owner_id: user.id,
+                sha256: content.sha256
+            };
+            fileRow.auto_classify_by = target.autoClassify && hasExtractableText(fileRow) ? user.id : null;
             
-            .word-document li {
-                margin-bottom: 8px;
+            db.run(
+                "INSERT INTO files (name, original_name, file_path, file_size, mime_type, folder_id, tab_type, owner_id, sha256, auto_classify_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+                [fileRow.name, fileRow.original_name, fileRow.file_path, fileRow.file_size, fileRow.mime_type, fileRow.folder_id, fileRow.tab_type, fileRow.owner_id, fileRow.sha256, fileRow.auto_classify_by],
+                function(err) {
+                    if (err) {
+                        fail(err);
+                        return;
+                    }
+                    
+                    fileRow.id = this.lastID;
+                    console.log('파일 업로드 성공:', fileRow.id, originalName);
+                    done(fileRow, false);
+                    
+                    // 응답은 기다리지 않고 색인, 텍스트 추출, 요약 진행
+                    processNewFile(fileRow);
+                }
+            );
+        });
+    });
+}
+
+// 받은 파일을 저장 파일로 등록: 같은 내용이 이미 저장되어 있으면 받은 파일은 지우고 그 파일을 함께 쓰며,
+// 처음 보는 내용이면 uploads/<SHA-256><확장자> 로 옮김 → { filename, path, size, mimetype, sha256 }
+// 등록한 만큼 참조 수가 늘어나므로 파일 행을 만들지 못하면 releaseStoredFiles 로 되돌려야 함
+function storeFileContent(stored, originalName, callback) {
+    hashFile(stored.path, (err, sha256) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        db.get("SELECT * FROM stored_files WHERE sha256 = ?", [sha256], (err, existing) => {
+            if (err) {
+                callback(err);
+                return;
             }
             
-            .word-document .highlight {
-                background: #fef3c7;
-                padding: 2px 4px;
-                border-radius: 3px;
-            }
+            const shared = !!existing && fs.existsSync(existing.file_path);
+            const contentPath = shared
+                ? existing.file_path
+                : path.join(uploadsDir, `${sha256}${path.extname(originalName).toLowerCase()}`);
+            const moveFile = (done) => shared ? fs.unlink(stored.path, () => done(null)) : fs.rename(stored.path, contentPath, done);
             
-            .word-document .important {
-                color: #dc2626;
-                font-weight: 600;
-            }
+            moveFile((err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                
+                const query = `
+                    INSERT INTO stored_files (sha256, file_path, file_size, ref_count) VALUES (?, ?, ?, 1)
+                    ON CONFLICT (sha256) DO UPDATE SET ref_count = ref_count + 1, file_path = excluded.file_path
+                `;
+                db.run(query, [sha256, contentPath, stored.size], (err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    
+                    if (shared) {
+                        console.log(`같은 내용의 저장 파일이 있어 함께 사용: ${originalName} → ${path.basename(contentPath)}`);
+                    }
+                    callback(null, {
+                        filename: path.basename(contentPath),
+                        path: contentPath,
+                        size: stored.size,
+                        mimetype: stored.mimetype,
+                        sha256
+                    });
+                });
+            });
+        });
+    });
+}
+
+// 저장 파일을 쓰는 행이 하나 늘어남 (이전 버전 복원, 해시가 없는 이전 방식의 파일은 그대로)
+function addStoredFileReference(sha256, callback) {
+    if (!sha256) {
+        callback(null);
+        return;
+    }
+    
+    db.run("UPDATE stored_files SET ref_count = ref_count + 1 WHERE sha256 = ?", [sha256], (err) => callback(err));
+}
+
+// 파일 행이나 버전 행을 지울 때 저장 파일 참조 해제 (rows: [{ sha256, file_path, name }])
+// 참조 수가 0 이 되면 저장 파일 삭제, 해시가 없는 이전 방식의 파일은 저장 파일로 등록되지 않았을 때만 바로 삭제
+function releaseStoredFiles(rows) {
+    rows.forEach(row => {
+        if (!row.sha256) {
+            const filePath = resolveStoredFilePath(row);
+            if (!filePath) return;
             
-            /* Excel 문서 스타일 */
-            .excel-document table {
-                width: 100%;
-                border-collapse: collapse;
-                margin: 20px 0;
+            db.get("SELECT sha256 FROM stored_files WHERE file_path = ?", [filePath], (err, registered) => {
+                if (err || registered) return;
+                fs.unlink(filePath, (err) => {
+                    if (err) console.error('파일 삭제 오류:', err);
+                    else console.log('파일 삭제됨:', filePath);
+                });
+            });
+            return;
+        }
+        
+        db.serialize(() => {
+            db.run("UPDATE stored_files SET ref_count = ref_count - 1 WHERE sha256 = ?", [row.sha256]);
+            db.get("SELECT * FROM stored_files WHERE sha256 = ? AND ref_count <= 0", [row.sha256], (err, unused) => {
+                if (err) {
+                    console.error('저장 파일 참조 해제 오류:', err);
+                    return;
+                }
+                if (!unused) return;
+                
+                db.run("DELETE FROM stored_files WHERE sha256 = ? AND ref_count <= 0", [row.sha256], function(err) {
+                    if (err || this.changes === 0) return;
+                    fs.unlink(unused.file_path, (err) => {
+                        if (err && err.code !== 'ENOENT') console.error('파일 삭제 오류:', err);
+                        else console.log('더 이상 쓰지 않는 저장 파일 삭제됨:', unused.file_path);
+                    });
+                    fs.unlink(thumbnailPath(row.sha256), () => {});
+                });
+            });
+        });
+    });
+}
+
+// 해시가 없는 이전 방식의 저장 파일(파일 행과 버전 행)을 저장 파일로 등록
+// 같은 내용이 이미 등록되어 있으면 그 저장 파일을 쓰도록 바꾸고, 아무도 쓰지 않게 된 중복 파일은 삭제
+// 모두 등록하면 callback() (오류가 있어도 호출)
+function registerLegacyStoredFiles(callback) {
+    const query = `
+        SELECT 'files' AS source, id, name, file_path, file_size FROM files WHERE sha256 IS NULL
+        UNION ALL
+        SELECT 'file_versions' AS source, id, name, file_path, file_size FROM file_versions WHERE sha256 IS NULL
+    `;
+    
+    db.all(query, (err, rows) => {
+        if (err) {
+            console.error('이전 저장 파일 조회 오류:', err);
+            callback();
+            return;
+        }
+        
+        const duplicatePaths = new Set();
+        let registeredCount = 0;
+        
+        const registerNext = (index) => {
+            if (index >= rows.length) {
+                if (registeredCount > 0) {
+                    console.log(`이전 저장 파일 ${registeredCount}개 등록 (같은 내용의 중복 파일 ${duplicatePaths.size}개)`);
+                }
+                removeUnusedFiles([...duplicatePaths]);
+                callback();
+                return;
+            }
+            
+            const row = rows[index];
+            const filePath = resolveStoredFilePath(row);
+            if (!filePath) {
+                registerNext(index + 1);
+                return;
+            }
+            
+            hashFile(filePath, (err, sha256) => {
+                if (err) {
+                    console.error(`파일 해시 계산 오류 (${filePath}):`, err.message);
+                    registerNext(index + 1);
+                    return;
+                }
+                
+                db.get("SELECT * FROM stored_files WHERE sha256 = ?", [sha256], (err, existing) => {
+                    if (err) {
+                        console.error('저장 파일 조회 오류:', err);
+                        registerNext(index + 1);
+                        return;
+                    }
+                    
+                    const contentPath = existing && fs.existsSync(existing.file_path) ? existing.file_path : filePath;
+                    if (contentPath !== filePath) {
+                        duplicatePaths.add(filePath);
+                    }
+                    
+                    db.serialize(() => {
+                        db.run(
+                            `UPDATE ${row.source} SET sha256 = ?, name = ?, file_path = ? WHERE id = ?`,
+                            [sha256, path.basename(contentPath), contentPath, row.id]
+                        );
+                        db.run(`
+                            INSERT INTO stored_files (sha256, file_path, file_size, ref_count) VALUES (?, ?, ?, 1)
+                            ON CONFLICT (sha256) DO UPDATE SET ref_count = ref_count + 1, file_path = excluded.file_path
+                        `, [sha256, contentPath, row.file_size], (err) => {
+                            if (err) console.error('저장 파일 등록 오류:', err);
+                            else registeredCount++;
+                            registerNext(index + 1);
+                        });
+                    });
+                });
+            });
+        };
+        
+        registerNext(0);
+    });
+}
+
+// 어떤 파일, 버전, 휴지통 항목도 쓰지 않는 저장 파일 삭제
+function removeUnusedFiles(filePaths) {
+    filePaths.forEach(filePath => {
+        const query = `
+            SELECT
+                (SELECT COUNT(*) FROM files WHERE file_path = ?) +
+                (SELECT COUNT(*) FROM file_versions WHERE file_path = ?) +
+                (SELECT COUNT(*) FROM stored_files WHERE file_path = ?) +
+                (SELECT COUNT(*) FROM trash WHERE instr(snapshot, ?) > 0) AS count
+        `;
+        db.get(query, [filePath, filePath, filePath, JSON.stringify(filePath)], (err, row) => {
+            if (err || row.count > 0) return;
+            fs.unlink(filePath, (err) => {
+                if (err) console.error('중복 파일 삭제 오류:', err);
+                else console.log('같은 내용의 중복 파일 삭제됨:', filePath);
+            });
+        });
+    });
+}
+
+// 로그인 사용자가 볼 수 있는 파일 중 내용(SHA-256)이 같은 파일 → [{ fileId, name, folderId, folderName, tabType, sha256 }]
+function findDuplicateFiles(hashes, user, callback) {
+    if (hashes.length === 0) {
+        callback(null, []);
+        return;
+    }
+    
+    const query = `
+        SELECT f.id, f.original_name, f.folder_id, f.tab_type, f.sha256, fo.name AS folder_name
+        FROM files f
+        LEFT JOIN folders fo ON f.folder_id = fo.id
+        WHERE f.sha256 IN (${hashes.map(() => '?').join(', ')}) AND ${accessFilter('f')}
+        ORDER BY f.tab_type, f.id
+    `;
+    
+    db.all(query, [...hashes, ...accessParams(user)], (err, rows) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        callback(null, rows.map(row => ({
+            fileId: row.id,
+            name: row.original_name,
+            folderId: row.folder_id,
+            folderName: row.folder_name,
+            tabType: row.tab_type,
+            sha256: row.sha256
+        })));
+    });
+}
+
+// 5. 파일 다운로드
+app.get('/api/download/:fileId', (req, res) => {
+    const { fileId } = req.params;
+    
+    const query = `SELECT * FROM files WHERE id = ? AND ${accessFilter()}`;
+    
+    db.get(query, [fileId, ...accessParams(req.user)], (err, row) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!row) {
+            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        const filePath = row.file_path || path.join(uploadsDir, row.name);
+        
+        // 파일이 실제로 존재하는지 확인
+        if (!fs.existsSync(filePath)) {
+            res.status(404).json({ error: '파일이 서버에 존재하지 않습니다.' });
+            return;
+        }
+        
+        // 파일 다운로드 헤더 설정
+        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(row.original_name)}"`);
+        res.setHeader('Content-Type', row.mime_type || 'application/octet-stream');
+        
+        // 파일 스트림 전송
+        const fileStream = fs.createReadStream(filePath);
+        fileStream.pipe(res);
+        
+        fileStream.on('error', (err) => {
+            console.error('파일 전송 오류:', err);
+            if (!res.headersSent) {
+                res.status(500).json({ error: '파일 전송 중 오류가 발생했습니다.' });
+            }
+        });
+    });
+});
+
+// 5-1. 엑셀 시트 CSV/JSON 내보내기
+app.get('/api/download/:fileId/sheets/:sheetIndex.:format', (req, res) => {
+    const { fileId, sheetIndex, format } = req.params;
+    
+    if (!['csv', 'json'].includes(format)) {
+        res.status(400).json({ error: '지원되지 않는 내보내기 형식입니다. (csv, json)' });
+        return;
+    }
+    
+    const query = `SELECT * FROM files WHERE id = ? AND ${accessFilter()}`;
+    
+    db.get(query, [fileId, ...accessParams(req.user)], async (err, row) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!row) {
+            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        if (!isXlsxFile(row)) {
+            res.status(400).json({ error: 'XLSX 파일만 시트 내보내기를 지원합니다.' });
+            return;
+        }
+        
+        const filePath = resolveStoredFilePath(row);
+        if (!filePath) {
+            res.status(404).json({ error: '파일이 서버에 존재하지 않습니다.' });
+            return;
+        }
+        
+        let workbook;
+        try {
+            workbook = await readWorkbook(filePath);
+        } catch (error) {
+            console.error('엑셀 시트 내보내기 오류:', error);
+            res.status(422).json({ error: error.message });
+            return;
+        }
+        
+        const sheet = workbook.sheets[parseInt(sheetIndex)];
+        if (!sheet) {
+            res.status(404).json({ error: '시트를 찾을 수 없습니다.' });
+            return;
+        }
+        
+        const baseName = row.original_name.replace(/\.[^.]+$/, '');
+        const exportName = `${baseName}-${sheet.name}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(exportName)}"`);
+        
+        if (format === 'csv') {
+            // Excel에서 한글이 깨지지 않도록 BOM 추가
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.send('\uFEFF' + sheetToCsv(sheet));
+        } else {
+            res.json({
+                file: { id: row.id, name: row.original_name },
+                sheetCount: workbook.sheets.length,
+                ...sheetToJson(sheet)
+            });
+        }
+    });
+});
+
+// 5-2. Office 파일 HTML 변환 미리보기 (새로 추가)
+app.get('/api/office-preview/:fileId', (req, res) => {
+    const { fileId } = req.params;
+    
+    const query = `SELECT * FROM files WHERE id = ? AND ${accessFilter()}`;
+    
+    db.get(query, [fileId, ...accessParams(req.user)], async (err, row) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!row) {
+            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        const filePath = resolveStoredFilePath(row);
+        
+        // 파일이 실제로 존재하는지 확인
+        if (!filePath) {
+            res.status(404).json({ error: '파일이 서버에 존재하지 않습니다.' });
+            return;
+        }
+        
+        // Office 파일인지 확인
+        const isOfficeFile = row.mime_type && (
+            row.mime_type.includes('word') ||
+            row.mime_type.includes('excel') ||
+            row.mime_type.includes('powerpoint') ||
+            row.mime_type.includes('spreadsheet') ||
+            row.mime_type.includes('presentation') ||
+            row.original_name.match(/\.(doc|docx|xls|xlsx|ppt|pptx)$/i)
+        ) || isHwpFile(row);
+        
+        if (!isOfficeFile) {
+            res.status(400).json({ error: '지원되지 않는 파일 형식입니다.' });
+            return;
+        }
+        
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        
+        try {
+            // 실제 파일을 열어 HTML로 변환
+            const previewHtml = await generateOfficePreviewHtml(row, filePath);
+            res.send(previewHtml);
+        } catch (error) {
+            // 변환할 수 없는 문서는 임의의 내용 대신 오류 상태를 표시
+            console.error(`Office 파일 변환 오류 (${row.original_name}):`, error);
+            res.status(422).send(generatePreviewErrorHtml(row, error.message));
+        }
+    });
+});
+
+// 5-3. PDF 문서 정보 (페이지 수, 제목, 작성자, 작성일)
+app.get('/api/pdf-info/:fileId', (req, res) => {
+    findPdfFile(req.params.fileId, req.user, res, (row) => {
+        getDocumentInfo(row, (err, info) => {
+            if (err) {
+                res.status(422).json({ error: err.message });
+                return;
+            }
+            
+            res.json(formatDocumentInfo(row, info));
+        });
+    });
+});
+
+// 5-4. PDF 페이지별 텍스트 (?page=N 이면 해당 페이지만)
+app.get('/api/pdf-text/:fileId', (req, res) => {
+    const pageNumber = req.query.page ? parseInt(req.query.page) : null;
+    
+    if (req.query.page && (isNaN(pageNumber) || pageNumber < 1)) {
+        res.status(400).json({ error: '잘못된 페이지 번호입니다.' });
+        return;
+    }
+    
+    findPdfFile(req.params.fileId, req.user, res, (row) => {
+        getDocumentInfo(row, (err, info) => {
+            if (err) {
+                res.status(422).json({ error: err.message });
+                return;
+            }
+            
+            if (pageNumber && pageNumber > info.page_count) {
+                res.status(404).json({ error: `페이지를 찾을 수 없습니다. (전체 ${info.page_count}페이지)` });
+                return;
+            }
+            
+            const query = pageNumber
+                ? "SELECT page_number, content FROM file_pages WHERE file_id = ? AND page_number = ?"
+                : "SELECT page_number, content FROM file_pages WHERE file_id = ? ORDER BY page_number";
+            const params = pageNumber ? [row.id, pageNumber] : [row.id];
+            
+            db.all(query, params, (err, pages) => {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                res.json({
+                    fileId: row.id,
+                    fileName: row.original_name,
+                    pageCount: info.page_count,
+                    hasText: info.text_length > 0,
+                    pages: pages.map(page => ({
+                        page: page.page_number,
+                        text: page.content || ''
+                    }))
+                });
+            });
+        });
+    });
+});
+
+// 5-5. PDF 미리보기 (페이지 이미지 위에 선택/검색 가능한 텍스트 레이어 표시)
+app.get('/api/pdf-preview/:fileId', (req, res) => {
+    findPdfFile(req.params.fileId, req.user, res, (row) => {
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.send(generatePdfViewerHtml(row));
+    });
+});
+
+// PDF 파일 조회 (없거나 PDF가 아니면 오류 응답)
+function findPdfFile(fileId, user, res, callback) {
+    db.get(`SELECT * FROM files WHERE id = ? AND ${accessFilter()}`, [fileId, ...accessParams(user)], (err, row) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!row) {
+            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        if (!isPdfFile(row)) {
+            res.status(400).json({ error: 'PDF 파일이 아닙니다.' });
+            return;
+        }
+        
+        if (!resolveStoredFilePath(row)) {
+            res.status(404).json({ error: '파일이 서버에 존재하지 않습니다.' });
+            return;
+        }
+        
+        callback(row);
+    });
+}
+
+// PDF 파일인지 확인
+function isPdfFile(fileInfo) {
+    return fileInfo.mime_type === 'application/pdf' || /\.pdf$/i.test(fileInfo.original_name || '');
+}
+
+// 한글(HWP/HWPX) 파일인지 확인
+function isHwpFile(fileInfo) {
+    return /\.(hwp|hwpx)$/i.test(fileInfo.original_name || '') || /hwp/i.test(fileInfo.mime_type || '');
+}
+
+// DOCX(OOXML) 형식인지 확인
+function isDocxFile(fileInfo) {
+    return /\.docx$/i.test(fileInfo.original_name || '') ||
+        (fileInfo.mime_type || '').includes('wordprocessingml');
+}
+
+// 파일 형식별 본문 텍스트 추출 함수 (추출할 수 없는 형식은 null)
+// 모두 { pageCount, info, pages: [{ pageNumber, text }] } 형식으로 반환한다
+function textExtractorFor(fileInfo) {
+    if (isPdfFile(fileInfo)) return extractPdfWithOcr;
+    if (isOcrImage(fileInfo.original_name)) return extractImageText;
+    if (isHwpFile(fileInfo)) return extractHangulText;
+    if (isDocxFile(fileInfo)) return extractDocxText;
+    if (isXlsxFile(fileInfo)) return extractWorkbookText;
+    if (isPptxFile(fileInfo)) return extractPresentationText;
+    return null;
+}
+
+// PDF 본문 추출 (글자가 없는 스캔 페이지는 글자 인식)
+async function extractPdfWithOcr(filePath) {
+    return recognizeEmptyPdfPages(filePath, await extractPdf(filePath));
+}
+
+// 본문 텍스트를 추출하여 검색에 사용하는 파일인지 확인
+function hasExtractableText(fileInfo) {
+    return textExtractorFor(fileInfo) !== null;
+}
+
+// 저장된 문서 정보 조회 (아직 추출하지 않은 파일은 지금 추출)
+function getDocumentInfo(fileRow, callback) {
+    db.get("SELECT * FROM document_info WHERE file_id = ?", [fileRow.id], (err, info) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        if (!info) {
+            storeDocumentText(fileRow, callback);
+            return;
+        }
+        
+        if (info.extract_error) {
+            callback(new Error(info.extract_error));
+            return;
+        }
+        
+        callback(null, info);
+    });
+}
+
+// 진행 중인 텍스트 추출 (같은 파일을 동시에 두 번 추출하지 않도록 대기 목록 관리)
+const textExtractions = new Map();
+
+// 문서 텍스트를 추출하여 페이지(한글 문서는 구역, 엑셀은 시트, 파워포인트는 슬라이드)별로 저장하고
+// 문서 정보 기록, 검색 색인 갱신
+function storeDocumentText(fileRow, callback) {
+    if (textExtractions.has(fileRow.id)) {
+        textExtractions.get(fileRow.id).push(callback);
+        return;
+    }
+    
+    const callbacks = [callback];
+    textExtractions.set(fileRow.id, callbacks);
+    const finish = (err, info) => {
+        textExtractions.delete(fileRow.id);
+        callbacks.forEach(done => done(err, info));
+    };
+    
+    const filePath = resolveStoredFilePath(fileRow);
+    if (!filePath) {
+        finish(new Error('파일이 서버에 존재하지 않습니다.'));
+        return;
+    }
+    
+    console.log(`문서 텍스트 추출 시작: ${fileRow.original_name}`);
+    
+    const extractText = textExtractorFor(fileRow);
+    if (!extractText) {
+        finish(new Error('본문을 추출할 수 없는 파일 형식입니다.'));
+        return;
+    }
+    
+    extractText(filePath).then(result => {
+        const textLength = result.pages.reduce((sum, page) => sum + page.text.length, 0);
+        const { info } = result;
+        
+        db.serialize(() => {
+            db.run("BEGIN TRANSACTION");
+            db.run("DELETE FROM file_pages WHERE file_id = ?", [fileRow.id]);
+            
+            db.run("DELETE FROM search_index WHERE file_id = ? AND page_number > 0", [fileRow.id]);
+            
+            // 본문이 바뀌었으므로 이전 요약은 버림 (다음 조회 때 다시 만듦)
+            db.run("DELETE FROM document_summaries WHERE file_id = ?", [fileRow.id]);
+            
+            db.run("DELETE FROM ocr_pages WHERE file_id = ?", [fileRow.id]);
+            
+            const insertPage = db.prepare("INSERT INTO file_pages (file_id, page_number, content) VALUES (?, ?, ?)");
+            const indexPage = db.prepare("INSERT INTO search_index (file_id, page_number, name, content) VALUES (?, ?, ?, ?)");
+            const insertOcr = db.prepare("INSERT INTO ocr_pages (file_id, page_number, width, height, rotation, confidence, words) VALUES (?, ?, ?, ?, ?, ?, ?)");
+            const indexedName = toIndexText(fileRow.original_name);
+            result.pages.forEach(page => {
+                insertPage.run([fileRow.id, page.pageNumber, page.text]);
+                if (page.text) {
+                    indexPage.run([fileRow.id, page.pageNumber, indexedName, toIndexText(page.text)]);
+                }
+                if (page.ocr) {
+                    insertOcr.run([fileRow.id, page.pageNumber, page.ocr.width, page.ocr.height, page.ocr.rotation, page.ocr.confidence, JSON.stringify(page.ocr.words)]);
+                }
+            });
+            insertPage.finalize();
+            indexPage.finalize();
+            insertOcr.finalize();
+            
+            db.run(`
+                INSERT OR REPLACE INTO document_info 
+                (file_id, page_count, title, author, subject, keywords, creator, producer, created_date, modified_date, text_length, extract_error, extracted_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NULL, CURRENT_TIMESTAMP)
+            `, [
+                fileRow.id,
+                result.pageCount,
+                info.title || null,
+                info.author || null,
+                info.subject || null,
+                info.keywords || null,
+                info.creator || null,
+                info.producer || null,
+                info.creationDate || null,
+                info.modificationDate || null,
+                textLength
+            ]);
+            
+            db.run("COMMIT", (err) => {
+                if (err) {
+                    console.error('문서 텍스트 저장 오류:', err);
+                    finish(err);
+                    return;
+                }
+                
+                console.log(`문서 텍스트 추출 완료: ${fileRow.original_name} (${result.pageCount}페이지, ${textLength}자)`);
+                invalidateRelatedIndex();
+                db.get("SELECT * FROM document_info WHERE file_id = ?", [fileRow.id], finish);
+            });
+        });
+    }).catch(error => {
+        // 해석할 수 없는 문서는 오류를 기록하여 요청마다 다시 추출하지 않도록 함
+        db.run(
+            "INSERT OR REPLACE INTO document_info (file_id, extract_error, extracted_at) VALUES (?, ?, CURRENT_TIMESTAMP)",
+            [fileRow.id, error.message],
+            () => finish(error)
+        );
+    });
+}
+
+// 파일 삭제 시 추출된 페이지 텍스트, 글자 인식 결과, 문서 정보, 검색 색인 삭제
+function deleteDocumentText(fileIds) {
+    if (!fileIds || fileIds.length === 0) return;
+    
+    // FTS 테이블 열은 형식 변환을 하지 않으므로 숫자로 맞춰서 비교
+    fileIds = fileIds.map(Number);
+    const placeholders = fileIds.map(() => '?').join(', ');
+    invalidateRelatedIndex();
+    db.run(`DELETE FROM search_index WHERE file_id IN (${placeholders})`, fileIds, (err) => {
+        if (err) console.error('검색 색인 삭제 오류:', err);
+    });
+    db.run(`DELETE FROM file_pages WHERE file_id IN (${placeholders})`, fileIds, (err) => {
+        if (err) console.error('페이지 텍스트 삭제 오류:', err);
+    });
+    db.run(`DELETE FROM ocr_pages WHERE file_id IN (${placeholders})`, fileIds, (err) => {
+        if (err) console.error('글자 인식 결과 삭제 오류:', err);
+    });
+    db.run(`DELETE FROM document_info WHERE file_id IN (${placeholders})`, fileIds, (err) => {
+        if (err) console.error('문서 정보 삭제 오류:', err);
+    });
+    db.run(`DELETE FROM document_summaries WHERE file_id IN (${placeholders})`, fileIds, (err) => {
+        if (err) console.error('문서 요약 삭제 오류:', err);
+    });
+}
+
+// 연관 문서 색인 (문서가 추가/삭제되면 버리고 다음 요청 때 다시 계산)
+let relatedIndex = null;
+let relatedIndexVersion = 0;
+let relatedIndexWaiters = null;
+
+function invalidateRelatedIndex() {
+    relatedIndex = null;
+    relatedIndexVersion++;
+}
+
+// 연관 문서 색인 조회 (없으면 두 탭의 모든 파일명과 추출한 본문으로 계산)
+function getRelatedIndex(callback) {
+    if (relatedIndex) {
+        callback(null, relatedIndex);
+        return;
+    }
+    
+    // 계산 중이면 결과를 함께 기다림
+    if (relatedIndexWaiters) {
+        relatedIndexWaiters.push(callback);
+        return;
+    }
+    
+    relatedIndexWaiters = [callback];
+    const version = relatedIndexVersion;
+    const query = `
+        SELECT f.id, f.original_name, GROUP_CONCAT(p.content, ' ') AS content
+        FROM files f
+        LEFT JOIN file_pages p ON p.file_id = f.id
+        GROUP BY f.id
+    `;
+    
+    db.all(query, (err, rows) => {
+        const waiters = relatedIndexWaiters;
+        relatedIndexWaiters = null;
+        
+        if (err) {
+            waiters.forEach(done => done(err));
+            return;
+        }
+        
+        const index = buildRelatedIndex(rows.map(row => ({ id: row.id, name: row.original_name, text: row.content || '' })));
+        console.log(`연관 문서 색인 계산 완료: 문서 ${index.documentCount}개`);
+        
+        // 계산하는 동안 문서가 바뀌었으면 이번 결과는 저장하지 않음
+        if (version === relatedIndexVersion) {
+            relatedIndex = index;
+        }
+        waiters.forEach(done => done(null, index));
+    });
+}
+
+// 문서 요약 만들기: 추출한 페이지 텍스트를 요약 제공자에 넘기고 결과를 제공자/모델/버전과 함께 저장
+// (텍스트가 없으면 422, 요약 제공자 오류는 502 상태 코드를 error.statusCode 로 전달)
+function storeDocumentSummary(fileRow, providerName, callback) {
+    const provider = getSummaryProvider(providerName);
+    if (!provider) {
+        const error = new Error(`지원하지 않는 요약 제공자입니다. (사용 가능: ${listSummaryProviders().join(', ')})`);
+        error.statusCode = 400;
+        callback(error);
+        return;
+    }
+    
+    getDocumentInfo(fileRow, (err, info) => {
+        if (err) {
+            err.statusCode = 422;
+            callback(err);
+            return;
+        }
+        
+        if (!info.text_length) {
+            const error = new Error('요약할 텍스트가 없습니다. (이미지로만 된 문서일 수 있습니다)');
+            error.statusCode = 422;
+            callback(error);
+            return;
+        }
+        
+        db.all("SELECT page_number, content FROM file_pages WHERE file_id = ? ORDER BY page_number", [fileRow.id], (err, rows) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            
+            console.log(`문서 요약 시작: ${fileRow.original_name} (제공자: ${provider.name})`);
+            const pages = rows.map(row => ({
+                page: row.page_number,
+                label: pageLabel(fileRow, row.page_number),
+                text: row.content || ''
+            }));
+            
+            provider.summarize({ name: fileRow.original_name, pages }).then(result => {
+                if (!result.summary) {
+                    const error = new Error('요약할 수 있는 문장이 없습니다.');
+                    error.statusCode = 422;
+                    callback(error);
+                    return;
+                }
+                
+                db.run(`
+                    INSERT OR REPLACE INTO document_summaries (file_id, provider, model, version, summary, sentences, created_at)
+                    VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                `, [
+                    fileRow.id,
+                    provider.name,
+                    provider.model,
+                    provider.version,
+                    result.summary,
+                    JSON.stringify(result.sentences || [])
+                ], (err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    
+                    console.log(`문서 요약 완료: ${fileRow.original_name} (${provider.name}/${provider.model} v${provider.version})`);
+                    db.get("SELECT * FROM document_summaries WHERE file_id = ?", [fileRow.id], callback);
+                });
+            }).catch(error => {
+                console.error(`요약 제공자 오류 (${provider.name}):`, error.message);
+                error.statusCode = 502;
+                callback(error);
+            });
+        });
+    });
+}
+
+// API 응답용 문서 요약 (요약에 쓴 문장은 위치 표시 포함)
+function formatDocumentSummary(fileRow, summaryRow) {
+    const sentences = summaryRow.sentences ? JSON.parse(summaryRow.sentences) : [];
+    return {
+        fileId: fileRow.id,
+        fileName: fileRow.original_name,
+        summary: summaryRow.summary,
+        sentences: sentences.map(sentence => ({
+            ...sentence,
+            label: pageLabel(fileRow, sentence.page)
+        })),
+        provider: summaryRow.provider,
+        model: summaryRow.model,
+        version: summaryRow.version,
+        createdAt: summaryRow.created_at
+    };
+}
+
+// API 응답용 문서 정보
+function formatDocumentInfo(fileRow, info) {
+    return {
+        fileId: fileRow.id,
+        fileName: fileRow.original_name,
+        pageCount: info.page_count,
+        title: info.title,
+        author: info.author,
+        subject: info.subject,
+        keywords: info.keywords,
+        creator: info.creator,
+        producer: info.producer,
+        creationDate: info.created_date,
+        modificationDate: info.modified_date,
+        hasText: info.text_length > 0,
+        textLength: info.text_length,
+        extractedAt: info.extracted_at
+    };
+}
+
+// 파일명을 검색 색인에 추가 (본문 행에는 텍스트 추출 시 함께 기록)
+function indexFileName(fileRow, callback) {
+    db.run(
+        "INSERT INTO search_index (file_id, page_number, name, content) VALUES (?, 0, ?, '')",
+        [fileRow.id, toIndexText(fileRow.original_name)],
+        (err) => {
+            if (err) console.error('검색 색인 추가 오류:', err);
+            invalidateRelatedIndex();
+            if (callback) callback(err);
+        }
+    );
+}
+
+// 서버 시작 시 검색 색인을 파일 목록과 맞춤
+// (삭제된 파일의 색인 제거, 색인에 없는 파일명/페이지 추가, 아직 텍스트를 추출하지 않은 문서 추출)
+function syncSearchIndex() {
+    db.run("DELETE FROM search_index WHERE file_id NOT IN (SELECT id FROM files)", (err) => {
+        if (err) console.error('검색 색인 정리 오류:', err);
+    });
+    
+    const missingNames = `
+        SELECT * FROM files f
+        WHERE NOT EXISTS (SELECT 1 FROM search_index s WHERE s.file_id = f.id AND s.page_number = 0)
+    `;
+    
+    db.all(missingNames, (err, files) => {
+        if (err) {
+            console.error('검색 색인 확인 오류:', err);
+            return;
+        }
+        
+        files.forEach(file => indexFileName(file));
+        
+        const missingPages = `
+            SELECT p.file_id, p.page_number, p.content, f.original_name
+            FROM file_pages p
+            INNER JOIN files f ON p.file_id = f.id
+            WHERE p.content != '' AND NOT EXISTS (
+                SELECT 1 FROM search_index s WHERE s.file_id = p.file_id AND s.page_number = p.page_number
+            )
+        `;
+        
+        db.all(missingPages, (err, pages) => {
+            if (err) {
+                console.error('검색 색인 확인 오류:', err);
+                return;
+            }
+            
+            pages.forEach(page => {
+                db.run(
+                    "INSERT INTO search_index (file_id, page_number, name, content) VALUES (?, ?, ?, ?)",
+                    [page.file_id, page.page_number, toIndexText(page.original_name), toIndexText(page.content)]
+                );
+            });
+            
+            // 글자 인식을 추가하기 전에 추출하여 본문이 없는 PDF 도 다시 추출 (글자 인식 결과가 생기면 제외됨)
+            // 추출 작업이 이미 대기 중이거나 처리 중인 파일은 제외
+            const notExtracted = `
+                SELECT * FROM files f
+                WHERE (
+                    NOT EXISTS (SELECT 1 FROM document_info d WHERE d.file_id = f.id)
+                    OR (
+                        (f.mime_type = 'application/pdf' OR lower(f.original_name) LIKE '%.pdf')
+                        AND EXISTS (SELECT 1 FROM document_info d WHERE d.file_id = f.id AND d.text_length = 0 AND d.extract_error IS NULL)
+                        AND NOT EXISTS (SELECT 1 FROM ocr_pages o WHERE o.file_id = f.id)
+                    )
+                )
+                AND NOT EXISTS (SELECT 1 FROM jobs j WHERE j.file_id = f.id AND j.type = 'extract' AND j.status IN ('queued', 'processing'))
+            `;
+            
+            db.all(notExtracted, (err, rows) => {
+                if (err) {
+                    console.error('검색 색인 확인 오류:', err);
+                    return;
+                }
+                
+                // 본문 추출은 작업 큐에서 차례로 처리
+                const pending = rows.filter(row => hasExtractableText(row) && resolveStoredFilePath(row));
+                console.log(`검색 색인 확인: 파일명 ${files.length}개, 페이지 ${pages.length}개 추가, 본문 추출 대기 ${pending.length}개`);
+                
+                pending.forEach(row => enqueueJob(row.id, 'extract'));
+            });
+        });
+    });
+}
+
+// PDF 미리보기 페이지 (pdf.js로 페이지를 그리고 텍스트 레이어를 겹쳐 선택/검색 가능하게 함)
+// #page=3&search=검색어 형식으로 시작 페이지와 검색어를 지정할 수 있다
+function generatePdfViewerHtml(fileInfo) {
+    const fileName = fileInfo.original_name;
+    
+    return `
+    <!DOCTYPE html>
+    <html lang="ko">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(fileName)}</title>
+        <link rel="stylesheet" href="/vendor/pdfjs/web/pdf_viewer.css">
+        <style>
+            * { box-sizing: border-box; }
+            body {
+                margin: 0;
+                font-family: 'Malgun Gothic', '맑은 고딕', system-ui, -apple-system, sans-serif;
+                background: #e5e7eb;
+                color: #333;
+            }
+            
+            .pdf-toolbar {
+                position: sticky;
+                top: 0;
+                z-index: 10;
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                justify-content: space-between;
+                gap: 8px;
+                padding: 8px 12px;
+                background: #ffffff;
+                border-bottom: 1px solid #d1d5db;
+                font-size: 13px;
+            }
+            
+            .pdf-toolbar-group {
+                display: flex;
+                align-items: center;
+                gap: 4px;
+            }
+            
+            .pdf-btn {
+                min-width: 28px;
+                padding: 4px 8px;
+                border: 1px solid #d1d5db;
+                border-radius: 4px;
+                background: #ffffff;
+                color: #374151;
+                font-size: 12px;
+                cursor: pointer;
+            }
+            
+            .pdf-btn:hover:not(:disabled) {
+                background: #f3f4f6;
+            }
+            
+            .pdf-btn:disabled {
+                opacity: 0.4;
+                cursor: default;
+            }
+            
+            #page-input {
+                width: 52px;
+                padding: 3px 4px;
+                border: 1px solid #d1d5db;
+                border-radius: 4px;
+                text-align: right;
+            }
+            
+            #find-input {
+                width: 160px;
+                padding: 4px 8px;
+                border: 1px solid #d1d5db;
+                border-radius: 4px;
+            }
+            
+            #find-status {
+                min-width: 90px;
+                color: #6b7280;
+            }
+            
+            .pdf-pages {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                gap: 16px;
+                padding: 16px;
+            }
+            
+            .pdf-page {
+                position: relative;
+                background: #ffffff;
+                box-shadow: 0 2px 10px rgba(0,0,0,0.15);
+            }
+            
+            .pdf-page canvas {
+                display: block;
+            }
+            
+            .pdf-page-number {
+                position: absolute;
+                right: 8px;
+                bottom: -14px;
+                font-size: 11px;
+                color: #6b7280;
+            }
+            
+            .pdf-message {
+                margin-top: 80px;
+                color: #6b7280;
+                text-align: center;
+                line-height: 1.6;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="pdf-toolbar">
+            <div class="pdf-toolbar-group">
+                <button class="pdf-btn" id="page-prev" title="이전 페이지">◀</button>
+                <input id="page-input" type="number" min="1" value="1" title="페이지 번호">
+                <span id="page-total">/ -</span>
+                <button class="pdf-btn" id="page-next" title="다음 페이지">▶</button>
+            </div>
+            <div class="pdf-toolbar-group">
+                <button class="pdf-btn" id="zoom-out" title="축소">－</button>
+                <button class="pdf-btn" id="zoom-fit" title="폭에 맞추기">맞춤</button>
+                <button class="pdf-btn" id="zoom-in" title="확대">＋</button>
+            </div>
+            <div class="pdf-toolbar-group">
+                <input id="find-input" type="search" placeholder="문서 내 검색">
+                <button class="pdf-btn" id="find-prev" title="이전 결과">▲</button>
+                <button class="pdf-btn" id="find-next" title="다음 결과">▼</button>
+                <span id="find-status"></span>
+            </div>
+        </div>
+        <div class="pdf-pages" id="pdf-pages">
+            <div class="pdf-message">PDF를 불러오는 중...</div>
+        </div>
+        
+        <script src="/vendor/pdfjs/build/pdf.min.js"></script>
+        <script>
+            const fileId = ${fileInfo.id};
+            const fileName = ${JSON.stringify(fileName).replace(/</g, '\\u003c')};
+            const ZOOM_STEPS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+            
+            const pagesContainer = document.getElementById('pdf-pages');
+            const pageInput = document.getElementById('page-input');
+            const findInput = document.getElementById('find-input');
+            const findStatus = document.getElementById('find-status');
+            
+            const pageViews = [];         // 페이지별 { number, page, element, rendered, textDivs, textStrings }
+            const pageTexts = [];         // 검색용 페이지 텍스트 (공백 제거, 소문자)
+            const visiblePages = new Set();
+            let pdfDocument = null;
+            let currentPage = 1;
+            let zoom = null;              // null이면 폭 맞춤
+            let searchTerm = '';
+            let searchHits = [];          // 검색어가 있는 페이지 번호 목록
+            let searchIndex = -1;
+            
+            pdfjsLib.GlobalWorkerOptions.workerSrc = '/vendor/pdfjs/build/pdf.worker.min.js';
+            
+            // 화면에 보이는 페이지만 그린다
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    const number = parseInt(entry.target.dataset.page, 10);
+                    if (entry.isIntersecting) {
+                        visiblePages.add(number);
+                        renderPage(pageViews[number - 1]);
+                    } else {
+                        visiblePages.delete(number);
+                    }
+                });
+            }, { rootMargin: '300px 0px' });
+            
+            async function openDocument() {
+                try {
+                    pdfDocument = await pdfjsLib.getDocument({
+                        url: '/api/preview/' + fileId,
+                        cMapUrl: '/vendor/pdfjs/cmaps/',
+                        cMapPacked: true,
+                        standardFontDataUrl: '/vendor/pdfjs/standard_fonts/'
+                    }).promise;
+                } catch (error) {
+                    const message = error.name === 'PasswordException'
+                        ? '암호가 설정된 PDF는 미리볼 수 없습니다.'
+                        : 'PDF 파일을 열 수 없습니다. (' + error.message + ')';
+                    showMessage(message);
+                    if (window.parent && window.parent !== window && window.parent.onPdfPreviewFailed) {
+                        window.parent.onPdfPreviewFailed(fileName, fileId, message);
+                    }
+                    return;
+                }
+                
+                pagesContainer.innerHTML = '';
+                document.getElementById('page-total').textContent = '/ ' + pdfDocument.numPages;
+                pageInput.max = pdfDocument.numPages;
+                
+                for (let number = 1; number <= pdfDocument.numPages; number++) {
+                    const page = await pdfDocument.getPage(number);
+                    const element = document.createElement('div');
+                    element.className = 'pdf-page';
+                    element.dataset.page = number;
+                    pagesContainer.appendChild(element);
+                    
+                    const view = { number, page, element, rendered: false, textDivs: [], textStrings: [] };
+                    pageViews.push(view);
+                    sizePage(view);
+                    observer.observe(element);
+                }
+                
+                await applyHash();
+                updateCurrentPage(true);
+                
+                if (window.parent && window.parent !== window && window.parent.onPdfPreviewLoaded) {
+                    window.parent.onPdfPreviewLoaded(fileName, fileId, pdfDocument.numPages);
+                }
+            }
+            
+            function showMessage(message) {
+                pagesContainer.innerHTML = '<div class="pdf-message"></div>';
+                pagesContainer.firstChild.textContent = message;
+            }
+            
+            function pageScale(page) {
+                if (zoom) return zoom;
+                const width = page.getViewport({ scale: 1 }).width;
+                return Math.max(0.25, (pagesContainer.clientWidth - 32) / width);
+            }
+            
+            // 페이지 자리 크기 지정 (그리기 전에도 스크롤 위치가 맞도록)
+            function sizePage(view) {
+                const scale = pageScale(view.page);
+                const viewport = view.page.getViewport({ scale });
+                view.element.style.width = Math.floor(viewport.width) + 'px';
+                view.element.style.height = Math.floor(viewport.height) + 'px';
+                view.element.style.setProperty('--scale-factor', scale);
+            }
+            
+            // 페이지 그리기: 캔버스 + 텍스트 레이어
+            async function renderPage(view) {
+                if (!view || view.rendered) return;
+                view.rendered = true;
+                
+                const viewport = view.page.getViewport({ scale: pageScale(view.page) });
+                const ratio = window.devicePixelRatio || 1;
+                
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.floor(viewport.width * ratio);
+                canvas.height = Math.floor(viewport.height * ratio);
+                canvas.style.width = Math.floor(viewport.width) + 'px';
+                canvas.style.height = Math.floor(viewport.height) + 'px';
+                
+                const textLayer = document.createElement('div');
+                textLayer.className = 'textLayer';
+                
+                const pageNumber = document.createElement('span');
+                pageNumber.className = 'pdf-page-number';
+                pageNumber.textContent = view.number;
+                
+                view.element.innerHTML = '';
+                view.element.append(canvas, textLayer, pageNumber);
+                
+                try {
+                    await view.page.render({
+                        canvasContext: canvas.getContext('2d'),
+                        viewport,
+                        transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+                    }).promise;
+                    
+                    const textContent = await view.page.getTextContent();
+                    view.textDivs = [];
+                    await pdfjsLib.renderTextLayer({
+                        textContentSource: textContent,
+                        container: textLayer,
+                        viewport,
+                        textDivs: view.textDivs
+                    }).promise;
+                    view.textStrings = view.textDivs.map(div => div.textContent);
+                    highlightPage(view);
+                } catch (error) {
+                    console.error('PDF 페이지 그리기 오류:', view.number, error);
+                }
+            }
+            
+            // 확대/축소 후 다시 그리기
+            function relayout() {
+                pageViews.forEach(view => {
+                    view.rendered = false;
+                    view.element.innerHTML = '';
+                    sizePage(view);
+                });
+                visiblePages.forEach(number => renderPage(pageViews[number - 1]));
+                goToPage(currentPage);
+                document.getElementById('zoom-fit').textContent = zoom ? Math.round(zoom * 100) + '%' : '맞춤';
+            }
+            
+            function changeZoom(direction) {
+                const scale = pageViews.length ? pageScale(pageViews[currentPage - 1].page) : 1;
+                const next = direction > 0
+                    ? ZOOM_STEPS.find(step => step > scale + 0.01)
+                    : ZOOM_STEPS.slice().reverse().find(step => step < scale - 0.01);
+                if (next) {
+                    zoom = next;
+                    relayout();
+                }
+            }
+            
+            // 페이지 이동 (부모 창에서도 호출)
+            function goToPage(number) {
+                if (!pdfDocument) return currentPage;
+                number = Math.max(1, Math.min(pdfDocument.numPages, parseInt(number, 10) || 1));
+                pageViews[number - 1].element.scrollIntoView({ block: 'start' });
+                window.scrollBy(0, -document.querySelector('.pdf-toolbar').offsetHeight);
+                setCurrentPage(number);
+                return number;
+            }
+            
+            function setCurrentPage(number) {
+                const changed = currentPage !== number;
+                currentPage = number;
+                pageInput.value = number;
+                document.getElementById('page-prev').disabled = number <= 1;
+                document.getElementById('page-next').disabled = number >= pdfDocument.numPages;
+                
+                if (changed && window.parent && window.parent !== window && window.parent.onPdfPageChanged) {
+                    window.parent.onPdfPageChanged(fileId, number, pdfDocument.numPages);
+                }
+            }
+            
+            // 스크롤 위치 기준 현재 페이지 계산
+            function updateCurrentPage(force) {
+                if (!pdfDocument) return;
+                const marker = window.innerHeight / 3;
+                let number = currentPage;
+                for (const view of pageViews) {
+                    const rect = view.element.getBoundingClientRect();
+                    if (rect.top <= marker && rect.bottom > marker) {
+                        number = view.number;
+                        break;
+                    }
+                }
+                if (force || number !== currentPage) {
+                    if (force) currentPage = 0;
+                    setCurrentPage(number);
+                }
+            }
+            
+            function normalizeText(text) {
+                return text.toLowerCase().replace(/\\s+/g, '');
+            }
+            
+            async function loadPageText(number) {
+                if (pageTexts[number] === undefined) {
+                    const textContent = await pageViews[number - 1].page.getTextContent();
+                    pageTexts[number] = normalizeText(textContent.items.map(item => item.str).join(''));
+                }
+                return pageTexts[number];
+            }
+            
+            // 문서 내 검색 (부모 창에서도 호출): 검색어가 있는 페이지 목록을 돌려준다
+            async function findInDocument(term, startPage) {
+                searchTerm = (term || '').trim();
+                findInput.value = searchTerm;
+                searchHits = [];
+                searchIndex = -1;
+                
+                if (searchTerm && pdfDocument) {
+                    const normalized = normalizeText(searchTerm);
+                    for (let number = 1; number <= pdfDocument.numPages; number++) {
+                        if ((await loadPageText(number)).includes(normalized)) {
+                            searchHits.push(number);
+                        }
+                    }
+                }
+                
+                if (searchHits.length > 0) {
+                    const preferred = searchHits.findIndex(number => number >= (startPage || 1));
+                    searchIndex = preferred >= 0 ? preferred : 0;
+                    goToPage(searchHits[searchIndex]);
+                }
+                
+                updateFindStatus();
+                pageViews.forEach(highlightPage);
+                return searchHits.slice();
+            }
+            
+            function moveSearchHit(offset) {
+                if (searchHits.length === 0) return;
+                searchIndex = (searchIndex + offset + searchHits.length) % searchHits.length;
+                goToPage(searchHits[searchIndex]);
+                updateFindStatus();
+                pageViews.forEach(highlightPage);
+            }
+            
+            function updateFindStatus() {
+                if (!searchTerm) {
+                    findStatus.textContent = '';
+                } else if (searchHits.length === 0) {
+                    findStatus.textContent = '검색 결과 없음';
+                } else {
+                    findStatus.textContent = (searchIndex + 1) + ' / ' + searchHits.length + ' 페이지';
+                }
+            }
+            
+            // 텍스트 레이어에서 검색어 강조 (텍스트 조각 단위)
+            function highlightPage(view) {
+                if (!view.rendered || view.textDivs.length === 0) return;
+                
+                const term = searchTerm.toLowerCase();
+                const isCurrent = searchHits[searchIndex] === view.number;
+                
+                view.textDivs.forEach((div, index) => {
+                    const text = view.textStrings[index];
+                    const lower = text.toLowerCase();
+                    if (!term || !lower.includes(term)) {
+                        if (div.childElementCount > 0) div.textContent = text;
+                        return;
+                    }
+                    
+                    div.textContent = '';
+                    let position = 0;
+                    let found = lower.indexOf(term);
+                    while (found >= 0) {
+                        div.append(text.slice(position, found));
+                        const mark = document.createElement('span');
+                        mark.className = 'highlight' + (isCurrent ? ' selected' : '');
+                        mark.textContent = text.slice(found, found + term.length);
+                        div.append(mark);
+                        position = found + term.length;
+                        found = lower.indexOf(term, position);
+                    }
+                    div.append(text.slice(position));
+                });
+            }
+            
+            // #page=3&search=검색어 처리
+            async function applyHash() {
+                const params = new URLSearchParams(location.hash.slice(1));
+                const page = parseInt(params.get('page'), 10) || null;
+                const search = params.get('search');
+                
+                if (search) {
+                    await findInDocument(search, page);
+                    if (page && !searchHits.includes(page)) goToPage(page);
+                } else if (page) {
+                    goToPage(page);
+                }
+            }
+            
+            document.getElementById('page-prev').addEventListener('click', () => goToPage(currentPage - 1));
+            document.getElementById('page-next').addEventListener('click', () => goToPage(currentPage + 1));
+            pageInput.addEventListener('change', () => goToPage(pageInput.value));
+            document.getElementById('zoom-in').addEventListener('click', () => changeZoom(1));
+            document.getElementById('zoom-out').addEventListener('click', () => changeZoom(-1));
+            document.getElementById('zoom-fit').addEventListener('click', () => {
+                zoom = null;
+                relayout();
+            });
+            document.getElementById('find-next').addEventListener('click', () => moveSearchHit(1));
+            document.getElementById('find-prev').addEventListener('click', () => moveSearchHit(-1));
+            findInput.addEventListener('keydown', (event) => {
+                if (event.key !== 'Enter') return;
+                if (findInput.value.trim() === searchTerm && searchHits.length > 0) {
+                    moveSearchHit(event.shiftKey ? -1 : 1);
+                } else {
+                    findInDocument(findInput.value, currentPage);
+                }
+            });
+            
+            document.addEventListener('keydown', (event) => {
+                if ((event.ctrlKey || event.metaKey) && event.key === 'f') {
+                    event.preventDefault();
+                    findInput.focus();
+                    findInput.select();
+                }
+            });
+            
+            window.addEventListener('scroll', () => updateCurrentPage(false), { passive: true });
+            window.addEventListener('hashchange', applyHash);
+            
+            let resizeTimer = null;
+            window.addEventListener('resize', () => {
+                if (zoom) return;
+                clearTimeout(resizeTimer);
+                resizeTimer = setTimeout(relayout, 200);
+            });
+            
+            openDocument();
+        </script>
+    </body>
+    </html>
+    `;
+}
+
+// Office 파일 미리보기 HTML 생성 함수 (실제 파일 내용 기반)
+async function generateOfficePreviewHtml(fileInfo, filePath) {
+    const fileName = fileInfo.original_name;
+    const mimeType = fileInfo.mime_type || '';
+    
+    console.log(`Office 파일 분석 중: ${fileName}`);
+    
+    let documentContent = '';
+    
+    if (isHwpFile(fileInfo)) {
+        documentContent = await generateHangulDocumentContent(filePath, fileInfo);
+    } else if (mimeType.includes('word') || fileName.match(/\.(doc|docx)$/i)) {
+        documentContent = await generateWordDocumentContent(filePath, fileInfo);
+    } else if (mimeType.includes('excel') || mimeType.includes('spreadsheet') || fileName.match(/\.(xls|xlsx)$/i)) {
+        documentContent = await generateExcelDocumentContent(filePath, fileInfo);
+    } else if (mimeType.includes('powerpoint') || mimeType.includes('presentation') || fileName.match(/\.(ppt|pptx)$/i)) {
+        documentContent = await generatePowerPointDocumentContent(filePath, fileInfo);
+    }
+    
+    return renderPreviewPage(fileInfo, documentContent);
+}
+
+// 변환 실패 시 표시할 오류 페이지
+function generatePreviewErrorHtml(fileInfo, message) {
+    const documentContent = `
+        <div class="preview-error">
+            <div class="preview-error-icon">⚠️</div>
+            <h2>문서를 미리볼 수 없습니다</h2>
+            <p>${escapeHtml(fileInfo.original_name)} 파일의 내용을 읽는 중 문제가 발생했습니다.</p>
+            <p class="preview-error-detail">${escapeHtml(message || '알 수 없는 오류')}</p>
+            <p>파일을 다운로드하여 ${isHwpFile(fileInfo) ? '한글' : 'Office'} 프로그램에서 열어주세요.</p>
+        </div>
+    `;
+    
+    return renderPreviewPage(fileInfo, documentContent, { error: message || '알 수 없는 오류' });
+}
+
+// HTML 특수문자 이스케이프 (서버용)
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 저장된 파일의 실제 경로 확인
+// (다른 환경에서 업로드되어 file_path가 맞지 않으면 uploads 디렉토리 기준으로 찾는다)
+function resolveStoredFilePath(row) {
+    if (row.file_path && fs.existsSync(row.file_path)) {
+        return row.file_path;
+    }
+    
+    const fallbackPath = path.join(uploadsDir, row.name);
+    return fs.existsSync(fallbackPath) ? fallbackPath : null;
+}
+
+// 미리보기 페이지 공통 레이아웃
+function renderPreviewPage(fileInfo, documentContent, options = {}) {
+    const fileName = fileInfo.original_name;
+    
+    return `
+    <!DOCTYPE html>
+    <html lang="ko">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(fileName)}</title>
+        <style>
+            * { box-sizing: border-box; margin: 0; padding: 0; }
+            body {
+                font-family: 'Malgun Gothic', '맑은 고딕', system-ui, -apple-system, sans-serif;
+                background: #f0f0f0;
+                padding: 20px;
+                line-height: 1.6;
+                color: #333;
+                position: relative;
+                min-height: 100vh;
+            }
+            
+            .document-container {
+                max-width: 800px;
+                margin: 0 auto;
+                background: white;
+                min-height: 1000px;
+                box-shadow: 0 4px 20px rgba(0,0,0,0.15);
+                position: relative;
+                overflow: hidden;
+            }
+            
+            .document-page {
+                padding: 40px 50px;
+                min-height: 1000px;
+                background: white;
+                position: relative;
+            }
+            
+            /* Word 문서 스타일 */
+            .word-document h1 {
+                font-size: 24px;
+                font-weight: bold;
+                margin-bottom: 20px;
+                color: #1a365d;
+                text-align: center;
+                border-bottom: 2px solid #e2e8f0;
+                padding-bottom: 10px;
+            }
+            
+            .word-document h2 {
+                font-size: 18px;
+                font-weight: 600;
+                margin: 25px 0 15px 0;
+                color: #2d3748;
+            }
+            
+            .word-document h3 {
+                font-size: 16px;
+                font-weight: 600;
+                margin: 20px 0 10px 0;
+                color: #4a5568;
+            }
+            
+            .word-document p {
+                margin-bottom: 15px;
+                text-align: justify;
+                line-height: 1.8;
+            }
+            
+            .word-document ul {
+                margin: 15px 0;
+                padding-left: 30px;
+            }
+            
+            .word-document li {
+                margin-bottom: 8px;
+            }
+            
+            .word-document .highlight {
+                background: #fef3c7;
+                padding: 2px 4px;
+                border-radius: 3px;
+            }
+            
+            .word-document .important {
+                color: #dc2626;
+                font-weight: 600;
+            }
+
+            .word-document ol {
+                margin: 15px 0;
+                padding-left: 30px;
+            }
+
+            .word-document table {
+                width: 100%;
+                border-collapse: collapse;
+                margin: 20px 0;
+            }
+
+            .word-document td,
+            .word-document th {
+                border: 1px solid #ddd;
+                padding: 8px 10px;
+                vertical-align: top;
+            }
+
+            .word-document img {
+                max-width: 100%;
+                height: auto;
+            }
+
+            .word-document .empty-document {
+                color: #9ca3af;
+                text-align: center;
+            }
+
+            /* 변환 오류 표시 */
+            .preview-error {
+                text-align: center;
+                padding: 80px 20px;
+                color: #6b7280;
+            }
+
+            .preview-error-icon {
+                font-size: 48px;
+                margin-bottom: 16px;
+            }
+
+            .preview-error h2 {
+                font-size: 20px;
+                color: #374151;
+                margin-bottom: 12px;
+            }
+
+            .preview-error p {
+                margin-bottom: 8px;
+            }
+
+            .preview-error-detail {
+                display: inline-block;
+                background: #fef2f2;
+                color: #b91c1c;
+                border-radius: 4px;
+                padding: 6px 12px;
+                font-size: 13px;
+            }
+
+            /* 한글(HWP/HWPX) 문서 스타일 */
+            .hwp-document {
+                font-family: '함초롬바탕', 'HCR Batang', 'Batang', '바탕', 'Malgun Gothic', serif;
+                font-size: 10pt;
+                line-height: 1.6;
+            }
+
+            .hwp-document p {
+                min-height: 1.6em;
+                white-space: pre-wrap;
+                word-break: keep-all;
+                overflow-wrap: break-word;
+                tab-size: 4;
+            }
+
+            .hwp-document .hwp-section + .hwp-section {
+                margin-top: 40px;
+                padding-top: 40px;
+                border-top: 1px dashed #cbd5e1;
+            }
+
+            .hwp-document .hwp-table {
+                width: 100%;
+                border-collapse: collapse;
+                margin: 12px 0;
+            }
+
+            .hwp-document .hwp-table td,
+            .hwp-document .hwp-table th {
+                border: 1px solid #333;
+                padding: 4px 8px;
+                vertical-align: middle;
+                font-weight: normal;
+            }
+
+            .hwp-document .hwp-table th {
+                background: #f3f4f6;
+            }
+
+            .hwp-document .hwp-notice {
+                margin-bottom: 20px;
+                padding: 8px 12px;
+                border-left: 3px solid #f59e0b;
+                background: #fffbeb;
+                color: #92400e;
+                font-family: 'Malgun Gothic', '맑은 고딕', sans-serif;
+                font-size: 13px;
+            }
+
+            .hwp-document .empty-document {
+                color: #9ca3af;
+                text-align: center;
+            }
+
+            /* Excel 문서 스타일 */
+            .excel-document .sheet-tabs {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                border-bottom: 2px solid #16a34a;
+                margin-bottom: 12px;
+            }
+            
+            .excel-document .sheet-tab {
+                border: 1px solid #d1d5db;
+                border-bottom: none;
+                background: #f3f4f6;
+                color: #374151;
+                padding: 6px 14px;
+                border-radius: 6px 6px 0 0;
+                font-size: 13px;
+                cursor: pointer;
+                max-width: 220px;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            
+            .excel-document .sheet-tab.active {
+                background: #16a34a;
+                border-color: #16a34a;
+                color: white;
+                font-weight: 600;
+            }
+            
+            .excel-document .sheet-tab.hidden-sheet {
+                font-style: italic;
+                opacity: 0.7;
+            }
+            
+            .excel-document .sheet-toolbar {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                font-size: 13px;
+                color: #6b7280;
+                margin-bottom: 8px;
+            }
+            
+            .excel-document .sheet-export a {
+                margin-left: 8px;
+                padding: 4px 10px;
+                border: 1px solid #16a34a;
+                border-radius: 4px;
+                color: #15803d;
+                text-decoration: none;
+            }
+            
+            .excel-document .sheet-export a:hover {
+                background: #dcfce7;
+            }
+            
+            .excel-document .sheet-grid {
+                overflow: auto;
+                max-height: 900px;
+                border: 1px solid #d1d5db;
+            }
+            
+            .excel-document table {
+                border-collapse: collapse;
+                font-size: 13px;
+                table-layout: fixed;
+            }
+            
+            .excel-document th,
+            .excel-document td {
+                border: 1px solid #e5e7eb;
+                padding: 4px 6px;
+                text-align: left;
+                vertical-align: middle;
+                white-space: pre-wrap;
+                word-break: break-all;
+            }
+            
+            .excel-document th {
+                background: #f3f4f6;
+                font-weight: 500;
+                color: #6b7280;
+                text-align: center;
+                position: sticky;
+                top: 0;
+            }
+            
+            .excel-document .row-header-col {
+                width: 44px;
+            }
+            
+            .excel-document .row-header {
+                position: sticky;
+                left: 0;
+                z-index: 1;
+            }
+            
+            .excel-document .corner-cell {
+                z-index: 2;
+                left: 0;
+            }
+            
+            .excel-document .number-cell {
+                text-align: right;
+                font-family: 'Courier New', monospace;
+            }
+            
+            .excel-document .sheet-notice {
+                margin-top: 8px;
+                font-size: 13px;
+                color: #b45309;
+            }
+            
+            /* PowerPoint 문서 스타일 */
+            .ppt-document .slide-toolbar {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: 16px;
+                margin-bottom: 12px;
                 font-size: 14px;
+                color: #4b5563;
+            }
+            
+            .ppt-document .slide-nav-btn {
+                padding: 4px 12px;
+                border: 1px solid #d1d5db;
+                border-radius: 4px;
+                background: #ffffff;
+                color: #374151;
+                font-size: 13px;
+                cursor: pointer;
+            }
+            
+            .ppt-document .slide-nav-btn:hover:not(:disabled) {
+                background: #f3f4f6;
+            }
+            
+            .ppt-document .slide-nav-btn:disabled {
+                opacity: 0.4;
+                cursor: default;
+            }
+            
+            .ppt-document .slide {
+                position: relative;
+                width: 100%;
+                overflow: hidden;
+                container-type: inline-size;
+                box-shadow: 0 2px 10px rgba(0,0,0,0.2);
+                line-height: 1.2;
+                color: #000000;
+                word-break: keep-all;
+                overflow-wrap: break-word;
+            }
+            
+            .ppt-document .slide > * {
+                position: absolute;
+            }
+            
+            .ppt-document .slide-text {
+                display: flex;
+                flex-direction: column;
+                width: 100%;
+                height: 100%;
+            }
+            
+            .ppt-document .slide-text p,
+            .ppt-document .slide-table p {
+                margin: 0;
+            }
+            
+            .ppt-document .slide-bullet {
+                display: inline-block;
+                min-width: 1.2em;
+                text-indent: 0;
+            }
+            
+            .ppt-document .slide-line {
+                overflow: visible;
+            }
+            
+            .ppt-document .slide-picture {
+                display: block;
+            }
+            
+            .ppt-document .slide-picture-unsupported {
+                border: 1px dashed rgba(156, 163, 175, 0.6);
+            }
+            
+            .ppt-document .slide-table table {
+                width: 100%;
+                height: 100%;
+                border-collapse: collapse;
+                table-layout: fixed;
+            }
+            
+            .ppt-document .slide-table td {
+                padding: 0.5cqw 0.9cqw;
+                overflow: hidden;
+            }
+            
+            .ppt-document .slide-object {
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                border: 1px dashed #9ca3af;
+                background: rgba(243, 244, 246, 0.8);
+                color: #6b7280;
+                font-size: 1.4cqw;
+            }
+            
+            .ppt-document .slide-hidden-badge {
+                top: 8px;
+                right: 8px;
+                padding: 2px 8px;
+                border-radius: 4px;
+                background: rgba(17, 24, 39, 0.7);
+                color: #ffffff;
+                font-size: 12px;
+            }
+            
+            .ppt-document .slide-thumbnails {
+                display: flex;
+                gap: 10px;
+                margin-top: 16px;
+                padding: 8px 2px;
+                overflow-x: auto;
+            }
+            
+            .ppt-document .slide-thumbnail {
+                position: relative;
+                flex: 0 0 128px;
+                padding: 3px;
+                border: 2px solid transparent;
+                border-radius: 4px;
+                background: none;
+                cursor: pointer;
+            }
+            
+            .ppt-document .slide-thumbnail.active {
+                border-color: #2563eb;
+            }
+            
+            .ppt-document .slide-thumbnail.hidden-slide {
+                opacity: 0.5;
+            }
+            
+            .ppt-document .slide-thumbnail-frame {
+                display: block;
+                pointer-events: none;
+            }
+            
+            .ppt-document .slide-thumbnail .slide {
+                box-shadow: 0 1px 3px rgba(0,0,0,0.3);
+            }
+            
+            .ppt-document .slide-thumbnail .slide-hidden-badge {
+                display: none;
+            }
+            
+            .ppt-document .slide-thumbnail-number {
+                position: absolute;
+                left: 6px;
+                bottom: 6px;
+                padding: 0 4px;
+                border-radius: 2px;
+                background: rgba(17, 24, 39, 0.6);
+                color: #ffffff;
+                font-size: 10px;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="document-container">
+            <div class="document-page">
+                ${documentContent}
+            </div>
+        </div>
+        
+        <script>
+            // 부모 창과의 통신을 위한 함수들
+            function notifyParentLoaded() {
+                if (!window.parent) return;
+                
+                const fileName = ${JSON.stringify(fileName).replace(/</g, '\\u003c')};
+                const previewError = ${JSON.stringify(options.error || null).replace(/</g, '\\u003c')};
+                
+                if (previewError && window.parent.onOfficePreviewFailed) {
+                    window.parent.onOfficePreviewFailed(fileName, ${fileInfo.id}, previewError);
+                } else if (!previewError && window.parent.onOfficePreviewLoaded) {
+                    window.parent.onOfficePreviewLoaded(fileName, ${fileInfo.id});
+                }
+            }
+            
+            // 페이지 로드 완료 시 부모에게 알림
+            window.addEventListener('load', notifyParentLoaded);
+        </script>
+    </body>
+    </html>
+    `;
+}
+
+// Word 문서 내용 생성 (실제 DOCX 파일을 열어 변환)
+async function generateWordDocumentContent(filePath, fileInfo) {
+    console.log(`Word 문서 분석: ${fileInfo.original_name}`);
+    
+    if (!fileInfo.original_name.match(/\.docx$/i) && !(fileInfo.mime_type || '').includes('openxmlformats')) {
+        throw new Error('구 버전 Word(.doc) 형식은 미리보기를 지원하지 않습니다.');
+    }
+    
+    const { html, warnings } = await convertDocxToHtml(filePath);
+    if (warnings.length > 0) {
+        console.log(`Word 변환 경고 (${fileInfo.original_name}):`, warnings);
+    }
+    
+    if (!html.trim()) {
+        return `
+        <div class="word-document">
+            <p class="empty-document">문서에 표시할 본문 내용이 없습니다.</p>
+        </div>
+    `;
+    }
+    
+    return `
+        <div class="word-document">
+            ${html}
+        </div>
+    `;
+}
+
+// 한글 문서 내용 생성 (HWP/HWPX 본문 문단과 표를 구역 순서대로 표시)
+async function generateHangulDocumentContent(filePath, fileInfo) {
+    console.log(`한글 문서 분석: ${fileInfo.original_name}`);
+    
+    const hangulDocument = await readHangulDocument(filePath);
+    const sections = hangulDocument.sections.filter(section => section.blocks.length > 0);
+    
+    if (sections.every(section => section.blocks.every(isEmptyBlock))) {
+        return `
+        <div class="hwp-document">
+            <p class="empty-document">문서에 표시할 본문 내용이 없습니다.</p>
+        </div>
+    `;
+    }
+    
+    const notice = hangulDocument.previewOnly
+        ? '<div class="hwp-notice">배포용 문서는 본문이 암호화되어 있어 미리보기 텍스트만 표시합니다.</div>'
+        : '';
+    
+    return `
+        <div class="hwp-document">
+            ${notice}
+            ${sections.map(section => `
+            <section class="hwp-section">
+                ${renderHangulBlocks(section.blocks)}
+            </section>
+            `).join('')}
+        </div>
+    `;
+}
+
+// 문단/표 블록 목록을 HTML로 변환
+function renderHangulBlocks(blocks) {
+    return blocks.map(block => block.type === 'table'
+        ? renderHangulTable(block)
+        : renderHangulParagraph(block)
+    ).join('');
+}
+
+// 문단: 정렬과 글자 모양(크기, 굵게, 기울임, 밑줄, 취소선, 색)
+function renderHangulParagraph(paragraph) {
+    const style = paragraph.align ? ` style="text-align: ${paragraph.align};"` : '';
+    
+    if (paragraph.runs.length === 0) {
+        return `<p${style}>&nbsp;</p>`;
+    }
+    
+    const runs = paragraph.runs.map(run => {
+        const css = [];
+        if (run.size && run.size !== 10) css.push(`font-size: ${run.size}pt`);
+        if (run.bold) css.push('font-weight: bold');
+        if (run.italic) css.push('font-style: italic');
+        if (run.underline || run.strike) {
+            css.push(`text-decoration: ${[run.underline ? 'underline' : '', run.strike ? 'line-through' : ''].join(' ').trim()}`);
+        }
+        if (run.color) css.push(`color: ${run.color}`);
+        
+        const text = escapeHtml(run.text).replace(/\n/g, '<br />');
+        return css.length > 0 ? `<span style="${css.join('; ')};">${text}</span>` : text;
+    }).join('');
+    
+    return `<p${style}>${runs}</p>`;
+}
+
+// 표: 병합된 셀은 rowspan/colspan으로 표시
+function renderHangulTable(table) {
+    const rows = table.rows.map(row => `
+                <tr>${row.map(cell => {
+                    const tag = cell.header ? 'th' : 'td';
+                    const span = `${cell.colSpan > 1 ? ` colspan="${cell.colSpan}"` : ''}${cell.rowSpan > 1 ? ` rowspan="${cell.rowSpan}"` : ''}`;
+                    return `<${tag}${span}>${renderHangulBlocks(cell.blocks)}</${tag}>`;
+                }).join('')}</tr>`).join('');
+    
+    return `
+            <table class="hwp-table">${rows}
+            </table>
+    `;
+}
+
+function isEmptyBlock(block) {
+    return block.type === 'paragraph' && block.runs.every(run => !run.text.trim());
+}
+
+// Excel 문서 내용 생성 (실제 통합문서의 시트를 그리드로 표시)
+async function generateExcelDocumentContent(filePath, fileInfo) {
+    console.log(`Excel 문서 분석: ${fileInfo.original_name}`);
+    
+    if (!isXlsxFile(fileInfo)) {
+        throw new Error('구 버전 Excel(.xls) 형식은 미리보기를 지원하지 않습니다.');
+    }
+    
+    const workbook = await readWorkbook(filePath);
+    if (workbook.sheets.length === 0) {
+        throw new Error('통합문서에 시트가 없습니다.');
+    }
+    
+    // 처음 표시할 시트: 숨겨지지 않은 첫 번째 시트
+    const firstVisible = workbook.sheets.find(sheet => !sheet.hidden) || workbook.sheets[0];
+    
+    const tabs = workbook.sheets.map(sheet => `
+            <button class="sheet-tab${sheet.index === firstVisible.index ? ' active' : ''}${sheet.hidden ? ' hidden-sheet' : ''}"
+                    data-sheet="${sheet.index}" onclick="showSheet(${sheet.index})"
+                    title="${escapeHtml(sheet.name)}${sheet.hidden ? ' (숨김 시트)' : ''}">
+                ${escapeHtml(sheet.name)}
+            </button>`).join('');
+    
+    const panels = workbook.sheets.map(sheet => `
+            <div class="sheet-panel" id="sheet-${sheet.index}" style="${sheet.index === firstVisible.index ? '' : 'display: none;'}">
+                ${renderSheetGrid(sheet, fileInfo)}
+            </div>`).join('');
+    
+    return `
+        <div class="excel-document">
+            <div class="sheet-tabs">${tabs}
+            </div>
+            ${panels}
+        </div>
+        <script>
+            function showSheet(index) {
+                document.querySelectorAll('.sheet-panel').forEach(panel => {
+                    panel.style.display = panel.id === 'sheet-' + index ? '' : 'none';
+                });
+                document.querySelectorAll('.sheet-tab').forEach(tab => {
+                    tab.classList.toggle('active', tab.dataset.sheet === String(index));
+                });
+            }
+        </script>
+    `;
+}
+
+// 시트 하나를 HTML 표로 변환 (병합 셀은 rowspan/colspan으로 표시)
+function renderSheetGrid(sheet, fileInfo) {
+    const exportBase = `/api/download/${fileInfo.id}/sheets/${sheet.index}`;
+    const range = sheetRange(sheet);
+    
+    const toolbar = (summary) => `
+                <div class="sheet-toolbar">
+                    <span>${summary}</span>
+                    <span class="sheet-export">
+                        <a href="${exportBase}.csv">CSV 내보내기</a>
+                        <a href="${exportBase}.json" target="_blank">JSON 내보내기</a>
+                    </span>
+                </div>`;
+    
+    if (!range) {
+        return toolbar('빈 시트') + '<p class="empty-document">이 시트에는 데이터가 없습니다.</p>';
+    }
+    
+    const totalRows = range.end.row - range.start.row + 1;
+    const totalCols = range.end.col - range.start.col + 1;
+    const lastRow = Math.min(range.end.row, range.start.row + MAX_PREVIEW_SHEET_ROWS - 1);
+    
+    // 병합 영역: 왼쪽 위 셀은 span 정보, 나머지 셀은 건너뜀
+    const spans = new Map();
+    const covered = new Set();
+    sheet.merges.forEach(merge => {
+        spans.set(cellKey(merge.start.row, merge.start.col), {
+            rowspan: Math.min(merge.end.row, lastRow) - merge.start.row + 1,
+            colspan: merge.end.col - merge.start.col + 1
+        });
+        for (let row = merge.start.row; row <= merge.end.row; row++) {
+            for (let col = merge.start.col; col <= merge.end.col; col++) {
+                if (row !== merge.start.row || col !== merge.start.col) {
+                    covered.add(cellKey(row, col));
+                }
+            }
+        }
+    });
+    
+    let colgroup = '<col class="row-header-col">';
+    let headerRow = '<th class="corner-cell"></th>';
+    for (let col = range.start.col; col <= range.end.col; col++) {
+        const width = sheet.columnWidths[col];
+        colgroup += width ? `<col style="width: ${Math.round(width * 7 + 5)}px;">` : '<col>';
+        headerRow += `<th class="column-header">${columnName(col)}</th>`;
+    }
+    
+    let bodyRows = '';
+    for (let row = range.start.row; row <= lastRow; row++) {
+        bodyRows += `<tr><th class="row-header">${row + 1}</th>`;
+        for (let col = range.start.col; col <= range.end.col; col++) {
+            const key = cellKey(row, col);
+            if (covered.has(key)) continue;
+            
+            const cell = sheet.cells.get(key);
+            const span = spans.get(key);
+            const spanAttrs = span ? `${span.rowspan > 1 ? ` rowspan="${span.rowspan}"` : ''}${span.colspan > 1 ? ` colspan="${span.colspan}"` : ''}` : '';
+            const cellClass = cell && (cell.kind === 'number' || cell.kind === 'date') ? ' class="number-cell"' : '';
+            const title = cell && cell.formula ? ` title="=${escapeHtml(cell.formula)}"` : '';
+            
+            bodyRows += `<td${spanAttrs}${cellClass}${title}>${cell ? escapeHtml(cell.text) : ''}</td>`;
+        }
+        bodyRows += '</tr>';
+    }
+    
+    const truncatedNotice = lastRow < range.end.row
+        ? `<p class="sheet-notice">※ 전체 ${totalRows}행 중 ${MAX_PREVIEW_SHEET_ROWS}행까지만 표시합니다. 전체 데이터는 CSV/JSON으로 내보내세요.</p>`
+        : '';
+    
+    return `
+                ${toolbar(`범위 ${encodeRange(range)} · ${totalRows}행 × ${totalCols}열${sheet.merges.length ? ` · 병합 ${sheet.merges.length}개` : ''}`)}
+                <div class="sheet-grid">
+                    <table>
+                        <colgroup>${colgroup}</colgroup>
+                        <thead><tr>${headerRow}</tr></thead>
+                        <tbody>${bodyRows}</tbody>
+                    </table>
+                </div>
+                ${truncatedNotice}`;
+}
+
+// XLSX(OOXML) 형식인지 확인
+function isXlsxFile(fileInfo) {
+    const fileName = fileInfo.original_name || '';
+    const mimeType = fileInfo.mime_type || '';
+    return /\.(xlsx|xlsm)$/i.test(fileName) || mimeType.includes('spreadsheetml');
+}
+
+// PowerPoint 문서 내용 생성 (실제 슬라이드의 텍스트 상자, 표, 그림을 순서대로 표시)
+async function generatePowerPointDocumentContent(filePath, fileInfo) {
+    console.log(`PowerPoint 문서 분석: ${fileInfo.original_name}`);
+    
+    if (!isPptxFile(fileInfo)) {
+        throw new Error('구 버전 PowerPoint(.ppt) 형식은 미리보기를 지원하지 않습니다.');
+    }
+    
+    const presentation = await readPresentation(filePath);
+    const totalSlides = presentation.slides.length;
+    if (totalSlides === 0) {
+        throw new Error('프레젠테이션에 슬라이드가 없습니다.');
+    }
+    
+    const panels = presentation.slides.map(slide => `
+            <div class="slide-panel" id="slide-${slide.number}" style="${slide.number === 1 ? '' : 'display: none;'}">
+                ${renderSlide(slide, presentation)}
+            </div>`).join('');
+    
+    // 썸네일은 로드 후 스크립트에서 슬라이드를 복제하여 채운다 (그림 데이터 중복 전송 방지)
+    const thumbnails = presentation.slides.map(slide => `
+            <button class="slide-thumbnail${slide.number === 1 ? ' active' : ''}${slide.hidden ? ' hidden-slide' : ''}"
+                    data-slide="${slide.number}" onclick="goToSlide(${slide.number})"
+                    title="슬라이드 ${slide.number}${slide.title ? ': ' + escapeHtml(slide.title) : ''}${slide.hidden ? ' (숨긴 슬라이드)' : ''}">
+                <span class="slide-thumbnail-frame"></span>
+                <span class="slide-thumbnail-number">${slide.number}</span>
+            </button>`).join('');
+    
+    return `
+        <div class="ppt-document">
+            <div class="slide-toolbar">
+                <button class="slide-nav-btn" id="slide-prev" onclick="goToSlide(currentSlide - 1)">◀ 이전</button>
+                <span class="slide-counter">슬라이드 <strong id="slide-current">1</strong> / ${totalSlides}</span>
+                <button class="slide-nav-btn" id="slide-next" onclick="goToSlide(currentSlide + 1)">다음 ▶</button>
+            </div>
+            <div class="slide-stage">${panels}
+            </div>
+            <div class="slide-thumbnails">${thumbnails}
+            </div>
+        </div>
+        <script>
+            const totalSlides = ${totalSlides};
+            let currentSlide = 1;
+            
+            document.querySelectorAll('.slide-thumbnail').forEach(thumbnail => {
+                const slide = document.querySelector('#slide-' + thumbnail.dataset.slide + ' .slide');
+                if (slide) {
+                    thumbnail.querySelector('.slide-thumbnail-frame').appendChild(slide.cloneNode(true));
+                }
+            });
+            
+            // 슬라이드 이동 (부모 창에서도 호출)
+            function goToSlide(number) {
+                number = Math.max(1, Math.min(totalSlides, parseInt(number, 10) || 1));
+                currentSlide = number;
+                
+                document.querySelectorAll('.slide-panel').forEach(panel => {
+                    panel.style.display = panel.id === 'slide-' + number ? '' : 'none';
+                });
+                document.querySelectorAll('.slide-thumbnail').forEach(thumbnail => {
+                    const active = thumbnail.dataset.slide === String(number);
+                    thumbnail.classList.toggle('active', active);
+                    if (active) thumbnail.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+                });
+                
+                document.getElementById('slide-current').textContent = number;
+                document.getElementById('slide-prev').disabled = number === 1;
+                document.getElementById('slide-next').disabled = number === totalSlides;
+                
+                notifySlideChanged();
+                return number;
+            }
+            
+            // 현재 슬라이드와 전체 슬라이드 수를 부모 창에 알림
+            function notifySlideChanged() {
+                if (window.parent && window.parent !== window && window.parent.onOfficeSlideChanged) {
+                    window.parent.onOfficeSlideChanged(${fileInfo.id}, currentSlide, totalSlides);
+                }
+            }
+            
+            // 키보드로 슬라이드 이동
+            document.addEventListener('keydown', (event) => {
+                if (event.key === 'ArrowRight' || event.key === 'PageDown') goToSlide(currentSlide + 1);
+                else if (event.key === 'ArrowLeft' || event.key === 'PageUp') goToSlide(currentSlide - 1);
+                else if (event.key === 'Home') goToSlide(1);
+                else if (event.key === 'End') goToSlide(totalSlides);
+            });
+            
+            // #slide=3 형식으로 시작 슬라이드 지정
+            const startMatch = /slide=(\\d+)/.exec(location.hash);
+            window.addEventListener('load', () => goToSlide(startMatch ? startMatch[1] : 1));
+        </script>
+    `;
+}
+
+// 슬라이드 한 장을 HTML로 변환
+// 위치는 슬라이드 크기 대비 %, 글꼴/선 두께는 슬라이드 너비 기준(cqw)으로 지정해 크기에 맞게 축소된다
+function renderSlide(slide, presentation) {
+    const scale = {
+        x: (emu) => `${roundCss(emu / presentation.width * 100)}%`,
+        y: (emu) => `${roundCss(emu / presentation.height * 100)}%`,
+        size: (emu) => `${roundCss(emu / presentation.width * 100)}cqw`,
+        points: (pt) => `${roundCss(pt * EMU_PER_POINT / presentation.width * 100)}cqw`
+    };
+    
+    let background = 'background-color: #ffffff;';
+    if (slide.background && slide.background.image) {
+        background = `background: url('${slide.background.image}') center / 100% 100% no-repeat;`;
+    } else if (slide.background && slide.background.color) {
+        background = `background-color: ${slide.background.color};`;
+    }
+    
+    const elements = slide.elements.map(element => renderSlideElement(element, scale)).join('');
+    const hiddenBadge = slide.hidden ? '<span class="slide-hidden-badge">숨긴 슬라이드</span>' : '';
+    
+    return `<div class="slide" style="aspect-ratio: ${presentation.width} / ${presentation.height}; ${background}">${elements}${hiddenBadge}</div>`;
+}
+
+// 슬라이드 요소(도형, 선, 그림, 표, 기타 개체) 하나를 절대 위치로 배치
+function renderSlideElement(element, scale) {
+    const transforms = [];
+    if (element.rotation) transforms.push(`rotate(${element.rotation}deg)`);
+    if (element.flipH) transforms.push('scaleX(-1)');
+    if (element.flipV) transforms.push('scaleY(-1)');
+    
+    const box = `left: ${scale.x(element.x)}; top: ${scale.y(element.y)}; width: ${scale.x(element.width)}; height: ${scale.y(element.height)};`
+        + (transforms.length && element.type !== 'line' ? ` transform: ${transforms.join(' ')};` : '');
+    
+    switch (element.type) {
+        case 'shape': {
+            let style = box;
+            if (element.fill) style += ` background: ${element.fill};`;
+            if (element.line) style += ` border: max(${scale.size(element.line.width)}, 1px) ${element.line.dashed ? 'dashed' : 'solid'} ${element.line.color};`;
+            style += shapeRadius(element, scale);
+            
+            // 도형이 뒤집혀도 텍스트는 바로 표시
+            const hasText = element.text && element.text.paragraphs.some(paragraph => paragraph.runs.some(run => run.text.trim()));
+            const text = hasText ? renderSlideText(element.text, scale, element) : '';
+            return `<div class="slide-shape" style="${style}">${text}</div>`;
+        }
+        case 'line': {
+            // 선은 상자의 대각선 (뒤집기에 따라 방향 결정)
+            const [x1, x2] = element.flipH ? ['100%', '0'] : ['0', '100%'];
+            const [y1, y2] = element.flipV ? ['100%', '0'] : ['0', '100%'];
+            const rotate = element.rotation ? ` transform: rotate(${element.rotation}deg);` : '';
+            return `<svg class="slide-line" style="${box}${rotate}"><line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${element.line.color}" style="stroke-width: max(${scale.size(element.line.width)}, 1px);"${element.line.dashed ? ' stroke-dasharray="4 3"' : ''}/></svg>`;
+        }
+        case 'picture': {
+            const border = element.line ? ` border: max(${scale.size(element.line.width)}, 1px) solid ${element.line.color};` : '';
+            if (!element.src) {
+                const format = (element.format || '알 수 없는').toUpperCase();
+                return `<div class="slide-picture-unsupported" style="${box}" title="${escapeHtml(format)} 형식 그림은 미리보기를 지원하지 않습니다"></div>`;
+            }
+            return `<img class="slide-picture" style="${box}${border}" src="${element.src}" alt="${escapeHtml(element.alt)}">`;
+        }
+        case 'table':
+            return `<div class="slide-table" style="${box}">${renderSlideTable(element, scale)}</div>`;
+        case 'object':
+            return `<div class="slide-object" style="${box}"><span>${escapeHtml(element.kind)} (미리보기 미지원)</span></div>`;
+        default:
+            return '';
+    }
+}
+
+// 도형 모양에 따른 모서리 처리 (자주 쓰이는 모양만, 나머지는 사각형)
+function shapeRadius(element, scale) {
+    const shortSide = Math.min(element.width, element.height);
+    const radius = scale.size(shortSide * (element.adjust === null ? 16667 : element.adjust) / 100000);
+    
+    switch (element.geometry) {
+        case 'ellipse':
+            return ' border-radius: 50%;';
+        case 'roundRect':
+            return ` border-radius: ${radius};`;
+        case 'round1Rect':
+            return ` border-radius: 0 ${radius} 0 0;`;
+        case 'round2SameRect':
+            return ` border-radius: ${radius} ${radius} 0 0;`;
+        default:
+            return '';
+    }
+}
+
+// 텍스트 상자 내용 (여백, 세로 정렬, 문단)
+function renderSlideText(body, scale, frame) {
+    const justify = { t: 'flex-start', ctr: 'center', b: 'flex-end' }[body.anchor] || 'flex-start';
+    let style = `padding: ${scale.size(body.insets.top)} ${scale.size(body.insets.right)} ${scale.size(body.insets.bottom)} ${scale.size(body.insets.left)}; justify-content: ${justify};`;
+    if (!body.wrap) style += ' white-space: nowrap;';
+    if (body.vertical) style += ' writing-mode: vertical-rl;';
+    if (frame.flipH || frame.flipV) style += ` transform: scale(${frame.flipH ? -1 : 1}, ${frame.flipV ? -1 : 1});`;
+    
+    const paragraphs = body.paragraphs.map(paragraph => renderSlideParagraph(paragraph, scale)).join('');
+    return `<div class="slide-text" style="${style}">${paragraphs}</div>`;
+}
+
+// 문단: 정렬, 들여쓰기, 글머리 기호와 텍스트 조각
+function renderSlideParagraph(paragraph, scale) {
+    const align = { l: 'left', ctr: 'center', r: 'right', just: 'justify', dist: 'justify' }[paragraph.align] || 'left';
+    let style = `text-align: ${align}; font-size: ${scale.points(paragraph.size)}; line-height: ${roundCss(paragraph.lineSpacing * 1.2)};`;
+    if (paragraph.marginLeft) style += ` margin-left: ${scale.size(paragraph.marginLeft)};`;
+    if (paragraph.indent) style += ` text-indent: ${scale.size(paragraph.indent)};`;
+    if (paragraph.spaceBefore) style += ` margin-top: ${scale.points(paragraph.spaceBefore)};`;
+    
+    // 서식이 같은 연속된 텍스트 조각은 하나로 합친다
+    const pieces = [];
+    paragraph.runs.forEach(run => {
+        if (run.lineBreak) {
+            pieces.push({ lineBreak: true });
+            return;
+        }
+        if (!run.text) return;
+        
+        let runStyle = `font-size: ${scale.points(run.baseline ? run.size * 0.7 : run.size)}; color: ${run.color};`;
+        if (run.bold) runStyle += ' font-weight: bold;';
+        if (run.italic) runStyle += ' font-style: italic;';
+        if (run.underline || run.strike) runStyle += ` text-decoration: ${[run.underline ? 'underline' : '', run.strike ? 'line-through' : ''].join(' ').trim()};`;
+        if (run.baseline) runStyle += ` vertical-align: ${run.baseline > 0 ? 'super' : 'sub'};`;
+        if (run.font) runStyle += ` font-family: '${escapeHtml(run.font)}', 'Malgun Gothic', sans-serif;`;
+        
+        const previous = pieces[pieces.length - 1];
+        if (previous && previous.style === runStyle) {
+            previous.text += run.text;
+        } else {
+            pieces.push({ style: runStyle, text: run.text });
+        }
+    });
+    const runs = pieces
+        .map(piece => piece.lineBreak ? '<br>' : `<span style="${piece.style}">${escapeHtml(piece.text)}</span>`)
+        .join('');
+    
+    const firstRun = paragraph.runs.find(run => run.text);
+    const bullet = paragraph.bullet
+        ? `<span class="slide-bullet" style="color: ${paragraph.bullet.color || (firstRun ? firstRun.color : 'inherit')};${firstRun ? ` font-size: ${scale.points(firstRun.size)};` : ''}">${escapeHtml(paragraph.bullet.char)}</span>`
+        : '';
+    
+    // 빈 문단도 한 줄 높이를 차지
+    return `<p style="${style}">${bullet}${runs || '&nbsp;'}</p>`;
+}
+
+// 슬라이드 안의 표 (병합된 셀은 rowspan/colspan으로 표시)
+function renderSlideTable(table, scale) {
+    const totalWidth = table.columns.reduce((sum, width) => sum + width, 0) || 1;
+    const colgroup = table.columns.map(width => `<col style="width: ${roundCss(width / totalWidth * 100)}%;">`).join('');
+    const totalHeight = table.rows.reduce((sum, row) => sum + row.height, 0) || 1;
+    
+    const border = (line) => line ? `max(${scale.size(line.width)}, 1px) solid ${line.color}` : null;
+    
+    const rows = table.rows.map(row => {
+        const cells = row.cells.map(cell => {
+            if (cell.merged) return '';
+            
+            const spans = `${cell.rowSpan > 1 ? ` rowspan="${cell.rowSpan}"` : ''}${cell.colSpan > 1 ? ` colspan="${cell.colSpan}"` : ''}`;
+            const valign = { t: 'top', ctr: 'middle', b: 'bottom' }[cell.anchor] || 'top';
+            let style = `vertical-align: ${valign};`;
+            if (cell.fill) style += ` background: ${cell.fill};`;
+            
+            // 테두리가 지정되지 않은 표는 표 스타일 대신 옅은 기본 테두리를 사용
+            const hasBorders = Object.values(cell.borders).some(Boolean);
+            if (hasBorders) {
+                ['left', 'right', 'top', 'bottom'].forEach(side => {
+                    const value = border(cell.borders[side]);
+                    if (value) style += ` border-${side}: ${value};`;
+                });
+            } else {
+                style += ' border: 1px solid #c7cdd6;';
+            }
+            if (cell.header) style += ' font-weight: bold;';
+            
+            const content = cell.text ? cell.text.paragraphs.map(paragraph => renderSlideParagraph(paragraph, scale)).join('') : '';
+            return `<td${spans} style="${style}">${content}</td>`;
+        }).join('');
+        
+        return `<tr style="height: ${roundCss(row.height / totalHeight * 100)}%;">${cells}</tr>`;
+    }).join('');
+    
+    return `<table><colgroup>${colgroup}</colgroup><tbody>${rows}</tbody></table>`;
+}
+
+// CSS 값 반올림 (소수점 4자리)
+function roundCss(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+// PPTX(OOXML) 형식인지 확인
+function isPptxFile(fileInfo) {
+    const fileName = fileInfo.original_name || '';
+    const mimeType = fileInfo.mime_type || '';
+    return /\.(pptx|pptm)$/i.test(fileName) || mimeType.includes('presentationml');
+}
+
+// 파일 크기 포맷 함수 (서버용)
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+app.get('/api/preview/:fileId', (req, res) => {
+    const { fileId } = req.params;
+    
+    const query = `SELECT * FROM files WHERE id = ? AND ${accessFilter()}`;
+    
+    db.get(query, [fileId, ...accessParams(req.user)], (err, row) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!row) {
+            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        const filePath = resolveStoredFilePath(row);
+        
+        // 파일이 실제로 존재하는지 확인
+        if (!filePath) {
+            res.status(404).json({ error: '파일이 서버에 존재하지 않습니다.' });
+            return;
+        }
+        
+        // 파일 미리보기를 위한 헤더 설정 (다운로드가 아닌 inline 표시)
+        res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(row.original_name)}"`);
+        res.setHeader('Content-Type', row.mime_type || 'application/octet-stream');
+        
+        // MIME 형식은 업로드한 쪽이 정하므로 HTML, SVG 파일이라도 스크립트가 실행되지 않도록
+        // 형식 추측을 막고 독립된 출처(sandbox)로 표시 (PDF 는 PDF.js 가 내려받고 이미지는 img 로 표시하므로 영향 없음)
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Content-Security-Policy', 'sandbox');
+        
+        // PDF 파일의 경우 X-Frame-Options 헤더 제거하여 iframe에서 표시 가능하도록 설정
+        if (row.mime_type === 'application/pdf') {
+            res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+        }
+        
+        // 파일 스트림 전송
+        const fileStream = fs.createReadStream(filePath);
+        fileStream.pipe(res);
+        
+        fileStream.on('error', (err) => {
+            console.error('파일 전송 오류:', err);
+            if (!res.headersSent) {
+                res.status(500).json({ error: '파일 전송 중 오류가 발생했습니다.' });
+            }
+        });
+    });
+});
+
+// 6. 폴더 삭제 (하위 폴더와 파일까지 휴지통으로 이동)
+app.delete('/api/folders/:id', (req, res) => {
+    const { id } = req.params;
+    
+    console.log('폴더 삭제 요청:', id);
+    
+    // 볼 수 있는 폴더만 삭제 (다른 사용자의 My 문서함 폴더는 없는 폴더로 처리)
+    db.get(`SELECT * FROM folders WHERE id = ? AND ${folderAccessFilter()}`, [id, ...accessParams(req.user)], (err, folder) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!folder) {
+            res.status(404).json({ error: '폴더를 찾을 수 없습니다.' });
+            return;
+        }
+        
+        // 하위 폴더와 파일까지 모두 지우므로 폴더 관리 권한 필요 (하위 폴더는 권한을 물려받음)
+        if (!hasPermission(folderPermission(req.user, folder.tab_type, folder.id), 'manage')) {
+            res.status(403).json({ error: '폴더를 삭제할 권한이 없습니다.' });
+            return;
+        }
+        
+        trashFolder(folder, req.user, (err, entry) => {
+            if (err) {
+                console.error('폴더 휴지통 이동 오류:', err);
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            console.log(`폴더 휴지통 이동 완료: ${folder.name} (폴더 ${entry.folderCount}개, 파일 ${entry.fileCount}개)`);
+            res.json({ 
+                message: '폴더를 휴지통으로 옮겼습니다.', 
+                folderId: id,
+                trashId: entry.id
+            });
+        });
+    });
+});
+
+// 7. 파일 삭제 (휴지통으로 이동)
+app.delete('/api/files/:id', (req, res) => {
+    const { id } = req.params;
+    
+    console.log('파일 삭제 요청:', id);
+    
+    // 파일 정보 조회
+    const selectQuery = `SELECT * FROM files WHERE id = ? AND ${accessFilter()}`;
+    
+    db.get(selectQuery, [id, ...accessParams(req.user)], (err, row) => {
+        if (err) {
+            console.error('파일 조회 오류:', err);
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!row) {
+            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        if (!hasPermission(itemPermission(req.user, row), 'manage')) {
+            res.status(403).json({ error: '파일을 삭제할 권한이 없습니다.' });
+            return;
+        }
+        
+        console.log('휴지통으로 옮길 파일 정보:', row);
+        
+        moveToTrash(row.tab_type, 'file', row, { folders: [], files: [row] }, req.user, (err, entry) => {
+            if (err) {
+                console.error('파일 휴지통 이동 오류:', err);
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            console.log('파일 휴지통 이동 완료:', id);
+            res.json({ 
+                message: '파일을 휴지통으로 옮겼습니다.', 
+                fileId: id,
+                fileName: row.original_name,
+                trashId: entry.id
+            });
+        });
+    });
+});
+
+// 8. 파일 검색 (파일명과 본문 전문 검색, BM25 순위, 검색어 강조 발췌, 페이지 나누기)
+// ?query=보험상품&tabType=my&page=1&pageSize=20, 파일 목록과 같이 태그와 메타데이터로 거를 수 있음 (?tag=계약&customer=삼성)
+app.get('/api/search', (req, res) => {
+    const { query, tabType } = req.query;
+    
+    if (!query) {
+        res.status(400).json({ error: '검색어가 필요합니다.' });
+        return;
+    }
+    
+    let filter;
+    try {
+        filter = buildMetadataFilter(req.query, 'f');
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return;
+    }
+    
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const pageSize = Math.min(MAX_SEARCH_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize) || DEFAULT_SEARCH_PAGE_SIZE));
+    const { terms, match } = buildSearchQuery(query);
+    
+    const response = {
+        query,
+        terms,
+        total: 0,
+        page,
+        pageSize,
+        totalPages: 0,
+        results: []
+    };
+    
+    // 글자나 숫자가 없는 검색어
+    if (!match) {
+        res.json(response);
+        return;
+    }
+    
+    countSearchHits(match, tabType, req.user, filter, (err, total) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        response.total = total;
+        response.totalPages = Math.ceil(total / pageSize);
+        
+        findSearchHits(match, tabType, req.user, filter, pageSize, (page - 1) * pageSize, (err, rows) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            if (rows.length === 0) {
+                res.json(response);
+                return;
+            }
+            
+            // 본문에 검색어가 모두 있는 페이지와 강조된 발췌
+            findPageMatches(match, rows.map(row => row.id), (err, pageRows) => {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                findFileMetadata(rows.map(row => row.id), (err, metadata) => {
+                    if (err) {
+                        res.status(500).json({ error: err.message });
+                        return;
+                    }
+                    
+                    const results = rows.map(row => ({ ...row, ...metadata.get(row.id), matchCount: 0, matches: [] }));
+                    const resultsById = new Map(results.map(result => [result.id, result]));
+                    
+                    pageRows.forEach(pageRow => {
+                        const result = resultsById.get(pageRow.file_id);
+                        result.matchCount++;
+                        
+                        if (result.matches.length < MAX_SEARCH_MATCHES_PER_FILE) {
+                            result.matches.push({
+                                page: pageRow.page_number,
+                                snippet: buildSnippet(pageRow.content, terms)
+                            });
+                        }
+                    });
+                    
+                    response.results = results;
+                    res.json(response);
+                });
+            });
+        });
+    });
+});
+
+// 9. 자연어 질의 (질문으로 문서를 찾고 답변 제공자가 연관성 설명 작성)
+// { question, tabType, limit, provider } → { keywords, documents, explanation, provider, model }
+app.post('/api/query', (req, res) => {
+    const { question, tabType, provider: providerName } = req.body;
+    const limit = Math.min(MAX_QUERY_DOCUMENTS, Math.max(1, parseInt(req.body.limit) || DEFAULT_QUERY_DOCUMENTS));
+    
+    if (!question || !String(question).trim()) {
+        res.status(400).json({ error: '질문이 필요합니다.' });
+        return;
+    }
+    
+    const provider = getAnswerProvider(providerName);
+    if (!provider) {
+        res.status(400).json({ error: `지원하지 않는 답변 제공자입니다. (사용 가능: ${listAnswerProviders().join(', ')})` });
+        return;
+    }
+    
+    const questionText = String(question).trim();
+    const { terms, match } = buildSearchQuery(questionText, { anyTerm: true });
+    console.log(`자연어 질의: "${questionText}" → 키워드 [${terms.join(', ')}] (제공자: ${provider.name})`);
+    
+    findQueryDocuments(match, terms, tabType, req.user, limit, (err, documents) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        const answerInput = {
+            question: questionText,
+            keywords: terms,
+            documents: documents.map(doc => ({
+                id: doc.id,
+                name: doc.original_name,
+                folder: doc.folder_name,
+                relevance: doc.relevance,
+                matchedKeywords: doc.matchedKeywords,
+                passages: doc.passages
+            }))
+        };
+        
+        const respond = (answer, usedProvider, providerError) => {
+            res.json({
+                question: questionText,
+                keywords: terms,
+                provider: usedProvider.name,
+                model: usedProvider.model,
+                explanation: answer.explanation,
+                providerError: providerError || undefined,
+                documents: documents.map(doc => ({
+                    ...doc,
+                    reason: answer.reasons ? answer.reasons[doc.id] || null : null
+                }))
+            });
+        };
+        
+        provider.answer(answerInput).then(answer => respond(answer, provider)).catch(error => {
+            // 외부 제공자 오류 시 오프라인 설명으로 대체
+            console.error(`답변 제공자 오류 (${provider.name}):`, error.message);
+            const fallback = getAnswerProvider('offline');
+            fallback.answer(answerInput)
+                .then(answer => respond(answer, fallback, error.message))
+                .catch(fallbackError => res.status(500).json({ error: fallbackError.message }));
+        });
+    });
+});
+
+// 10. 연관 문서 (볼 수 있는 문서 중 본문과 파일명이 비슷한 문서, 연관도와 공통 키워드)
+// ?limit=5
+app.get('/api/related/:fileId', (req, res) => {
+    const fileId = Number(req.params.fileId);
+    const limit = Math.min(MAX_RELATED_DOCUMENTS, Math.max(1, parseInt(req.query.limit) || DEFAULT_RELATED_DOCUMENTS));
+    
+    db.get(`SELECT id FROM files WHERE id = ? AND ${accessFilter()}`, [fileId, ...accessParams(req.user)], (err, fileRow) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!fileRow) {
+            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        getRelatedIndex((err, index) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            // 색인은 모든 사용자의 문서로 만들므로 볼 수 있는 문서만 남긴 뒤 limit 적용
+            const related = findRelated(index, fileId, { limit: index.documentCount });
+            if (related.length === 0) {
+                res.json({ fileId, documents: [] });
+                return;
+            }
+            
+            const placeholders = related.map(() => '?').join(', ');
+            const query = `
+                SELECT f.id, f.original_name, f.mime_type, f.file_size, f.tab_type, f.folder_id, fo.name as folder_name
+                FROM files f
+                LEFT JOIN folders fo ON f.folder_id = fo.id
+                WHERE f.id IN (${placeholders}) AND ${accessFilter('f')}
+            `;
+            
+            db.all(query, [...related.map(item => item.id), ...accessParams(req.user)], (err, rows) => {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                const filesById = new Map(rows.map(row => [row.id, row]));
+                res.json({
+                    fileId,
+                    documents: related
+                        .filter(item => filesById.has(item.id))
+                        .slice(0, limit)
+                        .map(item => ({
+                            ...filesById.get(item.id),
+                            relevance: Math.round(item.score * 100),
+                            keywords: item.keywords
+                        }))
+                });
+            });
+        });
+    });
+});
+
+// 11. 문서 요약 조회 (저장된 요약이 없으면 기본 제공자로 만들어 저장)
+app.get('/api/summary/:fileId', (req, res) => {
+    findTextDocument(req.params.fileId, req.user, res, (row) => {
+        db.get("SELECT * FROM document_summaries WHERE file_id = ?", [row.id], (err, summaryRow) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            if (summaryRow) {
+                res.json(formatDocumentSummary(row, summaryRow));
+                return;
+            }
+            
+            storeDocumentSummary(row, null, (err, created) => {
+                if (err) {
+                    res.status(err.statusCode || 500).json({ error: err.message });
+                    return;
+                }
+                
+                res.json(formatDocumentSummary(row, created));
+            });
+        });
+    });
+});
+
+// 11-1. 문서 요약 다시 만들기 ({ provider } 로 요약 제공자 지정, 생략하면 기본 제공자)
+app.post('/api/summary/:fileId/regenerate', (req, res) => {
+    findTextDocument(req.params.fileId, req.user, res, (row) => {
+        storeDocumentSummary(row, req.body.provider, (err, created) => {
+            if (err) {
+                res.status(err.statusCode || 500).json({ error: err.message });
+                return;
+            }
+            
+            res.json(formatDocumentSummary(row, created));
+        });
+    });
+});
+
+// 본문을 추출할 수 있는 문서 찾기 (없거나 지원하지 않는 형식이면 오류 응답)
+function findTextDocument(fileId, user, res, callback) {
+    db.get(`SELECT * FROM files WHERE id = ? AND ${accessFilter()}`, [fileId, ...accessParams(user)], (err, row) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!row) {
+            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        if (!hasExtractableText(row)) {
+            res.status(400).json({ error: '본문을 추출할 수 없는 파일 형식입니다.' });
+            return;
+        }
+        
+        callback(row);
+    });
+}
+
+// 12. 문서 대화 (파일, 폴더 하위 전체, 탭 범위의 문서에서 근거를 찾아 답변하고 인용 반환)
+// { question, scope: { type: 'file' | 'folder' | 'tab', id }, conversationId, provider }
+// 대화는 로그인 사용자별로 저장
+app.post('/api/chat', (req, res) => {
+    const { question, conversationId, provider: providerName } = req.body;
+    const userId = String(req.user.id);
+    
+    if (!question || !String(question).trim()) {
+        res.status(400).json({ error: '질문이 필요합니다.' });
+        return;
+    }
+    
+    const provider = getAnswerProvider(providerName);
+    if (!provider) {
+        res.status(400).json({ error: `지원하지 않는 답변 제공자입니다. (사용 가능: ${listAnswerProviders().join(', ')})` });
+        return;
+    }
+    
+    const questionText = String(question).trim();
+    
+    // 이어서 하는 대화는 저장된 범위를 사용하고, 새 대화는 요청한 범위로 만듦
+    const withConversation = (callback) => {
+        if (conversationId) {
+            db.get(
+                "SELECT * FROM chat_conversations WHERE id = ? AND user_id = ?",
+                [conversationId, userId],
+                (err, conversation) => {
+                    if (err) {
+                        res.status(500).json({ error: err.message });
+                        return;
+                    }
+                    
+                    if (!conversation) {
+                        res.status(404).json({ error: '대화를 찾을 수 없습니다.' });
+                        return;
+                    }
+                    
+                    callback(conversation);
+                }
+            );
+            return;
+        }
+        
+        validateChatScope(req.body.scope, req.user, (err, scope) => {
+            if (err) {
+                res.status(err.statusCode || 500).json({ error: err.message });
+                return;
+            }
+            
+            db.run(
+                "INSERT INTO chat_conversations (user_id, scope_type, scope_id, title) VALUES (?, ?, ?, ?)",
+                [userId, scope.type, String(scope.id), questionText.slice(0, 50)],
+                function(err) {
+                    if (err) {
+                        res.status(500).json({ error: err.message });
+                        return;
+                    }
+                    
+                    db.get("SELECT * FROM chat_conversations WHERE id = ?", [this.lastID], (err, conversation) => {
+                        if (err) {
+                            res.status(500).json({ error: err.message });
+                            return;
+                        }
+                        callback(conversation);
+                    });
+                }
+            );
+        });
+    };
+    
+    withConversation((conversation) => {
+        const scope = { type: conversation.scope_type, id: conversation.scope_id };
+        console.log(`문서 대화 질문 (대화 ${conversation.id}, 범위 ${scope.type}:${scope.id}, 사용자 ${userId}): "${questionText}"`);
+        
+        db.all(
+            "SELECT role, content FROM chat_messages WHERE conversation_id = ? ORDER BY id DESC LIMIT ?",
+            [conversation.id, MAX_CHAT_HISTORY_MESSAGES],
+            (err, historyRows) => {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                findChatPassages(scope, req.user, questionText, (err, keywords, passages) => {
+                    if (err) {
+                        res.status(500).json({ error: err.message });
+                        return;
+                    }
+                    
+                    const chatInput = {
+                        question: questionText,
+                        keywords,
+                        history: historyRows.reverse(),
+                        passages
+                    };
+                    
+                    const respond = (result, usedProvider, providerError) => {
+                        // 답변에서 인용한 근거 번호 → { fileId, fileName, page, label, passage }
+                        const citations = result.citations.map(number => {
+                            const passage = passages[number - 1];
+                            return {
+                                number,
+                                fileId: passage.fileId,
+                                fileName: passage.name,
+                                page: passage.page,
+                                label: passage.label,
+                                passage: passage.text
+                            };
+                        });
+                        
+                        saveChatExchange(conversation.id, questionText, result.answer, citations, usedProvider, (err, message) => {
+                            if (err) {
+                                res.status(500).json({ error: err.message });
+                                return;
+                            }
+                            
+                            res.json({
+                                conversationId: conversation.id,
+                                scope,
+                                keywords,
+                                providerError: providerError || undefined,
+                                message
+                            });
+                        });
+                    };
+                    
+                    provider.chat(chatInput).then(result => respond(result, provider)).catch(error => {
+                        // 외부 제공자 오류 시 오프라인 답변으로 대체
+                        console.error(`답변 제공자 오류 (${provider.name}):`, error.message);
+                        const fallback = getAnswerProvider('offline');
+                        fallback.chat(chatInput)
+                            .then(result => respond(result, fallback, error.message))
+                            .catch(fallbackError => res.status(500).json({ error: fallbackError.message }));
+                    });
+                });
+            }
+        );
+    });
+});
+
+// 12-1. 문서 대화 목록 (현재 사용자, ?scopeType=file&scopeId=42 로 범위 지정 가능)
+app.get('/api/chat/conversations', (req, res) => {
+    const { scopeType, scopeId } = req.query;
+    const userId = String(req.user.id);
+    
+    let query = "SELECT * FROM chat_conversations WHERE user_id = ?";
+    const params = [userId];
+    
+    if (scopeType) {
+        query += " AND scope_type = ?";
+        params.push(scopeType);
+    }
+    if (scopeId) {
+        query += " AND scope_id = ?";
+        params.push(String(scopeId));
+    }
+    query += " ORDER BY updated_at DESC, id DESC";
+    
+    db.all(query, params, (err, rows) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        res.json(rows);
+    });
+});
+
+// 12-2. 문서 대화 내용 (메시지와 인용 근거)
+app.get('/api/chat/conversations/:id', (req, res) => {
+    const userId = String(req.user.id);
+    
+    db.get("SELECT * FROM chat_conversations WHERE id = ? AND user_id = ?", [req.params.id, userId], (err, conversation) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!conversation) {
+            res.status(404).json({ error: '대화를 찾을 수 없습니다.' });
+            return;
+        }
+        
+        db.all("SELECT * FROM chat_messages WHERE conversation_id = ? ORDER BY id", [conversation.id], (err, messages) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            res.json({
+                ...conversation,
+                messages: messages.map(formatChatMessage)
+            });
+        });
+    });
+});
+
+// 12-3. 문서 대화 삭제
+app.delete('/api/chat/conversations/:id', (req, res) => {
+    const userId = String(req.user.id);
+    
+    db.get("SELECT id FROM chat_conversations WHERE id = ? AND user_id = ?", [req.params.id, userId], (err, conversation) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!conversation) {
+            res.status(404).json({ error: '대화를 찾을 수 없습니다.' });
+            return;
+        }
+        
+        db.serialize(() => {
+            db.run("DELETE FROM chat_messages WHERE conversation_id = ?", [conversation.id]);
+            db.run("DELETE FROM chat_conversations WHERE id = ?", [conversation.id], (err) => {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                console.log(`문서 대화 삭제: ${conversation.id}`);
+                res.json({ message: '대화가 삭제되었습니다.', conversationId: conversation.id });
+            });
+        });
+    });
+});
+
+// 대화 범위 확인 (파일/폴더는 로그인 사용자가 읽을 수 있어야 하고, 탭은 my 또는 public)
+function validateChatScope(scope, user, callback) {
+    const fail = (statusCode, message) => {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        callback(error);
+    };
+    
+    if (!scope || !['file', 'folder', 'tab'].includes(scope.type)) {
+        fail(400, '대화 범위(scope.type: file, folder, tab)가 필요합니다.');
+        return;
+    }
+    
+    if (scope.type === 'tab') {
+        if (!['my', 'public'].includes(scope.id)) {
+            fail(400, '탭은 my 또는 public 이어야 합니다.');
+            return;
+        }
+        callback(null, scope);
+        return;
+    }
+    
+    const table = scope.type === 'file' ? 'files' : 'folders';
+    const filter = scope.type === 'file' ? accessFilter() : folderAccessFilter();
+    db.get(`SELECT id FROM ${table} WHERE id = ? AND ${filter}`, [scope.id, ...accessParams(user)], (err, row) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        if (!row) {
+            fail(404, scope.type === 'file' ? '파일을 찾을 수 없습니다.' : '폴더를 찾을 수 없습니다.');
+            return;
+        }
+        
+        callback(null, { type: scope.type, id: row.id });
+    });
+}
+
+// 대화 범위에 속한 파일 ID 목록을 구하는 SQL (폴더는 하위 폴더 전체 포함, 로그인 사용자가 볼 수 있는 파일만)
+function chatScopeQuery(scope, user) {
+    if (scope.type === 'file') {
+        return { sql: `SELECT id FROM files WHERE id = ? AND ${accessFilter()}`, params: [Number(scope.id), ...accessParams(user)] };
+    }
+    
+    if (scope.type === 'folder') {
+        return {
+            sql: `
+                SELECT id FROM files WHERE folder_id IN (
+                    WITH RECURSIVE folder_tree AS (
+                        SELECT id FROM folders WHERE id = ?
+                        UNION ALL
+                        SELECT f.id FROM folders f
+                        INNER JOIN folder_tree ft ON f.parent_id = ft.id
+                    )
+                    SELECT id FROM folder_tree
+                ) AND ${accessFilter()}
+            `,
+            params: [Number(scope.id), ...accessParams(user)]
+        };
+    }
+    
+    return { sql: `SELECT id FROM files WHERE tab_type = ? AND ${accessFilter()}`, params: [scope.id, ...accessParams(user)] };
+}
+
+// 질문과 관련된 근거 발췌 찾기: 범위 안에서 BM25 순위가 높은 페이지마다 검색어가 가장 많은 조각
+// 파일 하나와의 대화에서 검색어가 없거나 일치하는 페이지가 없으면 문서 앞부분을 근거로 사용
+function findChatPassages(scope, user, question, callback) {
+    const { terms, match } = buildSearchQuery(question, { anyTerm: true });
+    const scopeQuery = chatScopeQuery(scope, user);
+    
+    // 슬라이드 머리글처럼 같은 내용이 반복되는 발췌는 한 번만 사용
+    const toPassages = (rows) => {
+        const passages = [];
+        rows.forEach(row => {
+            if (!row.content || !row.content.trim()) return;
+            
+            const text = findBestPassage(row.content, terms);
+            if (passages.length >= MAX_CHAT_PASSAGES || passages.some(passage => passage.text === text)) return;
+            
+            passages.push({
+                fileId: row.file_id,
+                name: row.original_name,
+                page: row.page_number,
+                label: pageLabel(row, row.page_number),
+                text
+            });
+        });
+        return passages;
+    };
+    
+    const firstPages = () => {
+        if (scope.type !== 'file') {
+            callback(null, terms, []);
+            return;
+        }
+        
+        db.all(`
+            SELECT p.file_id, p.page_number, p.content, f.original_name, f.mime_type
+            FROM file_pages p
+            INNER JOIN files f ON f.id = p.file_id
+            WHERE p.file_id IN (${scopeQuery.sql}) AND p.content != ''
+            ORDER BY p.page_number
+            LIMIT 3
+        `, scopeQuery.params, (err, rows) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            callback(null, terms, toPassages(rows));
+        });
+    };
+    
+    if (!match) {
+        firstPages();
+        return;
+    }
+    
+    const query = `
+        SELECT s.file_id, s.page_number, p.content, f.original_name, f.mime_type
+        FROM search_index s
+        INNER JOIN file_pages p ON p.file_id = s.file_id AND p.page_number = s.page_number
+        INNER JOIN files f ON f.id = s.file_id
+        WHERE search_index MATCH ? AND s.file_id IN (${scopeQuery.sql})
+        ORDER BY rank
+        LIMIT ?
+    `;
+    
+    // 중복 발췌를 빼고도 근거 수를 채울 수 있도록 넉넉하게 조회
+    db.all(query, [`content : (${match})`, ...scopeQuery.params, MAX_CHAT_PASSAGES * 3], (err, rows) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        if (rows.length === 0) {
+            firstPages();
+            return;
+        }
+        callback(null, terms, toPassages(rows));
+    });
+}
+
+// 질문과 답변을 저장하고 대화 수정 시각 갱신, 저장한 답변 메시지 반환
+function saveChatExchange(conversationId, question, answer, citations, provider, callback) {
+    db.serialize(() => {
+        db.run("BEGIN TRANSACTION");
+        db.run("INSERT INTO chat_messages (conversation_id, role, content) VALUES (?, 'user', ?)", [conversationId, question]);
+        db.run(
+            "INSERT INTO chat_messages (conversation_id, role, content, citations, provider, model) VALUES (?, 'assistant', ?, ?, ?, ?)",
+            [conversationId, answer, JSON.stringify(citations), provider.name, provider.model]
+        );
+        db.run("UPDATE chat_conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?", [conversationId]);
+        db.run("COMMIT", (err) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            
+            db.get(
+                "SELECT * FROM chat_messages WHERE conversation_id = ? AND role = 'assistant' ORDER BY id DESC LIMIT 1",
+                [conversationId],
+                (err, row) => callback(err, row ? formatChatMessage(row) : null)
+            );
+        });
+    });
+}
+
+// API 응답용 대화 메시지 (인용 근거 JSON 해석)
+function formatChatMessage(row) {
+    return {
+        id: row.id,
+        role: row.role,
+        content: row.content,
+        citations: row.citations ? JSON.parse(row.citations) : [],
+        provider: row.provider,
+        model: row.model,
+        createdAt: row.created_at
+    };
+}
+
+// 13. 메일 가져오기 (.eml 한 통 또는 .mbox 여러 통, 첨부 파일은 같은 폴더에 일반 파일로 저장)
+app.post('/api/mail/import', upload.single('file'), (req, res) => {
+    if (!req.file) {
+        res.status(400).json({ error: '파일이 필요합니다.' });
+        return;
+    }
+    
+    const { folderId, tabType } = req.body;
+    const originalName = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+    
+    if (!isMailFile(originalName)) {
+        fs.unlink(req.file.path, () => {});
+        res.status(400).json({ error: '.eml 또는 .mbox 파일만 가져올 수 있습니다.' });
+        return;
+    }
+    
+    if (!['my', 'public'].includes(tabType)) {
+        fs.unlink(req.file.path, () => {});
+        res.status(400).json({ error: '탭은 my 또는 public 이어야 합니다.' });
+        return;
+    }
+    
+    let processedFolderId = null;
+    if (folderId && folderId !== 'null' && folderId !== '') {
+        processedFolderId = parseInt(folderId);
+        if (isNaN(processedFolderId)) {
+            fs.unlink(req.file.path, () => {});
+            res.status(400).json({ error: '잘못된 폴더 ID입니다.' });
+            return;
+        }
+    }
+    
+    console.log(`메일 가져오기 시작: ${originalName} (폴더: ${processedFolderId}, 탭: ${tabType})`);
+    
+    const folderChecked = () => readMailFile(req.file.path, originalName).then(messages => {
+        const isSingleMessage = /\.eml$/i.test(originalName);
+        const target = { folderId: processedFolderId, tabType, ownerId: req.user.id };
+        
+        importMailMessages(messages, target, isSingleMessage ? req.file.path : null, (err, imported) => {
+            // .mbox 는 메일별 원문으로 나누어 저장했으므로 원래 파일은 삭제
+            if (!isSingleMessage) fs.unlink(req.file.path, () => {});
+            
+            if (err) {
+                console.error('메일 가져오기 오류:', err);
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            invalidateMailIndex();
+            const attachmentCount = imported.reduce((sum, email) => sum + email.attachments.length, 0);
+            console.log(`메일 가져오기 완료: ${originalName} (메일 ${imported.length}통, 첨부 파일 ${attachmentCount}개)`);
+            
+            res.json({
+                message: `메일 ${imported.length}통을 가져왔습니다.`,
+                imported: imported.length,
+                attachments: attachmentCount,
+                emails: imported
+            });
+        });
+    }).catch(error => {
+        fs.unlink(req.file.path, () => {});
+        console.error(`메일 해석 실패 (${originalName}):`, error.message);
+        res.status(422).json({ error: `메일을 해석할 수 없습니다: ${error.message}` });
+    });
+    
+    findTargetFolder(processedFolderId, tabType, req.user, res, folderChecked, () => fs.unlink(req.file.path, () => {}));
+});
+
+// 13-1. 메일 목록 (?tabType=my, 최근 메일 순)
+app.get('/api/mail', (req, res) => {
+    const { tabType } = req.query;
+    
+    let query = `
+        SELECT e.*, COUNT(a.id) as attachment_count
+        FROM emails e
+        LEFT JOIN email_attachments a ON a.email_id = e.id
+        WHERE ${accessFilter('e')}
+    `;
+    const params = accessParams(req.user);
+    
+    if (tabType) {
+        query += " AND e.tab_type = ?";
+        params.push(tabType);
+    }
+    query += " GROUP BY e.id ORDER BY e.sent_at DESC, e.id DESC";
+    
+    db.all(query, params, (err, rows) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        res.json(rows.map(formatEmail));
+    });
+});
+
+// 13-2. 문서와 관련된 메일 (이 파일 또는 같은 내용의 파일을 첨부한 메일, 본문이 비슷한 메일)
+app.get('/api/mail/related/:fileId', (req, res) => {
+    db.get(`SELECT * FROM files WHERE id = ? AND ${accessFilter()}`, [req.params.fileId, ...accessParams(req.user)], (err, fileRow) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!fileRow) {
+            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        hashStoredFile(fileRow, (err, sha256) => {
+            if (err) console.error(`파일 해시 계산 오류 (${fileRow.original_name}):`, err.message);
+            
+            db.all(
+                "SELECT DISTINCT email_id FROM email_attachments WHERE file_id = ? OR (sha256 IS NOT NULL AND sha256 = ?)",
+                [fileRow.id, sha256 || null],
+                (err, attachmentRows) => {
+                    if (err) {
+                        res.status(500).json({ error: err.message });
+                        return;
+                    }
+                    
+                    findSimilarEmails(fileRow, (err, similar) => {
+                        if (err) {
+                            res.status(500).json({ error: err.message });
+                            return;
+                        }
+                        
+                        // 첨부 파일로 연결된 메일을 먼저, 그 다음 내용이 비슷한 메일
+                        const matches = new Map();
+                        attachmentRows.forEach(row => matches.set(row.email_id, { match: 'attachment', relevance: 100, keywords: [] }));
+                        similar.forEach(item => {
+                            if (!matches.has(item.id)) {
+                                matches.set(item.id, { match: 'content', relevance: Math.round(item.score * 100), keywords: item.keywords });
+                            }
+                        });
+                        
+                        if (matches.size === 0) {
+                            res.json({ fileId: fileRow.id, emails: [] });
+                            return;
+                        }
+                        
+                        const ids = Array.from(matches.keys());
+                        const query = `
+                            SELECT e.*, COUNT(a.id) as attachment_count
+                            FROM emails e
+                            LEFT JOIN email_attachments a ON a.email_id = e.id
+                            WHERE e.id IN (${ids.map(() => '?').join(', ')}) AND ${accessFilter('e')}
+                            GROUP BY e.id
+                        `;
+                        
+                        db.all(query, [...ids, ...accessParams(req.user)], (err, rows) => {
+                            if (err) {
+                                res.status(500).json({ error: err.message });
+                                return;
+                            }
+                            
+                            const rowsById = new Map(rows.map(row => [row.id, row]));
+                            res.json({
+                                fileId: fileRow.id,
+                                emails: ids
+                                    .filter(id => rowsById.has(id))
+                                    .map(id => ({ ...formatEmail(rowsById.get(id)), ...matches.get(id) }))
+                            });
+                        });
+                    });
+                }
+            );
+        });
+    });
+});
+
+// 13-3. 메일 내용 (본문과 첨부 파일)
+app.get('/api/mail/:id', (req, res) => {
+    db.get(`SELECT * FROM emails WHERE id = ? AND ${accessFilter()}`, [req.params.id, ...accessParams(req.user)], (err, email) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!email) {
+            res.status(404).json({ error: '메일을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        // 첨부 파일이 삭제되었으면 fileId 는 null
+        const query = `
+            SELECT a.*, f.id as stored_file_id, f.tab_type as file_tab_type
+            FROM email_attachments a
+            LEFT JOIN files f ON f.id = a.file_id
+            WHERE a.email_id = ?
+            ORDER BY a.id
+        `;
+        
+        db.all(query, [email.id], (err, attachments) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            res.json({
+                ...formatEmail({ ...email, attachment_count: attachments.length }),
+                body: email.body_text || '',
+                attachments: attachments.map(attachment => ({
+                    fileId: attachment.stored_file_id,
+                    tabType: attachment.file_tab_type,
+                    filename: attachment.filename,
+                    contentType: attachment.content_type,
+                    size: attachment.file_size,
+                    sha256: attachment.sha256
+                }))
+            });
+        });
+    });
+});
+
+// 13-4. 메일 원문 다운로드 (.eml)
+app.get('/api/mail/:id/raw', (req, res) => {
+    db.get(`SELECT * FROM emails WHERE id = ? AND ${accessFilter()}`, [req.params.id, ...accessParams(req.user)], (err, email) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!email || !email.raw_path || !fs.existsSync(email.raw_path)) {
+            res.status(404).json({ error: '메일 원문을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        const fileName = `${(email.subject || 'message').replace(/[\\/:*?"<>|]/g, '_').slice(0, 100)}.eml`;
+        res.download(email.raw_path, fileName);
+    });
+});
+
+// 13-5. 메일 삭제 (원문만 삭제하고 첨부 파일은 일반 파일로 남김)
+app.delete('/api/mail/:id', (req, res) => {
+    db.get(`SELECT * FROM emails WHERE id = ? AND ${accessFilter()}`, [req.params.id, ...accessParams(req.user)], (err, email) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!email) {
+            res.status(404).json({ error: '메일을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        if (!hasPermission(itemPermission(req.user, email), 'manage')) {
+            res.status(403).json({ error: '메일을 삭제할 권한이 없습니다.' });
+            return;
+        }
+        
+        db.serialize(() => {
+            db.run("DELETE FROM email_attachments WHERE email_id = ?", [email.id]);
+            db.run("DELETE FROM emails WHERE id = ?", [email.id], (err) => {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                if (email.raw_path) fs.unlink(email.raw_path, () => {});
+                invalidateMailIndex();
+                console.log(`메일 삭제: ${email.subject} (${email.id})`);
+                res.json({ message: '메일이 삭제되었습니다.', emailId: email.id });
+            });
+        });
+    });
+});
+
+// 메일 여러 통 저장 (한 통씩 차례로): 원문 .eml, 메일 정보, 첨부 파일
+// rawPath 가 있으면(.eml 한 통) 업로드한 파일을 원문으로 사용
+function importMailMessages(messages, target, rawPath, callback) {
+    const imported = [];
+    
+    const importNext = (index) => {
+        if (index >= messages.length) {
+            callback(null, imported);
+            return;
+        }
+        
+        const message = messages[index];
+        const saveRaw = (done) => {
+            if (rawPath) {
+                done(null, rawPath);
+                return;
+            }
+            const messagePath = path.join(uploadsDir, storedFileName(`message-${index + 1}.eml`));
+            fs.writeFile(messagePath, message.raw, (err) => done(err, messagePath));
+        };
+        
+        saveRaw((err, messagePath) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            
+            db.run(`
+                INSERT INTO emails (message_id, subject, from_address, to_addresses, cc_addresses, sent_at, body_text, raw_path, folder_id, tab_type, owner_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                message.messageId,
+                message.subject,
+                message.from,
+                message.to,
+                message.cc,
+                message.date,
+                message.text,
+                messagePath,
+                target.folderId,
+                target.tabType,
+                target.ownerId
+            ], function(err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                
+                const emailId = this.lastID;
+                saveMailAttachments(emailId, message.attachments, target, (err, attachments) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    
+                    imported.push({ id: emailId, subject: message.subject, attachments });
+                    importNext(index + 1);
+                });
+            });
+        });
+    };
+    
+    importNext(0);
+}
+
+// 첨부 파일을 uploads 에 저장하고 파일 목록에 추가한 뒤 메일과 연결 (추가한 파일은 업로드와 같이 색인/추출)
+function saveMailAttachments(emailId, attachments, target, callback) {
+    const saved = [];
+    
+    const saveNext = (index) => {
+        if (index >= attachments.length) {
+            callback(null, saved);
+            return;
+        }
+        
+        const attachment = attachments[index];
+        const originalName = path.basename(attachment.filename).replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_');
+        const fileName = storedFileName(originalName);
+        const filePath = path.join(uploadsDir, fileName);
+        
+        fs.writeFile(filePath, attachment.content, (err) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            
+            const stored = { filename: fileName, path: filePath, size: attachment.size, mimetype: attachment.contentType };
+            storeFileContent(stored, originalName, (err, content) => {
+                if (err) {
+                    fs.unlink(filePath, () => {});
+                    callback(err);
+                    return;
+                }
+                
+                db.run(
+                    "INSERT INTO files (name, original_name, file_path, file_size, mime_type, folder_id, tab_type, owner_id, sha256) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+                    [content.filename, originalName, content.path, attachment.size, attachment.contentType, target.folderId, target.tabType, target.ownerId, content.sha256],
+                    function(err) {
+                        if (err) {
+                            releaseStoredFiles([content]);
+                            callback(err);
+                            return;
+                        }
+                        
+                        const fileRow = {
+                            id: this.lastID,
+                            name: content.filename,
+                            original_name: originalName,
+                            file_path: content.path,
+                            file_size: attachment.size,
+                            mime_type: attachment.contentType,
+                            folder_id: target.folderId,
+                            tab_type: target.tabType,
+                            owner_id: target.ownerId,
+                            sha256: content.sha256
+                        };
+                        
+                        db.run(
+                            "INSERT INTO email_attachments (email_id, file_id, filename, content_type, file_size, sha256) VALUES (?, ?, ?, ?, ?, ?)",
+                            [emailId, fileRow.id, originalName, attachment.contentType, attachment.size, attachment.sha256],
+                            (err) => {
+                                if (err) {
+                                    callback(err);
+                                    return;
+                                }
+                                
+                                console.log(`메일 첨부 파일 저장: ${originalName} (메일 ${emailId}, 파일 ${fileRow.id})`);
+                                processNewFile(fileRow);
+                                saved.push({ fileId: fileRow.id, filename: originalName, size: attachment.size });
+                                saveNext(index + 1);
+                            }
+                        );
+                    }
+                );
+            });
+        });
+    };
+    
+    saveNext(0);
+}
+
+// uploads 에 저장할 파일 이름 (업로드와 같은 규칙: 시각-난수-원래 이름)
+function storedFileName(originalName) {
+    return `${Date.now()}-${Math.round(Math.random() * 1E9)}-${originalName}`;
+}
+
+// 저장된 파일의 SHA-256 (업로드할 때 계산해 둔 값, 없으면 계산하고 서버에 파일이 없으면 null)
+function hashStoredFile(fileRow, callback) {
+    if (fileRow.sha256) {
+        callback(null, fileRow.sha256);
+        return;
+    }
+    
+    const filePath = resolveStoredFilePath(fileRow);
+    if (!filePath) {
+        callback(null, null);
+        return;
+    }
+    
+    hashFile(filePath, callback);
+}
+
+function hashFile(filePath, callback) {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => callback(null, hash.digest('hex')))
+        .on('error', error => callback(error, null));
+}
+
+// 메일 유사도 색인 (메일 제목과 본문, 메일을 가져오거나 삭제하면 다시 계산)
+let mailIndex = null;
+
+function invalidateMailIndex() {
+    mailIndex = null;
+}
+
+// 문서 본문(또는 파일명)과 비슷한 메일: [{ id, score, keywords }]
+function findSimilarEmails(fileRow, callback) {
+    const withIndex = (done) => {
+        if (mailIndex) {
+            done(null, mailIndex);
+            return;
+        }
+        
+        db.all("SELECT id, subject, body_text FROM emails", (err, rows) => {
+            if (err) {
+                done(err);
+                return;
+            }
+            
+            mailIndex = buildRelatedIndex(rows.map(row => ({ id: row.id, name: row.subject, text: row.body_text || '' })));
+            console.log(`메일 유사도 색인 계산 완료: 메일 ${mailIndex.documentCount}통`);
+            done(null, mailIndex);
+        });
+    };
+    
+    withIndex((err, index) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        db.all("SELECT content FROM file_pages WHERE file_id = ? ORDER BY page_number", [fileRow.id], (err, pages) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            
+            const text = pages.map(page => page.content || '').join('\n');
+            callback(null, findSimilar(index, fileRow.original_name, text, { limit: MAX_RELATED_EMAILS }));
+        });
+    });
+}
+
+// API 응답용 메일 정보
+function formatEmail(row) {
+    return {
+        id: row.id,
+        messageId: row.message_id,
+        subject: row.subject,
+        from: row.from_address,
+        to: row.to_addresses,
+        cc: row.cc_addresses,
+        date: row.sent_at,
+        tabType: row.tab_type,
+        folderId: row.folder_id,
+        attachmentCount: row.attachment_count || 0,
+        createdAt: row.created_at
+    };
+}
+
+// 14. 회원 가입 ({ username, password, displayName }) → 가입한 계정으로 바로 로그인
+app.post('/api/auth/register', (req, res) => {
+    const username = String(req.body.username || '').trim();
+    const password = String(req.body.password || '');
+    const displayName = String(req.body.displayName || '').trim().slice(0, 50) || username;
+    
+    if (username.length < MIN_USERNAME_LENGTH || username.length > MAX_USERNAME_LENGTH || !/^[\p{L}\p{N}._-]+$/u.test(username)) {
+        res.status(400).json({ error: `아이디는 ${MIN_USERNAME_LENGTH}~${MAX_USERNAME_LENGTH}자의 글자, 숫자, '.', '_', '-' 로 입력하세요.` });
+        return;
+    }
+    
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        res.status(400).json({ error: `비밀번호는 ${MIN_PASSWORD_LENGTH}자 이상이어야 합니다.` });
+        return;
+    }
+    
+    hashPassword(password).then(passwordHash => {
+        db.run(
+            "INSERT INTO users (username, password_hash, display_name) VALUES (?, ?, ?)",
+            [username, passwordHash, displayName],
+            function(err) {
+                if (err) {
+                    if (/UNIQUE/.test(err.message)) {
+                        res.status(409).json({ error: '이미 사용 중인 아이디입니다.' });
+                        return;
+                    }
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                const user = { id: this.lastID, username, display_name: displayName };
+                console.log(`회원 가입: ${username} (${user.id})`);
+                
+                setupFirstUser(user, (err) => {
+                    if (err) console.error('기존 항목 소유자 지정 오류:', err);
+                    startSession(req, res, user);
+                });
+            }
+        );
+    }).catch(error => res.status(500).json({ error: error.message }));
+});
+
+// 14-1. 로그인 ({ username, password }) → 세션 쿠키 설정, API 클라이언트용 토큰 반환 (Authorization: Bearer)
+app.post('/api/auth/login', (req, res) => {
+    const username = String(req.body.username || '').trim();
+    const password = String(req.body.password || '');
+    
+    if (!username || !password) {
+        res.status(400).json({ error: '아이디와 비밀번호가 필요합니다.' });
+        return;
+    }
+    
+    db.get("SELECT * FROM users WHERE username = ?", [username], (err, user) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        // 없는 아이디와 틀린 비밀번호는 같은 오류와 같은 시간으로 응답 (가입 여부를 알 수 없도록 없는 아이디도 고정 해시와 비교)
+        verifyPassword(password, user ? user.password_hash : DUMMY_PASSWORD_HASH).then(valid => {
+            if (!user || !valid) {
+                console.log(`로그인 실패: ${username}`);
+                res.status(401).json({ error: '아이디 또는 비밀번호가 올바르지 않습니다.' });
+                return;
+            }
+            
+            // 만료된 세션 정리
+            db.run("DELETE FROM sessions WHERE expires_at <= CURRENT_TIMESTAMP");
+            
+            console.log(`로그인: ${user.username} (${user.id})`);
+            startSession(req, res, user);
+        }).catch(error => res.status(500).json({ error: error.message }));
+    });
+});
+
+// 14-2. 로그아웃 (세션 삭제, 쿠키 제거)
+app.post('/api/auth/logout', (req, res) => {
+    const token = readSessionToken(req);
+    
+    const done = () => {
+        res.setHeader('Set-Cookie', sessionCookie(null, req.secure));
+        res.json({ message: '로그아웃되었습니다.' });
+    };
+    
+    if (!token) {
+        done();
+        return;
+    }
+    
+    db.run("DELETE FROM sessions WHERE token_hash = ?", [hashToken(token)], (err) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        done();
+    });
+});
+
+// 14-3. 로그인한 사용자 정보
+app.get('/api/auth/me', (req, res) => {
+    res.json({ user: formatUser(req.user) });
+});
+
+// 로그인 확인 미들웨어: 세션 쿠키나 Bearer 토큰으로 사용자를 찾아 폴더 권한과 함께 req.user 에 설정 (가입, 로그인, 로그아웃은 제외)
+function requireLogin(req, res, next) {
+    if (PUBLIC_API_PATHS.includes(req.path)) {
+        next();
+        return;
+    }
+    
+    const token = readSessionToken(req);
+    if (!token) {
+        res.status(401).json({ error: '로그인이 필요합니다.' });
+        return;
+    }
+    
+    const query = `
+        SELECT u.id, u.username, u.display_name, u.is_admin
+        FROM sessions s
+        INNER JOIN users u ON u.id = s.user_id
+        WHERE s.token_hash = ? AND s.expires_at > CURRENT_TIMESTAMP
+    `;
+    
+    db.get(query, [hashToken(token)], (err, user) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!user) {
+            res.status(401).json({ error: '로그인이 만료되었습니다. 다시 로그인하세요.' });
+            return;
+        }
+        
+        loadFolderAccess(user, (err) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            req.user = user;
+            next();
+        });
+    });
+}
+
+// 새 세션을 만들고 쿠키 설정 후 사용자 정보와 토큰 응답
+function startSession(req, res, user) {
+    const { token, tokenHash } = createSessionToken();
+    
+    db.run(
+        "INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, datetime('now', ?))",
+        [tokenHash, user.id, `+${SESSION_DAYS} days`],
+        (err) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            res.setHeader('Set-Cookie', sessionCookie(token, req.secure));
+            res.json({ user: formatUser(user), token });
+        }
+    );
+}
+
+// 처음 가입한 사용자는 관리자가 되고, 계정 기능 이전에 만든 My 문서함 항목(소유자 없음)을 넘겨받음
+function setupFirstUser(user, callback) {
+    db.get("SELECT MIN(id) as first_id FROM users", (err, row) => {
+        if (err || !row || row.first_id !== user.id) {
+            callback(err);
+            return;
+        }
+        
+        user.is_admin = 1;
+        const updates = [
+            ["UPDATE users SET is_admin = 1 WHERE id = ?", 'users'],
+            ...['folders', 'files', 'emails'].map(table => [
+                `UPDATE ${table} SET owner_id = ? WHERE tab_type = 'my' AND owner_id IS NULL`,
+                table
+            ])
+        ];
+        let remaining = updates.length;
+        let firstError = null;
+        
+        updates.forEach(([query, table]) => {
+            db.run(query, [user.id], function(err) {
+                if (err) {
+                    firstError = firstError || err;
+                } else if (table === 'users') {
+                    console.log(`첫 사용자 ${user.username} 을(를) 관리자로 지정`);
+                } else if (this.changes > 0) {
+                    console.log(`소유자 없는 ${table} ${this.changes}개를 ${user.username} 에게 지정`);
+                }
+                if (--remaining === 0) callback(firstError);
+            });
+        });
+    });
+}
+
+// 로그인 사용자가 볼 수 있는 파일/메일 행 조건 (본인 소유의 My 문서함, 공용 문서함의 루트와 읽기 권한이 있는 폴더)
+// 매개변수는 accessParams(user)
+function accessFilter(alias) {
+    const prefix = alias ? `${alias}.` : '';
+    return `((${prefix}tab_type = 'my' AND ${prefix}owner_id = ?) OR ` +
+        `(${prefix}tab_type = 'public' AND (${prefix}folder_id IS NULL OR ${prefix}folder_id IN (SELECT value FROM json_each(?)))))`;
+}
+
+// 로그인 사용자가 볼 수 있는 폴더 행 조건 (매개변수는 accessParams(user))
+function folderAccessFilter(alias) {
+    const prefix = alias ? `${alias}.` : '';
+    return `((${prefix}tab_type = 'my' AND ${prefix}owner_id = ?) OR ` +
+        `(${prefix}tab_type = 'public' AND ${prefix}id IN (SELECT value FROM json_each(?))))`;
+}
+
+function accessParams(user) {
+    return [user.id, JSON.stringify(user.readableFolders)];
+}
+
+// 폴더를 만들거나 파일을 넣을 위치 확인 (같은 탭에 있고 로그인 사용자가 upload 권한을 가진 폴더, 루트는 null)
+// 사용할 수 없으면 onReject 실행 후 404(볼 수 없는 폴더) 또는 403(권한 없음) 응답
+function findTargetFolder(folderId, tabType, user, res, callback, onReject) {
+    checkTargetFolder(folderId, tabType, user, (err) => {
+        if (err) {
+            if (onReject) onReject();
+            res.status(err.statusCode || 500).json({ error: err.message });
+            return;
+        }
+        callback();
+    });
+}
+
+// findTargetFolder 의 확인 부분 (사용할 수 없으면 statusCode 가 있는 오류)
+function checkTargetFolder(folderId, tabType, user, callback) {
+    const checkPermission = () => {
+        if (!hasPermission(folderPermission(user, tabType, folderId), 'upload')) {
+            callback(httpError(403, folderId === null ? '공용 문서함 루트에는 관리자만 추가할 수 있습니다.' : '이 폴더에 추가할 권한이 없습니다.'));
+            return;
+        }
+        callback(null);
+    };
+    
+    if (folderId === null) {
+        checkPermission();
+        return;
+    }
+    
+    db.get(`SELECT id FROM folders WHERE id = ? AND tab_type = ? AND ${folderAccessFilter()}`, [folderId, tabType, ...accessParams(user)], (err, row) => {
+        if (err || !row) {
+            callback(err || httpError(404, '폴더를 찾을 수 없습니다.'));
+            return;
+        }
+        checkPermission();
+    });
+}
+
+// API 응답용 사용자 정보
+function formatUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        displayName: user.display_name || user.username,
+        isAdmin: Boolean(user.is_admin)
+    };
+}
+
+// 15. 팀 목록 (관리자는 모든 팀, 그 외 사용자는 자기가 속한 팀과 구성원)
+app.get('/api/teams', (req, res) => {
+    const query = req.user.is_admin
+        ? "SELECT * FROM teams ORDER BY name"
+        : "SELECT t.* FROM teams t INNER JOIN team_members m ON m.team_id = t.id WHERE m.user_id = ? ORDER BY t.name";
+    const params = req.user.is_admin ? [] : [req.user.id];
+    
+    db.all(query, params, (err, teams) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        const memberQuery = `
+            SELECT m.team_id, u.id, u.username, u.display_name
+            FROM team_members m
+            INNER JOIN users u ON u.id = m.user_id
+            ORDER BY u.username
+        `;
+        
+        db.all(memberQuery, (err, members) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            res.json(teams.map(team => ({
+                id: team.id,
+                name: team.name,
+                createdAt: team.created_at,
+                members: members
+                    .filter(member => member.team_id === team.id)
+                    .map(member => formatUser(member))
+            })));
+        });
+    });
+});
+
+// 15-1. 팀 만들기 ({ name }, 관리자)
+app.post('/api/teams', (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    
+    const name = String(req.body.name || '').trim().slice(0, 50);
+    if (!name) {
+        res.status(400).json({ error: '팀 이름이 필요합니다.' });
+        return;
+    }
+    
+    db.run("INSERT INTO teams (name) VALUES (?)", [name], function(err) {
+        if (err) {
+            if (/UNIQUE/.test(err.message)) {
+                res.status(409).json({ error: '같은 이름의 팀이 있습니다.' });
+                return;
+            }
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        console.log(`팀 생성: ${name} (${this.lastID})`);
+        res.json({ id: this.lastID, name, members: [] });
+    });
+});
+
+// 15-2. 팀 삭제 (구성원과 폴더 권한도 삭제, 관리자)
+app.delete('/api/teams/:id', (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    
+    db.get("SELECT * FROM teams WHERE id = ?", [req.params.id], (err, team) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!team) {
+            res.status(404).json({ error: '팀을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        db.serialize(() => {
+            db.run("DELETE FROM folder_permissions WHERE team_id = ?", [team.id]);
+            db.run("DELETE FROM team_members WHERE team_id = ?", [team.id]);
+            db.run("DELETE FROM teams WHERE id = ?", [team.id], (err) => {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                console.log(`팀 삭제: ${team.name} (${team.id})`);
+                res.json({ message: '팀이 삭제되었습니다.', teamId: team.id });
+            });
+        });
+    });
+});
+
+// 15-3. 팀 구성원 추가 ({ username }, 관리자)
+app.post('/api/teams/:id/members', (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    
+    const username = String(req.body.username || '').trim();
+    
+    db.get("SELECT * FROM teams WHERE id = ?", [req.params.id], (err, team) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!team) {
+            res.status(404).json({ error: '팀을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        db.get("SELECT id, username, display_name FROM users WHERE username = ?", [username], (err, user) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            if (!user) {
+                res.status(404).json({ error: '사용자를 찾을 수 없습니다.' });
+                return;
+            }
+            
+            db.run("INSERT OR IGNORE INTO team_members (team_id, user_id) VALUES (?, ?)", [team.id, user.id], (err) => {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                console.log(`팀 구성원 추가: ${team.name} ← ${user.username}`);
+                res.json({ teamId: team.id, member: formatUser(user) });
+            });
+        });
+    });
+});
+
+// 15-4. 팀 구성원 제외 (관리자)
+app.delete('/api/teams/:id/members/:userId', (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    
+    db.run("DELETE FROM team_members WHERE team_id = ? AND user_id = ?", [req.params.id, req.params.userId], function(err) {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (this.changes === 0) {
+            res.status(404).json({ error: '팀 구성원을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        console.log(`팀 구성원 제외: 팀 ${req.params.id}, 사용자 ${req.params.userId}`);
+        res.json({ message: '팀 구성원을 제외했습니다.' });
+    });
+});
+
+// 15-5. 공용 문서함 폴더 권한 (이 폴더에 지정한 팀 권한, 상위 폴더에서 물려받는 권한, 지정할 수 있는 팀 목록)
+app.get('/api/folders/:id/permissions', (req, res) => {
+    findManagedFolder(req, res, (folder) => {
+        const query = `
+            WITH RECURSIVE ancestors AS (
+                SELECT id, parent_id, name, 0 AS depth FROM folders WHERE id = ?
+                UNION ALL
+                SELECT f.id, f.parent_id, f.name, a.depth + 1 FROM folders f
+                INNER JOIN ancestors a ON f.id = a.parent_id
+            )
+            SELECT p.folder_id, p.team_id, p.permission, t.name AS team_name, a.name AS folder_name, a.depth
+            FROM folder_permissions p
+            INNER JOIN ancestors a ON a.id = p.folder_id
+            INNER JOIN teams t ON t.id = p.team_id
+            ORDER BY a.depth, t.name
+        `;
+        
+        db.all(query, [folder.id], (err, grants) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            db.all("SELECT id, name FROM teams ORDER BY name", (err, teams) => {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                res.json({
+                    folderId: folder.id,
+                    folderName: folder.name,
+                    permission: folderPermission(req.user, folder.tab_type, folder.id),
+                    grants: grants.map(grant => ({
+                        teamId: grant.team_id,
+                        teamName: grant.team_name,
+                        permission: grant.permission,
+                        inheritedFrom: grant.depth > 0 ? { folderId: grant.folder_id, folderName: grant.folder_name } : null
+                    })),
+                    teams
+                });
+            });
+        });
+    });
+});
+
+// 15-6. 공용 문서함 폴더 팀 권한 지정 ({ teamId, permission: 'read' | 'upload' | 'manage' | 'none' }, none 이면 권한 삭제)
+app.put('/api/folders/:id/permissions', (req, res) => {
+    const { teamId, permission } = req.body;
+    
+    if (!isPermission(permission)) {
+        res.status(400).json({ error: `권한은 ${PERMISSIONS.join(', ')} 중 하나여야 합니다.` });
+        return;
+    }
+    
+    findManagedFolder(req, res, (folder) => {
+        db.get("SELECT id, name FROM teams WHERE id = ?", [teamId], (err, team) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            if (!team) {
+                res.status(404).json({ error: '팀을 찾을 수 없습니다.' });
+                return;
+            }
+            
+            const query = permission === 'none'
+                ? "DELETE FROM folder_permissions WHERE folder_id = ? AND team_id = ?"
+                : "INSERT OR REPLACE INTO folder_permissions (folder_id, team_id, permission) VALUES (?, ?, ?)";
+            const params = permission === 'none' ? [folder.id, team.id] : [folder.id, team.id, permission];
+            
+            db.run(query, params, (err) => {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                console.log(`폴더 권한 지정: ${folder.name} (${folder.id}) - ${team.name}: ${permission} (지정한 사용자 ${req.user.username})`);
+                res.json({ folderId: folder.id, teamId: team.id, permission });
+            });
+        });
+    });
+});
+
+// 관리자만 사용할 수 있는 요청 확인 (관리자가 아니면 403 응답 후 false)
+function requireAdmin(req, res) {
+    if (!req.user.is_admin) {
+        res.status(403).json({ error: '관리자만 사용할 수 있습니다.' });
+        return false;
+    }
+    return true;
+}
+
+// 권한을 지정할 공용 문서함 폴더 찾기 (manage 권한 필요)
+function findManagedFolder(req, res, callback) {
+    db.get(`SELECT * FROM folders WHERE id = ? AND ${folderAccessFilter()}`, [req.params.id, ...accessParams(req.user)], (err, folder) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!folder) {
+            res.status(404).json({ error: '폴더를 찾을 수 없습니다.' });
+            return;
+        }
+        
+        if (folder.tab_type !== 'public') {
+            res.status(400).json({ error: '팀 권한은 공용 문서함 폴더에만 지정할 수 있습니다.' });
+            return;
+        }
+        
+        if (!hasPermission(folderPermission(req.user, folder.tab_type, folder.id), 'manage')) {
+            res.status(403).json({ error: '폴더 권한을 지정할 권한이 없습니다.' });
+            return;
+        }
+        
+        callback(folder);
+    });
+}
+
+// 로그인 사용자의 공용 문서함 폴더 권한 계산 (요청마다 최신 팀/권한 사용)
+// user.teamIds, user.folderPermissions (Map 폴더 ID → 권한), user.readableFolders (읽을 수 있는 폴더 ID)
+function loadFolderAccess(user, callback) {
+    db.all("SELECT team_id FROM team_members WHERE user_id = ?", [user.id], (err, memberships) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        db.all("SELECT id, parent_id, owner_id FROM folders WHERE tab_type = 'public'", (err, folders) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            
+            db.all("SELECT folder_id, team_id, permission FROM folder_permissions", (err, grants) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                
+                user.teamIds = memberships.map(row => row.team_id);
+                user.folderPermissions = resolveFolderPermissions(folders, grants, user);
+                user.readableFolders = Array.from(user.folderPermissions)
+                    .filter(([, level]) => hasPermission(level, 'read'))
+                    .map(([folderId]) => folderId);
+                callback(null, user);
+            });
+        });
+    });
+}
+
+// 폴더(null 이면 루트)에 대한 로그인 사용자 권한
+// My 문서함은 본인 폴더만 조회하므로 manage, 공용 문서함 루트는 관리자만 manage 이고 나머지 사용자는 read
+function folderPermission(user, tabType, folderId) {
+    if (tabType === 'my') return 'manage';
+    if (folderId === null || folderId === undefined) return user.is_admin ? 'manage' : 'read';
+    return user.folderPermissions.get(Number(folderId)) || 'none';
+}
+
+// 파일(또는 메일)에 대한 로그인 사용자 권한: 폴더 권한, 업로드 권한이 있으면 자기가 올린 항목은 manage
+function itemPermission(user, row) {
+    const level = folderPermission(user, row.tab_type, row.folder_id);
+    return row.owner_id === user.id && hasPermission(level, 'upload') ? 'manage' : level;
+}
+
+// 16. 파일 버전 목록 (최근 버전 순, 현재 버전 포함)
+app.get('/api/files/:id/versions', (req, res) => {
+    findVersionedFile(req, res, null, (file) => {
+        const query = `
+            SELECT v.*, u.username, u.display_name
+            FROM (
+                SELECT version, original_name, file_size, mime_type,
+                       COALESCE(updated_by, owner_id) AS uploaded_by, COALESCE(updated_at, created_at) AS created_at, 1 AS current
+                FROM files WHERE id = ?
+                UNION ALL
+                SELECT version, original_name, file_size, mime_type, uploaded_by, created_at, 0 AS current
+                FROM file_versions WHERE file_id = ?
+            ) v
+            LEFT JOIN users u ON u.id = v.uploaded_by
+            ORDER BY v.version DESC
+        `;
+        
+        db.all(query, [file.id, file.id], (err, rows) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            res.json({
+                fileId: file.id,
+                name: file.original_name,
+                currentVersion: file.version,
+                permission: itemPermission(req.user, file),
+                versions: rows.map(formatFileVersion)
+            });
+        });
+    });
+});
+
+// 16-1. 새 버전 올리기 (multipart file, 파일 이름은 그대로 두고 내용만 바꾸므로 같은 형식의 파일만)
+app.post('/api/files/:id/versions', upload.single('file'), (req, res) => {
+    if (!req.file) {
+        res.status(400).json({ error: '파일이 필요합니다.' });
+        return;
+    }
+    
+    const originalName = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+    const removeUpload = () => fs.unlink(req.file.path, () => {});
+    
+    findVersionedFile(req, res, 'upload', (file) => {
+        if (path.extname(originalName).toLowerCase() !== path.extname(file.original_name).toLowerCase()) {
+            removeUpload();
+            res.status(400).json({ error: `같은 형식(${path.extname(file.original_name) || '확장자 없음'})의 파일만 새 버전으로 올릴 수 있습니다.` });
+            return;
+        }
+        
+        console.log(`새 버전 업로드: ${file.original_name} (id: ${file.id}, 현재 v${file.version}) ← ${originalName}`);
+        storeFileContent(req.file, originalName, (err, content) => {
+            if (err) {
+                removeUpload();
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            saveFileVersion(file, content, req.user, (err, updated) => {
+                if (err) {
+                    releaseStoredFiles([content]);
+                    res.status(err.statusCode || 500).json({ error: err.message });
+                    return;
+                }
+                
+                res.json({ ...formatUploadedFile(updated), newVersion: true });
+            });
+        });
+    }, removeUpload);
+});
+
+// 16-2. 지정한 버전 내려받기
+app.get('/api/files/:id/versions/:version/download', (req, res) => {
+    findVersionedFile(req, res, null, (file) => {
+        findFileVersion(file, req.params.version, res, (version) => {
+            const filePath = resolveStoredFilePath(version);
+            if (!filePath) {
+                res.status(404).json({ error: '파일이 서버에 존재하지 않습니다.' });
+                return;
+            }
+            
+            res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(version.original_name)}"`);
+            res.setHeader('Content-Type', version.mime_type || 'application/octet-stream');
+            
+            const fileStream = fs.createReadStream(filePath);
+            fileStream.pipe(res);
+            
+            fileStream.on('error', (err) => {
+                console.error('파일 전송 오류:', err);
+                if (!res.headersSent) {
+                    res.status(500).json({ error: '파일 전송 중 오류가 발생했습니다.' });
+                }
+            });
+        });
+    });
+});
+
+// 16-3. 이전 버전 복원 (선택한 버전의 내용으로 새 버전을 만들고, 지금까지의 버전은 그대로 보관)
+app.post('/api/files/:id/versions/:version/restore', (req, res) => {
+    findVersionedFile(req, res, 'upload', (file) => {
+        findFileVersion(file, req.params.version, res, (version) => {
+            if (version.version === file.version) {
+                res.status(400).json({ error: '이미 현재 버전입니다.' });
+                return;
+            }
+            
+            console.log(`버전 복원: ${file.original_name} (id: ${file.id}) v${version.version} → v${file.version + 1}`);
+            
+            // 복원한 버전은 보관된 저장 파일을 그대로 사용 (현재 버전도 그 파일을 쓰므로 참조 수 증가)
+            const stored = {
+                filename: version.name,
+                path: version.file_path,
+                size: version.file_size,
+                mimetype: version.mime_type,
+                sha256: version.sha256
+            };
+            
+            addStoredFileReference(stored.sha256, (err) => {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                saveFileVersion(file, stored, req.user, (err, updated) => {
+                    if (err) {
+                        if (stored.sha256) releaseStoredFiles([stored]);
+                        res.status(err.statusCode || 500).json({ error: err.message });
+                        return;
+                    }
+                    
+                    res.json({ ...formatUploadedFile(updated), restoredFrom: version.version });
+                });
+            });
+        });
+    });
+});
+
+// 버전을 다룰 파일 확인 (볼 수 있는 파일, required 가 있으면 그 이상의 권한 필요)
+// 사용할 수 없으면 onReject 실행 후 404 또는 403 응답
+function findVersionedFile(req, res, required, callback, onReject) {
+    const reject = (statusCode, message) => {
+        if (onReject) onReject();
+        res.status(statusCode).json({ error: message });
+    };
+    
+    db.get(`SELECT * FROM files WHERE id = ? AND ${accessFilter()}`, [req.params.id, ...accessParams(req.user)], (err, file) => {
+        if (err) {
+            reject(500, err.message);
+            return;
+        }
+        
+        if (!file) {
+            reject(404, '파일을 찾을 수 없습니다.');
+            return;
+        }
+        
+        if (required && !hasPermission(itemPermission(req.user, file), required)) {
+            reject(403, '이 파일의 새 버전을 올릴 권한이 없습니다.');
+            return;
+        }
+        
+        callback(file);
+    });
+}
+
+// 파일의 지정한 버전 (현재 버전이면 files 행, 이전 버전이면 file_versions 행)
+function findFileVersion(file, versionNumber, res, callback) {
+    const number = parseInt(versionNumber);
+    if (number === file.version) {
+        callback(file);
+        return;
+    }
+    
+    db.get("SELECT * FROM file_versions WHERE file_id = ? AND version = ?", [file.id, number], (err, version) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!version) {
+            res.status(404).json({ error: '버전을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        callback(version);
+    });
+}
+
+// 파일 내용을 새 버전으로 바꾸기: 현재 내용은 file_versions 에 보관하고 files 행을 새 내용과 다음 버전 번호로 갱신
+// stored: 새 내용 { filename, path, size, mimetype, sha256 } (저장 파일에 등록한 업로드 파일 또는 복원할 버전)
+// 현재 내용의 저장 파일 참조는 보관한 file_versions 행으로 옮겨지고, 새 내용의 참조는 호출한 쪽에서 늘려 둔다
+// 파일 이름은 바뀌지 않으며, 본문 텍스트와 검색 색인, 요약은 새 내용으로 다시 만든다
+function saveFileVersion(file, stored, user, callback) {
+    const archiveQuery = `
+        INSERT INTO file_versions (file_id, version, name, original_name, file_path, file_size, mime_type, uploaded_by, sha256, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const archiveParams = [
+        file.id,
+        file.version,
+        file.name,
+        file.original_name,
+        file.file_path,
+        file.file_size,
+        file.mime_type,
+        file.updated_by || file.owner_id,
+        file.sha256,
+        file.updated_at || file.created_at
+    ];
+    
+    // 같은 파일에 동시에 새 버전을 올리면 버전 번호가 겹치므로 나중 요청은 실패
+    db.run(archiveQuery, archiveParams, function(err) {
+        if (err) {
+            if (/UNIQUE constraint failed/.test(err.message)) {
+                err = httpError(409, '다른 사용자가 먼저 새 버전을 올렸습니다. 다시 시도해 주세요.');
+            }
+            callback(err);
+            return;
+        }
+        
+        const archiveId = this.lastID;
+        const updateQuery = `
+            UPDATE files 
+            SET name = ?, file_path = ?, file_size = ?, mime_type = ?, sha256 = ?, version = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND version = ?
+        `;
+        const updateParams = [stored.filename, stored.path, stored.size, stored.mimetype, stored.sha256 || null, file.version + 1, user.id, file.id, file.version];
+        
+        db.run(updateQuery, updateParams, function(err) {
+            if (err || this.changes === 0) {
+                db.run("DELETE FROM file_versions WHERE id = ?", [archiveId]);
+                callback(err || new Error('파일을 찾을 수 없습니다.'));
+                return;
+            }
+            
+            db.get("SELECT * FROM files WHERE id = ?", [file.id], (err, updated) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                
+                console.log(`새 버전 저장 완료: ${updated.original_name} v${updated.version}`);
+                
+                // 이전 내용의 텍스트와 색인을 지운 뒤 새 내용으로 다시 추출 (순서대로 실행)
+                db.serialize(() => {
+                    deleteDocumentText([updated.id]);
+                    processNewFile(updated);
+                });
+                
+                callback(null, updated);
+            });
+        });
+    });
+}
+
+// 파일 삭제 시 이전 버전의 기록 삭제 (저장 파일은 다른 파일이나 버전이 쓰지 않을 때만 삭제)
+function deleteFileVersions(fileIds) {
+    if (!fileIds || fileIds.length === 0) return;
+    
+    const placeholders = fileIds.map(() => '?').join(', ');
+    db.all(`SELECT name, file_path, sha256 FROM file_versions WHERE file_id IN (${placeholders})`, fileIds, (err, rows) => {
+        if (err) {
+            console.error('이전 버전 조회 오류:', err);
+            return;
+        }
+        
+        releaseStoredFiles(rows);
+        
+        db.run(`DELETE FROM file_versions WHERE file_id IN (${placeholders})`, fileIds, (err) => {
+            if (err) console.error('이전 버전 삭제 오류:', err);
+        });
+    });
+}
+
+function formatFileVersion(row) {
+    return {
+        version: row.version,
+        originalName: row.original_name,
+        fileSize: row.file_size,
+        mimeType: row.mime_type,
+        uploadedBy: row.display_name || row.username || null,
+        createdAt: row.created_at,
+        current: row.current === 1
+    };
+}
+
+// 17. 휴지통 목록 (탭별, 최근 삭제 순)
+// My 문서함은 본인 항목, 공용 문서함은 직접 삭제한 항목과 원래 위치 폴더를 관리할 수 있는 항목 (관리자는 전체)
+app.get('/api/trash/:tabType', (req, res) => {
+    const { tabType } = req.params;
+    
+    const query = `
+        SELECT t.id, t.tab_type, t.item_type, t.item_id, t.name, t.folder_id, t.folder_path, t.owner_id, t.deleted_by,
+               t.file_count, t.folder_count, t.deleted_at, u.username, u.display_name
+        FROM trash t
+        LEFT JOIN users u ON u.id = t.deleted_by
+        WHERE t.tab_type = ? AND ${trashAccessFilter('t')}
+        ORDER BY t.deleted_at DESC, t.id DESC
+    `;
+    
+    db.all(query, [tabType, ...trashAccessParams(req.user)], (err, rows) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        res.json({
+            retentionDays: TRASH_RETENTION_DAYS,
+            items: rows.map(formatTrashEntry)
+        });
+    });
+});
+
+// 17-1. 휴지통 항목 복원 (원래 폴더로, 없어진 상위 폴더는 같은 이름으로 다시 만들고 같은 이름이 있으면 번호를 붙임)
+app.post('/api/trash/:id/restore', (req, res) => {
+    findTrashEntry(req, res, (entry) => {
+        restoreFromTrash(entry, req.user, (err, restored) => {
+            if (err) {
+                console.error('휴지통 복원 오류:', err);
+                res.status(err.statusCode || 500).json({ error: err.message });
+                return;
+            }
+            
+            console.log(`휴지통 복원 완료: ${restored.name} (폴더 ID: ${restored.folderId})`);
+            res.json({
+                message: '휴지통에서 복원했습니다.',
+                itemType: entry.item_type,
+                itemId: entry.item_id,
+                name: restored.name,
+                folderId: restored.folderId
+            });
+        });
+    });
+});
+
+// 17-2. 휴지통 항목 영구 삭제
+app.delete('/api/trash/:id', (req, res) => {
+    findTrashEntry(req, res, (entry) => {
+        purgeTrashEntries([entry], (err) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            res.json({ message: '영구 삭제했습니다.', trashId: entry.id });
+        });
+    });
+});
+
+// 17-3. 휴지통 비우기 (?tabType=my, 로그인 사용자가 볼 수 있는 항목 전체 영구 삭제)
+app.delete('/api/trash', (req, res) => {
+    const { tabType } = req.query;
+    
+    if (!['my', 'public'].includes(tabType)) {
+        res.status(400).json({ error: '탭은 my 또는 public 이어야 합니다.' });
+        return;
+    }
+    
+    db.all(`SELECT * FROM trash WHERE tab_type = ? AND ${trashAccessFilter()}`, [tabType, ...trashAccessParams(req.user)], (err, entries) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        purgeTrashEntries(entries, (err) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
             }
             
-            .excel-document th,
-            .excel-document td {
-                border: 1px solid #d1d5db;
-                padding: 8px 12px;
-                text-align: left;
+            res.json({ message: '휴지통을 비웠습니다.', deletedCount: entries.length });
+        });
+    });
+});
+
+// 로그인 사용자가 다룰 수 있는 휴지통 항목 조건 (매개변수는 trashAccessParams(user))
+function trashAccessFilter(alias) {
+    const prefix = alias ? `${alias}.` : '';
+    return `((${prefix}tab_type = 'my' AND ${prefix}owner_id = ?) OR ` +
+        `(${prefix}tab_type = 'public' AND (? = 1 OR ${prefix}deleted_by = ? OR ${prefix}folder_id IN (SELECT value FROM json_each(?)))))`;
+}
+
+function trashAccessParams(user) {
+    const managedFolders = Array.from(user.folderPermissions.entries())
+        .filter(([, level]) => hasPermission(level, 'manage'))
+        .map(([folderId]) => folderId);
+    return [user.id, user.is_admin ? 1 : 0, user.id, JSON.stringify(managedFolders)];
+}
+
+function findTrashEntry(req, res, callback) {
+    db.get(`SELECT * FROM trash WHERE id = ? AND ${trashAccessFilter()}`, [req.params.id, ...trashAccessParams(req.user)], (err, entry) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!entry) {
+            res.status(404).json({ error: '휴지통 항목을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        callback(entry);
+    });
+}
+
+// 폴더를 하위 폴더, 파일, 메일과 함께 휴지통으로 옮기기
+function trashFolder(folder, user, callback) {
+    const subtreeQuery = `
+        WITH RECURSIVE folder_tree AS (
+            SELECT * FROM folders WHERE id = ?
+            UNION ALL
+            SELECT f.* FROM folders f
+            INNER JOIN folder_tree ft ON f.parent_id = ft.id
+        )
+        SELECT * FROM folder_tree
+    `;
+    
+    db.all(subtreeQuery, [folder.id], (err, folderRows) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        const placeholders = folderRows.map(() => '?').join(', ');
+        const folderIds = folderRows.map(row => row.id);
+        db.all(`SELECT * FROM files WHERE folder_id IN (${placeholders})`, folderIds, (err, fileRows) => {
+            if (err) {
+                callback(err);
+                return;
             }
             
-            .excel-document th {
-                background: #f3f4f6;
-                font-weight: 600;
-                color: #374151;
+            db.all(`SELECT * FROM emails WHERE folder_id IN (${placeholders})`, folderIds, (err, emailRows) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                
+                const emailIds = emailRows.map(row => row.id);
+                db.all(`SELECT * FROM email_attachments WHERE email_id IN (${emailIds.map(() => '?').join(', ')})`, emailIds, (err, attachmentRows) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    
+                    const snapshot = { folders: folderRows, files: fileRows, emails: emailRows, emailAttachments: attachmentRows };
+                    moveToTrash(folder.tab_type, 'folder', folder, snapshot, user, callback);
+                });
+            });
+        });
+    });
+}
+
+// 휴지통 항목을 만들고 폴더/파일/메일 행 삭제 (삭제 당시 상위 폴더 경로와 행 전체를 항목에 보관)
+// item: 삭제하는 폴더 또는 파일 행, snapshot: { folders, files, emails, emailAttachments } (메일은 폴더를 삭제할 때만)
+function moveToTrash(tabType, itemType, item, snapshot, user, callback) {
+    const parentId = itemType === 'folder' ? item.parent_id : item.folder_id;
+    
+    folderPathOf(parentId, (err, folderPath) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        const entry = {
+            id: null,
+            folderCount: snapshot.folders.length,
+            fileCount: snapshot.files.length
+        };
+        const folderIds = snapshot.folders.map(row => row.id);
+        const fileIds = snapshot.files.map(row => row.id);
+        const emailIds = (snapshot.emails || []).map(row => row.id);
+        
+        const statements = [
+            {
+                sql: `
+                    INSERT INTO trash (tab_type, item_type, item_id, name, folder_id, folder_path, owner_id, deleted_by, file_count, folder_count, snapshot)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `,
+                params: [
+                    tabType,
+                    itemType,
+                    item.id,
+                    itemType === 'folder' ? item.name : item.original_name,
+                    parentId,
+                    JSON.stringify(folderPath),
+                    item.owner_id,
+                    user.id,
+                    entry.fileCount,
+                    entry.folderCount,
+                    JSON.stringify(snapshot)
+                ],
+                done: (result) => { entry.id = result.lastID; }
+            },
+            { sql: `DELETE FROM files WHERE id IN (${fileIds.map(() => '?').join(', ')})`, params: fileIds },
+            { sql: `DELETE FROM email_attachments WHERE email_id IN (${emailIds.map(() => '?').join(', ')})`, params: emailIds },
+            { sql: `DELETE FROM emails WHERE id IN (${emailIds.map(() => '?').join(', ')})`, params: emailIds },
+            { sql: `DELETE FROM folders WHERE id IN (${folderIds.map(() => '?').join(', ')})`, params: folderIds }
+        ];
+        
+        runTransaction(statements, (err) => {
+            if (err) {
+                callback(err);
+                return;
             }
             
-            .excel-document .header-row {
-                background: #2563eb;
-                color: white;
+            // 휴지통에 있는 동안은 검색, 연관 문서, 문서 대화에 나오지 않도록 추출 텍스트와 색인 삭제 (복원하면 다시 추출)
+            deleteDocumentText(fileIds);
+            if (emailIds.length > 0) invalidateMailIndex();
+            callback(null, entry);
+        });
+    });
+}
+
+// 여러 문장을 한 트랜잭션으로 실행 (하나라도 실패하면 모두 되돌림)
+// statements: [{ sql, params, done(result) }] (done 은 성공한 문장의 lastID/changes 를 받음)
+function runTransaction(statements, callback) {
+    let firstError = null;
+    
+    db.serialize(() => {
+        db.run("BEGIN TRANSACTION");
+        statements.forEach((statement, index) => {
+            db.run(statement.sql, statement.params || [], function(err) {
+                if (err && !firstError) firstError = err;
+                if (!err && statement.done) statement.done(this);
+                
+                if (index === statements.length - 1) {
+                    db.run(firstError ? "ROLLBACK" : "COMMIT", (err) => callback(firstError || err || null));
+                }
+            });
+        });
+    });
+}
+
+// 폴더의 경로 (루트부터 그 폴더까지 [{ id, name }], 루트는 빈 목록)
+function folderPathOf(folderId, callback) {
+    if (folderId === null || folderId === undefined) {
+        callback(null, []);
+        return;
+    }
+    
+    const query = `
+        WITH RECURSIVE ancestors AS (
+            SELECT id, parent_id, name, 0 AS depth FROM folders WHERE id = ?
+            UNION ALL
+            SELECT f.id, f.parent_id, f.name, a.depth + 1 FROM folders f
+            INNER JOIN ancestors a ON f.id = a.parent_id
+        )
+        SELECT id, name FROM ancestors ORDER BY depth DESC
+    `;
+    db.all(query, [folderId], callback);
+}
+
+// 휴지통 항목 복원: 원래 위치를 찾거나 다시 만든 뒤 보관한 폴더, 파일, 메일 행을 같은 ID로 다시 추가
+function restoreFromTrash(entry, user, callback) {
+    const snapshot = JSON.parse(entry.snapshot);
+    
+    restoreParentFolder(entry, user, (err, parentId) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        // 복원 위치에 같은 이름이 있으면 번호를 붙임
+        const siblingQuery = entry.item_type === 'folder'
+            ? "SELECT name FROM folders WHERE tab_type = ? AND parent_id IS ? AND (tab_type = 'public' OR owner_id = ?)"
+            : "SELECT original_name AS name FROM files WHERE tab_type = ? AND folder_id IS ? AND (tab_type = 'public' OR owner_id = ?)";
+        
+        db.all(siblingQuery, [entry.tab_type, parentId, entry.owner_id], (err, siblings) => {
+            if (err) {
+                callback(err);
+                return;
             }
             
-            .excel-document .number-cell {
-                text-align: right;
-                font-family: 'Courier New', monospace;
+            const name = uniqueName(entry.name, siblings.map(row => row.name), entry.item_type === 'file');
+            if (entry.item_type === 'folder') {
+                const root = snapshot.folders.find(row => row.id === entry.item_id);
+                root.parent_id = parentId;
+                root.name = name;
+            } else {
+                snapshot.files[0].folder_id = parentId;
+                snapshot.files[0].original_name = name;
             }
             
-            .excel-document .total-row {
-                background: #f9f9f9;
-                font-weight: 600;
+            const statements = [
+                ...snapshot.folders.map(row => insertStatement('folders', row)),
+                ...snapshot.files.map(row => insertStatement('files', row)),
+                ...(snapshot.emails || []).map(row => insertStatement('emails', row)),
+                ...(snapshot.emailAttachments || []).map(row => insertStatement('email_attachments', row)),
+                { sql: "DELETE FROM trash WHERE id = ?", params: [entry.id] }
+            ];
+            
+            runTransaction(statements, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                
+                // 파일명 색인, 본문 텍스트와 요약 다시 만들기
+                snapshot.files.forEach(processNewFile);
+                if (snapshot.emails && snapshot.emails.length > 0) invalidateMailIndex();
+                callback(null, { name, folderId: parentId });
+            });
+        });
+    });
+}
+
+// 복원할 위치: 삭제 당시 상위 폴더 경로를 따라가며 남아 있는 폴더는 그대로 쓰고,
+// 없어진 폴더는 같은 위치의 같은 이름 폴더를 쓰거나 새로 만듦
+// 삭제한 뒤 권한이 바뀌었을 수 있으므로 항목을 넣을(또는 폴더를 새로 만들) 위치에 지금 upload 권한이 있어야 함
+function restoreParentFolder(entry, user, callback) {
+    const segments = JSON.parse(entry.folder_path);
+    let created = false;
+    
+    // 새로 만든 폴더는 권한을 물려받으므로 처음 쓰는 위치만 확인
+    const checkWritable = (parentId) => {
+        if (created || hasPermission(folderPermission(user, entry.tab_type, parentId), 'upload')) return true;
+        callback(httpError(403, '복원할 위치에 항목을 추가할 권한이 없습니다.'));
+        return false;
+    };
+    
+    const next = (index, parentId) => {
+        if (index >= segments.length) {
+            if (checkWritable(parentId)) callback(null, parentId);
+            return;
+        }
+        
+        const segment = segments[index];
+        db.get("SELECT id FROM folders WHERE id = ? AND tab_type = ?", [segment.id, entry.tab_type], (err, folder) => {
+            if (err) {
+                callback(err);
+                return;
             }
             
-            /* PowerPoint 문서 스타일 */
-            .ppt-document {
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                color: white;
-                padding: 60px 40px;
-                text-align: center;
-                min-height: 600px;
-                display: flex;
-                flex-direction: column;
-                justify-content: center;
+            if (folder) {
+                next(index + 1, folder.id);
+                return;
             }
             
-            .ppt-document h1 {
-                font-size: 36px;
-                font-weight: bold;
-                margin-bottom: 30px;
-                text-shadow: 2px 2px 4px rgba(0,0,0,0.3);
+            const sameNameQuery = `
+                SELECT id FROM folders 
+                WHERE tab_type = ? AND parent_id IS ? AND name = ? AND (tab_type = 'public' OR owner_id = ?)
+                ORDER BY id LIMIT 1
+            `;
+            db.get(sameNameQuery, [entry.tab_type, parentId, segment.name, entry.owner_id], (err, existing) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                
+                if (existing) {
+                    next(index + 1, existing.id);
+                    return;
+                }
+                
+                if (!checkWritable(parentId)) return;
+                
+                const ownerId = entry.tab_type === 'my' ? entry.owner_id : user.id;
+                db.run(
+                    "INSERT INTO folders (name, parent_id, tab_type, owner_id) VALUES (?, ?, ?, ?)",
+                    [segment.name, parentId, entry.tab_type, ownerId],
+                    function(err) {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+                        
+                        created = true;
+                        console.log(`복원 위치 폴더 다시 만듦: ${segment.name} (id: ${this.lastID})`);
+                        next(index + 1, this.lastID);
+                    }
+                );
+            });
+        });
+    };
+    
+    next(0, null);
+}
+
+// 같은 위치에 없는 이름 ("보고서.docx" → "보고서 (1).docx", 폴더는 확장자 구분 없음)
+function uniqueName(name, takenNames, keepExtension) {
+    if (!takenNames.includes(name)) return name;
+    
+    const extension = keepExtension ? path.extname(name) : '';
+    const base = name.slice(0, name.length - extension.length);
+    for (let number = 1; ; number++) {
+        const candidate = `${base} (${number})${extension}`;
+        if (!takenNames.includes(candidate)) return candidate;
+    }
+}
+
+// 보관한 행을 그대로 다시 추가하는 문장 (열 이름은 행의 키)
+function insertStatement(table, row) {
+    const columns = Object.keys(row);
+    return {
+        sql: `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        params: columns.map(column => row[column])
+    };
+}
+
+// 휴지통 항목 영구 삭제: 저장된 파일과 이전 버전, 메일 원문, 폴더 팀 권한까지 삭제
+function purgeTrashEntries(entries, callback) {
+    if (entries.length === 0) {
+        callback(null);
+        return;
+    }
+    
+    const fileIds = [];
+    const folderIds = [];
+    const fileRows = [];
+    const emailRows = [];
+    entries.forEach(entry => {
+        const snapshot = JSON.parse(entry.snapshot);
+        snapshot.folders.forEach(row => folderIds.push(row.id));
+        snapshot.files.forEach(row => {
+            fileIds.push(row.id);
+            fileRows.push(row);
+        });
+        (snapshot.emails || []).forEach(row => emailRows.push(row));
+    });
+    
+    releaseStoredFiles(fileRows);
+    emailRows.forEach(row => {
+        if (row.raw_path) fs.unlink(row.raw_path, () => {});
+    });
+    deleteFileVersions(fileIds);
+    deleteFileMetadata(fileIds);
+    
+    const entryIds = entries.map(entry => entry.id);
+    db.serialize(() => {
+        db.run(`DELETE FROM folder_permissions WHERE folder_id IN (${folderIds.map(() => '?').join(', ')})`, folderIds);
+        db.run(`DELETE FROM classification_rules WHERE folder_id IN (${folderIds.map(() => '?').join(', ')})`, folderIds);
+        db.run(`DELETE FROM trash WHERE id IN (${entryIds.map(() => '?').join(', ')})`, entryIds, (err) => {
+            if (err) {
+                console.error('휴지통 항목 삭제 오류:', err);
+                callback(err);
+                return;
             }
             
-            .ppt-document h2 {
-                font-size: 24px;
-                font-weight: 300;
-                margin-bottom: 40px;
-                opacity: 0.9;
+            console.log(`휴지통 영구 삭제: 항목 ${entries.length}개 (파일 ${fileIds.length}개, 폴더 ${folderIds.length}개, 메일 ${emailRows.length}통)`);
+            callback(null);
+        });
+    });
+}
+
+// 보관 기간이 지난 휴지통 항목 영구 삭제
+function purgeExpiredTrash() {
+    if (TRASH_RETENTION_DAYS <= 0) return;
+    
+    db.all("SELECT * FROM trash WHERE deleted_at <= datetime('now', ?)", [`-${TRASH_RETENTION_DAYS} days`], (err, entries) => {
+        if (err) {
+            console.error('휴지통 정리 오류:', err);
+            return;
+        }
+        
+        if (entries.length > 0) {
+            console.log(`보관 기간(${TRASH_RETENTION_DAYS}일)이 지난 휴지통 항목 ${entries.length}개 정리`);
+            purgeTrashEntries(entries, () => {});
+        }
+    });
+}
+
+function formatTrashEntry(row) {
+    return {
+        id: row.id,
+        itemType: row.item_type,
+        itemId: row.item_id,
+        name: row.name,
+        path: JSON.parse(row.folder_path).map(segment => segment.name),
+        fileCount: row.file_count,
+        folderCount: row.folder_count,
+        deletedBy: row.display_name || row.username || null,
+        deletedAt: row.deleted_at
+    };
+}
+
+// 18. 파일 이름 바꾸기/옮기기 ({ name, folderId, tabType, onConflict }, 생략한 값은 그대로)
+// 같은 위치에 같은 이름이 있으면 409 (suggestedName 제안), onConflict: 'rename' 이면 번호를 붙여 저장
+app.patch('/api/files/:id', (req, res) => {
+    console.log('파일 변경 요청:', req.params.id, req.body);
+    changeFile(req.params.id, req.body, req.user, sendChangeResult(res));
+});
+
+// 18-1. 폴더 이름 바꾸기/옮기기 ({ name, parentId, tabType, onConflict }, 하위 폴더와 파일도 함께 옮김)
+app.patch('/api/folders/:id', (req, res) => {
+    console.log('폴더 변경 요청:', req.params.id, req.body);
+    changeFolder(req.params.id, req.body, req.user, sendChangeResult(res));
+});
+
+// 18-2. 여러 항목 옮기기 ({ items: [{ type: 'file' | 'folder', id }], folderId, tabType, onConflict }) → 항목별 결과
+app.post('/api/move', (req, res) => {
+    const { items, folderId, tabType, onConflict } = req.body;
+    
+    if (!Array.isArray(items) || items.length === 0) {
+        res.status(400).json({ error: '옮길 항목이 필요합니다.' });
+        return;
+    }
+    
+    console.log(`항목 ${items.length}개 이동 요청:`, { folderId, tabType });
+    
+    const results = [];
+    const next = (index) => {
+        if (index >= items.length) {
+            res.json({
+                movedCount: results.filter(result => !result.error).length,
+                results
+            });
+            return;
+        }
+        
+        const item = items[index] || {};
+        const change = item.type === 'folder' ? changeFolder : changeFile;
+        change(item.id, { folderId, parentId: folderId, tabType, onConflict }, req.user, (err, moved) => {
+            results.push(err
+                ? { type: item.type, id: item.id, error: err.message, suggestedName: err.suggestedName }
+                : { type: item.type, ...moved });
+            next(index + 1);
+        });
+    };
+    next(0);
+});
+
+function sendChangeResult(res) {
+    return (err, result) => {
+        if (err) {
+            res.status(err.statusCode || 500).json({ error: err.message, suggestedName: err.suggestedName });
+            return;
+        }
+        res.json(result);
+    };
+}
+
+function changeFile(fileId, changes, user, callback) {
+    db.get(`SELECT * FROM files WHERE id = ? AND ${accessFilter()}`, [fileId, ...accessParams(user)], (err, file) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        if (!file) {
+            callback(httpError(404, '파일을 찾을 수 없습니다.'));
+            return;
+        }
+        
+        // 원래 위치에서 빠지므로 삭제와 같은 권한 필요
+        if (!hasPermission(itemPermission(user, file), 'manage')) {
+            callback(httpError(403, '파일을 바꿀 권한이 없습니다.'));
+            return;
+        }
+        
+        const target = parseItemChanges(changes, 'folderId', {
+            name: file.original_name,
+            parentId: file.folder_id,
+            tabType: file.tab_type
+        });
+        if (target.error) {
+            callback(httpError(400, target.error));
+            return;
+        }
+        
+        // 확장자로 미리보기와 본문 추출 방식을 정하므로 확장자는 유지
+        if (path.extname(target.name).toLowerCase() !== path.extname(file.original_name).toLowerCase()) {
+            callback(httpError(400, `파일 확장자(${path.extname(file.original_name) || '없음'})는 바꿀 수 없습니다.`));
+            return;
+        }
+        
+        const moved = target.parentId !== file.folder_id || target.tabType !== file.tab_type;
+        checkMoveTarget(moved, target, user, (err) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            
+            siblingNames('file', target, file.id, user, (err, takenNames) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                
+                const name = resolveNameConflict(target.name, takenNames, 'file', changes.onConflict);
+                if (name instanceof Error) {
+                    callback(name);
+                    return;
+                }
+                
+                // My 문서함으로 옮긴 파일은 옮긴 사용자의 파일
+                const ownerId = target.tabType === 'my' ? user.id : file.owner_id;
+                const statements = [{
+                    sql: "UPDATE files SET original_name = ?, folder_id = ?, tab_type = ?, owner_id = ?, auto_classify_by = NULL WHERE id = ?",
+                    params: [name, target.parentId, target.tabType, ownerId, file.id]
+                }];
+                if (name !== file.original_name) {
+                    // FTS 테이블 열은 형식 변환을 하지 않으므로 숫자로 맞춰서 비교
+                    statements.push({
+                        sql: "UPDATE search_index SET name = ? WHERE file_id = ?",
+                        params: [toIndexText(name), Number(file.id)]
+                    });
+                }
+                
+                runTransaction(statements, (err) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    
+                    if (name !== file.original_name) invalidateRelatedIndex();
+                    console.log(`파일 변경 완료: ${file.original_name} → ${name} (폴더: ${target.parentId}, 탭: ${target.tabType})`);
+                    callback(null, { id: file.id, name, folderId: target.parentId, tabType: target.tabType });
+                });
+            });
+        });
+    });
+}
+
+function changeFolder(folderId, changes, user, callback) {
+    db.get(`SELECT * FROM folders WHERE id = ? AND ${folderAccessFilter()}`, [folderId, ...accessParams(user)], (err, folder) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        if (!folder) {
+            callback(httpError(404, '폴더를 찾을 수 없습니다.'));
+            return;
+        }
+        
+        if (!hasPermission(folderPermission(user, folder.tab_type, folder.id), 'manage')) {
+            callback(httpError(403, '폴더를 바꿀 권한이 없습니다.'));
+            return;
+        }
+        
+        const target = parseItemChanges(changes, 'parentId', {
+            name: folder.name,
+            parentId: folder.parent_id,
+            tabType: folder.tab_type
+        });
+        if (target.error) {
+            callback(httpError(400, target.error));
+            return;
+        }
+        
+        const moved = target.parentId !== folder.parent_id || target.tabType !== folder.tab_type;
+        
+        descendantFolderIds(folder.id, (err, subtreeIds) => {
+            if (err) {
+                callback(err);
+                return;
             }
             
-            .ppt-document .slide-content {
-                background: rgba(255,255,255,0.1);
-                border-radius: 15px;
-                padding: 30px;
-                margin: 20px 0;
-                backdrop-filter: blur(10px);
+            // 자기 자신이나 하위 폴더 안으로 옮기면 폴더 구조가 순환하므로 금지
+            if (moved && subtreeIds.includes(target.parentId)) {
+                callback(httpError(400, '폴더를 자기 자신이나 하위 폴더 안으로 옮길 수 없습니다.'));
+                return;
             }
             
-            .ppt-document .slide-number {
-                position: absolute;
-                bottom: 30px;
-                right: 30px;
-                font-size: 14px;
-                opacity: 0.7;
-            }
-        </style>
-    </head>
-    <body>
-        <div class="document-container">
-            <div class="document-page">
-                ${documentContent}
-            </div>
-        </div>
-        
-        <script>
-            // 부모 창과의 통신을 위한 함수들
-            function notifyParentLoaded() {
-                if (window.parent && window.parent.onOfficePreviewLoaded) {
-                    window.parent.onOfficePreviewLoaded('${fileName}', ${fileInfo.id});
+            checkMoveTarget(moved, target, user, (err) => {
+                if (err) {
+                    callback(err);
+                    return;
                 }
+                
+                siblingNames('folder', target, folder.id, user, (err, takenNames) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    
+                    const name = resolveNameConflict(target.name, takenNames, 'folder', changes.onConflict);
+                    if (name instanceof Error) {
+                        callback(name);
+                        return;
+                    }
+                    
+                    const statements = [{
+                        sql: "UPDATE folders SET name = ?, parent_id = ? WHERE id = ?",
+                        params: [name, target.parentId, folder.id]
+                    }];
+                    
+                    // 다른 탭으로 옮기면 하위 폴더, 파일, 메일도 같은 탭으로
+                    // (My 문서함으로 옮긴 항목은 옮긴 사용자의 것이 되고 공용 문서함 팀 권한은 삭제)
+                    if (target.tabType !== folder.tab_type) {
+                        const placeholders = subtreeIds.map(() => '?').join(', ');
+                        const ownerColumn = target.tabType === 'my' ? ', owner_id = ?' : '';
+                        const ownerParams = target.tabType === 'my' ? [user.id] : [];
+                        statements.push(
+                            { sql: `UPDATE folders SET tab_type = ?${ownerColumn} WHERE id IN (${placeholders})`, params: [target.tabType, ...ownerParams, ...subtreeIds] },
+                            { sql: `UPDATE files SET tab_type = ?${ownerColumn} WHERE folder_id IN (${placeholders})`, params: [target.tabType, ...ownerParams, ...subtreeIds] },
+                            { sql: `UPDATE emails SET tab_type = ?${ownerColumn} WHERE folder_id IN (${placeholders})`, params: [target.tabType, ...ownerParams, ...subtreeIds] }
+                        );
+                        if (target.tabType === 'my') {
+                            statements.push({ sql: `DELETE FROM folder_permissions WHERE folder_id IN (${placeholders})`, params: subtreeIds });
+                        }
+                    }
+                    
+                    runTransaction(statements, (err) => {
+                        if (err) {
+                            callback(err);
+                            return;
+                        }
+                        
+                        console.log(`폴더 변경 완료: ${folder.name} → ${name} (상위 폴더: ${target.parentId}, 탭: ${target.tabType}, 하위 폴더 포함 ${subtreeIds.length}개)`);
+                        callback(null, { id: folder.id, name, parentId: target.parentId, tabType: target.tabType });
+                    });
+                });
+            });
+        });
+    });
+}
+
+// 요청 본문에서 바꿀 이름과 위치 (생략한 값은 현재 값, 다른 탭으로 옮기면서 위치를 생략하면 루트)
+// current: { name, parentId, tabType }, parentKey: 위치 값 이름 (파일은 folderId, 폴더는 parentId)
+function parseItemChanges(body, parentKey, current) {
+    const name = body.name !== undefined && body.name !== null ? String(body.name).trim() : current.name;
+    if (!name || name.length > MAX_ITEM_NAME_LENGTH || /[\\/]/.test(name)) {
+        return { error: `이름은 1~${MAX_ITEM_NAME_LENGTH}자이며 / 와 \\ 를 쓸 수 없습니다.` };
+    }
+    
+    const tabType = body.tabType || current.tabType;
+    if (!['my', 'public'].includes(tabType)) {
+        return { error: '탭은 my 또는 public 이어야 합니다.' };
+    }
+    
+    let parentId = tabType === current.tabType ? current.parentId : null;
+    const value = body[parentKey];
+    if (value !== undefined) {
+        parentId = null;
+        if (value !== null && value !== 'null' && value !== '') {
+            parentId = parseInt(value);
+            if (isNaN(parentId)) {
+                return { error: '잘못된 폴더 ID입니다.' };
             }
-            
-            // 페이지 로드 완료 시 부모에게 알림
-            window.addEventListener('load', notifyParentLoaded);
-        </script>
-    </body>
-    </html>
-    `;
+        }
+    }
+    
+    return { name, tabType, parentId };
 }
 
-// Word 문서 내용 생성 (파일명 기반 실제 내용)
-function generateWordDocumentContent(fileName, fileInfo) {
-    console.log(`Word 문서 분석: ${fileName}`);
-    
-    // 파일명에 따른 실제 내용 생성
-    if (fileName.toLowerCase().includes('보험상품문의') || fileName.toLowerCase().includes('보험문의')) {
-        return generateInsuranceInquiryContent();
-    } else if (fileName.toLowerCase().includes('제안서') || fileName.toLowerCase().includes('proposal')) {
-        return generateProposalContent(fileName);
-    } else if (fileName.toLowerCase().includes('계약서') || fileName.toLowerCase().includes('contract')) {
-        return generateContractContent();
-    } else if (fileName.toLowerCase().includes('매뉴얼') || fileName.toLowerCase().includes('manual')) {
-        return generateManualContent();
-    } else if (fileName.toLowerCase().includes('보고서') || fileName.toLowerCase().includes('report')) {
-        return generateReportContent();
-    } else {
-        return generateDefaultWordContent(fileName);
+// 옮길 위치 확인 (위치가 바뀌지 않으면 확인하지 않음)
+function checkMoveTarget(moved, target, user, callback) {
+    if (!moved) {
+        callback(null);
+        return;
     }
+    checkTargetFolder(target.parentId, target.tabType, user, callback);
+}
+
+// 폴더와 모든 하위 폴더 ID
+function descendantFolderIds(folderId, callback) {
+    const query = `
+        WITH RECURSIVE folder_tree AS (
+            SELECT id FROM folders WHERE id = ?
+            UNION ALL
+            SELECT f.id FROM folders f
+            INNER JOIN folder_tree ft ON f.parent_id = ft.id
+        )
+        SELECT id FROM folder_tree
+    `;
+    db.all(query, [folderId], (err, rows) => callback(err, rows ? rows.map(row => row.id) : []));
+}
+
+// 위치(target: { tabType, parentId })에 있는 같은 종류 항목의 이름 (excludeId 항목 제외)
+function siblingNames(itemType, target, excludeId, user, callback) {
+    const query = itemType === 'folder'
+        ? "SELECT name FROM folders WHERE tab_type = ? AND parent_id IS ? AND id != ? AND (tab_type = 'public' OR owner_id = ?)"
+        : "SELECT original_name AS name FROM files WHERE tab_type = ? AND folder_id IS ? AND id != ? AND (tab_type = 'public' OR owner_id = ?)";
+    db.all(query, [target.tabType, target.parentId, excludeId, user.id], (err, rows) => {
+        callback(err, rows ? rows.map(row => row.name) : []);
+    });
 }
 
-// Excel 문서 내용 생성 (파일명 기반 실제 내용)
-function generateExcelDocumentContent(fileName, fileInfo) {
-    console.log(`Excel 문서 분석: ${fileName}`);
+// 이름이 겹치면 onConflict 가 'rename' 일 때 번호를 붙인 이름, 아니면 409 오류 (제안 이름 포함)
+function resolveNameConflict(name, takenNames, itemType, onConflict) {
+    if (!takenNames.includes(name)) return name;
     
-    if (fileName.toLowerCase().includes('담보') || fileName.toLowerCase().includes('보험')) {
-        return generateInsuranceExcelContent();
-    } else if (fileName.toLowerCase().includes('예산') || fileName.toLowerCase().includes('budget')) {
-        return generateBudgetExcelContent();
-    } else if (fileName.toLowerCase().includes('매출') || fileName.toLowerCase().includes('sales')) {
-        return generateSalesExcelContent();
-    } else if (fileName.toLowerCase().includes('고객') || fileName.toLowerCase().includes('customer')) {
-        return generateCustomerExcelContent();
-    } else {
-        return generateDefaultExcelContent(fileName);
-    }
+    const suggestedName = uniqueName(name, takenNames, itemType === 'file');
+    if (onConflict === 'rename') return suggestedName;
+    
+    const error = httpError(409, `"${name}"은(는) 같은 위치에 이미 있는 ${itemType === 'file' ? '파일' : '폴더'} 이름입니다.`);
+    error.suggestedName = suggestedName;
+    return error;
+}
+
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
 }
 
-// PowerPoint 문서 내용 생성 (파일명 기반 실제 내용)
-function generatePowerPointDocumentContent(fileName, fileInfo) {
-    console.log(`PowerPoint 문서 분석: ${fileName}`);
+// 19. 폴더 zip 내려받기 (하위 폴더 구조 그대로, 볼 수 없는 하위 폴더와 파일은 제외)
+app.get('/api/folders/:id/download', (req, res) => {
+    const folderId = parseInt(req.params.id);
     
-    if (fileName.toLowerCase().includes('국민은행') || fileName.toLowerCase().includes('kb')) {
-        return generateKBProposalContent();
-    } else if (fileName.toLowerCase().includes('제안서') || fileName.toLowerCase().includes('proposal')) {
-        return generateBusinessProposalContent(fileName);
-    } else if (fileName.toLowerCase().includes('발표') || fileName.toLowerCase().includes('presentation')) {
-        return generatePresentationContent();
-    } else if (fileName.toLowerCase().includes('교육') || fileName.toLowerCase().includes('training')) {
-        return generateTrainingContent();
-    } else {
-        return generateDefaultPPTContent(fileName);
+    db.get(`SELECT id, name FROM folders WHERE id = ? AND ${folderAccessFilter()}`, [folderId, ...accessParams(req.user)], (err, folder) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!folder) {
+            res.status(404).json({ error: '폴더를 찾을 수 없습니다.' });
+            return;
+        }
+        
+        sendZip(req, res, `${folder.name}.zip`, [folder.id], []);
+    });
+});
+
+// 19-1. 선택한 항목 zip 내려받기 (?fileIds=1,2&folderIds=3, 파일은 zip 최상위에, 폴더는 하위 구조 그대로)
+app.get('/api/download-zip', (req, res) => {
+    const parseIds = (value) => String(value || '')
+        .split(',')
+        .map(id => parseInt(id))
+        .filter(id => !isNaN(id));
+    const fileIds = parseIds(req.query.fileIds);
+    const folderIds = parseIds(req.query.folderIds);
+    
+    if (fileIds.length + folderIds.length === 0) {
+        res.status(400).json({ error: '내려받을 파일이나 폴더를 선택해주세요.' });
+        return;
     }
+    
+    const today = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    sendZip(req, res, `AskDoc_${today}.zip`, folderIds, fileIds);
+});
+
+// zip 항목을 모아서 스트림으로 전송 (담을 파일이 없으면 404)
+function sendZip(req, res, zipName, folderIds, fileIds) {
+    collectZipEntries(req.user, folderIds, fileIds, (err, entries) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (entries.length === 0) {
+            res.status(404).json({ error: '내려받을 수 있는 항목이 없습니다.' });
+            return;
+        }
+        
+        const fileCount = entries.filter(entry => !entry.directory).length;
+        console.log(`zip 내려받기 시작: ${zipName} (파일 ${fileCount}개, 폴더 ${entries.length - fileCount}개)`);
+        
+        res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(zipName)}"; filename*=UTF-8''${encodeURIComponent(zipName)}`);
+        res.setHeader('Content-Type', 'application/zip');
+        
+        const zipStream = createZipStream(entries);
+        zipStream.on('error', (err) => {
+            // 이미 보내기 시작했으면 상태 코드를 바꿀 수 없으므로 연결을 끊어 불완전한 파일임을 알림
+            console.error('zip 전송 오류:', err);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'zip 파일을 만드는 중 오류가 발생했습니다.' });
+            } else {
+                res.destroy(err);
+            }
+        });
+        zipStream.on('end', () => console.log(`zip 내려받기 완료: ${zipName}`));
+        
+        // 내려받기를 취소하면 압축도 멈춤
+        res.on('close', () => {
+            if (!res.writableFinished) zipStream.pause();
+        });
+        zipStream.pipe(res);
+    });
 }
 
-// 보험상품문의 Word 내용
-function generateInsuranceInquiryContent() {
-    return `
-        <div class="word-document">
-            <h1>보험상품 문의서</h1>
+// zip 에 담을 항목: [{ path, filePath, date } | { path, directory: true, date }]
+// 폴더는 로그인 사용자가 볼 수 있는 하위 폴더까지, 같은 위치에 같은 이름이 있으면 번호를 붙임
+function collectZipEntries(user, folderIds, fileIds, callback) {
+    const entries = [];
+    const takenNames = new Map();
+    const entryPath = (parentPath, name, keepExtension) => {
+        const taken = takenNames.get(parentPath) || [];
+        const unique = uniqueName(safeEntryName(name), taken, keepExtension);
+        taken.push(unique);
+        takenNames.set(parentPath, taken);
+        return parentPath ? `${parentPath}/${unique}` : unique;
+    };
+    
+    const folderPlaceholders = folderIds.map(() => '?').join(', ') || 'NULL';
+    const folderQuery = `
+        WITH RECURSIVE folder_tree AS (
+            SELECT f.id, f.parent_id, f.name, f.created_at, 0 AS depth FROM folders f
+            WHERE f.id IN (${folderPlaceholders}) AND ${folderAccessFilter('f')}
+            UNION ALL
+            SELECT f.id, f.parent_id, f.name, f.created_at, ft.depth + 1 FROM folders f
+            INNER JOIN folder_tree ft ON f.parent_id = ft.id
+            WHERE ${folderAccessFilter('f')}
+        )
+        SELECT * FROM folder_tree ORDER BY depth, name
+    `;
+    
+    db.all(folderQuery, [...folderIds, ...accessParams(user), ...accessParams(user)], (err, folderRows) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        // 상위 폴더가 먼저 나오므로 순서대로 경로 결정 (선택한 폴더는 zip 최상위)
+        const folderPaths = new Map();
+        folderRows.forEach(folder => {
+            if (folderPaths.has(folder.id)) return;
+            const parentPath = folder.depth === 0 ? '' : folderPaths.get(folder.parent_id);
+            const folderPath = entryPath(parentPath, folder.name, false);
+            folderPaths.set(folder.id, folderPath);
+            entries.push({ path: folderPath, directory: true, date: parseDbDate(folder.created_at) });
+        });
+        
+        const treeIds = Array.from(folderPaths.keys());
+        const fileQuery = `
+            SELECT * FROM files
+            WHERE (id IN (${fileIds.map(() => '?').join(', ') || 'NULL'}) OR folder_id IN (${treeIds.map(() => '?').join(', ') || 'NULL'}))
+            AND ${accessFilter()}
+            ORDER BY original_name
+        `;
+        
+        db.all(fileQuery, [...fileIds, ...treeIds, ...accessParams(user)], (err, fileRows) => {
+            if (err) {
+                callback(err);
+                return;
+            }
             
-            <div style="text-align: right; margin-bottom: 30px; color: #666;">
-                문의일자: 2024년 12월 15일<br>
-                문의번호: INQ-2024-1215-001
-            </div>
+            // 폴더 안 파일을 먼저 넣고, 따로 선택한 파일은 zip 최상위에
+            const inTree = fileRows.filter(file => folderPaths.has(file.folder_id));
+            const selected = fileRows.filter(file => !folderPaths.has(file.folder_id));
+            [...inTree, ...selected].forEach(file => {
+                const filePath = resolveStoredFilePath(file);
+                if (!filePath) {
+                    console.warn(`zip 에서 제외 (서버에 파일 없음): ${file.original_name}`);
+                    return;
+                }
+                
+                const parentPath = folderPaths.has(file.folder_id) ? folderPaths.get(file.folder_id) : '';
+                entries.push({
+                    path: entryPath(parentPath, file.original_name, true),
+                    filePath,
+                    date: parseDbDate(file.updated_at || file.created_at)
+                });
+            });
             
-            <h2>1. 고객 기본정보</h2>
-            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
-                <tr>
-                    <td style="border: 1px solid #ddd; padding: 10px; background: #f8f9fa; width: 25%;">성명</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">홍길동</td>
-                    <td style="border: 1px solid #ddd; padding: 10px; background: #f8f9fa; width: 25%;">생년월일</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">1985.03.15</td>
-                </tr>
-                <tr>
-                    <td style="border: 1px solid #ddd; padding: 10px; background: #f8f9fa;">연락처</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">010-1234-5678</td>
-                    <td style="border: 1px solid #ddd; padding: 10px; background: #f8f9fa;">이메일</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">hong@example.com</td>
-                </tr>
-            </table>
-
-            <h2>2. 문의 상품</h2>
-            <p><span class="highlight">실손의료보험</span> 및 <span class="highlight">종신보험</span> 상품에 대한 문의</p>
-            
-            <h3>2-1. 실손의료보험</h3>
-            <ul>
-                <li>보장 한도: <strong>5,000만원 (연간)</strong></li>
-                <li>자기부담금: <strong>10%</strong></li>
-                <li>특약: 상해입원, 질병입원, 통원치료</li>
-                <li class="important">⚠ 기존 병력에 대한 고지 필요</li>
-            </ul>
-            
-            <h3>2-2. 종신보험</h3>
-            <ul>
-                <li>보험금액: <strong>1억원</strong></li>
-                <li>납입기간: <strong>20년</strong></li>
-                <li>월 보험료: <strong>약 450,000원</strong></li>
-            </ul>
-
-            <h2>3. 문의사항</h2>
-            <p>기존에 타 보험사 실손보험 가입 이력이 있으며, 전환 시 대기기간 및 보장 공백 여부를 확인하고 싶습니다.</p>
-            
-            <div style="margin-top: 40px; padding: 20px; background: #f8f9fa; border-left: 4px solid #007bff;">
-                <h3>담당자 메모</h3>
-                <p>• 기존 보험 약관 검토 필요<br>
-                • 건강검진 결과 확인 요청<br>
-                • 3일 내 상세 견적서 발송 예정</p>
-            </div>
-        </div>
-    `;
+            callback(null, entries);
+        });
+    });
 }
 
-// 파일 크기 포맷 함수 (서버용)
-function formatFileSize(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+// SQLite CURRENT_TIMESTAMP 값(UTC 'YYYY-MM-DD HH:MM:SS') → Date (없거나 잘못된 값이면 지금)
+function parseDbDate(value) {
+    const date = value ? new Date(`${String(value).replace(' ', 'T')}Z`) : new Date();
+    return isNaN(date.getTime()) ? new Date() : date;
 }
 
-// 국민은행 제안서 PPT 내용
-function generateKBProposalContent() {
-    return `
-        <div class="ppt-document" style="background: linear-gradient(135deg, #1e3a8a 0%, #3b82f6 100%);">
-            <div style="position: absolute; top: 30px; left: 30px;">
-                <img style="height: 40px;" alt="KB국민은행" />
-                <span style="font-size: 18px; font-weight: bold;">KB국민은행</span>
-            </div>
+// 저장하고 있는 업로드 세션 ID (완료 요청을 한 번만 처리)
+const completingUploads = new Set();
+
+// 20. 나누어 올리기 시작 ({ fileName, fileSize, mimeType, folderId, tabType, relativePath }) → 업로드 세션
+// 큰 파일은 세션을 만든 뒤 조각(chunkSize 이하)을 순서대로 보내고, 연결이 끊기면 받은 위치(receivedBytes)부터 이어서 보냄
+// folderId=auto 이면 완료할 때 파일명으로 폴더를 추천받아 저장 (업로드와 같음)
+app.post('/api/uploads', (req, res) => {
+    const { fileName, fileSize, mimeType, folderId, tabType, relativePath } = req.body;
+    const name = String(fileName || '').replace(/[\\/]/g, '_').trim().normalize('NFC');
+    const size = Number(fileSize);
+    
+    if (!name || name.length > MAX_ITEM_NAME_LENGTH) {
+        res.status(400).json({ error: '파일 이름이 필요합니다.' });
+        return;
+    }
+    
+    if (!Number.isInteger(size) || size < 0 || size > MAX_CHUNKED_UPLOAD_SIZE) {
+        res.status(400).json({ error: `파일 크기는 ${Math.round(MAX_CHUNKED_UPLOAD_SIZE / 1024 / 1024)}MB 이하여야 합니다.` });
+        return;
+    }
+    
+    if (!['my', 'public'].includes(tabType)) {
+        res.status(400).json({ error: '탭은 my 또는 public 이어야 합니다.' });
+        return;
+    }
+    
+    const autoClassify = folderId === 'auto';
+    if (autoClassify && relativePath) {
+        res.status(400).json({ error: '자동 분류는 파일을 하나씩 올릴 때만 사용할 수 있습니다.' });
+        return;
+    }
+    
+    let processedFolderId = null;
+    if (!autoClassify && folderId !== undefined && folderId !== null && folderId !== 'null' && folderId !== '') {
+        processedFolderId = parseInt(folderId);
+        if (isNaN(processedFolderId)) {
+            res.status(400).json({ error: '잘못된 폴더 ID입니다.' });
+            return;
+        }
+    }
+    
+    if (!parseRelativeFolders(relativePath)) {
+        res.status(400).json({ error: '잘못된 상대 경로입니다.' });
+        return;
+    }
+    
+    // 자동 분류는 저장할 폴더를 완료할 때 정하므로 그때 확인
+    const checkFolder = autoClassify
+        ? (callback) => callback()
+        : (callback) => findTargetFolder(processedFolderId, tabType, req.user, res, callback);
+    
+    checkFolder(() => {
+        const uploadId = crypto.randomBytes(16).toString('hex');
+        const tempPath = path.join(partialUploadsDir, uploadId);
+        
+        // 조각은 받은 위치에 덮어쓰므로 빈 파일을 먼저 만듦
+        fs.writeFile(tempPath, '', (err) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
             
-            <h1>디지털 금융 서비스 제안서</h1>
-            <h2>차세대 뱅킹 플랫폼 구축을 위한</h2>
-            
-            <div class="slide-content">
-                <h3 style="font-size: 20px; margin-bottom: 30px;">📊 제안 개요</h3>
-                <div style="text-align: left; max-width: 600px; margin: 0 auto;">
-                    <div style="display: flex; justify-content: space-between; margin: 15px 0; padding: 10px; background: rgba(255,255,255,0.2); border-radius: 8px;">
-                        <span style="font-weight: 600;">프로젝트명:</span>
-                        <span>KB 디지털뱅킹 플랫폼 고도화</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 15px 0; padding: 10px; background: rgba(255,255,255,0.2); border-radius: 8px;">
-                        <span style="font-weight: 600;">사업 기간:</span>
-                        <span>2024.01 ~ 2024.12 (12개월)</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 15px 0; padding: 10px; background: rgba(255,255,255,0.2); border-radius: 8px;">
-                        <span style="font-weight: 600;">총 사업비:</span>
-                        <span style="color: #fbbf24; font-weight: bold;">15억원</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 15px 0; padding: 10px; background: rgba(255,255,255,0.2); border-radius: 8px;">
-                        <span style="font-weight: 600;">기대효과:</span>
-                        <span>고객만족도 25% 향상</span>
-                    </div>
-                </div>
-            </div>
+            const query = `
+                INSERT INTO upload_sessions (id, user_id, original_name, file_size, mime_type, folder_id, tab_type, relative_path, temp_path, auto_classify)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+            const params = [uploadId, req.user.id, name, size, mimeType || mimeTypeFor(name), processedFolderId, tabType, relativePath || null, tempPath, autoClassify ? 1 : 0];
             
-            <div class="slide-number">
-                슬라이드 1 / 15
-            </div>
-        </div>
-    `;
-}
+            db.run(query, params, (err) => {
+                if (err) {
+                    fs.unlink(tempPath, () => {});
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                console.log(`나누어 올리기 시작: ${name} (${size}바이트, 세션 ${uploadId})`);
+                db.get("SELECT * FROM upload_sessions WHERE id = ?", [uploadId], (err, session) => {
+                    if (err) {
+                        res.status(500).json({ error: err.message });
+                        return;
+                    }
+                    res.json(formatUploadSession(session));
+                });
+            });
+        });
+    });
+});
+
+// 20-1. 나누어 올리기 상태 (이어서 보낼 위치 확인)
+app.get('/api/uploads/:id', (req, res) => {
+    findUploadSession(req, res, (session) => {
+        res.json(formatUploadSession(session));
+    });
+});
+
+// 20-2. 조각 보내기 (본문은 application/octet-stream, ?offset= 은 지금까지 받은 크기와 같아야 함)
+// 다른 위치이면 409 와 receivedBytes (그 위치부터 다시 보냄)
+app.put('/api/uploads/:id', (req, res) => {
+    findUploadSession(req, res, (session) => {
+        const offset = Number(req.query.offset);
+        if (offset !== session.received_bytes) {
+            req.resume();
+            res.status(409).json({ error: '받은 위치와 다른 조각입니다.', receivedBytes: session.received_bytes });
+            return;
+        }
+        
+        const limit = Math.min(UPLOAD_CHUNK_SIZE, session.file_size - offset);
+        const tooLarge = () => httpError(413, `조각은 ${UPLOAD_CHUNK_SIZE}바이트 이하이고 파일 크기를 넘을 수 없습니다.`);
+        if (Number(req.headers['content-length']) > limit) {
+            req.resume();
+            res.status(413).json({ error: tooLarge().message, receivedBytes: session.received_bytes });
+            return;
+        }
+        
+        let written = 0;
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                written += chunk.length;
+                callback(written > limit ? tooLarge() : null, chunk);
+            }
+        });
+        
+        pipeline(req, counter, fs.createWriteStream(session.temp_path, { flags: 'r+', start: offset }), (err) => {
+            // 보내는 중에 연결이 끊기면 받은 크기를 바꾸지 않음 (같은 위치부터 다시 받음)
+            if (err) {
+                console.log(`조각 받기 실패: 세션 ${session.id} (${offset}바이트부터):`, err.message);
+                if (!res.headersSent) {
+                    res.status(err.statusCode || 500).json({ error: err.message, receivedBytes: session.received_bytes });
+                }
+                return;
+            }
+            
+            const query = `
+                UPDATE upload_sessions SET received_bytes = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND received_bytes = ?
+            `;
+            db.run(query, [offset + written, session.id, offset], function(err) {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                // 같은 위치의 조각을 동시에 보낸 경우 먼저 끝난 조각만 반영
+                if (this.changes === 0) {
+                    res.status(409).json({ error: '같은 위치의 조각을 이미 받았습니다.', receivedBytes: offset + written });
+                    return;
+                }
+                
+                res.json({ uploadId: session.id, receivedBytes: offset + written, fileSize: session.file_size });
+            });
+        });
+    });
+});
+
+// 20-3. 나누어 올리기 완료 (모두 받았으면 업로드와 같이 저장: 같은 이름이 있으면 새 버전, relativePath 의 폴더는 새로 만듦)
+// 저장에 실패하면 세션과 받은 파일을 그대로 두므로 같은 요청으로 다시 시도할 수 있음 (세션은 저장한 뒤에 삭제)
+app.post('/api/uploads/:id/complete', (req, res) => {
+    findUploadSession(req, res, (session) => {
+        if (session.received_bytes !== session.file_size) {
+            res.status(400).json({ error: '아직 받지 않은 부분이 있습니다.', receivedBytes: session.received_bytes });
+            return;
+        }
+        
+        // 완료 요청을 동시에 보내면 같은 파일이 두 번 저장되므로 먼저 온 요청만 처리
+        if (completingUploads.has(session.id)) {
+            res.status(409).json({ error: '이미 저장하고 있는 업로드입니다.' });
+            return;
+        }
+        completingUploads.add(session.id);
+        
+        const fail = (err) => {
+            completingUploads.delete(session.id);
+            console.error(`나누어 올리기 저장 오류 (세션 ${session.id}):`, err.message);
+            res.status(err.statusCode || 500).json({ error: err.message });
+        };
+        
+        // 세션을 만든 뒤 폴더가 삭제되었거나 권한이 바뀌었을 수 있으므로 다시 확인
+        const save = (classification) => {
+            const folderId = classification ? classification.folderId : session.folder_id;
+            findTargetFolder(folderId, session.tab_type, req.user, res, () => {
+                const target = { folderId, tabType: session.tab_type };
+                ensureFolderPath(parseRelativeFolders(session.relative_path), target, req.user, newFolderState(target), (err, targetFolderId) => {
+                    if (err) {
+                        fail(err);
+                        return;
+                    }
+                    
+                    // 받은 파일은 저장할 때 내용 주소 이름으로 옮겨지므로 하드 링크를 저장하고,
+                    // 받은 파일(temp_path)은 저장에 성공한 뒤에 삭제
+                    const stored = {
+                        filename: path.basename(session.temp_path),
+                        path: `${session.temp_path}.saving`,
+                        size: session.file_size,
+                        mimetype: session.mime_type
+                    };
+                    
+                    fs.unlink(stored.path, () => fs.link(session.temp_path, stored.path, (err) => {
+                        if (err) {
+                            fail(err);
+                            return;
+                        }
+                        
+                        const saveTarget = { folderId: targetFolderId, tabType: session.tab_type, autoClassify: !!classification };
+                        saveUploadedFile(stored, session.original_name, saveTarget, req.user, (err, saved) => {
+                            if (err) {
+                                fs.unlink(stored.path, () => {});
+                                fail(err);
+                                return;
+                            }
+                            
+                            completingUploads.delete(session.id);
+                            deleteUploadSessions([session]);
+                            console.log(`나누어 올리기 완료: ${session.original_name} (세션 ${session.id})`);
+                            res.json(classification ? withClassification(saved, classification) : saved);
+                        });
+                    }));
+                });
+            }, () => completingUploads.delete(session.id));
+        };
+        
+        if (!session.auto_classify) {
+            save(null);
+            return;
+        }
+        
+        classifyDocument({ name: session.original_name, text: '' }, session.tab_type, req.user, (err, classification) => {
+            if (err) {
+                fail(err);
+                return;
+            }
+            save(classification);
+        });
+    });
+});
 
-// 기본 Word 내용 (파일명 기반)
-function generateDefaultWordContent(fileName) {
-    return `
-        <div class="word-document">
-            <h1>${fileName.replace(/\.(doc|docx)$/i, '')}</h1>
-            
-            <div style="text-align: right; margin-bottom: 30px; color: #666;">
-                작성일: ${new Date().toLocaleDateString('ko-KR')}<br>
-                문서번호: DOC-${Date.now()}
-            </div>
-            
-            <h2>문서 개요</h2>
-            <p>본 문서는 "${fileName}"에 대한 상세 내용을 담고 있습니다. 문서의 주요 목적과 배경은 다음과 같습니다.</p>
-            
-            <h2>주요 내용</h2>
-            <ul>
-                <li>문서의 기본 구조 및 목적</li>
-                <li>세부 사항 및 실행 계획</li>
-                <li>결론 및 향후 조치사항</li>
-            </ul>
-            
-            <h2>세부 내용</h2>
-            <p>해당 문서의 세부 내용은 전문적인 분석과 검토를 통해 작성되었으며, 관련 이해관계자들의 의견을 수렴하여 최종 확정되었습니다.</p>
-            
-            <div style="margin-top: 40px; padding: 20px; background: #f8f9fa; border-left: 4px solid #007bff;">
-                <h3>참고사항</h3>
-                <p>본 문서의 전체 내용을 확인하시려면 파일을 다운로드하여 Microsoft Word에서 열어보시기 바랍니다.</p>
-            </div>
-        </div>
-    `;
-}
+// 20-4. 나누어 올리기 취소 (받은 조각 삭제)
+app.delete('/api/uploads/:id', (req, res) => {
+    findUploadSession(req, res, (session) => {
+        deleteUploadSessions([session]);
+        res.json({ message: '업로드를 취소했습니다.', uploadId: session.id });
+    });
+});
 
-// 기본 Excel 내용
-function generateDefaultExcelContent(fileName) {
-    return `
-        <div class="excel-document">
-            <h1 style="margin-bottom: 20px; color: #1f2937;">${fileName.replace(/\.(xls|xlsx)$/i, '')} 데이터</h1>
-            
-            <table>
-                <thead>
-                    <tr class="header-row">
-                        <th>항목</th>
-                        <th>값</th>
-                        <th>단위</th>
-                        <th>비고</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    <tr>
-                        <td>데이터 1</td>
-                        <td class="number-cell">1,234</td>
-                        <td>개</td>
-                        <td>기본 데이터</td>
-                    </tr>
-                    <tr>
-                        <td>데이터 2</td>
-                        <td class="number-cell">5,678</td>
-                        <td>건</td>
-                        <td>추가 데이터</td>
-                    </tr>
-                    <tr>
-                        <td>데이터 3</td>
-                        <td class="number-cell">9,012</td>
-                        <td>회</td>
-                        <td>보완 데이터</td>
-                    </tr>
-                    <tr class="total-row">
-                        <td>합계</td>
-                        <td class="number-cell">15,924</td>
-                        <td>-</td>
-                        <td>총합</td>
-                    </tr>
-                </tbody>
-            </table>
-            
-            <p style="margin-top: 20px; font-size: 14px; color: #6b7280;">
-                ※ 상기 데이터는 ${fileName}의 첫 번째 시트 내용입니다.<br>
-                ※ 전체 데이터 확인을 위해서는 파일을 다운로드하시기 바랍니다.
-            </p>
-        </div>
-    `;
+// 로그인 사용자의 업로드 세션 (없으면 404)
+function findUploadSession(req, res, callback) {
+    db.get("SELECT * FROM upload_sessions WHERE id = ? AND user_id = ?", [req.params.id, req.user.id], (err, session) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!session) {
+            req.resume();
+            res.status(404).json({ error: '업로드 세션을 찾을 수 없습니다. 처음부터 다시 올려주세요.' });
+            return;
+        }
+        callback(session);
+    });
 }
 
-// 기본 PowerPoint 내용
-function generateDefaultPPTContent(fileName) {
-    return `
-        <div class="ppt-document">
-            <h1>${fileName.replace(/\.(ppt|pptx)$/i, '')}</h1>
-            <h2>프레젠테이션 자료</h2>
-            
-            <div class="slide-content">
-                <h3 style="font-size: 20px; margin-bottom: 20px;">📋 발표 개요</h3>
-                <div style="text-align: left; max-width: 500px; margin: 0 auto;">
-                    <p>• 주제: ${fileName.replace(/\.(ppt|pptx)$/i, '')}</p>
-                    <p>• 발표자: 담당팀</p>
-                    <p>• 일시: ${new Date().toLocaleDateString('ko-KR')}</p>
-                    <p>• 대상: 관련 부서</p>
-                </div>
-            </div>
-            
-            <p style="font-size: 16px; margin-top: 30px; opacity: 0.8;">
-                상세한 발표 내용은 파일을 다운로드하여 확인하시기 바랍니다.
-            </p>
-            
-            <div class="slide-number">
-                슬라이드 1 / 12
-            </div>
-        </div>
-    `;
+function deleteUploadSessions(sessions) {
+    sessions.forEach(session => fs.unlink(session.temp_path, () => {}));
+    const placeholders = sessions.map(() => '?').join(', ');
+    db.run(`DELETE FROM upload_sessions WHERE id IN (${placeholders})`, sessions.map(session => session.id));
 }
 
-// 추가 Word 문서 내용 생성 함수들
-function generateProposalContent(fileName) {
-    return `
-        <div class="word-document">
-            <h1>사업 제안서</h1>
-            
-            <div style="text-align: right; margin-bottom: 30px; color: #666;">
-                제안일자: 2024년 12월 15일<br>
-                제안번호: PROP-2024-1215
-            </div>
-            
-            <h2>1. 제안 개요</h2>
-            <p>본 제안서는 <span class="highlight">${fileName.replace(/\.(doc|docx)$/i, '')}</span>에 대한 종합적인 사업 계획을 제시합니다.</p>
-            
-            <h2>2. 사업 목표</h2>
-            <ul>
-                <li><strong>주요 목표:</strong> 시장 점유율 15% 확대</li>
-                <li><strong>매출 목표:</strong> 전년 대비 25% 증가</li>
-                <li><strong>고객 만족도:</strong> 90% 이상 달성</li>
-                <li class="important">⚠ 6개월 내 ROI 200% 달성 목표</li>
-            </ul>
-            
-            <h2>3. 실행 계획</h2>
-            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
-                <tr style="background: #f8f9fa;">
-                    <td style="border: 1px solid #ddd; padding: 10px; font-weight: bold;">단계</td>
-                    <td style="border: 1px solid #ddd; padding: 10px; font-weight: bold;">기간</td>
-                    <td style="border: 1px solid #ddd; padding: 10px; font-weight: bold;">주요 활동</td>
-                </tr>
-                <tr>
-                    <td style="border: 1px solid #ddd; padding: 10px;">1단계</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">1-2개월</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">시장 조사 및 분석</td>
-                </tr>
-                <tr>
-                    <td style="border: 1px solid #ddd; padding: 10px;">2단계</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">3-4개월</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">제품 개발 및 테스트</td>
-                </tr>
-                <tr>
-                    <td style="border: 1px solid #ddd; padding: 10px;">3단계</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">5-6개월</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">출시 및 마케팅</td>
-                </tr>
-            </table>
-        </div>
-    `;
+// 오래 이어지지 않은 업로드 세션 정리
+function purgeStaleUploads() {
+    db.all("SELECT * FROM upload_sessions WHERE updated_at <= datetime('now', ?)", [`-${UPLOAD_SESSION_HOURS} hours`], (err, sessions) => {
+        if (err) {
+            console.error('업로드 세션 정리 오류:', err);
+            return;
+        }
+        
+        if (sessions.length > 0) {
+            console.log(`${UPLOAD_SESSION_HOURS}시간 동안 이어지지 않은 업로드 세션 ${sessions.length}개 정리`);
+            deleteUploadSessions(sessions);
+        }
+    });
 }
 
-function generateContractContent() {
-    return `
-        <div class="word-document">
-            <h1>업무 계약서</h1>
-            
-            <div style="text-align: center; margin-bottom: 30px; padding: 20px; background: #f8f9fa; border: 1px solid #dee2e6;">
-                <strong>계약 번호: CONTRACT-2024-1215-001</strong><br>
-                <strong>계약 일자: 2024년 12월 15일</strong>
-            </div>
-            
-            <h2>제1조 (계약의 목적)</h2>
-            <p>본 계약은 갑과 을 간의 <span class="highlight">업무 수행에 관한 제반 사항</span>을 명확히 하여 상호 이익을 도모함을 목적으로 한다.</p>
-            
-            <h2>제2조 (계약 당사자)</h2>
-            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
-                <tr>
-                    <td style="border: 1px solid #ddd; padding: 15px; background: #f8f9fa; width: 20%;">갑</td>
-                    <td style="border: 1px solid #ddd; padding: 15px;">
-                        <strong>회사명:</strong> (주)아스크독<br>
-                        <strong>대표자:</strong> 홍길동<br>
-                        <strong>주소:</strong> 서울특별시 강남구 테헤란로 123
-                    </td>
-                </tr>
-                <tr>
-                    <td style="border: 1px solid #ddd; padding: 15px; background: #f8f9fa;">을</td>
-                    <td style="border: 1px solid #ddd; padding: 15px;">
-                        <strong>회사명:</strong> (주)리코코리아<br>
-                        <strong>대표자:</strong> 김영희<br>
-                        <strong>주소:</strong> 서울특별시 서초구 서초대로 456
-                    </td>
-                </tr>
-            </table>
-            
-            <h2>제3조 (계약 금액 및 지급 조건)</h2>
-            <ul>
-                <li>총 계약금액: <span class="important">금 50,000,000원 (오천만원)</span></li>
-                <li>지급 방법: 계약체결 시 30%, 중간 완료 시 40%, 최종 완료 시 30%</li>
-                <li>지급 기한: 세금계산서 발행 후 30일 이내</li>
-            </ul>
-        </div>
-    `;
+function formatUploadSession(session) {
+    return {
+        uploadId: session.id,
+        fileName: session.original_name,
+        fileSize: session.file_size,
+        receivedBytes: session.received_bytes,
+        chunkSize: UPLOAD_CHUNK_SIZE,
+        folderId: session.auto_classify ? 'auto' : session.folder_id,
+        tabType: session.tab_type,
+        relativePath: session.relative_path,
+        updatedAt: session.updated_at
+    };
 }
 
-function generateManualContent() {
-    return `
-        <div class="word-document">
-            <h1>사용자 매뉴얼</h1>
-            
-            <div style="text-align: center; margin-bottom: 30px; color: #666;">
-                버전: v2.1.0<br>
-                최종 업데이트: 2024년 12월 15일
-            </div>
-            
-            <h2>1. 시작하기</h2>
-            <p>본 매뉴얼은 <span class="highlight">시스템의 기본 사용법</span>부터 고급 기능까지 단계별로 설명합니다.</p>
-            
-            <h2>2. 시스템 요구사항</h2>
-            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
-                <tr style="background: #f8f9fa;">
-                    <td style="border: 1px solid #ddd; padding: 10px; font-weight: bold;">항목</td>
-                    <td style="border: 1px solid #ddd; padding: 10px; font-weight: bold;">최소 사양</td>
-                    <td style="border: 1px solid #ddd; padding: 10px; font-weight: bold;">권장 사양</td>
-                </tr>
-                <tr>
-                    <td style="border: 1px solid #ddd; padding: 10px;">운영체제</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">Windows 10</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">Windows 11</td>
-                </tr>
-                <tr>
-                    <td style="border: 1px solid #ddd; padding: 10px;">메모리</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">8GB RAM</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">16GB RAM</td>
-                </tr>
-                <tr>
-                    <td style="border: 1px solid #ddd; padding: 10px;">브라우저</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">Chrome 90+</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">Chrome 최신버전</td>
-                </tr>
-            </table>
-            
-            <h2>3. 설치 및 설정</h2>
-            <ul>
-                <li><strong>1단계:</strong> 시스템 파일 다운로드</li>
-                <li><strong>2단계:</strong> 설치 프로그램 실행</li>
-                <li><strong>3단계:</strong> 초기 설정 완료</li>
-                <li class="important">⚠ 관리자 권한으로 실행 필요</li>
-            </ul>
-        </div>
-    `;
-}
+// 21. 같은 내용의 파일 찾기 ({ hashes: [SHA-256] }) → { duplicates: [{ fileId, name, folderId, folderName, tabType, sha256 }] }
+// 업로드 전에 브라우저에서 계산한 해시로 이미 올린 파일인지 확인
+app.post('/api/duplicates', (req, res) => {
+    const { hashes } = req.body;
+    
+    if (!Array.isArray(hashes) || hashes.length > MAX_DUPLICATE_CHECK || !hashes.every(hash => /^[0-9a-f]{64}$/i.test(hash))) {
+        res.status(400).json({ error: `hashes 는 SHA-256 해시(16진수 64자) 목록이어야 합니다. (최대 ${MAX_DUPLICATE_CHECK}개)` });
+        return;
+    }
+    
+    findDuplicateFiles(hashes.map(hash => hash.toLowerCase()), req.user, (err, duplicates) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        res.json({ duplicates });
+    });
+});
 
-function generateReportContent() {
-    return `
-        <div class="word-document">
-            <h1>월간 업무 보고서</h1>
-            
-            <div style="text-align: right; margin-bottom: 30px; color: #666;">
-                보고 기간: 2024년 11월<br>
-                작성자: 업무팀<br>
-                작성일: 2024년 12월 15일
-            </div>
+// 22. 파일 썸네일 (JPEG, 긴 변 320px)
+// 업로드할 때 만들어 두고, 없으면(이전에 올린 파일 등) 요청할 때 만듦
+// 썸네일을 만들 수 없는 형식이면 404 (목록에서 파일 아이콘으로 대신 표시)
+app.get('/api/thumbnail/:fileId', (req, res) => {
+    const { fileId } = req.params;
+    
+    const query = `SELECT * FROM files WHERE id = ? AND ${accessFilter()}`;
+    
+    db.get(query, [fileId, ...accessParams(req.user)], (err, row) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!row) {
+            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        storeThumbnail(row, (err, thumbnail) => {
+            if (err || !thumbnail) {
+                res.status(404).json({ error: '썸네일을 만들 수 없는 파일입니다.' });
+                return;
+            }
             
-            <h2>1. 요약</h2>
-            <p>11월 한 달간의 <span class="highlight">주요 업무 성과 및 현황</span>을 정리한 월간 보고서입니다.</p>
-            
-            <h2>2. 주요 성과</h2>
-            <ul>
-                <li>프로젝트 A: <strong>95% 완료</strong> (목표 대비 5% 초과 달성)</li>
-                <li>고객 만족도: <strong>88.5점</strong> (전월 대비 3.2점 상승)</li>
-                <li>매출 달성률: <strong>112%</strong> (목표 100억원 대비 112억원 달성)</li>
-                <li class="important">⚠ 프로젝트 B는 10일 지연 상태</li>
-            </ul>
-            
-            <h2>3. 주요 지표</h2>
-            <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
-                <tr style="background: #f8f9fa;">
-                    <td style="border: 1px solid #ddd; padding: 10px; font-weight: bold;">구분</td>
-                    <td style="border: 1px solid #ddd; padding: 10px; font-weight: bold;">목표</td>
-                    <td style="border: 1px solid #ddd; padding: 10px; font-weight: bold;">실적</td>
-                    <td style="border: 1px solid #ddd; padding: 10px; font-weight: bold;">달성률</td>
-                </tr>
-                <tr>
-                    <td style="border: 1px solid #ddd; padding: 10px;">매출</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">100억원</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">112억원</td>
-                    <td style="border: 1px solid #ddd; padding: 10px; color: #059669; font-weight: bold;">112%</td>
-                </tr>
-                <tr>
-                    <td style="border: 1px solid #ddd; padding: 10px;">신규고객</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">50명</td>
-                    <td style="border: 1px solid #ddd; padding: 10px;">47명</td>
-                    <td style="border: 1px solid #ddd; padding: 10px; color: #dc2626;">94%</td>
-                </tr>
-            </table>
-        </div>
-    `;
-}
+            // 썸네일은 내용 해시별로 저장되므로 주소에 해시(?v=)를 붙이면 오래 캐시해도 됨
+            res.setHeader('Cache-Control', req.query.v === row.sha256 ? 'private, max-age=31536000, immutable' : 'private, no-cache');
+            res.type('image/jpeg');
+            res.sendFile(thumbnail, (err) => {
+                if (err && !res.headersSent) {
+                    res.status(404).json({ error: '썸네일을 찾을 수 없습니다.' });
+                }
+            });
+        });
+    });
+});
 
-// 추가 Excel 문서 내용 생성 함수들
-function generateInsuranceExcelContent() {
-    return `
-        <div class="excel-document">
-            <h1 style="margin-bottom: 20px; color: #1f2937;">실손보험 담보가입현황</h1>
-            
-            <table>
-                <thead>
-                    <tr class="header-row">
-                        <th>순번</th>
-                        <th>담보명</th>
-                        <th>가입금액</th>
-                        <th>보험료</th>
-                        <th>비고</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    <tr>
-                        <td class="number-cell">1</td>
-                        <td>상해입원 의료비보장</td>
-                        <td class="number-cell">5,000만원</td>
-                        <td class="number-cell">24,500원</td>
-                        <td>월납</td>
-                    </tr>
-                    <tr>
-                        <td class="number-cell">2</td>
-                        <td>질병입원 의료비보장</td>
-                        <td class="number-cell">5,000만원</td>
-                        <td class="number-cell">31,200원</td>
-                        <td>월납</td>
-                    </tr>
-                    <tr>
-                        <td class="number-cell">3</td>
-                        <td>상해통원 의료비보장</td>
-                        <td class="number-cell">30만원</td>
-                        <td class="number-cell">18,900원</td>
-                        <td>월납</td>
-                    </tr>
-                    <tr>
-                        <td class="number-cell">4</td>
-                        <td>질병통원 의료비보장</td>
-                        <td class="number-cell">30만원</td>
-                        <td class="number-cell">22,400원</td>
-                        <td>월납</td>
-                    </tr>
-                    <tr style="background: #f9f9f9; font-weight: 600;">
-                        <td class="number-cell">-</td>
-                        <td>합계</td>
-                        <td>-</td>
-                        <td class="number-cell">97,000원</td>
-                        <td>월 총 보험료</td>
-                    </tr>
-                </tbody>
-            </table>
+// 23. 글자 인식(OCR) 결과 → { extracted, error, pages: [{ pageNumber, width, height, rotation, confidence, words }] }
+// 이미지 미리보기에 인식한 글자를 겹쳐서 선택/복사할 수 있도록 단어별 위치를 돌려줌
+// 아직 본문을 추출하지 않았으면 extracted: false (업로드 직후 인식 중)
+app.get('/api/files/:id/ocr', (req, res) => {
+    const { id } = req.params;
+    
+    db.get(`SELECT id FROM files WHERE id = ? AND ${accessFilter()}`, [id, ...accessParams(req.user)], (err, row) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!row) {
+            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        db.get("SELECT extract_error FROM document_info WHERE file_id = ?", [row.id], (err, info) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
             
-            <p style="margin-top: 20px; font-size: 14px; color: #6b7280;">
-                ※ 상기 보험료는 2024년 기준이며, 매년 갱신됩니다.<br>
-                ※ 실제 보험료는 가입자의 나이, 성별, 직업 등에 따라 달라질 수 있습니다.
-            </p>
-        </div>
-    `;
-}
+            db.all("SELECT * FROM ocr_pages WHERE file_id = ? ORDER BY page_number", [row.id], (err, pages) => {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                res.json({
+                    extracted: !!info,
+                    error: info ? info.extract_error : null,
+                    pages: pages.map(page => ({
+                        pageNumber: page.page_number,
+                        width: page.width,
+                        height: page.height,
+                        rotation: page.rotation,
+                        confidence: page.confidence,
+                        words: JSON.parse(page.words)
+                    }))
+                });
+            });
+        });
+    });
+});
 
-function generateBudgetExcelContent() {
-    return `
-        <div class="excel-document">
-            <h1 style="margin-bottom: 20px; color: #1f2937;">2024년 예산 계획서</h1>
-            
-            <table>
-                <thead>
-                    <tr class="header-row">
-                        <th>부서</th>
-                        <th>2023년 실적</th>
-                        <th>2024년 예산</th>
-                        <th>증감율</th>
-                        <th>비고</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    <tr>
-                        <td>영업부</td>
-                        <td class="number-cell">850,000,000</td>
-                        <td class="number-cell">950,000,000</td>
-                        <td class="number-cell" style="color: #059669;">+11.8%</td>
-                        <td>신규 사업 확장</td>
-                    </tr>
-                    <tr>
-                        <td>마케팅부</td>
-                        <td class="number-cell">120,000,000</td>
-                        <td class="number-cell">140,000,000</td>
-                        <td class="number-cell" style="color: #059669;">+16.7%</td>
-                        <td>디지털 마케팅 강화</td>
-                    </tr>
-                    <tr>
-                        <td>개발부</td>
-                        <td class="number-cell">200,000,000</td>
-                        <td class="number-cell">180,000,000</td>
-                        <td class="number-cell" style="color: #dc2626;">-10.0%</td>
-                        <td>효율성 개선</td>
-                    </tr>
-                    <tr class="total-row">
-                        <td>총합</td>
-                        <td class="number-cell">1,170,000,000</td>
-                        <td class="number-cell">1,270,000,000</td>
-                        <td class="number-cell" style="color: #059669;">+8.5%</td>
-                        <td>전년 대비 증가</td>
-                    </tr>
-                </tbody>
-            </table>
+// 24. 백그라운드 작업 목록 (로그인 사용자가 볼 수 있는 파일의 작업, 최근 순)
+// ?status=queued|processing|done|failed&fileId= → { counts: { queued, processing, done, failed }, jobs: [...] }
+app.get('/api/jobs', (req, res) => {
+    const { status, fileId } = req.query;
+    const statuses = ['queued', 'processing', 'done', 'failed'];
+    
+    if (status && !statuses.includes(status)) {
+        res.status(400).json({ error: `status 는 ${statuses.join(', ')} 중 하나여야 합니다.` });
+        return;
+    }
+    
+    let conditions = accessFilter('f');
+    const params = accessParams(req.user);
+    if (fileId) {
+        conditions += ' AND j.file_id = ?';
+        params.push(parseInt(fileId));
+    }
+    
+    const from = `FROM jobs j INNER JOIN files f ON j.file_id = f.id WHERE ${conditions}`;
+    
+    db.all(`SELECT j.status, COUNT(*) AS count ${from} GROUP BY j.status`, params, (err, countRows) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        const counts = {};
+        statuses.forEach(name => { counts[name] = 0; });
+        countRows.forEach(row => { counts[row.status] = row.count; });
+        
+        const query = `SELECT j.*, f.original_name ${from}${status ? ' AND j.status = ?' : ''} ORDER BY j.id DESC LIMIT 200`;
+        db.all(query, status ? [...params, status] : params, (err, jobs) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
             
-            <p style="margin-top: 20px; font-size: 14px; color: #6b7280;">
-                ※ 단위: 원 (KRW)<br>
-                ※ 분기별 세부 계획은 별도 시트 참조
-            </p>
-        </div>
-    `;
-}
+            res.json({ counts, jobs: jobs.map(formatJob) });
+        });
+    });
+});
 
-function generateSalesExcelContent() {
-    return `
-        <div class="excel-document">
-            <h1 style="margin-bottom: 20px; color: #1f2937;">월별 매출 현황</h1>
-            
-            <table>
-                <thead>
-                    <tr class="header-row">
-                        <th>월</th>
-                        <th>목표 매출</th>
-                        <th>실제 매출</th>
-                        <th>달성률</th>
-                        <th>주요 고객</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    <tr>
-                        <td>1월</td>
-                        <td class="number-cell">500,000,000</td>
-                        <td class="number-cell">520,000,000</td>
-                        <td class="number-cell" style="color: #059669;">104%</td>
-                        <td>A사, B사</td>
-                    </tr>
-                    <tr>
-                        <td>2월</td>
-                        <td class="number-cell">480,000,000</td>
-                        <td class="number-cell">465,000,000</td>
-                        <td class="number-cell" style="color: #dc2626;">97%</td>
-                        <td>C사, D사</td>
-                    </tr>
-                    <tr>
-                        <td>3월</td>
-                        <td class="number-cell">550,000,000</td>
-                        <td class="number-cell">580,000,000</td>
-                        <td class="number-cell" style="color: #059669;">105%</td>
-                        <td>E사, F사</td>
-                    </tr>
-                    <tr class="total-row">
-                        <td>1분기 합계</td>
-                        <td class="number-cell">1,530,000,000</td>
-                        <td class="number-cell">1,565,000,000</td>
-                        <td class="number-cell" style="color: #059669;">102%</td>
-                        <td>6개 주요 고객</td>
-                    </tr>
-                </tbody>
-            </table>
-        </div>
-    `;
-}
+// 24-1. 파일 처리 상태 → { fileId, status: queued|processing|done|failed, error, jobs: [작업 종류별 마지막 작업] }
+app.get('/api/files/:id/status', (req, res) => {
+    const { id } = req.params;
+    
+    db.get(`SELECT id, original_name FROM files WHERE id = ? AND ${accessFilter()}`, [id, ...accessParams(req.user)], (err, file) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        if (!file) {
+            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+            return;
+        }
+        
+        const query = `
+            SELECT * FROM jobs
+            WHERE id IN (SELECT MAX(id) FROM jobs WHERE file_id = ? GROUP BY type)
+            ORDER BY id
+        `;
+        db.all(query, [file.id], (err, jobs) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            res.json({
+                fileId: file.id,
+                ...fileProcessingStatus(jobs),
+                jobs: jobs.map(job => formatJob({ ...job, original_name: file.original_name }))
+            });
+        });
+    });
+});
 
-function generateCustomerExcelContent() {
-    return `
-        <div class="excel-document">
-            <h1 style="margin-bottom: 20px; color: #1f2937;">고객 관리 현황</h1>
-            
-            <table>
-                <thead>
-                    <tr class="header-row">
-                        <th>고객사</th>
-                        <th>업종</th>
-                        <th>계약금액</th>
-                        <th>담당자</th>
-                        <th>상태</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    <tr>
-                        <td>삼성전자</td>
-                        <td>전자제품</td>
-                        <td class="number-cell">1,200,000,000</td>
-                        <td>김담당</td>
-                        <td style="color: #059669;">진행중</td>
-                    </tr>
-                    <tr>
-                        <td>LG화학</td>
-                        <td>화학</td>
-                        <td class="number-cell">800,000,000</td>
-                        <td>이담당</td>
-                        <td style="color: #059669;">진행중</td>
-                    </tr>
-                    <tr>
-                        <td>현대자동차</td>
-                        <td>자동차</td>
-                        <td class="number-cell">950,000,000</td>
-                        <td>박담당</td>
-                        <td style="color: #f59e0b;">검토중</td>
-                    </tr>
-                    <tr>
-                        <td>SK하이닉스</td>
-                        <td>반도체</td>
-                        <td class="number-cell">1,500,000,000</td>
-                        <td>최담당</td>
-                        <td style="color: #dc2626;">보류</td>
-                    </tr>
-                </tbody>
-            </table>
-        </div>
-    `;
-}
+// 25. 메타데이터 항목 목록 → { fields: [{ key, label, type: 'text' | 'date' | 'number' }] }
+app.get('/api/metadata/fields', (req, res) => {
+    res.json({ fields: METADATA_FIELDS });
+});
 
-// 추가 PowerPoint 내용 생성 함수들
-function generateBusinessProposalContent(fileName) {
-    return `
-        <div class="ppt-document" style="background: linear-gradient(135deg, #059669 0%, #10b981 100%);">
-            <h1>${fileName.replace(/\.(ppt|pptx)$/i, '')}</h1>
-            <h2>비즈니스 혁신을 위한 전략적 제안</h2>
-            
-            <div class="slide-content">
-                <h3 style="font-size: 20px; margin-bottom: 30px;">💼 제안 하이라이트</h3>
-                <div style="text-align: left; max-width: 600px; margin: 0 auto;">
-                    <div style="display: flex; justify-content: space-between; margin: 15px 0; padding: 15px; background: rgba(255,255,255,0.2); border-radius: 8px;">
-                        <span style="font-weight: 600;">예상 ROI:</span>
-                        <span style="color: #fbbf24; font-weight: bold;">350%</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 15px 0; padding: 15px; background: rgba(255,255,255,0.2); border-radius: 8px;">
-                        <span style="font-weight: 600;">구현 기간:</span>
-                        <span>6개월</span>
-                    </div>
-                    <div style="display: flex; justify-content: space-between; margin: 15px 0; padding: 15px; background: rgba(255,255,255,0.2); border-radius: 8px;">
-                        <span style="font-weight: 600;">투자 규모:</span>
-                        <span>5억원</span>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="slide-number">슬라이드 1 / 18</div>
-        </div>
+// 25-1. 태그 목록 (?tabType=my, 로그인 사용자가 볼 수 있는 파일에 붙은 태그와 파일 수, 많이 쓴 순)
+app.get('/api/tags', (req, res) => {
+    const { tabType } = req.query;
+    
+    let query = `
+        SELECT t.tag, COUNT(*) AS count
+        FROM file_tags t
+        INNER JOIN files f ON f.id = t.file_id
+        WHERE ${accessFilter('f')}
     `;
-}
+    const params = accessParams(req.user);
+    if (tabType) {
+        query += ' AND f.tab_type = ?';
+        params.push(tabType);
+    }
+    query += ' GROUP BY t.tag COLLATE NOCASE ORDER BY count DESC, t.tag';
+    
+    db.all(query, params, (err, rows) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        res.json({ tags: rows });
+    });
+});
 
-function generatePresentationContent() {
-    return `
-        <div class="ppt-document" style="background: linear-gradient(135deg, #7c3aed 0%, #a855f7 100%);">
-            <h1>업무 발표자료</h1>
-            <h2>2024년 4분기 성과 및 계획</h2>
-            
-            <div class="slide-content">
-                <h3 style="font-size: 20px; margin-bottom: 20px;">📈 주요 성과 지표</h3>
-                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 20px; margin: 20px 0;">
-                    <div style="background: rgba(255,255,255,0.2); padding: 20px; border-radius: 10px; text-align: center;">
-                        <div style="font-size: 28px; font-weight: bold; color: #fbbf24;">125%</div>
-                        <div style="font-size: 14px;">목표 달성률</div>
-                    </div>
-                    <div style="background: rgba(255,255,255,0.2); padding: 20px; border-radius: 10px; text-align: center;">
-                        <div style="font-size: 28px; font-weight: bold; color: #34d399;">92점</div>
-                        <div style="font-size: 14px;">고객 만족도</div>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="slide-number">슬라이드 1 / 25</div>
-        </div>
-    `;
-}
+// 25-2. 파일 태그와 메타데이터 → { fileId, tags: [태그], metadata: { author, customer, project, contractDate, amount }, permission }
+app.get('/api/files/:id/metadata', (req, res) => {
+    findMetadataFile(req, res, null, (file) => sendFileMetadata(res, file, req.user));
+});
 
-function generateTrainingContent() {
-    return `
-        <div class="ppt-document" style="background: linear-gradient(135deg, #ea580c 0%, #f97316 100%);">
-            <h1>직원 교육 프로그램</h1>
-            <h2>디지털 역량 강화 과정</h2>
-            
-            <div class="slide-content">
-                <h3 style="font-size: 20px; margin-bottom: 20px;">🎓 교육 과정 개요</h3>
-                <div style="text-align: left; max-width: 500px; margin: 0 auto;">
-                    <p style="margin: 10px 0;">• 교육 대상: 전 직원 (총 150명)</p>
-                    <p style="margin: 10px 0;">• 교육 기간: 4주 (주 2회, 총 8회)</p>
-                    <p style="margin: 10px 0;">• 교육 방식: 온라인 + 오프라인 혼합</p>
-                    <p style="margin: 10px 0;">• 수료 조건: 출석 80% + 시험 70점 이상</p>
-                </div>
-            </div>
-            
-            <div class="slide-number">슬라이드 1 / 32</div>
-        </div>
-    `;
-}
-app.get('/api/preview/:fileId', (req, res) => {
-    const { fileId } = req.params;
+// 25-3. 파일 태그와 메타데이터 바꾸기 ({ tags: [태그], metadata: { 항목: 값 } }, 파일 관리 권한 필요)
+// tags 를 보내면 태그 전체를 바꾸고, metadata 는 보낸 항목만 바꿈 (null 이나 빈 값이면 항목 삭제)
+app.put('/api/files/:id/metadata', (req, res) => {
+    const { tags, metadata } = req.body || {};
+    
+    if (tags === undefined && metadata === undefined) {
+        res.status(400).json({ error: '바꿀 태그나 메타데이터가 없습니다.' });
+        return;
+    }
     
-    const query = "SELECT * FROM files WHERE id = ?";
+    let tagList = null;
+    const fieldValues = [];
+    try {
+        if (tags !== undefined) tagList = normalizeTags(tags);
+        if (metadata !== undefined) {
+            if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+                throw new Error('metadata 는 { 항목: 값 } 형식이어야 합니다.');
+            }
+            Object.keys(metadata).forEach(key => {
+                fieldValues.push({ key, value: normalizeFieldValue(key, metadata[key]) });
+            });
+        }
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return;
+    }
     
-    db.get(query, [fileId], (err, row) => {
+    findMetadataFile(req, res, 'manage', (file) => {
+        const statements = [];
+        if (tagList) {
+            statements.push({ sql: "DELETE FROM file_tags WHERE file_id = ?", params: [file.id] });
+            tagList.forEach(tag => {
+                statements.push({ sql: "INSERT INTO file_tags (file_id, tag) VALUES (?, ?)", params: [file.id, tag] });
+            });
+        }
+        fieldValues.forEach(({ key, value }) => {
+            statements.push(value === null
+                ? { sql: "DELETE FROM file_metadata WHERE file_id = ? AND field = ?", params: [file.id, key] }
+                : {
+                    sql: `
+                        INSERT INTO file_metadata (file_id, field, value, updated_by, updated_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+                        ON CONFLICT (file_id, field) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by, updated_at = excluded.updated_at
+                    `,
+                    params: [file.id, key, value, req.user.id]
+                });
+        });
+        
+        if (statements.length === 0) {
+            sendFileMetadata(res, file, req.user);
+            return;
+        }
+        
+        runTransaction(statements, (err) => {
+            if (err) {
+                console.error('파일 메타데이터 저장 오류:', err);
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            
+            console.log(`파일 메타데이터 저장: ${file.original_name} (태그 ${tagList ? `${tagList.length}개` : '그대로'}, 항목 ${fieldValues.length}개)`);
+            sendFileMetadata(res, file, req.user);
+        });
+    });
+});
+
+// 태그와 메타데이터를 다룰 파일 확인 (볼 수 있는 파일, required 가 있으면 그 이상의 권한 필요)
+function findMetadataFile(req, res, required, callback) {
+    db.get(`SELECT * FROM files WHERE id = ? AND ${accessFilter()}`, [req.params.id, ...accessParams(req.user)], (err, file) => {
         if (err) {
             res.status(500).json({ error: err.message });
             return;
         }
         
-        if (!row) {
+        if (!file) {
             res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
             return;
         }
         
-        const filePath = row.file_path || path.join(uploadsDir, row.name);
-        
-        // 파일이 실제로 존재하는지 확인
-        if (!fs.existsSync(filePath)) {
-            res.status(404).json({ error: '파일이 서버에 존재하지 않습니다.' });
+        if (required && !hasPermission(itemPermission(req.user, file), required)) {
+            res.status(403).json({ error: '이 파일의 태그와 메타데이터를 바꿀 권한이 없습니다.' });
             return;
         }
         
-        // 파일 미리보기를 위한 헤더 설정 (다운로드가 아닌 inline 표시)
-        res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(row.original_name)}"`);
-        res.setHeader('Content-Type', row.mime_type || 'application/octet-stream');
-        
-        // PDF 파일의 경우 X-Frame-Options 헤더 제거하여 iframe에서 표시 가능하도록 설정
-        if (row.mime_type === 'application/pdf') {
-            res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+        callback(file);
+    });
+}
+
+function sendFileMetadata(res, file, user) {
+    findFileMetadata([file.id], (err, metadata) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
         }
         
-        // 파일 스트림 전송
-        const fileStream = fs.createReadStream(filePath);
-        fileStream.pipe(res);
+        res.json({
+            fileId: file.id,
+            ...metadata.get(file.id),
+            permission: itemPermission(user, file)
+        });
+    });
+}
+
+// 파일별 태그와 메타데이터 → Map(파일 ID → { tags: [태그], metadata: { 항목: 값 } }), number 항목은 숫자로
+function findFileMetadata(fileIds, callback) {
+    const result = new Map(fileIds.map(id => [id, { tags: [], metadata: {} }]));
+    if (fileIds.length === 0) {
+        callback(null, result);
+        return;
+    }
+    
+    const placeholders = fileIds.map(() => '?').join(', ');
+    db.all(`SELECT file_id, tag FROM file_tags WHERE file_id IN (${placeholders}) ORDER BY rowid`, fileIds, (err, tagRows) => {
+        if (err) {
+            callback(err);
+            return;
+        }
         
-        fileStream.on('error', (err) => {
-            console.error('파일 전송 오류:', err);
-            if (!res.headersSent) {
-                res.status(500).json({ error: '파일 전송 중 오류가 발생했습니다.' });
+        db.all(`SELECT file_id, field, value FROM file_metadata WHERE file_id IN (${placeholders})`, fileIds, (err, fieldRows) => {
+            if (err) {
+                callback(err);
+                return;
             }
+            
+            const numberFields = METADATA_FIELDS.filter(field => field.type === 'number').map(field => field.key);
+            tagRows.forEach(row => result.get(row.file_id).tags.push(row.tag));
+            fieldRows.forEach(row => {
+                result.get(row.file_id).metadata[row.field] = numberFields.includes(row.field) ? Number(row.value) : row.value;
+            });
+            callback(null, result);
         });
     });
-});
+}
 
-// 6. 폴더 삭제 (재귀적 삭제)
-app.delete('/api/folders/:id', (req, res) => {
-    const { id } = req.params;
+// 파일 영구 삭제 시 태그와 메타데이터 삭제 (휴지통에 있는 동안은 복원할 수 있도록 남겨 둠)
+function deleteFileMetadata(fileIds) {
+    if (!fileIds || fileIds.length === 0) return;
     
-    console.log('폴더 삭제 요청:', id);
+    const placeholders = fileIds.map(() => '?').join(', ');
+    db.run(`DELETE FROM file_tags WHERE file_id IN (${placeholders})`, fileIds, (err) => {
+        if (err) console.error('파일 태그 삭제 오류:', err);
+    });
+    db.run(`DELETE FROM file_metadata WHERE file_id IN (${placeholders})`, fileIds, (err) => {
+        if (err) console.error('파일 메타데이터 삭제 오류:', err);
+    });
+}
+
+// 26. 폴더 추천 (multipart file, tabType) → { suggestions: [{ folderId, folderName, path, relevance, ruleId, reasons }] }
+// 파일은 저장하지 않고 파일명과 본문으로 로그인 사용자가 올릴 수 있는 폴더 중 알맞은 폴더를 찾음 (업로드 창에서 미리 선택)
+app.post('/api/classify', upload.single('file'), (req, res) => {
+    if (!req.file) {
+        res.status(400).json({ error: '파일이 필요합니다.' });
+        return;
+    }
     
-    // 하위 폴더와 파일들 재귀적으로 찾기
-    const getSubItemsQuery = `
-        WITH RECURSIVE folder_tree AS (
-            SELECT id, name FROM folders WHERE id = ?
-            UNION ALL
-            SELECT f.id, f.name FROM folders f
-            INNER JOIN folder_tree ft ON f.parent_id = ft.id
-        )
-        SELECT 
-            'folder' as type, id, name, NULL as file_path
-        FROM folder_tree
-        UNION ALL
-        SELECT 
-            'file' as type, f.id, f.original_name as name, f.file_path
-        FROM files f
-        WHERE f.folder_id IN (SELECT id FROM folder_tree)
+    const { tabType } = req.body;
+    if (!['my', 'public'].includes(tabType)) {
+        fs.unlink(req.file.path, () => {});
+        res.status(400).json({ error: '탭은 my 또는 public 이어야 합니다.' });
+        return;
+    }
+    
+    const originalName = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+    const fileInfo = { original_name: originalName, mime_type: req.file.mimetype, file_size: req.file.size };
+    readClassifyText(req.file.path, fileInfo).catch(error => {
+        console.error(`폴더 추천용 본문 추출 오류 (${originalName}):`, error.message);
+        return '';
+    }).then(text => classifyDocument({ name: originalName, text }, tabType, req.user, (err, classification) => {
+        fs.unlink(req.file.path, () => {});
+        
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        res.json({ suggestions: classification.suggestions });
+    }));
+});
+
+// 26-1. 폴더 분류 규칙 목록 (?tabType=my, My 문서함은 자기 규칙, 공용 문서함은 볼 수 있는 폴더의 규칙)
+app.get('/api/classification-rules', (req, res) => {
+    const { tabType } = req.query;
+    if (!['my', 'public'].includes(tabType)) {
+        res.status(400).json({ error: '탭은 my 또는 public 이어야 합니다.' });
+        return;
+    }
+    
+    const query = `
+        SELECT r.*, fo.name AS folder_name
+        FROM classification_rules r
+        INNER JOIN folders fo ON fo.id = r.folder_id
+        WHERE r.tab_type = ? AND (r.tab_type = 'public' OR r.owner_id = ?) AND ${folderAccessFilter('fo')}
+        ORDER BY r.id
     `;
+    db.all(query, [tabType, req.user.id, ...accessParams(req.user)], (err, rows) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        res.json({ rules: rows.map(row => formatClassificationRule(row, req.user)) });
+    });
+});
+
+// 26-2. 폴더 분류 규칙 추가 ({ tabType, folderId, keyword, matchIn: 'any' | 'name' | 'text' })
+// 공용 문서함 규칙은 모든 사용자의 업로드에 적용되므로 대상 폴더 관리 권한 필요
+app.post('/api/classification-rules', (req, res) => {
+    const { tabType, folderId } = req.body;
+    const keyword = String(req.body.keyword || '').replace(/\s+/g, ' ').trim();
+    const matchIn = req.body.matchIn || 'any';
+    
+    if (!['my', 'public'].includes(tabType)) {
+        res.status(400).json({ error: '탭은 my 또는 public 이어야 합니다.' });
+        return;
+    }
+    
+    if (!keyword || keyword.length > MAX_RULE_KEYWORD_LENGTH) {
+        res.status(400).json({ error: `키워드는 1~${MAX_RULE_KEYWORD_LENGTH}자여야 합니다.` });
+        return;
+    }
+    
+    if (!RULE_TARGETS.includes(matchIn)) {
+        res.status(400).json({ error: `matchIn 은 ${RULE_TARGETS.join(', ')} 중 하나여야 합니다.` });
+        return;
+    }
     
-    db.all(getSubItemsQuery, [id], (err, items) => {
+    const targetFolderId = parseInt(folderId);
+    if (isNaN(targetFolderId)) {
+        res.status(400).json({ error: '규칙을 적용할 폴더가 필요합니다.' });
+        return;
+    }
+    
+    db.get(`SELECT * FROM folders WHERE id = ? AND tab_type = ? AND ${folderAccessFilter()}`, [targetFolderId, tabType, ...accessParams(req.user)], (err, folder) => {
         if (err) {
-            console.error('하위 항목 조회 오류:', err);
             res.status(500).json({ error: err.message });
             return;
         }
         
-        console.log('삭제할 항목들:', items);
+        if (!folder) {
+            res.status(404).json({ error: '폴더를 찾을 수 없습니다.' });
+            return;
+        }
         
-        // 파일들 먼저 삭제 (실제 파일 시스템에서)
-        const files = items.filter(item => item.type === 'file' && item.file_path);
-        files.forEach(file => {
-            if (fs.existsSync(file.file_path)) {
-                try {
-                    fs.unlinkSync(file.file_path);
-                    console.log('파일 삭제됨:', file.file_path);
-                } catch (err) {
-                    console.error('파일 삭제 오류:', err);
-                }
-            }
-        });
+        if (!hasPermission(folderPermission(req.user, tabType, folder.id), 'manage')) {
+            res.status(403).json({ error: '이 폴더에 분류 규칙을 만들 권한이 없습니다.' });
+            return;
+        }
         
-        // DB에서 파일들 삭제
-        const deleteFilesQuery = `
-            DELETE FROM files WHERE folder_id IN (
-                WITH RECURSIVE folder_tree AS (
-                    SELECT id FROM folders WHERE id = ?
-                    UNION ALL
-                    SELECT f.id FROM folders f
-                    INNER JOIN folder_tree ft ON f.parent_id = ft.id
-                )
-                SELECT id FROM folder_tree
-            )
+        const query = `
+            INSERT INTO classification_rules (tab_type, owner_id, folder_id, keyword, match_in, created_by)
+            VALUES (?, ?, ?, ?, ?, ?)
         `;
-        
-        db.run(deleteFilesQuery, [id], (err) => {
+        const params = [tabType, tabType === 'my' ? req.user.id : null, folder.id, keyword, matchIn, req.user.id];
+        db.run(query, params, function(err) {
             if (err) {
-                console.error('파일 DB 삭제 오류:', err);
                 res.status(500).json({ error: err.message });
                 return;
             }
             
-            // 하위 폴더들 삭제
-            const deleteSubfoldersQuery = `
-                DELETE FROM folders WHERE id IN (
-                    WITH RECURSIVE folder_tree AS (
-                        SELECT id FROM folders WHERE id = ? AND id != ?
-                        UNION ALL
-                        SELECT f.id FROM folders f
-                        INNER JOIN folder_tree ft ON f.parent_id = ft.id
-                    )
-                    SELECT id FROM folder_tree
-                )
-            `;
-            
-            db.run(deleteSubfoldersQuery, [id, id], (err) => {
+            console.log(`폴더 분류 규칙 추가: "${keyword}" → ${folder.name} (${tabType}, ${matchIn})`);
+            db.get("SELECT r.*, ? AS folder_name FROM classification_rules r WHERE r.id = ?", [folder.name, this.lastID], (err, rule) => {
                 if (err) {
-                    console.error('하위 폴더 삭제 오류:', err);
                     res.status(500).json({ error: err.message });
                     return;
                 }
-                
-                // 마지막으로 메인 폴더 삭제
-                const deleteFolderQuery = "DELETE FROM folders WHERE id = ?";
-                
-                db.run(deleteFolderQuery, [id], function(err) {
-                    if (err) {
-                        console.error('메인 폴더 삭제 오류:', err);
-                        res.status(500).json({ error: err.message });
-                        return;
-                    }
-                    
-                    console.log('폴더 삭제 완료:', id);
-                    res.json({ 
-                        message: '폴더가 삭제되었습니다.', 
-                        deletedRows: this.changes,
-                        folderId: id
-                    });
-                });
+                res.json(formatClassificationRule(rule, req.user));
             });
         });
     });
 });
 
-// 7. 파일 삭제
-app.delete('/api/files/:id', (req, res) => {
-    const { id } = req.params;
-    
-    console.log('파일 삭제 요청:', id);
-    
-    // 파일 정보 조회
-    const selectQuery = "SELECT * FROM files WHERE id = ?";
-    
-    db.get(selectQuery, [id], (err, row) => {
+// 26-3. 폴더 분류 규칙 삭제 (My 문서함은 만든 사용자, 공용 문서함은 대상 폴더 관리 권한)
+app.delete('/api/classification-rules/:id', (req, res) => {
+    db.get("SELECT * FROM classification_rules WHERE id = ?", [req.params.id], (err, rule) => {
         if (err) {
-            console.error('파일 조회 오류:', err);
             res.status(500).json({ error: err.message });
             return;
         }
         
-        if (!row) {
-            res.status(404).json({ error: '파일을 찾을 수 없습니다.' });
+        if (!rule || (rule.tab_type === 'my' && rule.owner_id !== req.user.id)) {
+            res.status(404).json({ error: '분류 규칙을 찾을 수 없습니다.' });
             return;
         }
         
-        console.log('삭제할 파일 정보:', row);
+        if (!hasPermission(folderPermission(req.user, rule.tab_type, rule.folder_id), 'manage')) {
+            res.status(403).json({ error: '이 분류 규칙을 삭제할 권한이 없습니다.' });
+            return;
+        }
         
-        // 실제 파일 삭제
-        if (row.file_path && row.file_path !== '' && fs.existsSync(row.file_path)) {
-            try {
-                fs.unlinkSync(row.file_path);
-                console.log('파일 삭제됨:', row.file_path);
-            } catch (err) {
-                console.error('파일 삭제 오류:', err);
+        db.run("DELETE FROM classification_rules WHERE id = ?", [rule.id], (err) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
             }
+            
+            console.log(`폴더 분류 규칙 삭제: "${rule.keyword}" (${rule.id})`);
+            res.json({ message: '분류 규칙을 삭제했습니다.', id: rule.id });
+        });
+    });
+});
+
+function formatClassificationRule(rule, user) {
+    return {
+        id: rule.id,
+        tabType: rule.tab_type,
+        folderId: rule.folder_id,
+        folderName: rule.folder_name,
+        keyword: rule.keyword,
+        matchIn: rule.match_in,
+        createdAt: rule.created_at,
+        canManage: hasPermission(folderPermission(user, rule.tab_type, rule.folder_id), 'manage')
+    };
+}
+
+// 파일의 폴더 추천 → { folderId: 자동 분류로 저장할 폴더(루트는 null), suggestions }
+// 본문은 읽지 않고 받은 text 를 사용 (업로드할 때는 파일명만, 본문 추출이 끝난 뒤에는 추출한 본문)
+// fileId: 이미 저장한 파일이면 비슷한 문서에서 제외, 추천은 user 가 올릴 수 있는 폴더만
+// 확실한 추천이 없으면 루트, 루트에 올릴 수 없으면 가장 나은 추천 폴더
+function classifyDocument({ name, text, fileId }, tabType, user, callback) {
+    findUploadFolders(tabType, user, (err, folders) => {
+        if (err) {
+            callback(err);
+            return;
         }
         
-        // 데이터베이스에서 파일 삭제
-        const deleteQuery = "DELETE FROM files WHERE id = ?";
-        
-        db.run(deleteQuery, [id], function(err) {
+        const ruleQuery = "SELECT * FROM classification_rules WHERE tab_type = ? AND (tab_type = 'public' OR owner_id = ?) ORDER BY id";
+        db.all(ruleQuery, [tabType, user.id], (err, rules) => {
             if (err) {
-                console.error('파일 DB 삭제 오류:', err);
-                res.status(500).json({ error: err.message });
+                callback(err);
                 return;
             }
             
-            console.log('파일 DB 삭제 완료:', id);
-            res.json({ 
-                message: '파일이 삭제되었습니다.', 
-                deletedRows: this.changes,
-                fileId: id,
-                fileName: row.original_name
+            getRelatedIndex((err, index) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                
+                db.all(`SELECT id, original_name, folder_id FROM files WHERE tab_type = ? AND ${accessFilter()}`, [tabType, ...accessParams(user)], (err, rows) => {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    
+                    const files = new Map(rows.filter(row => row.id !== fileId).map(row => [row.id, { name: row.original_name, folderId: row.folder_id }]));
+                    const similar = findSimilar(index, name, text, { limit: MAX_CLASSIFY_SIMILAR_DOCUMENTS });
+                    const foldersById = new Map(folders.map(folder => [folder.id, folder]));
+                    const suggestions = rankFolders({ name, text, folders, rules, similar, files }).map(suggestion => ({
+                        ...suggestion,
+                        folderName: foldersById.get(suggestion.folderId).name,
+                        path: foldersById.get(suggestion.folderId).path
+                    }));
+                    
+                    let folderId = pickAutoFolder(suggestions);
+                    if (folderId === null && suggestions.length > 0 && !hasPermission(folderPermission(user, tabType, null), 'upload')) {
+                        folderId = suggestions[0].folderId;
+                    }
+                    
+                    console.log(`폴더 추천: ${name} → ${suggestions.map(suggestion => `${suggestion.folderName}(${suggestion.relevance})`).join(', ') || '없음'}`);
+                    callback(null, { folderId, suggestions });
+                });
             });
         });
     });
-});
+}
 
-// 8. 파일 검색
-app.get('/api/search', (req, res) => {
-    const { query, tabType } = req.query;
+// 자동 분류 업로드 응답 (본문을 추출할 새 파일은 추출이 끝난 뒤 다시 분류하므로 pending)
+function withClassification(saved, classification) {
+    const pending = !saved.newVersion && hasExtractableText(saved);
+    return { ...saved, classification: { ...classification, pending } };
+}
+
+// 자동 분류로 올린 파일의 본문 추출이 끝나면 파일명과 본문으로 다시 분류하여 추천 폴더로 옮김
+// 올린 사용자의 현재 권한으로 분류하고, 확실한 추천이 없거나 지금 폴더가 가장 알맞으면 그대로 둠
+// (추출에 실패했거나 그 사이에 사용자가 옮긴 파일, 옮길 폴더에 같은 이름의 파일이 있으면 옮기지 않음)
+function classifyExtractedFile(fileRow, extracted) {
+    const done = (message) => {
+        db.run("UPDATE files SET auto_classify_by = NULL WHERE id = ?", [fileRow.id]);
+        if (message) console.log(`자동 분류: ${fileRow.original_name} ${message}`);
+    };
     
-    if (!query) {
-        res.status(400).json({ error: '검색어가 필요합니다.' });
+    if (!extracted) {
+        done('본문 추출에 실패하여 지금 폴더에 둠');
         return;
     }
     
-    const searchQuery = `
-        SELECT f.*, fo.name as folder_name
-        FROM files f
-        LEFT JOIN folders fo ON f.folder_id = fo.id
-        WHERE f.tab_type = ? AND (f.original_name LIKE ? OR f.name LIKE ?)
-        ORDER BY f.created_at DESC
-        LIMIT 50
-    `;
+    db.get("SELECT id, username, display_name, is_admin FROM users WHERE id = ?", [fileRow.auto_classify_by], (err, user) => {
+        if (err || !user) {
+            if (err) console.error('자동 분류 사용자 조회 오류:', err);
+            done();
+            return;
+        }
+        
+        loadFolderAccess(user, (err) => {
+            if (err) {
+                console.error('자동 분류 권한 조회 오류:', err);
+                done();
+                return;
+            }
+            
+            db.all("SELECT content FROM file_pages WHERE file_id = ? ORDER BY page_number", [fileRow.id], (err, pages) => {
+                if (err) {
+                    console.error('자동 분류 본문 조회 오류:', err);
+                    done();
+                    return;
+                }
+                
+                const text = pages.map(page => page.content || '').join('\n');
+                classifyDocument({ name: fileRow.original_name, text, fileId: fileRow.id }, fileRow.tab_type, user, (err, classification) => {
+                    if (err) {
+                        console.error('자동 분류 오류:', err);
+                        done();
+                        return;
+                    }
+                    
+                    const folderId = classification.folderId;
+                    if (folderId === null || folderId === fileRow.folder_id) {
+                        done('지금 폴더에 둠');
+                        return;
+                    }
+                    
+                    const target = { tabType: fileRow.tab_type, parentId: folderId };
+                    siblingNames('file', target, fileRow.id, user, (err, takenNames) => {
+                        if (err || takenNames.includes(fileRow.original_name)) {
+                            if (err) console.error('자동 분류 이름 확인 오류:', err);
+                            done(err ? null : '옮길 폴더에 같은 이름의 파일이 있어 지금 폴더에 둠');
+                            return;
+                        }
+                        
+                        const query = "UPDATE files SET folder_id = ?, auto_classify_by = NULL WHERE id = ? AND auto_classify_by IS NOT NULL AND folder_id IS ?";
+                        db.run(query, [folderId, fileRow.id, fileRow.folder_id], function(err) {
+                            if (err) {
+                                console.error('자동 분류 이동 오류:', err);
+                                done();
+                                return;
+                            }
+                            
+                            if (this.changes === 0) return;
+                            const folder = classification.suggestions.find(suggestion => suggestion.folderId === folderId);
+                            console.log(`자동 분류: ${fileRow.original_name} → ${folder.path.join(' > ')}`);
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
+// 폴더 추천(/api/classify)에 쓸 본문 (응답이 늦어지지 않도록 글자 인식은 하지 않고, 큰 파일은 파일명만 사용)
+async function readClassifyText(filePath, fileInfo) {
+    if (fileInfo.file_size > MAX_CLASSIFY_TEXT_SIZE || isOcrImage(fileInfo.original_name)) return '';
     
-    const searchTerm = `%${query}%`;
+    const extractText = isPdfFile(fileInfo) ? extractPdf : textExtractorFor(fileInfo);
+    if (!extractText) return '';
     
-    db.all(searchQuery, [tabType, searchTerm, searchTerm], (err, rows) => {
+    const result = await extractText(filePath);
+    return result.pages.map(page => page.text).join('\n');
+}
+
+// 로그인 사용자가 파일을 올릴 수 있는 폴더 [{ id, name, path: [루트부터 폴더 이름] }]
+function findUploadFolders(tabType, user, callback) {
+    db.all(`SELECT id, name, parent_id FROM folders WHERE tab_type = ? AND ${folderAccessFilter()}`, [tabType, ...accessParams(user)], (err, rows) => {
         if (err) {
-            res.status(500).json({ error: err.message });
+            callback(err);
             return;
         }
         
-        res.json(rows);
+        const foldersById = new Map(rows.map(row => [row.id, row]));
+        const pathOf = (row) => {
+            const names = [];
+            for (let folder = row; folder; folder = foldersById.get(folder.parent_id)) names.unshift(folder.name);
+            return names;
+        };
+        
+        callback(null, rows
+            .filter(row => hasPermission(folderPermission(user, tabType, row.id), 'upload'))
+            .map(row => ({ id: row.id, name: row.name, path: pathOf(row) })));
     });
-});
+}
+
+// 검색식과 일치하는 파일 수 (filter: buildMetadataFilter(query, 'f') 결과, 없으면 null)
+function countSearchHits(match, tabType, user, filter, callback) {
+    const params = [match, tabType, ...accessParams(user), ...(filter ? filter.params : [])];
+    db.get(`SELECT COUNT(*) as total FROM (${searchHitsQuery(filter)})`, params, (err, row) => {
+        callback(err, row ? row.total : 0);
+    });
+}
+
+// 검색식과 일치하는 파일 목록 (관련도 순)
+function findSearchHits(match, tabType, user, filter, limit, offset, callback) {
+    const query = `${searchHitsQuery(filter)} ORDER BY h.score, f.created_at DESC LIMIT ? OFFSET ?`;
+    db.all(query, [match, tabType, ...accessParams(user), ...(filter ? filter.params : []), limit, offset], callback);
+}
+
+// 파일별 가장 좋은 순위 (rank는 BM25 점수로, 작을수록 관련도가 높음)
+// 매개변수: 검색식, 탭, accessParams(로그인 사용자), 태그/메타데이터 필터 값
+function searchHitsQuery(filter) {
+    const conditions = filter ? filter.conditions.map(condition => ` AND ${condition}`).join('') : '';
+    return `
+        SELECT f.*, fo.name as folder_name, h.score
+        FROM (
+            SELECT file_id, MIN(rank) AS score
+            FROM search_index
+            WHERE search_index MATCH ?
+            GROUP BY file_id
+        ) h
+        INNER JOIN files f ON f.id = h.file_id
+        LEFT JOIN folders fo ON f.folder_id = fo.id
+        WHERE f.tab_type = ? AND ${accessFilter('f')}${conditions}
+    `;
+}
+
+// 지정한 파일들에서 본문이 검색식과 일치하는 페이지 (원문 포함)
+function findPageMatches(match, fileIds, callback) {
+    const placeholders = fileIds.map(() => '?').join(', ');
+    const query = `
+        SELECT s.file_id, s.page_number, p.content
+        FROM search_index s
+        INNER JOIN file_pages p ON p.file_id = s.file_id AND p.page_number = s.page_number
+        WHERE search_index MATCH ? AND s.file_id IN (${placeholders})
+        ORDER BY s.file_id, s.page_number
+    `;
+    db.all(query, [`content : (${match})`, ...fileIds.map(Number)], callback);
+}
+
+// 자연어 질의용 문서 목록: 관련도(%), 일치한 키워드, 키워드가 많이 나오는 페이지의 발췌
+function findQueryDocuments(match, terms, tabType, user, limit, callback) {
+    if (!match) {
+        callback(null, []);
+        return;
+    }
+    
+    findSearchHits(match, tabType, user, null, limit, 0, (err, rows) => {
+        if (err || rows.length === 0) {
+            callback(err, []);
+            return;
+        }
+        
+        findPageMatches(match, rows.map(row => row.id), (err, pageRows) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            
+            const bestScore = rows[0].score;
+            const documents = rows.map(row => {
+                const pages = pageRows
+                    .filter(pageRow => pageRow.file_id === row.id)
+                    .map(pageRow => ({ ...pageRow, terms: containedTerms(pageRow.content, terms) }))
+                    .sort((a, b) => b.terms.length - a.terms.length || a.page_number - b.page_number);
+                
+                const matchedKeywords = terms.filter(term =>
+                    containedTerms(row.original_name, [term]).length > 0 || pages.some(page => page.terms.includes(term))
+                );
+                
+                // 관련도: 질문 키워드 중 일치한 비율과 BM25 점수(1위 문서 대비)를 반씩 반영
+                const coverage = terms.length > 0 ? matchedKeywords.length / terms.length : 0;
+                const scoreRatio = bestScore < 0 ? row.score / bestScore : 1;
+                
+                return {
+                    ...row,
+                    relevance: Math.round(100 * (0.5 * coverage + 0.5 * scoreRatio)),
+                    matchedKeywords,
+                    passages: pages.slice(0, MAX_QUERY_PASSAGES).map(page => ({
+                        page: page.page_number,
+                        label: pageLabel(row, page.page_number),
+                        text: buildExcerpt(page.content, terms),
+                        snippet: buildSnippet(page.content, terms)
+                    }))
+                };
+            });
+            
+            documents.sort((a, b) => b.relevance - a.relevance);
+            callback(null, documents);
+        });
+    });
+}
+
+// 페이지 번호 표시 (PDF는 페이지, 한글 문서는 구역, 엑셀은 시트, 파워포인트는 슬라이드)
+function pageLabel(fileRow, pageNumber) {
+    if (isHwpFile(fileRow)) return `구역 ${pageNumber}`;
+    if (isXlsxFile(fileRow)) return `시트 ${pageNumber}`;
+    if (isPptxFile(fileRow)) return `슬라이드 ${pageNumber}`;
+    if (isDocxFile(fileRow)) return '본문';
+    return `${pageNumber}페이지`;
+}
 
 // 정적 파일 제공 (프론트엔드)
 app.get('/', (req, res) => {
@@ -1609,6 +8188,21 @@ app.listen(PORT, () => {
     console.log(`🚀 AskDoc 서버가 http://localhost:${PORT} 에서 실행 중입니다.`);
     console.log(`📁 업로드 디렉토리: ${uploadsDir}`);
     console.log(`💾 데이터베이스: askdoc.db`);
+    
+    // 보관 기간이 지난 휴지통 항목 정리 (서버 시작 시와 이후 주기적으로)
+    purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL);
+    
+    // 해시가 없는 이전 저장 파일을 등록하고 같은 내용의 중복 파일 정리
+    // 검색 색인(본문 추출)과 작업 큐는 중복 파일이 정리되어 저장 경로가 바뀐 뒤에 시작
+    registerLegacyStoredFiles(() => {
+        startJobQueue();
+        syncSearchIndex();
+    });
+    
+    // 오래 이어지지 않은 나누어 올리기 세션 정리
+    purgeStaleUploads();
+    setInterval(purgeStaleUploads, UPLOAD_PURGE_INTERVAL);
 });
 
 // 프로세스 종료 시 데이터베이스 연결 해제